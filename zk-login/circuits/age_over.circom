@@ -0,0 +1,65 @@
+pragma circom 2.1.4;
+
+include "circomlib/circuits/poseidon.circom";
+include "circomlib/circuits/comparators.circom";
+include "circomlib/circuits/bitify.circom";
+
+// Age check: the committed birth date is on or before `cutoff`, i.e. the
+// date the account holder declared at signup makes them at least the
+// policy's minimum age. Nothing signs that date, so this proves a
+// self-declared age only. Dates are YYYYMMDD numbers, which order like the
+// dates themselves.
+//
+// Public:
+//   ok        – Boolean, constrained to 1
+//   A         – Poseidon(birthDate, salt) commitment stored by server
+//   cutoff    – latest birth date that passes, YYYYMMDD (see utils/age.js)
+//   nonce     – single-use server challenge, the same as the login proof's
+// Private:
+//   birthDate – YYYYMMDD
+//   salt      – 128-bit salt, kept by the client only: a birth date is easy
+//               to guess, so A must not be checkable without it
+//
+// Public signals order (snarkjs): [ok, A, cutoff, nonce]
+
+template AgeOver() {
+    // ---- Inputs ----
+    signal input birthDate;
+    signal input salt;
+    signal input A;
+    signal input cutoff;
+    signal input nonce;
+
+    // ---- Output ----
+    signal output ok;
+
+    // ---- Commitment ----
+    component ageHash = Poseidon(2);
+    ageHash.inputs[0] <== birthDate;
+    ageHash.inputs[1] <== salt;
+
+    component ageEq = IsEqual();
+    ageEq.in[0] <== ageHash.out;
+    ageEq.in[1] <== A;
+
+    // ---- Cutoff ----
+    // LessEqThan(32) is only sound for inputs that fit in 32 bits
+    component birthBits = Num2Bits(32);
+    birthBits.in <== birthDate;
+    component cutoffBits = Num2Bits(32);
+    cutoffBits.in <== cutoff;
+
+    component old = LessEqThan(32);
+    old.in[0] <== birthDate;
+    old.in[1] <== cutoff;
+
+    ok <== ageEq.out * old.out;
+    ok === 1;
+
+    // nonce takes part in no other constraint; square it so the proof
+    // cannot be re-targeted at a different nonce
+    signal nonceSq;
+    nonceSq <== nonce * nonce;
+}
+
+component main {public [A, cutoff, nonce]} = AgeOver();
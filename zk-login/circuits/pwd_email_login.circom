@@ -0,0 +1,58 @@
+pragma circom 2.1.4;
+
+include "circomlib/circuits/poseidon.circom";
+include "circomlib/circuits/comparators.circom";
+
+// Email-bound login: pwd_login plus a proof that the entered email hashes to
+// the emailHash the account is stored under.
+//
+// Public:
+//   ok        – Boolean, constrained to 1
+//   C         – Poseidon(pwd, salt) commitment stored by server
+//   emailHash – Poseidon(email), the account's key in the user store
+//   nonce     – single-use server challenge (GET /challenge)
+// Private:
+//   pwd, salt – as in pwd_login
+//   email     – normalized email mapped to a field element (see JS helper)
+//
+// Public signals order (snarkjs): [ok, C, emailHash, nonce]
+
+template PwdEmailLogin() {
+    // ---- Inputs ----
+    signal input pwd;
+    signal input salt;
+    signal input email;
+    signal input C;
+    signal input emailHash;
+    signal input nonce;
+
+    // ---- Output ----
+    signal output ok;
+
+    // ---- Password ----
+    component pwdHash = Poseidon(2);
+    pwdHash.inputs[0] <== pwd;
+    pwdHash.inputs[1] <== salt;
+
+    component pwdEq = IsEqual();
+    pwdEq.in[0] <== pwdHash.out;
+    pwdEq.in[1] <== C;
+
+    // ---- Email ----
+    component emailHasher = Poseidon(1);
+    emailHasher.inputs[0] <== email;
+
+    component emailEq = IsEqual();
+    emailEq.in[0] <== emailHasher.out;
+    emailEq.in[1] <== emailHash;
+
+    ok <== pwdEq.out * emailEq.out;
+    ok === 1;
+
+    // nonce takes part in no other constraint; square it so the proof
+    // cannot be re-targeted at a different nonce
+    signal nonceSq;
+    nonceSq <== nonce * nonce;
+}
+
+component main {public [C, emailHash, nonce]} = PwdEmailLogin();
@@ -7,12 +7,16 @@ include "circomlib/circuits/comparators.circom";
 // to a stored commitment C using Poseidon.
 //
 // Public:
-//   C  – Poseidon(pwd, salt) commitment stored by server
-//   ok – Boolean (1 if proof is valid)
+//   ok – Boolean, constrained to 1 (a proof only exists for a matching C)
+//   C     – Poseidon(pwd, salt) commitment stored by server
+//   nonce – single-use server challenge (GET /challenge), binds the proof
+//           to one login attempt so it cannot be replayed
 // Private:
 //   pwd  – password mapped to a field element (see JS helper)
 //   salt – 128-bit random value generated during signup
 //
+// Public signals order (snarkjs): [ok, C, nonce]
+//
 // Total constraints: Poseidon(2 inputs) ≈ 63 + IsZero (4) + boolean (1) ≈ 68
 
 template PwdLogin() {
@@ -20,9 +24,10 @@ template PwdLogin() {
     signal input pwd;     // private password field element
     signal input salt;    // private salt field element
     signal input C;       // public commitment
+    signal input nonce;   // public login challenge
 
     // ---- Output ----
-    signal output ok;     // 1 if commitment matches, 0 otherwise
+    signal output ok;     // always 1 – see constraint below
 
     // ---- Hash computation ----
     component hash = Poseidon(2);
@@ -36,8 +41,13 @@ template PwdLogin() {
 
     ok <== eq.out;
 
-    // Enforce ok boolean (redundant)
-    ok * (ok - 1) === 0;
+    // A mismatching password must not yield a valid proof with ok = 0
+    ok === 1;
+
+    // nonce takes part in no other constraint; square it so the proof
+    // cannot be re-targeted at a different nonce
+    signal nonceSq;
+    nonceSq <== nonce * nonce;
 }
 
-component main = PwdLogin(); 
\ No newline at end of file
+component main {public [C, nonce]} = PwdLogin(); 
\ No newline at end of file
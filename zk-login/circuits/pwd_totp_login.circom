@@ -0,0 +1,86 @@
+pragma circom 2.1.4;
+
+include "circomlib/circuits/poseidon.circom";
+include "circomlib/circuits/comparators.circom";
+
+// Password + TOTP login: prove knowledge of the password behind C *and* of
+// the TOTP secret behind T, for one 30-second time step. The email is bound
+// as in pwd_email_login.
+//
+// Public:
+//   ok        – Boolean, constrained to 1
+//   code      – Poseidon(totpSecret, timeStep), the one-time code for this step
+//   C         – Poseidon(pwd, salt) password commitment stored by server
+//   T         – Poseidon(totpSecret, totpSalt) TOTP commitment stored by server
+//   emailHash – Poseidon(email), the account's key in the user store
+//   timeStep  – floor(unix time / 30) the proof is made for
+//   nonce     – single-use server challenge (GET /challenge)
+// Private:
+//   pwd, salt           – as in pwd_login
+//   email               – as in pwd_email_login
+//   totpSecret          – enrolled TOTP secret mapped to a field element
+//   totpSalt            – 128-bit salt for T
+//
+// Public signals order (snarkjs): [ok, code, C, T, emailHash, timeStep, nonce]
+
+template PwdTotpLogin() {
+    // ---- Inputs ----
+    signal input pwd;
+    signal input salt;
+    signal input totpSecret;
+    signal input totpSalt;
+    signal input email;
+    signal input C;
+    signal input T;
+    signal input emailHash;
+    signal input timeStep;
+    signal input nonce;
+
+    // ---- Outputs ----
+    signal output ok;
+    signal output code;
+
+    // ---- Password ----
+    component pwdHash = Poseidon(2);
+    pwdHash.inputs[0] <== pwd;
+    pwdHash.inputs[1] <== salt;
+
+    component pwdEq = IsEqual();
+    pwdEq.in[0] <== pwdHash.out;
+    pwdEq.in[1] <== C;
+
+    // ---- TOTP secret ----
+    component totpHash = Poseidon(2);
+    totpHash.inputs[0] <== totpSecret;
+    totpHash.inputs[1] <== totpSalt;
+
+    component totpEq = IsEqual();
+    totpEq.in[0] <== totpHash.out;
+    totpEq.in[1] <== T;
+
+    // ---- Email ----
+    component emailHasher = Poseidon(1);
+    emailHasher.inputs[0] <== email;
+
+    component emailEq = IsEqual();
+    emailEq.in[0] <== emailHasher.out;
+    emailEq.in[1] <== emailHash;
+
+    signal factors;
+    factors <== pwdEq.out * totpEq.out;
+    ok <== factors * emailEq.out;
+    ok === 1;
+
+    // ---- One-time code for this time step ----
+    component stepCode = Poseidon(2);
+    stepCode.inputs[0] <== totpSecret;
+    stepCode.inputs[1] <== timeStep;
+    code <== stepCode.out;
+
+    // nonce takes part in no other constraint; square it so the proof
+    // cannot be re-targeted at a different nonce
+    signal nonceSq;
+    nonceSq <== nonce * nonce;
+}
+
+component main {public [C, T, emailHash, timeStep, nonce]} = PwdTotpLogin();
@@ -0,0 +1,279 @@
+#!/usr/bin/env node
+// Admin CLI for the zk-login user store. Uses the same backend as the server
+// (STORE_BACKEND / STORE_PATH, see ./store/index.js).
+// Usage:
+//   zk-login-admin list
+//   zk-login-admin show <email | emailHash>
+//   zk-login-admin delete <email | emailHash>
+//   zk-login-admin disable <email | emailHash>
+//   zk-login-admin enable <email | emailHash>
+//   zk-login-admin reset-password <email | emailHash>
+//   zk-login-admin set-policy <email | emailHash> <policy | ->   ("-" clears it)
+//   zk-login-admin export [file]                 (stdout without a file)
+//   zk-login-admin import <file> [--overwrite]
+//   zk-login-admin check
+// or `npm run admin -- <command>`.
+//
+// Records are keyed by emailHash, so `list` cannot show plaintext emails;
+// pass the email to the other commands and it is hashed the same way.
+// Policy names are checked against the server's config (POLICY_CONFIG, see
+// ./policies.js).
+
+import fs from "fs";
+import path from "path";
+import { pathToFileURL } from "url";
+import { createStore, storeConfigFromEnv } from "./store/index.js";
+import { importDb } from "./migrate.js";
+import { recordProblems } from "./records.js";
+import { createPolicies, loadPolicyConfig } from "./policies.js";
+import {
+  createRecoveryCommitments,
+  generateRecoveryCodes,
+  hashEmail,
+} from "../utils/commitment.js";
+
+const EMAIL_HASH_KEY = /^0x[0-9a-f]+$/;
+
+/**
+ * Look a user up by emailHash or by email (hashed first, then the plaintext
+ * key of records from before email binding). Returns { key, rec } or null.
+ */
+export async function findRecord(store, id) {
+  const keys = EMAIL_HASH_KEY.test(id) ? [id] : [await hashEmail(id), id];
+  for (const key of keys) {
+    const rec = await store.get(key);
+    if (rec) return { key, rec };
+  }
+  return null;
+}
+
+async function requireRecord(store, id) {
+  if (!id) throw new Error("Missing <email | emailHash>");
+  const found = await findRecord(store, id);
+  if (!found) throw new Error(`No such user: ${id}`);
+  return found;
+}
+
+/**
+ * A record's metadata, without salts or commitments.
+ */
+export function describeRecord(key, rec) {
+  const recovery = Array.isArray(rec.recovery) ? rec.recovery : [];
+  return {
+    key,
+    version: rec.v ?? "legacy",
+    kdf: rec.kdf ?? { v: 1 },
+    totp: Boolean(rec.totp),
+    ...(rec.totp && { lastTimeStep: rec.totp.lastTimeStep ?? null }),
+    age: Boolean(rec.age),
+    policy: rec.policy ?? null,
+    devices: Array.isArray(rec.devices) ? rec.devices.length : 0,
+    recoveryCodes: {
+      unused: recovery.filter((c) => !c.used).length,
+      total: recovery.length,
+    },
+    disabled: Boolean(rec.disabled),
+    resetRequired: Boolean(rec.resetRequired),
+  };
+}
+
+export async function listUsers(store) {
+  return (await store.list()).map(({ email, ...rec }) => describeRecord(email, rec));
+}
+
+/**
+ * Set (or clear) `disabled` on a user's record. A disabled account cannot log
+ * in, change its password, recover or refresh its session.
+ */
+export async function setDisabled(store, id, disabled) {
+  const { key } = await requireRecord(store, id);
+  await store.update(key, (rec) => {
+    if (!rec) return undefined;
+    const { disabled: _, ...rest } = rec;
+    return disabled ? { ...rest, disabled: true } : rest;
+  });
+  return key;
+}
+
+/**
+ * Require a new password before the user can log in again: login and
+ * password change are refused until they recover with a recovery code. Adds
+ * a fresh one-time code for the admin to hand over, and returns it.
+ */
+export async function forcePasswordReset(store, id) {
+  const { key } = await requireRecord(store, id);
+  const [code] = generateRecoveryCodes(1);
+  const [entry] = await createRecoveryCommitments([code]);
+  await store.update(key, (rec) =>
+    rec
+      ? {
+          ...rec,
+          resetRequired: true,
+          recovery: [...(rec.recovery || []), { ...entry, used: false }],
+        }
+      : undefined
+  );
+  return { key, code };
+}
+
+/**
+ * Give a user's account its own policy, overriding its tenant's and the
+ * default; `name` null goes back to those. `policies` is the registry the
+ * name must exist in. The account must have enrolled the factors the policy
+ * requires, or it can no longer log in.
+ */
+export async function setPolicy(store, id, name, policies) {
+  const { key } = await requireRecord(store, id);
+  if (name !== null && !policies.get(name))
+    throw new Error(`Unknown policy: ${name} (one of ${policies.names().join(", ")})`);
+  await store.update(key, (rec) => {
+    if (!rec) return undefined;
+    const { policy: _, ...rest } = rec;
+    return name === null ? rest : { ...rest, policy: name };
+  });
+  return key;
+}
+
+export async function deleteUser(store, id) {
+  const { key } = await requireRecord(store, id);
+  await store.delete(key);
+  return key;
+}
+
+/**
+ * The whole store as { [emailHash]: record }, the db.json format that
+ * `import` and `npm run migrate` read.
+ */
+export async function exportStore(store) {
+  const data = {};
+  for (const { email, ...rec } of await store.list()) data[email] = rec;
+  return data;
+}
+
+/**
+ * Records that do not match the current record format, or that name a
+ * policy missing from `policies` (if given): [{ key, problems: [string] }].
+ */
+export async function checkStore(store, policies) {
+  const invalid = [];
+  for (const { email, ...rec } of await store.list()) {
+    const problems = recordProblems(rec);
+    if (policies && typeof rec.policy === "string" && !policies.get(rec.policy))
+      problems.push(`unknown policy ${rec.policy}`);
+    if (problems.length) invalid.push({ key: email, problems });
+  }
+  return invalid;
+}
+
+function formatUser(u) {
+  const kdf = u.kdf.v === 1 ? "v1" : `v2/${u.kdf.alg}`;
+  const flags = [
+    u.totp && "totp",
+    u.age && "age",
+    u.policy && `policy ${u.policy}`,
+    u.devices > 0 && `devices ${u.devices}`,
+    u.disabled && "disabled",
+    u.resetRequired && "reset-required",
+  ].filter(Boolean);
+  return [
+    u.key,
+    `record ${u.version}`,
+    `kdf ${kdf}`,
+    `recovery ${u.recoveryCodes.unused}/${u.recoveryCodes.total}`,
+    ...flags,
+  ].join("  ");
+}
+
+const COMMANDS = {
+  async list(store) {
+    const users = await listUsers(store);
+    for (const u of users) console.log(formatUser(u));
+    console.log(`${users.length} user(s)`);
+  },
+
+  async show(store, [id]) {
+    const { key, rec } = await requireRecord(store, id);
+    console.log(JSON.stringify(describeRecord(key, rec), null, 2));
+  },
+
+  async delete(store, [id]) {
+    console.log(`Deleted ${await deleteUser(store, id)}`);
+  },
+
+  async disable(store, [id]) {
+    console.log(`Disabled ${await setDisabled(store, id, true)}`);
+  },
+
+  async enable(store, [id]) {
+    console.log(`Enabled ${await setDisabled(store, id, false)}`);
+  },
+
+  async "reset-password"(store, [id]) {
+    const { key, code } = await forcePasswordReset(store, id);
+    console.log(`Password reset required for ${key}.`);
+    console.log(`Give the user this one-time recovery code: ${code}`);
+  },
+
+  async "set-policy"(store, [id, name]) {
+    if (!name) throw new Error("Missing <policy | ->");
+    const policies = createPolicies(loadPolicyConfig());
+    const key = await setPolicy(store, id, name === "-" ? null : name, policies);
+    console.log(name === "-" ? `Cleared the policy of ${key}` : `Set ${key} to ${name}`);
+  },
+
+  async export(store, [file]) {
+    const json = JSON.stringify(await exportStore(store), null, 2) + "\n";
+    if (!file) return process.stdout.write(json);
+    fs.writeFileSync(path.resolve(file), json, { mode: 0o600 });
+    console.error(`Exported to ${file}`);
+  },
+
+  async import(store, [file], flags) {
+    if (!file) throw new Error("Missing <file>");
+    const data = JSON.parse(fs.readFileSync(path.resolve(file), "utf8"));
+    const { imported, skipped } = await importDb(store, data, {
+      overwrite: flags.includes("--overwrite"),
+    });
+    console.log(
+      `Imported ${imported} user(s)` +
+        (skipped ? ` (${skipped} existing skipped, use --overwrite)` : "")
+    );
+  },
+
+  async check(store) {
+    const invalid = await checkStore(store, createPolicies(loadPolicyConfig()));
+    for (const { key, problems } of invalid)
+      console.log(`${key}: ${problems.join("; ")}`);
+    console.log(
+      invalid.length ? `${invalid.length} invalid record(s)` : "All records are valid"
+    );
+    if (invalid.length) process.exitCode = 1;
+  },
+};
+
+async function main(argv) {
+  const [command, ...rest] = argv;
+  const run = Object.hasOwn(COMMANDS, command || "") && COMMANDS[command];
+  if (!run) {
+    throw new Error(
+      `Usage: zk-login-admin <${Object.keys(COMMANDS).join(" | ")}> [args]`
+    );
+  }
+  const args = rest.filter((a) => !a.startsWith("--"));
+  const flags = rest.filter((a) => a.startsWith("--"));
+
+  const store = await createStore(storeConfigFromEnv());
+  try {
+    await run(store, args, flags);
+  } finally {
+    await store.close();
+  }
+}
+
+// Resolve the path, npm runs bins through a symlink
+if (import.meta.url === pathToFileURL(fs.realpathSync(process.argv[1])).href) {
+  main(process.argv.slice(2)).catch((e) => {
+    console.error(e.message);
+    process.exit(1);
+  });
+}
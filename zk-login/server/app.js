@@ -0,0 +1,972 @@
+// The zk-login Express app. server/index.js builds it from the environment
+// and listens; tests build it with an in-memory store and a fake clock.
+// Usage:
+//   const app = createApp({
+//     store: createMemoryStore(),
+//     vkeys: createVerifierKeys({ dir: "keys", circuits: CIRCUITS }),
+//     policies: createPolicies(DEFAULT_POLICY_CONFIG),
+//     audit: createAuditLog({ path: "server/audit.log" }),
+//     secret,
+//     clock: () => now,   // optional, Date.now by default
+//   });
+//   app.listen(4000);
+
+import crypto from "crypto";
+import express from "express";
+import cors from "cors";
+import bodyParser from "body-parser";
+import { groth16 } from "snarkjs";
+import { createSessions } from "./session.js";
+import { createAttemptTracker, createRateLimiter } from "./throttle.js";
+import { createDecoys } from "./decoy.js";
+import { hashEmail } from "../utils/commitment.js";
+import { DEFAULT_KDF, PLAIN_KDF } from "../utils/kdf.js";
+import { RECORD_VERSION } from "./records.js";
+import { openapi } from "./openapi.js";
+import { createRequestValidator } from "./validate.js";
+import { DEFAULT_VERSION } from "./vkeys.js";
+import { ageCutoff } from "../utils/age.js";
+import { checkDevicePublicKey, verifyDeviceSignature } from "../utils/device.js";
+import { METRICS_CONTENT_TYPE, createMetrics } from "./metrics.js";
+
+// Login circuits. Public signals are in snarkjs order (outputs first); the
+// entries below are indexes into them. `commitments` lists the signals that
+// must equal the stored commitments passed to verifyProofFor, in order.
+// `vkeyFile` is the default version's key in keys/, see vkeys.js.
+//   pwd_login:       [ok, C, nonce]                  – recovery codes
+//   pwd_email_login: [ok, C, emailHash, nonce]       – password login
+//   pwd_totp_login:  [ok, code, C, T, emailHash, timeStep, nonce]
+//   age_over:        [ok, A, cutoff, nonce]           – policy age check
+const PWD_CIRCUIT = {
+  name: "pwd_login",
+  vkeyFile: "verification_key.json",
+  nPublic: 3,
+  ok: 0,
+  commitments: [1],
+  nonce: 2,
+};
+const EMAIL_CIRCUIT = {
+  name: "pwd_email_login",
+  vkeyFile: "pwd_email_login_verification_key.json",
+  nPublic: 4,
+  ok: 0,
+  commitments: [1, 2],
+  nonce: 3,
+};
+const TOTP_CIRCUIT = {
+  name: "pwd_totp_login",
+  vkeyFile: "pwd_totp_login_verification_key.json",
+  nPublic: 7,
+  ok: 0,
+  commitments: [2, 3, 4],
+  timeStep: 5,
+  nonce: 6,
+};
+
+const AGE_CIRCUIT = {
+  name: "age_over",
+  vkeyFile: "age_over_verification_key.json",
+  nPublic: 4,
+  ok: 0,
+  commitments: [1],
+  cutoff: 2,
+  nonce: 3,
+};
+
+export const CIRCUITS = [PWD_CIRCUIT, EMAIL_CIRCUIT, TOTP_CIRCUIT, AGE_CIRCUIT];
+
+const CHALLENGE_TTL_MS = 2 * 60 * 1000;
+
+// Deleting or exporting an account and registering a device need a session
+// from a password proof made this recently; a refreshed session keeps the
+// time of its login
+const FRESH_LOGIN_MS = 5 * 60 * 1000;
+
+// Device keys an account may register (see utils/device.js)
+const MAX_DEVICES = 10;
+
+// TOTP time steps are 30 s; a proof may be for the current step or one
+// step either side, to allow for clock skew and proving time.
+const TOTP_PERIOD_SEC = 30;
+const TOTP_WINDOW = 1n;
+
+// Age proofs are for a cutoff date the client computes; allow its clock to be
+// up to a day ahead (or in a time zone where the day has already begun)
+const AGE_CLOCK_SKEW_MS = 24 * 60 * 60 * 1000;
+
+// Brute-force protection. Each IP may make REQUESTS_PER_MINUTE requests.
+// Failed proofs back off exponentially – per account after 3 failures in a
+// row, per IP (which may be shared) after 10 – and ACCOUNT_LOCKOUT_AFTER
+// failures lock the account for 15 minutes. Unknown emails are tracked the
+// same way, so neither reveals that an account exists.
+const REQUESTS_PER_MINUTE = 120;
+const ACCOUNT_LOCKOUT_AFTER = 10;
+
+/**
+ * Parse a decimal/hex string into a BigInt, or null if it isn't one.
+ */
+function toField(value) {
+  try {
+    return typeof value === "string" ? BigInt(value) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The circuit an account logs in with, and the values its proof must match:
+ * password and email, plus the TOTP secret once enrolled.
+ */
+function loginCircuitFor(rec, emailHash) {
+  return rec.totp
+    ? [TOTP_CIRCUIT, [rec.commitmentHex, rec.totp.commitmentHex, emailHash]]
+    : [EMAIL_CIRCUIT, [rec.commitmentHex, emailHash]];
+}
+
+/**
+ * Proofs a policy requires next to the login proof (sent in `proofs`), and
+ * the values each must match. Only for what the account has enrolled; see
+ * missingEnrollment.
+ */
+function claimCircuitsFor(rec, policy) {
+  return policy.proofs.includes("age") && rec.age
+    ? [[AGE_CIRCUIT, [rec.age.commitmentHex]]]
+    : [];
+}
+
+/**
+ * Whether `enrolled` – a record, or a signup body – lacks a factor the
+ * policy requires. Factors are stored under their proof's name.
+ */
+function missingEnrollment(enrolled, policy) {
+  return policy.proofs.some((kind) => kind !== "password" && !enrolled[kind]);
+}
+
+/**
+ * What GET /devices shows of a registered device: everything but its key.
+ */
+function describeDevice({ id, name, createdAt, lastUsedAt }) {
+  return { id, name, createdAt, lastUsedAt };
+}
+
+// Whether a session from a device login (`device` its id) is for a device
+// the record no longer has
+function isRevokedDevice(device, rec) {
+  return Boolean(device) && !rec?.devices?.some((d) => d.id === device);
+}
+
+// Whether the request carries `Authorization: Bearer <token>`. Both sides are
+// hashed first, so the comparison takes the same time whatever was sent.
+function hasBearerToken(req, token) {
+  if (!token) return false;
+  const [scheme, given = ""] = (req.get("authorization") || "").split(" ");
+  const digest = (value) => crypto.createHash("sha256").update(value).digest();
+  return scheme === "Bearer" && crypto.timingSafeEqual(digest(given), digest(token));
+}
+
+// Why a session (of `device`, for a device login) may no longer be used or
+// refreshed for the account `user`, as [status, code]; null if it may
+function sessionRefusal(user, device) {
+  if (!user) return [404, "USER_NOT_FOUND"];
+  if (user.rec.disabled) return [403, "ACCOUNT_DISABLED"];
+  if (user.rec.resetRequired) return [403, "PASSWORD_RESET_REQUIRED"];
+  if (isRevokedDevice(device, user.rec)) return [401, "DEVICE_REVOKED"];
+  return null;
+}
+
+// KDF parameters for a new password commitment: the client's – the request
+// schemas only admit supported v2 derivations – or DEFAULT_KDF
+function newPasswordKdf(kdf) {
+  return kdf ?? { ...DEFAULT_KDF };
+}
+
+/**
+ * Build the app. `store` holds the accounts (see store/index.js), `vkeys` the
+ * verification keys of CIRCUITS (see vkeys.js), `policies` the proofs each
+ * account needs (see policies.js) and `audit` the audit log (see audit.js).
+ * `secret` signs sessions and derives decoys. `metricsToken` is the bearer
+ * token GET /metrics asks for; without one, metrics are not served. `clock`
+ * returns the time in ms; challenges, throttling, sessions, TOTP and age
+ * checks all go by it.
+ */
+export function createApp({
+  store,
+  vkeys,
+  policies,
+  audit,
+  secret,
+  metricsToken,
+  clock = () => Date.now(),
+}) {
+  // Served at GET /metrics. Verification latency buckets bracket the PRD's
+  // 50 ms target.
+  const metrics = createMetrics();
+  const verificationSeconds = metrics.histogram({
+    name: "zk_login_proof_verification_seconds",
+    help: "Time to verify a Groth16 proof, by circuit.",
+    labels: ["circuit"],
+    buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5],
+  });
+  const verifications = metrics.counter({
+    name: "zk_login_proof_verifications_total",
+    help: "Groth16 verifications by circuit and outcome (valid, invalid, error).",
+    labels: ["circuit", "outcome"],
+  });
+  const authEvents = metrics.counter({
+    name: "zk_login_auth_events_total",
+    help: "Signups, logins, password changes and recoveries by outcome (success or error code).",
+    labels: ["event", "outcome"],
+  });
+  const lockouts = metrics.counter({
+    name: "zk_login_account_lockouts_total",
+    help: "Accounts locked after too many failed proofs.",
+  });
+
+  /**
+   * Make `event` the audited outcome of this request, for the account
+   * `emailHash`: the code of the first reject, or auditSuccess.
+   */
+  function auditAs(req, res, event, emailHash) {
+    res.locals.audit = { event, emailHash, ip: req.ip };
+  }
+
+  function recordOutcome(res, code) {
+    const { audit: pending } = res.locals;
+    if (!pending) return;
+    res.locals.audit = null;
+    const { event, ...fields } = pending;
+    const outcome = code ? { outcome: "failure", code } : { outcome: "success" };
+    audit.record(event, { ...outcome, ...fields });
+    authEvents.inc({ event, outcome: code ?? "success" });
+  }
+
+  function auditSuccess(res) {
+    recordOutcome(res, null);
+  }
+
+  function reject(res, status, code) {
+    recordOutcome(res, code);
+    return res.status(status).json({ ok: false, code });
+  }
+
+  // Issued login challenges: nonce (decimal string) -> { emailHash, expiresAt }.
+  // A nonce is removed as soon as a login presents it, so each one is usable
+  // for a single attempt.
+  const challenges = new Map();
+
+  function pruneChallenges(now) {
+    for (const [nonce, c] of challenges) {
+      if (c.expiresAt <= now) challenges.delete(nonce);
+    }
+  }
+
+  const requestLimiter = createRateLimiter({
+    max: REQUESTS_PER_MINUTE,
+    windowMs: 60 * 1000,
+    now: clock,
+  });
+  const ipAttempts = createAttemptTracker({ freeAttempts: 10, now: clock });
+  const accountAttempts = createAttemptTracker({
+    freeAttempts: 3,
+    lockoutAfter: ACCOUNT_LOCKOUT_AFTER,
+    now: clock,
+  });
+
+  function retryLater(res, status, code, retryAfterMs) {
+    res.set("Retry-After", String(Math.ceil(retryAfterMs / 1000)));
+    return reject(res, status, code);
+  }
+
+  /**
+   * Run `verify` – which sends its own failure response – unless the account
+   * or the client IP has to back off, and record the outcome. Returns whether
+   * the attempt succeeded.
+   */
+  async function throttledAttempt(req, res, emailHash, verify) {
+    const blocked = accountAttempts.check(emailHash) ?? ipAttempts.check(req.ip);
+    if (blocked) {
+      const status = blocked.code === "ACCOUNT_LOCKED" ? 423 : 429;
+      retryLater(res, status, blocked.code, blocked.retryAfterMs);
+      return false;
+    }
+    if (await verify()) {
+      accountAttempts.succeed(emailHash);
+      return true;
+    }
+    if (accountAttempts.fail(emailHash)) {
+      audit.record("account.locked", { emailHash, ip: req.ip });
+      lockouts.inc();
+    }
+    ipAttempts.fail(req.ip);
+    return false;
+  }
+
+  /**
+   * Look up the account for `email`. Records are keyed by emailHash so the
+   * store holds no plaintext emails; accounts created before email binding are
+   * still found under their plaintext email. Returns { key, emailHash, rec }
+   * or null.
+   */
+  async function findUser(email) {
+    if (typeof email !== "string" || !email) return null;
+    const emailHash = await hashEmail(email);
+    for (const key of [emailHash, email]) {
+      const rec = await store.get(key);
+      if (rec) return { key, emailHash, rec };
+    }
+    return null;
+  }
+
+  /**
+   * Like findUser, but an unknown email gets a decoy account with `key: null`
+   * (see decoy.js), so responses don't reveal which emails are registered.
+   * Also resolves the account's `policy` (null if its record names one that
+   * is not configured). `email` comes from a validated request, so is never
+   * missing.
+   */
+  async function findUserOrDecoy(email) {
+    const user = await findUser(email);
+    if (user) return { ...user, policy: policies.resolve(email, user.rec) };
+    const emailHash = await hashEmail(email);
+    const policy = policies.resolve(email);
+    return { key: null, emailHash, rec: decoys.record(emailHash, policy), policy };
+  }
+
+  /**
+   * Refuse a decoy account even if its proof verified – nobody should know a
+   * password for one, but never issue anything for it.
+   */
+  function isRealUser(res, user) {
+    if (user.key !== null) return true;
+    reject(res, 401, "PROOF_INVALID");
+    return false;
+  }
+
+  // Accounts flagged by zk-login-admin: a disabled one cannot do anything, and
+  // one that must reset its password can only use a recovery code. Checked
+  // after the proof, so the flags are not shown to someone without it.
+  function isActiveAccount(res, rec, { resetAllowed = false } = {}) {
+    if (rec.disabled) {
+      reject(res, 403, "ACCOUNT_DISABLED");
+      return false;
+    }
+    if (rec.resetRequired && !resetAllowed) {
+      reject(res, 403, "PASSWORD_RESET_REQUIRED");
+      return false;
+    }
+    return true;
+  }
+
+  const sessions = createSessions({ secret, now: clock });
+  // Shaped like the accounts in the store, read now and every few minutes
+  const decoys = createDecoys(secret, { store, clock });
+  decoys.refresh();
+
+  const app = express();
+  // Expose Retry-After so the UI can show how long to wait
+  app.use(cors({ exposedHeaders: ["Retry-After"] }));
+  app.use(bodyParser.json());
+
+  // Per-IP request limit
+  app.use((req, res, next) => {
+    const retryAfterMs = requestLimiter.hit(req.ip);
+    if (!retryAfterMs) return next();
+    retryLater(res, 429, "RATE_LIMITED", retryAfterMs);
+  });
+
+  // Bodies and query strings are checked against the OpenAPI document before
+  // any route sees them (400 INVALID_REQUEST)
+  app.use(createRequestValidator(openapi));
+
+  app.get("/openapi.json", (req, res) => res.json(openapi));
+
+  // Only for the scraper holding metricsToken – the auth counters say which
+  // outcomes requests had. Anyone else gets the 404 of an unknown route.
+  app.get("/metrics", (req, res, next) => {
+    if (!hasBearerToken(req, metricsToken)) return next();
+    res.type(METRICS_CONTENT_TYPE).send(metrics.render());
+  });
+
+  // The policy a new account for `email` gets, i.e. what signup must enroll
+  app.get("/policy", (req, res) => {
+    const { proofs, minAge } = policies.resolve(req.query.email);
+    res.json({ proofs, ...(minAge && { minAge }) });
+  });
+
+  // Circuit versions a proof may declare in `circuitVersion`
+  app.get("/circuits", (req, res) => {
+    const circuits = {};
+    for (const { name } of CIRCUITS) circuits[name] = { versions: vkeys.versions(name) };
+    res.json({ circuits });
+  });
+
+  // Signup – with whatever second factors the email's policy requires
+  app.post("/signup", async (req, res) => {
+    const { email, saltHex, commitmentHex, kdf, recovery = [], totp, age } = req.body;
+    const emailHash = await hashEmail(email);
+    auditAs(req, res, "signup", emailHash);
+    if (missingEnrollment(req.body, policies.resolve(email)))
+      return reject(res, 400, "ENROLLMENT_MISSING");
+
+    // An existing account is never overwritten – changing its password takes
+    // a proof (/password/change, /recovery). The answer and the signup metric
+    // are the same either way, so signup doesn't tell which emails are
+    // registered; only the audit log does (signup.existing).
+    let created = false;
+    if (!(await store.get(email))) {
+      await store.update(emailHash, (cur) => {
+        if (cur) return undefined;
+        created = true;
+        return {
+          v: RECORD_VERSION,
+          saltHex,
+          commitmentHex,
+          kdf: newPasswordKdf(kdf),
+          recovery: recovery.map((c) => ({ ...c, used: false })),
+          ...(totp && { totp: { ...totp, lastTimeStep: null } }),
+          ...(age && { age }),
+        };
+      });
+    }
+    if (created) {
+      auditSuccess(res);
+    } else {
+      res.locals.audit = null;
+      audit.record("signup.existing", { emailHash, ip: req.ip });
+      authEvents.inc({ event: "signup", outcome: "success" });
+    }
+    res.json({ ok: true });
+  });
+
+  // Fetch login data. The age commitment is not sent: the client keeps it
+  // with its salt.
+  app.get("/loginData", async (req, res) => {
+    const user = await findUserOrDecoy(req.query.email);
+    if (!user.policy) return reject(res, 500, "POLICY_UNAVAILABLE");
+    const { saltHex, commitmentHex, kdf = PLAIN_KDF, totp } = user.rec;
+    const { proofs, minAge } = user.policy;
+    res.json({
+      saltHex,
+      commitmentHex,
+      kdf,
+      ...(totp && {
+        totp: { saltHex: totp.saltHex, commitmentHex: totp.commitmentHex },
+      }),
+      policy: { proofs, ...(minAge && { minAge }) },
+    });
+  });
+
+  // Issue a single-use login challenge
+  app.get("/challenge", async (req, res) => {
+    const { email } = req.query;
+    const now = clock();
+    pruneChallenges(now);
+
+    // 248 bits always fits in the BN254 scalar field
+    const nonce = BigInt("0x" + crypto.randomBytes(31).toString("hex")).toString();
+    const expiresAt = now + CHALLENGE_TTL_MS;
+    challenges.set(nonce, { emailHash: await hashEmail(email), expiresAt });
+    res.json({ nonce, expiresAt });
+  });
+
+  /**
+   * The verification key for a proof `submission` ({ proof, publicSignals,
+   * circuitVersion }) from `circuit`, once its signals match the stored
+   * `commitments` and its ok flag is set. On failure the response is sent and
+   * null is returned.
+   */
+  function checkSubmission(res, circuit, commitments, { publicSignals, circuitVersion }) {
+    const vKey = vkeys.get(circuit.name, circuitVersion);
+    if (!vKey) {
+      if (circuitVersion && circuitVersion !== DEFAULT_VERSION)
+        reject(res, 400, "CIRCUIT_VERSION_UNKNOWN");
+      else reject(res, 500, "VERIFIER_UNAVAILABLE");
+      return null;
+    }
+
+    if (!Array.isArray(publicSignals) || publicSignals.length !== circuit.nPublic) {
+      reject(res, 400, "MALFORMED_SIGNALS");
+      return null;
+    }
+
+    // The proof must be about *these* commitments, and the circuit's ok flag
+    // must be set – otherwise any valid proof would log anyone in.
+    const matches = circuit.commitments.every((signal, i) => {
+      const stored = toField(commitments[i]);
+      return stored !== null && toField(publicSignals[signal]) === stored;
+    });
+    if (!matches) {
+      reject(res, 401, "COMMITMENT_MISMATCH");
+      return null;
+    }
+    if (toField(publicSignals[circuit.ok]) !== 1n) {
+      reject(res, 401, "NOT_OK");
+      return null;
+    }
+    return vKey;
+  }
+
+  /**
+   * Check proofs for the account `emailHash` – `checks` is
+   * [[circuit, commitments, submission]], see checkSubmission – and consume
+   * their challenge. All proofs must be for the same nonce, so they were made
+   * for one attempt. On failure the response is sent and false is returned.
+   */
+  async function verifyProofsFor(res, emailHash, checks) {
+    const vKeys = [];
+    for (const [circuit, commitments, submission] of checks) {
+      const vKey = checkSubmission(res, circuit, commitments, submission);
+      if (!vKey) return false;
+      vKeys.push(vKey);
+    }
+
+    const nonces = checks.map(([circuit, , { publicSignals }]) =>
+      toField(publicSignals[circuit.nonce])
+    );
+    if (!consumeChallenge(res, emailHash, nonces)) return false;
+
+    try {
+      for (const [i, [circuit, , { proof, publicSignals }]] of checks.entries()) {
+        if (!(await timedVerify(circuit, vKeys[i], publicSignals, proof))) {
+          reject(res, 401, "PROOF_INVALID");
+          return false;
+        }
+      }
+      return true;
+    } catch (e) {
+      console.error(e);
+      reject(res, 500, "VERIFICATION_ERROR");
+    }
+    return false;
+  }
+
+  /**
+   * Consume the challenge `nonces` (BigInts, or null for a malformed one)
+   * were made for, whatever the outcome, so a proof or signature can't be
+   * retried. They must all be the same nonce, issued for `emailHash` and not
+   * expired. On failure the response is sent and false is returned.
+   */
+  function consumeChallenge(res, emailHash, [nonce, ...others]) {
+    const challenge = nonce === null ? null : challenges.get(nonce.toString());
+    if (!challenge || challenge.emailHash !== emailHash) {
+      reject(res, 401, "CHALLENGE_INVALID");
+      return false;
+    }
+    challenges.delete(nonce.toString());
+    if (others.some((other) => other !== nonce)) {
+      reject(res, 401, "CHALLENGE_INVALID");
+      return false;
+    }
+    if (challenge.expiresAt <= clock()) {
+      reject(res, 401, "CHALLENGE_EXPIRED");
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * groth16.verify, recorded in the verification latency and outcome metrics.
+   */
+  async function timedVerify(circuit, vKey, publicSignals, proof) {
+    const start = process.hrtime.bigint();
+    let outcome = "error";
+    try {
+      const valid = await groth16.verify(vKey, publicSignals, proof);
+      outcome = valid ? "valid" : "invalid";
+      return valid;
+    } finally {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      verificationSeconds.observe({ circuit: circuit.name }, seconds);
+      verifications.inc({ circuit: circuit.name, outcome });
+    }
+  }
+
+  /**
+   * Check a single proof from `circuit` – in the `circuitVersion` the client
+   * declared, if any – for the account `emailHash` against the stored
+   * `commitments` and consume its challenge. On failure the response is sent
+   * and false is returned.
+   */
+  function verifyProofFor(res, emailHash, circuit, commitments, submission) {
+    return verifyProofsFor(res, emailHash, [[circuit, commitments, submission]]);
+  }
+
+  /**
+   * Accept the cutoff date of a verified age_over proof: a birth date on or
+   * before it must mean at least `minAge` years today. On failure the response
+   * is sent and false is returned.
+   */
+  function acceptAgeCutoff(res, publicSignals, minAge) {
+    const cutoff = toField(publicSignals[AGE_CIRCUIT.cutoff]);
+    const latest = BigInt(ageCutoff(minAge, clock() + AGE_CLOCK_SKEW_MS));
+    if (cutoff !== null && cutoff <= latest) return true;
+    reject(res, 401, "AGE_CUTOFF_INVALID");
+    return false;
+  }
+
+  /**
+   * Accept the time step of a verified pwd_totp_login proof: it must be within
+   * TOTP_WINDOW steps of now and later than the last step the account used, so
+   * each one-time code is accepted once. On failure the response is sent and
+   * false is returned.
+   */
+  async function acceptTimeStep(res, key, publicSignals) {
+    const step = toField(publicSignals[TOTP_CIRCUIT.timeStep]);
+    const now = BigInt(Math.floor(clock() / 1000 / TOTP_PERIOD_SEC));
+    if (step === null || step < now - TOTP_WINDOW || step > now + TOTP_WINDOW) {
+      reject(res, 401, "TOTP_EXPIRED");
+      return false;
+    }
+
+    let accepted = false;
+    await store.update(key, (cur) => {
+      const last = cur?.totp?.lastTimeStep;
+      if (!cur?.totp || (last !== null && step <= BigInt(last))) return undefined;
+      accepted = true;
+      return { ...cur, totp: { ...cur.totp, lastTimeStep: step.toString() } };
+    });
+    if (!accepted) reject(res, 401, "TOTP_REPLAYED");
+    return accepted;
+  }
+
+  /**
+   * Verify the proofs `user` (from findUserOrDecoy) logs in with: a login
+   * proof – with the TOTP circuit if the account has enrolled a second factor
+   * – and the claims its policy requires in `body.proofs`. `claims: false`
+   * checks the login proof only, for a password change. On failure the
+   * response is sent and false is returned.
+   */
+  async function verifyLogin(res, user, body, { claims = true } = {}) {
+    const { key, emailHash, rec, policy } = user;
+    if (!policy) {
+      reject(res, 500, "POLICY_UNAVAILABLE");
+      return false;
+    }
+
+    const [circuit, commitments] = loginCircuitFor(rec, emailHash);
+    const checks = [[circuit, commitments, body]];
+    const required = claims ? claimCircuitsFor(rec, policy) : [];
+    for (const [claim, claimCommitments] of required) {
+      const submission = body.proofs?.find((p) => p.circuit === claim.name);
+      if (!submission) {
+        reject(res, 400, "PROOF_MISSING");
+        return false;
+      }
+      checks.push([claim, claimCommitments, submission]);
+    }
+    if (!(await verifyProofsFor(res, emailHash, checks))) return false;
+    if (!isRealUser(res, user) || !isActiveAccount(res, rec)) return false;
+    // After the proof, like the account flags: only the holder learns this
+    if (missingEnrollment(rec, policy)) {
+      reject(res, 403, "ENROLLMENT_REQUIRED");
+      return false;
+    }
+
+    const age = checks.find(([claim]) => claim === AGE_CIRCUIT);
+    if (age && !acceptAgeCutoff(res, age[2].publicSignals, policy.minAge)) return false;
+    return circuit !== TOTP_CIRCUIT || acceptTimeStep(res, key, body.publicSignals);
+  }
+
+  // Login – verify proof
+  app.post("/login", async (req, res) => {
+    const { email } = req.body;
+    const user = await findUserOrDecoy(email);
+    auditAs(req, res, "login", user.emailHash);
+
+    const verified = await throttledAttempt(req, res, user.emailHash, () =>
+      verifyLogin(res, user, req.body)
+    );
+    if (!verified) return;
+    auditSuccess(res);
+    res.json({ ok: true, ...sessions.issue(email) });
+  });
+
+  /**
+   * Verify a device login for `user` (from findUserOrDecoy): the registered
+   * device `deviceId` signed the challenge `nonce`. It stands in for all the
+   * proofs of the account's policy, which were made when the device was
+   * registered. On failure the response is sent and false is returned.
+   */
+  async function verifyDeviceLogin(res, user, { deviceId, nonce, signature }) {
+    const { emailHash, rec, policy } = user;
+    if (!policy) {
+      reject(res, 500, "POLICY_UNAVAILABLE");
+      return false;
+    }
+    if (!consumeChallenge(res, emailHash, [toField(nonce)])) return false;
+    const device = rec.devices?.find((d) => d.id === deviceId);
+    if (!device) {
+      reject(res, 401, "DEVICE_UNKNOWN");
+      return false;
+    }
+    if (!(await verifyDeviceSignature(device.publicKey, nonce, signature))) {
+      reject(res, 401, "SIGNATURE_INVALID");
+      return false;
+    }
+    if (!isRealUser(res, user) || !isActiveAccount(res, rec)) return false;
+    if (missingEnrollment(rec, policy)) {
+      reject(res, 403, "ENROLLMENT_REQUIRED");
+      return false;
+    }
+    return true;
+  }
+
+  // Login from a registered device – a signed challenge instead of a proof
+  app.post("/login/device", async (req, res) => {
+    const { email, deviceId } = req.body;
+    const user = await findUserOrDecoy(email);
+    auditAs(req, res, "device.login", user.emailHash);
+
+    const verified = await throttledAttempt(req, res, user.emailHash, () =>
+      verifyDeviceLogin(res, user, req.body)
+    );
+    if (!verified) return;
+    await store.update(user.key, (cur) =>
+      cur
+        ? {
+            ...cur,
+            devices: cur.devices?.map((d) =>
+              d.id === deviceId ? { ...d, lastUsedAt: clock() } : d
+            ),
+          }
+        : undefined
+    );
+    auditSuccess(res);
+    res.json({ ok: true, ...sessions.issue(email, { method: "device", device: deviceId }) });
+  });
+
+  // Change password – prove the current password (and TOTP secret, if enrolled),
+  // swap in a new salt/commitment. Whoever knew the old password may have
+  // sessions or a registered device, so those end too.
+  app.post("/password/change", async (req, res) => {
+    const { email, saltHex, commitmentHex } = req.body;
+    const kdf = newPasswordKdf(req.body.kdf);
+    const user = await findUserOrDecoy(email);
+    auditAs(req, res, "password.change", user.emailHash);
+
+    // Only what the password (and TOTP) holder can prove, not the policy's claims
+    const verified = await throttledAttempt(req, res, user.emailHash, () =>
+      verifyLogin(res, user, req.body, { claims: false })
+    );
+    if (!verified) return;
+
+    // Only swap if the password wasn't changed while we were verifying
+    let changed = false;
+    await store.update(user.key, (cur) => {
+      if (cur?.commitmentHex !== user.rec.commitmentHex) return undefined;
+      changed = true;
+      const { devices: _, ...rest } = cur;
+      return { ...rest, saltHex, commitmentHex, kdf };
+    });
+    if (!changed) return reject(res, 409, "COMMITMENT_CHANGED");
+    sessions.revokeAll(email);
+    auditSuccess(res);
+    res.json({ ok: true });
+  });
+
+  // Fetch the unused recovery code commitments
+  app.get("/recovery/data", async (req, res) => {
+    const user = await findUserOrDecoy(req.query.email);
+    const codes = [];
+    (user.rec.recovery || []).forEach(({ saltHex, commitmentHex, used }, index) => {
+      if (!used) codes.push({ index, saltHex, commitmentHex });
+    });
+    res.json({ codes });
+  });
+
+  // Recover – prove knowledge of a recovery code, set a new password. The
+  // account may have been taken over, so its sessions and devices end.
+  app.post("/recovery", async (req, res) => {
+    const { email, index, saltHex, commitmentHex } = req.body;
+    const kdf = newPasswordKdf(req.body.kdf);
+    const user = await findUserOrDecoy(email);
+    auditAs(req, res, "recovery", user.emailHash);
+
+    const { emailHash } = user;
+    const verified = await throttledAttempt(req, res, emailHash, async () => {
+      const entry = user.rec.recovery?.[index];
+      if (!entry || entry.used) {
+        reject(res, 401, "RECOVERY_CODE_INVALID");
+        return false;
+      }
+      const proofOk = await verifyProofFor(
+        res,
+        emailHash,
+        PWD_CIRCUIT,
+        [entry.commitmentHex],
+        req.body
+      );
+      return (
+        proofOk &&
+        isRealUser(res, user) &&
+        isActiveAccount(res, user.rec, { resetAllowed: true })
+      );
+    });
+    if (!verified) return;
+
+    // Burn the code and set the new password in one write
+    let remaining = null;
+    await store.update(user.key, (cur) => {
+      const current = cur?.recovery?.[index];
+      if (!current || current.used) return undefined;
+      const recovery = cur.recovery.map((c, i) =>
+        i === index ? { ...c, used: true } : c
+      );
+      remaining = recovery.filter((c) => !c.used).length;
+      // A new password is what a forced reset asked for
+      const { resetRequired: _, devices: __, ...rest } = cur;
+      return { ...rest, saltHex, commitmentHex, kdf, recovery };
+    });
+    if (remaining === null) return reject(res, 409, "RECOVERY_CODE_USED");
+    sessions.revokeAll(email);
+    auditSuccess(res);
+    res.json({ ok: true, remaining });
+  });
+
+  // Exchange a refresh token for a new session
+  app.post("/refresh", async (req, res) => {
+    const { refreshToken } = req.body;
+    const { session, email, device, code } = sessions.refresh(refreshToken);
+    if (code) return reject(res, 401, code);
+    const refusal = sessionRefusal(await findUser(email), device);
+    if (refusal) {
+      sessions.revoke(session.refreshToken);
+      return reject(res, ...refusal);
+    }
+    res.json({ ok: true, ...session });
+  });
+
+  // Logout – revoke the access token and, if given, its refresh token
+  app.post("/logout", sessions.requireSession, (req, res) => {
+    sessions.revoke(req.sessionToken);
+    sessions.revoke(req.body?.refreshToken);
+    res.json({ ok: true });
+  });
+
+  /**
+   * Middleware after sessions.requireSession: the session must come from a
+   * password proof at most FRESH_LOGIN_MS old, not from a device key.
+   */
+  function requireFreshLogin(req, res, next) {
+    const { method, authTime } = req.session;
+    if (method === "proof" && authTime * 1000 + FRESH_LOGIN_MS > clock()) return next();
+    reject(res, 403, "FRESH_LOGIN_REQUIRED");
+  }
+
+  /**
+   * The session's account, audited as `event` if given (see auditAs). On
+   * failure the response is sent and null is returned.
+   */
+  async function sessionUser(req, res, event) {
+    const { email, device } = req.session;
+    const user = await findUser(email);
+    if (event) auditAs(req, res, event, user?.emailHash ?? (await hashEmail(email)));
+    const refusal = sessionRefusal(user, device);
+    if (refusal) {
+      reject(res, ...refusal);
+      return null;
+    }
+    return user;
+  }
+
+  // Current session
+  app.get("/me", sessions.requireSession, async (req, res) => {
+    const { email, exp } = req.session;
+    if (!(await sessionUser(req, res))) return;
+    res.json({ ok: true, email, expiresAt: exp * 1000 });
+  });
+
+  // Delete the account and revoke all its sessions. Its audit log entries
+  // stay, like those of any other account.
+  app.delete("/account", sessions.requireSession, requireFreshLogin, async (req, res) => {
+    const user = await sessionUser(req, res, "account.delete");
+    if (!user) return;
+    await store.delete(user.key);
+    sessions.revokeAll(req.session.email);
+    auditSuccess(res);
+    res.json({ ok: true });
+  });
+
+  // Everything stored about the account, as a JSON download
+  app.get("/account/export", sessions.requireSession, requireFreshLogin, async (req, res) => {
+    const user = await sessionUser(req, res, "account.export");
+    if (!user) return;
+    const data = {
+      exportedAt: new Date(clock()).toISOString(),
+      email: req.session.email,
+      emailHash: user.emailHash,
+      record: user.rec,
+      auditLog: audit.entriesFor(user.emailHash),
+    };
+    auditSuccess(res);
+    res.attachment("zk-login-account.json").json(data);
+  });
+
+  // The account's registered devices
+  app.get("/devices", sessions.requireSession, async (req, res) => {
+    const user = await sessionUser(req, res);
+    if (!user) return;
+    res.json({ devices: (user.rec.devices || []).map(describeDevice) });
+  });
+
+  // Register a key pair the device generated, after a password login
+  app.post("/devices", sessions.requireSession, requireFreshLogin, async (req, res) => {
+    const user = await sessionUser(req, res, "device.register");
+    if (!user) return;
+    const publicKey = await checkDevicePublicKey(req.body.publicKey);
+    if (!publicKey) return reject(res, 400, "DEVICE_KEY_INVALID");
+
+    const device = {
+      id: crypto.randomUUID(),
+      name: req.body.name,
+      publicKey,
+      createdAt: clock(),
+      lastUsedAt: null,
+    };
+    let outcome = null;
+    await store.update(user.key, (cur) => {
+      if (!cur) return undefined;
+      const devices = cur.devices || [];
+      if (devices.length >= MAX_DEVICES) {
+        outcome = "DEVICE_LIMIT";
+        return undefined;
+      }
+      outcome = "added";
+      return { ...cur, devices: [...devices, device] };
+    });
+    if (outcome === "DEVICE_LIMIT") return reject(res, 409, "DEVICE_LIMIT");
+    if (!outcome) return reject(res, 404, "USER_NOT_FOUND");
+    auditSuccess(res);
+    res.json({ ok: true, device: describeDevice(device) });
+  });
+
+  // Revoke a device: it can no longer log in, and its sessions end
+  app.delete("/devices/:id", sessions.requireSession, async (req, res) => {
+    const user = await sessionUser(req, res, "device.revoke");
+    if (!user) return;
+    let removed = false;
+    await store.update(user.key, (cur) => {
+      const devices = cur?.devices?.filter((d) => d.id !== req.params.id);
+      if (!devices || devices.length === cur.devices.length) return undefined;
+      removed = true;
+      return { ...cur, devices };
+    });
+    if (!removed) return reject(res, 404, "DEVICE_NOT_FOUND");
+    auditSuccess(res);
+    res.json({ ok: true });
+  });
+
+  // Everything else fails in the same { ok: false, code } format
+  app.use((req, res) => reject(res, 404, "NOT_FOUND"));
+
+  app.use((err, req, res, next) => {
+    if (err.type === "entity.parse.failed") return reject(res, 400, "MALFORMED_JSON");
+    // Other body-parser errors: too large, wrong charset, ...
+    if (err.status >= 400 && err.status < 500)
+      return reject(res, err.status, "INVALID_REQUEST");
+    console.error(err);
+    reject(res, 500, "INTERNAL_ERROR");
+  });
+
+  return app;
+}
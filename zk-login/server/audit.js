@@ -0,0 +1,72 @@
+// Append-only audit log of security events, one JSON object per line.
+// Usage:
+//   const audit = createAuditLog(auditConfigFromEnv());
+//   audit.record("login", { outcome: "failure", code: "PROOF_INVALID", emailHash, ip });
+//   audit.entriesFor(emailHash);   // for the account's data export
+//   audit.close();
+//
+// Entries are { time, event, ...fields } with `time` an ISO timestamp.
+// Events:
+//   signup, login, password.change, recovery,
+//   account.delete, account.export,
+//   device.register, device.login,
+//   device.revoke                           – outcome "success", or "failure"
+//                                             with the error code
+//   account.locked                          – too many failed proofs
+//   signup.existing                         – signup for a registered email,
+//                                             answered like a new one
+// Accounts are identified by emailHash, like in the store, never by email.
+//
+// The file is opened for appending only and written synchronously, so entries
+// are in order and on disk before the response goes out. Rotate it with a
+// tool that copies and truncates (logrotate copytruncate).
+
+import fs from "fs";
+import path from "path";
+
+export const DEFAULT_AUDIT_PATH = "server/audit.log";
+
+/**
+ * Read the audit log config from the environment: AUDIT_LOG (default
+ * server/audit.log).
+ */
+export function auditConfigFromEnv(env = process.env) {
+  return { path: env.AUDIT_LOG || DEFAULT_AUDIT_PATH };
+}
+
+/**
+ * Open the audit log at `path`, creating it (mode 600) if needed. `now`
+ * returns the time in ms for the entries. Returns { record, close }.
+ */
+export function createAuditLog({ path: filePath, now = () => Date.now() }) {
+  const file = path.resolve(filePath);
+  const fd = fs.openSync(file, "a", 0o600);
+
+  return {
+    /**
+     * Append an `event` entry with `fields`. Returns the entry.
+     */
+    record(event, fields = {}) {
+      const entry = { time: new Date(now()).toISOString(), event, ...fields };
+      fs.writeSync(fd, JSON.stringify(entry) + "\n");
+      return entry;
+    },
+
+    /**
+     * The entries about the account `emailHash`, oldest first. Only reads
+     * the current file, not rotated ones.
+     */
+    entriesFor(emailHash) {
+      return fs
+        .readFileSync(file, "utf8")
+        .split("\n")
+        .filter(Boolean)
+        .map((line) => JSON.parse(line))
+        .filter((entry) => entry.emailHash === emailHash);
+    },
+
+    close() {
+      fs.closeSync(fd);
+    },
+  };
+}
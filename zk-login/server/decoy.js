@@ -0,0 +1,120 @@
+// Decoy accounts for unknown emails, so /loginData and friends answer the
+// same way whether or not an email is registered.
+// Usage:
+//   const decoys = createDecoys(secret, { store, clock });
+//   const rec = (await findUser(email))?.rec ?? decoys.record(emailHash, policy);
+//
+// Decoys are derived from a server secret with HMAC, so the same email always
+// gets the same salt and commitments, and nobody can know a password for them.
+// They enroll what the email's policy (see policies.js) requires, like a real
+// account would have to.
+//
+// Everything else the API shows of a record – its KDF, which recovery codes
+// are used, whether TOTP is enrolled – is its shape (recordShape). A decoy
+// takes the shape of one of the real records in `store`, picked by HMAC, so
+// decoys have the KDF versions, code counts and factor mix real accounts
+// have. The shapes are read again in the background every
+// SHAPES_REFRESH_MS; they are sorted, so a decoy keeps its shape while the
+// accounts do. With no accounts yet, decoys look like a fresh signup.
+
+import crypto from "crypto";
+import { DEFAULT_KDF } from "../utils/kdf.js";
+import { FIELD_ORDER } from "./records.js";
+
+const RECOVERY_CODES = 8;
+// Share of decoys that pretend to have enrolled TOTP while there are no
+// real records to copy from
+const TOTP_SHARE = 0.25;
+
+export const SHAPES_REFRESH_MS = 10 * 60 * 1000;
+
+/**
+ * The shape of a user record: { kdf?, used, totp }, `kdf` missing for legacy
+ * records (served as PLAIN_KDF), `used` whether each recovery code is used.
+ */
+export function recordShape(rec) {
+  return {
+    ...(rec.kdf && { kdf: rec.kdf }),
+    used: (Array.isArray(rec.recovery) ? rec.recovery : []).map((c) => Boolean(c.used)),
+    totp: Boolean(rec.totp),
+  };
+}
+
+/**
+ * Create decoys from `secret`, shaped like the records in `store` (any store
+ * with list(), see store/index.js). Returns { record, refresh }: record
+ * (emailHash, policy?) -> decoy user record { saltHex, commitmentHex, kdf?,
+ * recovery, totp?, age? }; refresh() re-reads the shapes now.
+ */
+export function createDecoys(secret, { store, clock = () => Date.now() } = {}) {
+  if (!secret) throw new Error("Decoy secret is required");
+
+  // Shapes of the real records, as JSON text in sorted order
+  let shapes = [];
+  let refreshedAt = -Infinity;
+  let refreshing = null;
+
+  function derive(emailHash, label) {
+    return crypto
+      .createHmac("sha256", secret)
+      .update(`decoy:${label}:${emailHash}`)
+      .digest();
+  }
+
+  // { saltHex, commitmentHex } formatted like utils/commitment.js output
+  function commitment(emailHash, label) {
+    const saltHex = derive(emailHash, `${label}:salt`).subarray(0, 16).toString("hex");
+    const value = BigInt("0x" + derive(emailHash, `${label}:commitment`).toString("hex"));
+    return { saltHex, commitmentHex: "0x" + (value % FIELD_ORDER).toString(16) };
+  }
+
+  function refresh() {
+    refreshedAt = clock();
+    refreshing ??= (async () => {
+      try {
+        const records = store ? await store.list() : [];
+        shapes = records.map((rec) => JSON.stringify(recordShape(rec))).sort();
+      } catch (e) {
+        console.error(`Decoy shapes not refreshed: ${e.message}`);
+      } finally {
+        refreshing = null;
+      }
+    })();
+    return refreshing;
+  }
+
+  function shapeFor(emailHash) {
+    // A clock set back counts as stale too
+    const age = clock() - refreshedAt;
+    if (age < 0 || age >= SHAPES_REFRESH_MS) refresh();
+    if (!shapes.length) {
+      return {
+        kdf: { ...DEFAULT_KDF },
+        used: Array(RECOVERY_CODES).fill(false),
+        totp: derive(emailHash, "totp")[0] < 256 * TOTP_SHARE,
+      };
+    }
+    return JSON.parse(shapes[derive(emailHash, "shape").readUInt32BE(0) % shapes.length]);
+  }
+
+  function record(emailHash, policy) {
+    const requires = (kind) => Boolean(policy?.proofs.includes(kind));
+    const { kdf, used, totp } = shapeFor(emailHash);
+    return {
+      ...commitment(emailHash, "password"),
+      ...(kdf && { kdf }),
+      recovery: used.map((isUsed, i) => ({
+        ...commitment(emailHash, `recovery:${i}`),
+        used: isUsed,
+      })),
+      ...((totp || requires("totp")) && {
+        totp: { ...commitment(emailHash, "totp"), lastTimeStep: null },
+      }),
+      ...(requires("age") && {
+        age: { commitmentHex: commitment(emailHash, "age").commitmentHex },
+      }),
+    };
+  }
+
+  return { record, refresh };
+}
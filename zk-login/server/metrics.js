@@ -0,0 +1,113 @@
+// Counters and histograms in the Prometheus text format, served at
+// GET /metrics.
+// Usage:
+//   const metrics = createMetrics();
+//   const logins = metrics.counter({ name: "logins_total", help: "...", labels: ["outcome"] });
+//   logins.inc({ outcome: "success" });
+//   const latency = metrics.histogram({ name: "verify_seconds", help: "...", buckets: [0.05, 0.1] });
+//   latency.observe({}, 0.042);
+//   res.type(METRICS_CONTENT_TYPE).send(metrics.render());
+//
+// Label values are kept as given, so only use labels with a small, fixed set
+// of values (circuit names, error codes) – never emails or IPs.
+
+export const METRICS_CONTENT_TYPE = "text/plain; charset=utf-8; version=0.0.4";
+
+const escapeLabel = (value) =>
+  String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+
+function formatLabels(pairs) {
+  if (!pairs.length) return "";
+  return `{${pairs.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(",")}}`;
+}
+
+/**
+ * A registry of metrics. Returns { counter, histogram, render }.
+ */
+export function createMetrics() {
+  const metrics = [];
+
+  // Series of a metric by label values, in `labels` order
+  function series(labels) {
+    const byKey = new Map();
+    return {
+      get(values, create) {
+        const pairs = labels.map((label) => [label, values[label] ?? ""]);
+        const key = JSON.stringify(pairs);
+        if (!byKey.has(key)) byKey.set(key, { pairs, ...create() });
+        return byKey.get(key);
+      },
+      all: () => [...byKey.values()],
+    };
+  }
+
+  return {
+    /**
+     * A counter: inc(labelValues, by = 1).
+     */
+    counter({ name, help, labels = [] }) {
+      const values = series(labels);
+      metrics.push({
+        name,
+        help,
+        type: "counter",
+        lines: () =>
+          values.all().map(({ pairs, value }) => `${name}${formatLabels(pairs)} ${value}`),
+      });
+      return {
+        inc(labelValues = {}, by = 1) {
+          values.get(labelValues, () => ({ value: 0 })).value += by;
+        },
+      };
+    },
+
+    /**
+     * A histogram with upper bounds `buckets` (ascending; +Inf is added):
+     * observe(labelValues, value).
+     */
+    histogram({ name, help, labels = [], buckets }) {
+      const values = series(labels);
+      metrics.push({
+        name,
+        help,
+        type: "histogram",
+        lines: () =>
+          values.all().flatMap(({ pairs, counts, sum, count }) => [
+            ...buckets.map(
+              (le, i) => `${name}_bucket${formatLabels([...pairs, ["le", le]])} ${counts[i]}`
+            ),
+            `${name}_bucket${formatLabels([...pairs, ["le", "+Inf"]])} ${count}`,
+            `${name}_sum${formatLabels(pairs)} ${sum}`,
+            `${name}_count${formatLabels(pairs)} ${count}`,
+          ]),
+      });
+      return {
+        observe(labelValues, value) {
+          const s = values.get(labelValues, () => ({
+            counts: buckets.map(() => 0),
+            sum: 0,
+            count: 0,
+          }));
+          // Buckets are cumulative: every bound at or above the value counts it
+          buckets.forEach((le, i) => {
+            if (value <= le) s.counts[i]++;
+          });
+          s.sum += value;
+          s.count++;
+        },
+      };
+    },
+
+    /**
+     * Every metric in the Prometheus text exposition format.
+     */
+    render() {
+      return metrics
+        .map(({ name, help, type, lines }) =>
+          [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...lines()].join("\n")
+        )
+        .join("\n")
+        .concat("\n");
+    },
+  };
+}
@@ -0,0 +1,115 @@
+// Import an existing db.json into the configured user store, or upgrade the
+// records in it to the current record version.
+// Usage:
+//   STORE_BACKEND=sqlite node server/migrate.js [--from server/db.json] [--overwrite]
+//   node server/migrate.js --upgrade [--dry-run]
+//
+// Existing records in the target are kept unless --overwrite is given.
+// Records still keyed by a plaintext email are stored under its emailHash.
+// --upgrade rewrites records from before versioning (see ./records.js),
+// repairing legacy byte-list and baseline commitments; --dry-run only
+// reports them.
+
+import fs from "fs";
+import path from "path";
+import { pathToFileURL } from "url";
+import { createStore, storeConfigFromEnv } from "./store/index.js";
+import { hashEmail } from "../utils/commitment.js";
+import { isLegacyRecord, upgradeRecord } from "./records.js";
+
+const EMAIL_HASH_KEY = /^0x[0-9a-f]+$/;
+
+/**
+ * Copy every { [email or emailHash]: record } entry of `data` into `store`,
+ * keyed by emailHash. Returns { imported, skipped }.
+ */
+export async function importDb(store, data, { overwrite = false } = {}) {
+  let imported = 0;
+  let skipped = 0;
+  for (const [email, record] of Object.entries(data)) {
+    const key = EMAIL_HASH_KEY.test(email) ? email : await hashEmail(email);
+    await store.update(key, (existing) => {
+      if (existing && !overwrite) {
+        skipped++;
+        return undefined;
+      }
+      imported++;
+      return record;
+    });
+  }
+  return { imported, skipped };
+}
+
+/**
+ * Upgrade every legacy record in `store` in place. Records that cannot be
+ * repaired are left as they are and reported in `failed`.
+ * Returns { upgraded, repaired, failed: [{ email, error }] }, where
+ * `repaired` counts the upgraded records that had legacy commitments.
+ */
+export async function upgradeStore(store, { dryRun = false } = {}) {
+  let upgraded = 0;
+  let repaired = 0;
+  const failed = [];
+  for (const { email } of await store.list()) {
+    try {
+      await store.update(email, async (existing) => {
+        if (!existing || !isLegacyRecord(existing)) return undefined;
+        const result = await upgradeRecord(existing);
+        upgraded++;
+        if (result.repaired.length) repaired++;
+        return dryRun ? undefined : result.record;
+      });
+    } catch (e) {
+      failed.push({ email, error: e.message });
+    }
+  }
+  return { upgraded, repaired, failed };
+}
+
+async function upgrade(config, { dryRun }) {
+  const store = await createStore(config);
+  try {
+    const { upgraded, repaired, failed } = await upgradeStore(store, { dryRun });
+    console.log(
+      `${dryRun ? "Would upgrade" : "Upgraded"} ${upgraded} record(s) in ` +
+        `${config.backend}:${config.path}, ${repaired} with legacy commitments`
+    );
+    for (const { email, error } of failed)
+      console.error(`Cannot upgrade ${email}: ${error}`);
+    if (failed.length) process.exitCode = 1;
+  } finally {
+    await store.close();
+  }
+}
+
+async function main(argv) {
+  if (argv.includes("--upgrade"))
+    return upgrade(storeConfigFromEnv(), { dryRun: argv.includes("--dry-run") });
+
+  const fromIdx = argv.indexOf("--from");
+  const from = path.resolve(fromIdx >= 0 ? argv[fromIdx + 1] : "server/db.json");
+  const overwrite = argv.includes("--overwrite");
+
+  const config = storeConfigFromEnv();
+  if (config.backend === "json" && path.resolve(config.path) === from)
+    throw new Error("Source and target are the same file; set STORE_BACKEND");
+
+  const data = JSON.parse(fs.readFileSync(from, "utf8"));
+  const store = await createStore(config);
+  try {
+    const { imported, skipped } = await importDb(store, data, { overwrite });
+    console.log(
+      `Imported ${imported} user(s) from ${from} into ${config.backend}:${config.path}` +
+        (skipped ? ` (${skipped} existing skipped, use --overwrite)` : "")
+    );
+  } finally {
+    await store.close();
+  }
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main(process.argv.slice(2)).catch((e) => {
+    console.error(e.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,770 @@
+// OpenAPI 3.1 description of the zk-login server, served at GET /openapi.json.
+// Usage:
+//   import { openapi } from "./openapi.js";
+//   app.use(createRequestValidator(openapi)); // see validate.js
+//
+// The request schemas are what the server validates against, so this
+// document and the routes in index.js cannot drift apart: a route listed here
+// never sees a body or query that does not match its schema.
+//
+// Two string formats are specific to this API (validate.js implements them):
+//   field-hex      "0x" + lower-case hex below the BN254 scalar field order
+//   field-decimal  decimal below the BN254 scalar field order
+
+import {
+  PBKDF2_HASHES,
+  PBKDF2_ITERATIONS,
+  SCRYPT_LIMITS,
+} from "../utils/kdf.js";
+import { DEFAULT_VERSION, VERSION_PATTERN } from "./vkeys.js";
+import { PROOF_KINDS } from "./policies.js";
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const json = (schema) => ({ content: { "application/json": { schema } } });
+
+const powersOfTwo = ([min, max]) => {
+  const values = [];
+  for (let n = min; n <= max; n *= 2) values.push(n);
+  return values;
+};
+
+const range = ([minimum, maximum]) => ({ type: "integer", minimum, maximum });
+
+// Error codes, by the status they come with
+const ERROR_CODES = {
+  INVALID_REQUEST: "400 – body or query does not match the schema; see `errors`",
+  DEVICE_KEY_INVALID: "400 – the device public key is not a P-256 point",
+  MALFORMED_JSON: "400 – the body is not valid JSON",
+  MALFORMED_SIGNALS: "400 – wrong number of public signals for the circuit",
+  CIRCUIT_VERSION_UNKNOWN: "400 – no verification key for that circuitVersion",
+  ENROLLMENT_MISSING: "400 – signup lacks a factor the email's policy requires",
+  PROOF_MISSING: "400 – `proofs` lacks a proof the account's policy requires",
+  COMMITMENT_MISMATCH: "401 – the proof is for another commitment or email",
+  NOT_OK: "401 – the circuit's ok signal is not 1",
+  CHALLENGE_INVALID: "401 – unknown nonce, or one issued for another email",
+  CHALLENGE_EXPIRED: "401 – the nonce is older than two minutes",
+  PROOF_INVALID: "401 – the Groth16 proof does not verify",
+  TOTP_EXPIRED: "401 – the TOTP time step is outside the accepted window",
+  TOTP_REPLAYED: "401 – the TOTP time step was already used",
+  AGE_CUTOFF_INVALID: "401 – the age proof's cutoff is later than the policy allows",
+  RECOVERY_CODE_INVALID: "401 – no unused recovery code at that index",
+  DEVICE_UNKNOWN: "401 – the account has no device with that id",
+  SIGNATURE_INVALID: "401 – the device signature does not verify",
+  DEVICE_REVOKED: "401 – the session's device was revoked",
+  SESSION_MISSING: "401 – no bearer token",
+  SESSION_INVALID: "401 – the token is malformed or of the wrong type",
+  SESSION_EXPIRED: "401 – the token has expired",
+  SESSION_REVOKED: "401 – the token was revoked or already refreshed",
+  ACCOUNT_DISABLED: "403 – the account was disabled by an admin",
+  PASSWORD_RESET_REQUIRED: "403 – log in through account recovery first",
+  ENROLLMENT_REQUIRED: "403 – the account lacks a factor its policy requires",
+  FRESH_LOGIN_REQUIRED:
+    "403 – log in with the password again; the session's login is over 5 minutes old or used a device key",
+  NOT_FOUND: "404 – no such route",
+  USER_NOT_FOUND: "404 – the session's account no longer exists",
+  DEVICE_NOT_FOUND: "404 – the account has no device with that id",
+  COMMITMENT_CHANGED: "409 – the password changed while the proof was checked",
+  RECOVERY_CODE_USED: "409 – the recovery code was used meanwhile",
+  DEVICE_LIMIT: "409 – the account already has 10 devices",
+  ACCOUNT_LOCKED: "423 – too many failed proofs; see Retry-After",
+  RATE_LIMITED: "429 – too many requests from this IP; see Retry-After",
+  TOO_MANY_ATTEMPTS: "429 – back off after failed proofs; see Retry-After",
+  VERIFIER_UNAVAILABLE: "500 – the server has no verification key",
+  VERIFICATION_ERROR: "500 – the verifier failed",
+  POLICY_UNAVAILABLE: "500 – the account's policy is not configured",
+  INTERNAL_ERROR: "500 – anything else",
+};
+
+export const ERROR_CODE_LIST = Object.keys(ERROR_CODES);
+
+const errorResponse = (description) => ({ description, ...json(ref("Error")) });
+
+// Responses every proof-checking route can give
+const PROOF_ERRORS = {
+  400: errorResponse("Invalid request"),
+  401: errorResponse("Proof, challenge, TOTP step or age cutoff rejected"),
+  403: errorResponse("Account disabled, password reset or enrollment required"),
+  423: errorResponse("Account locked"),
+  429: errorResponse("Rate limited or backing off"),
+};
+
+const SESSION_ERRORS = {
+  401: errorResponse("Missing, invalid, expired or revoked token"),
+};
+
+const emailQuery = {
+  name: "email",
+  in: "query",
+  required: true,
+  schema: ref("Email"),
+};
+
+export const openapi = {
+  openapi: "3.1.0",
+  info: {
+    title: "zk-login",
+    version: "1.0.0",
+    description:
+      "Password login with zero-knowledge proofs: the server stores Poseidon " +
+      "commitments and verifies Groth16 proofs, and never sees a password.",
+  },
+  servers: [{ url: "http://localhost:4000" }],
+  paths: {
+    "/signup": {
+      post: {
+        operationId: "signup",
+        summary: "Register an email with a password commitment",
+        description:
+          "Must enroll the factors GET /policy lists for the email. An email " +
+          "that is already registered gets the same answer, and its account " +
+          "is left unchanged.",
+        requestBody: { required: true, ...json(ref("SignupRequest")) },
+        responses: {
+          200: { description: "Registered", ...json(ref("Ok")) },
+          400: errorResponse("Invalid request"),
+        },
+      },
+    },
+    "/loginData": {
+      get: {
+        operationId: "getLoginData",
+        summary: "Salt, commitment and KDF to prove a login with",
+        description: "Unknown emails get stable decoy data.",
+        parameters: [emailQuery],
+        responses: {
+          200: { description: "Login data", ...json(ref("LoginData")) },
+          400: errorResponse("Invalid request"),
+          500: errorResponse("The account's policy is not configured"),
+        },
+      },
+    },
+    "/challenge": {
+      get: {
+        operationId: "getChallenge",
+        summary: "Issue a single-use nonce for a login proof",
+        parameters: [emailQuery],
+        responses: {
+          200: { description: "Challenge", ...json(ref("Challenge")) },
+          400: errorResponse("Invalid request"),
+        },
+      },
+    },
+    "/login": {
+      post: {
+        operationId: "login",
+        summary: "Log in with a pwd_email_login or pwd_totp_login proof",
+        description:
+          "Plus, in `proofs`, an age_over proof for the same nonce if the " +
+          "account's policy requires a minimum age.",
+        requestBody: { required: true, ...json(ref("LoginRequest")) },
+        responses: {
+          200: { description: "Logged in", ...json(ref("Session")) },
+          ...PROOF_ERRORS,
+        },
+      },
+    },
+    "/login/device": {
+      post: {
+        operationId: "loginWithDevice",
+        summary: "Log in with a registered device's signature of a challenge",
+        requestBody: { required: true, ...json(ref("DeviceLoginRequest")) },
+        responses: {
+          200: { description: "Logged in", ...json(ref("Session")) },
+          ...PROOF_ERRORS,
+        },
+      },
+    },
+    "/password/change": {
+      post: {
+        operationId: "changePassword",
+        summary: "Prove the current password and set a new commitment",
+        description: "Revokes every session and registered device of the account.",
+        requestBody: { required: true, ...json(ref("PasswordChangeRequest")) },
+        responses: {
+          200: { description: "Changed", ...json(ref("Ok")) },
+          ...PROOF_ERRORS,
+          409: errorResponse("Password changed meanwhile"),
+        },
+      },
+    },
+    "/recovery/data": {
+      get: {
+        operationId: "getRecoveryData",
+        summary: "Unused recovery code commitments",
+        description: "Unknown emails get stable decoy data.",
+        parameters: [emailQuery],
+        responses: {
+          200: { description: "Recovery codes", ...json(ref("RecoveryData")) },
+          400: errorResponse("Invalid request"),
+        },
+      },
+    },
+    "/recovery": {
+      post: {
+        operationId: "recover",
+        summary: "Prove a recovery code (pwd_login) and set a new commitment",
+        description: "Revokes every session and registered device of the account.",
+        requestBody: { required: true, ...json(ref("RecoveryRequest")) },
+        responses: {
+          200: { description: "Recovered", ...json(ref("RecoveryResult")) },
+          ...PROOF_ERRORS,
+          409: errorResponse("Recovery code used meanwhile"),
+        },
+      },
+    },
+    "/refresh": {
+      post: {
+        operationId: "refresh",
+        summary: "Exchange a refresh token for a new session",
+        requestBody: { required: true, ...json(ref("RefreshRequest")) },
+        responses: {
+          200: { description: "New session", ...json(ref("Session")) },
+          400: errorResponse("Invalid request"),
+          ...SESSION_ERRORS,
+          403: errorResponse("Account disabled, or its password must be reset"),
+          404: errorResponse("Account deleted"),
+        },
+      },
+    },
+    "/logout": {
+      post: {
+        operationId: "logout",
+        summary: "Revoke the access token and, if given, its refresh token",
+        security: [{ bearer: [] }],
+        requestBody: { ...json(ref("LogoutRequest")) },
+        responses: {
+          200: { description: "Logged out", ...json(ref("Ok")) },
+          400: errorResponse("Invalid request"),
+          ...SESSION_ERRORS,
+        },
+      },
+    },
+    "/me": {
+      get: {
+        operationId: "getMe",
+        summary: "The session's account",
+        security: [{ bearer: [] }],
+        responses: {
+          200: { description: "Current user", ...json(ref("Me")) },
+          ...SESSION_ERRORS,
+          403: errorResponse("Account disabled, or its password must be reset"),
+          404: errorResponse("Account deleted"),
+        },
+      },
+    },
+    "/devices": {
+      get: {
+        operationId: "listDevices",
+        summary: "The session's account's registered devices",
+        security: [{ bearer: [] }],
+        responses: {
+          200: { description: "Devices", ...json(ref("DeviceList")) },
+          ...SESSION_ERRORS,
+          403: errorResponse("Account disabled, or its password must be reset"),
+          404: errorResponse("Account deleted"),
+        },
+      },
+      post: {
+        operationId: "registerDevice",
+        summary: "Register a device key that can log in by signing a challenge",
+        description: "Needs a session from a password login in the last 5 minutes.",
+        security: [{ bearer: [] }],
+        requestBody: { required: true, ...json(ref("DeviceRegistration")) },
+        responses: {
+          200: { description: "Registered", ...json(ref("DeviceRegistered")) },
+          400: errorResponse("Invalid request or public key"),
+          ...SESSION_ERRORS,
+          403: errorResponse(
+            "Account disabled, password reset required, or the login is not fresh"
+          ),
+          404: errorResponse("Account deleted"),
+          409: errorResponse("Too many devices"),
+        },
+      },
+    },
+    "/devices/{id}": {
+      delete: {
+        operationId: "revokeDevice",
+        summary: "Revoke a device: it can no longer log in, and its sessions end",
+        security: [{ bearer: [] }],
+        parameters: [{ name: "id", in: "path", required: true, schema: { type: "string" } }],
+        responses: {
+          200: { description: "Revoked", ...json(ref("Ok")) },
+          ...SESSION_ERRORS,
+          403: errorResponse("Account disabled, or its password must be reset"),
+          404: errorResponse("Account deleted, or no such device"),
+        },
+      },
+    },
+    "/account": {
+      delete: {
+        operationId: "deleteAccount",
+        summary: "Delete the session's account and revoke all its sessions",
+        description: "Needs a session from a password login in the last 5 minutes.",
+        security: [{ bearer: [] }],
+        responses: {
+          200: { description: "Account deleted", ...json(ref("Ok")) },
+          ...SESSION_ERRORS,
+          403: errorResponse(
+            "Account disabled, password reset required, or the login is not fresh"
+          ),
+          404: errorResponse("Account deleted"),
+        },
+      },
+    },
+    "/account/export": {
+      get: {
+        operationId: "exportAccount",
+        summary: "Everything the server stores about the session's account, as a download",
+        description: "Needs a session from a password login in the last 5 minutes.",
+        security: [{ bearer: [] }],
+        responses: {
+          200: { description: "Account data", ...json(ref("AccountExport")) },
+          ...SESSION_ERRORS,
+          403: errorResponse(
+            "Account disabled, password reset required, or the login is not fresh"
+          ),
+          404: errorResponse("Account deleted"),
+        },
+      },
+    },
+    "/policy": {
+      get: {
+        operationId: "getPolicy",
+        summary: "Proofs a new account for the email will need, by its domain",
+        parameters: [emailQuery],
+        responses: {
+          200: { description: "Policy", ...json(ref("Policy")) },
+          400: errorResponse("Invalid request"),
+        },
+      },
+    },
+    "/circuits": {
+      get: {
+        operationId: "getCircuits",
+        summary: "Circuit versions the server has verification keys for",
+        responses: {
+          200: { description: "Circuits", ...json(ref("Circuits")) },
+        },
+      },
+    },
+    "/openapi.json": {
+      get: {
+        operationId: "getOpenApi",
+        summary: "This document",
+        responses: { 200: { description: "OpenAPI document" } },
+      },
+    },
+    "/metrics": {
+      get: {
+        operationId: "getMetrics",
+        summary: "Proof verification latency and auth event counters, Prometheus text format",
+        description:
+          "Needs the server's METRICS_TOKEN as bearer token. Without it, or when " +
+          "the server has none, the answer is the 404 of an unknown route.",
+        security: [{ metricsToken: [] }],
+        responses: {
+          200: {
+            description: "Metrics",
+            content: { "text/plain": { schema: { type: "string" } } },
+          },
+          404: errorResponse("No or another token (NOT_FOUND)"),
+        },
+      },
+    },
+  },
+  components: {
+    securitySchemes: {
+      bearer: { type: "http", scheme: "bearer", bearerFormat: "JWT" },
+      metricsToken: { type: "http", scheme: "bearer" },
+    },
+    schemas: {
+      Email: { type: "string", minLength: 1, maxLength: 254 },
+      SaltHex: {
+        description: "128-bit salt as 32 lower-case hex digits",
+        type: "string",
+        pattern: "^[0-9a-f]{32}$",
+      },
+      CommitmentHex: {
+        description: "Poseidon commitment, a BN254 field element",
+        type: "string",
+        pattern: "^0x[0-9a-f]{1,64}$",
+        format: "field-hex",
+      },
+      Commitment: {
+        type: "object",
+        additionalProperties: false,
+        required: ["saltHex", "commitmentHex"],
+        properties: {
+          saltHex: ref("SaltHex"),
+          commitmentHex: ref("CommitmentHex"),
+        },
+      },
+      PlainKdf: {
+        description: "v1: unsalted SHA-256 (legacy passwords)",
+        type: "object",
+        additionalProperties: false,
+        required: ["v"],
+        properties: { v: { const: 1 } },
+      },
+      ScryptKdf: {
+        type: "object",
+        additionalProperties: false,
+        required: ["v", "alg", "N", "r", "p"],
+        properties: {
+          v: { const: 2 },
+          alg: { const: "scrypt" },
+          N: { enum: powersOfTwo(SCRYPT_LIMITS.N) },
+          r: range(SCRYPT_LIMITS.r),
+          p: range(SCRYPT_LIMITS.p),
+        },
+      },
+      Pbkdf2Kdf: {
+        type: "object",
+        additionalProperties: false,
+        required: ["v", "alg", "hash", "iterations"],
+        properties: {
+          v: { const: 2 },
+          alg: { const: "pbkdf2" },
+          hash: { enum: PBKDF2_HASHES },
+          iterations: range(PBKDF2_ITERATIONS),
+        },
+      },
+      PasswordKdf: {
+        description: "KDF for a new password; scrypt N=2^15, r=8, p=1 if omitted",
+        type: "object",
+        oneOf: [ref("ScryptKdf"), ref("Pbkdf2Kdf")],
+        discriminator: { propertyName: "alg" },
+      },
+      Kdf: { oneOf: [ref("PlainKdf"), ref("ScryptKdf"), ref("Pbkdf2Kdf")] },
+      FieldDecimal: {
+        type: "string",
+        pattern: "^[0-9]{1,78}$",
+        format: "field-decimal",
+      },
+      Coordinate: {
+        description: "Decimal coordinate of a BN254 curve point",
+        type: "string",
+        pattern: "^[0-9]{1,78}$",
+      },
+      Proof: {
+        description: "Groth16 proof as snarkjs outputs it",
+        type: "object",
+        required: ["pi_a", "pi_b", "pi_c"],
+        properties: {
+          pi_a: { type: "array", items: ref("Coordinate"), minItems: 3, maxItems: 3 },
+          pi_b: {
+            type: "array",
+            items: { type: "array", items: ref("Coordinate"), minItems: 2, maxItems: 2 },
+            minItems: 3,
+            maxItems: 3,
+          },
+          pi_c: { type: "array", items: ref("Coordinate"), minItems: 3, maxItems: 3 },
+          protocol: { const: "groth16" },
+          curve: { const: "bn128" },
+        },
+      },
+      CircuitVersion: {
+        description:
+          `Verification key a proof targets, "${DEFAULT_VERSION}" if omitted. ` +
+          "Other versions exist while a trusted setup is rotated; see GET /circuits.",
+        type: "string",
+        pattern: VERSION_PATTERN.source,
+      },
+      PublicSignals: {
+        description:
+          "pwd_login: [ok, C, nonce]; pwd_email_login: [ok, C, emailHash, nonce]; " +
+          "pwd_totp_login: [ok, code, C, T, emailHash, timeStep, nonce]; " +
+          "age_over: [ok, A, cutoff, nonce]",
+        type: "array",
+        items: ref("FieldDecimal"),
+        minItems: 3,
+        maxItems: 7,
+      },
+      SignupRequest: {
+        type: "object",
+        required: ["email", "saltHex", "commitmentHex"],
+        properties: {
+          email: ref("Email"),
+          saltHex: ref("SaltHex"),
+          commitmentHex: ref("CommitmentHex"),
+          kdf: ref("PasswordKdf"),
+          recovery: { type: "array", items: ref("Commitment"), maxItems: 32 },
+          totp: ref("Commitment"),
+          age: ref("AgeCommitment"),
+        },
+      },
+      AgeCommitment: {
+        description: "Poseidon(birthDate, salt); the salt stays with the client",
+        type: "object",
+        additionalProperties: false,
+        required: ["commitmentHex"],
+        properties: { commitmentHex: ref("CommitmentHex") },
+      },
+      ClaimProof: {
+        description: "A proof a policy requires next to the login proof",
+        type: "object",
+        required: ["circuit", "proof", "publicSignals"],
+        properties: {
+          circuit: { enum: ["age_over"] },
+          proof: ref("Proof"),
+          publicSignals: ref("PublicSignals"),
+          circuitVersion: ref("CircuitVersion"),
+        },
+      },
+      LoginRequest: {
+        type: "object",
+        required: ["email", "proof", "publicSignals"],
+        properties: {
+          email: ref("Email"),
+          proof: ref("Proof"),
+          publicSignals: ref("PublicSignals"),
+          circuitVersion: ref("CircuitVersion"),
+          proofs: { type: "array", items: ref("ClaimProof"), maxItems: 4 },
+        },
+      },
+      PasswordChangeRequest: {
+        description: "A login proof for the current password, and the new commitment",
+        type: "object",
+        required: ["email", "proof", "publicSignals", "saltHex", "commitmentHex"],
+        properties: {
+          email: ref("Email"),
+          proof: ref("Proof"),
+          publicSignals: ref("PublicSignals"),
+          circuitVersion: ref("CircuitVersion"),
+          saltHex: ref("SaltHex"),
+          commitmentHex: ref("CommitmentHex"),
+          kdf: ref("PasswordKdf"),
+        },
+      },
+      RecoveryRequest: {
+        description: "A pwd_login proof for recovery code `index`, and the new commitment",
+        type: "object",
+        required: ["email", "index", "proof", "publicSignals", "saltHex", "commitmentHex"],
+        properties: {
+          email: ref("Email"),
+          index: { type: "integer", minimum: 0 },
+          proof: ref("Proof"),
+          publicSignals: ref("PublicSignals"),
+          circuitVersion: ref("CircuitVersion"),
+          saltHex: ref("SaltHex"),
+          commitmentHex: ref("CommitmentHex"),
+          kdf: ref("PasswordKdf"),
+        },
+      },
+      DeviceLoginRequest: {
+        description: "The device's signature of the challenge, see utils/device.js",
+        type: "object",
+        required: ["email", "deviceId", "nonce", "signature"],
+        properties: {
+          email: ref("Email"),
+          deviceId: { type: "string", minLength: 1 },
+          nonce: ref("FieldDecimal"),
+          signature: {
+            description: "ECDSA P-256 / SHA-256, r || s as base64url",
+            type: "string",
+            pattern: "^[A-Za-z0-9_-]{86}$",
+          },
+        },
+      },
+      DevicePublicKey: {
+        description: "An ECDSA P-256 public key as a JWK",
+        type: "object",
+        required: ["kty", "crv", "x", "y"],
+        properties: {
+          kty: { const: "EC" },
+          crv: { const: "P-256" },
+          x: { type: "string", pattern: "^[A-Za-z0-9_-]{43}$" },
+          y: { type: "string", pattern: "^[A-Za-z0-9_-]{43}$" },
+        },
+      },
+      DeviceRegistration: {
+        type: "object",
+        required: ["name", "publicKey"],
+        properties: {
+          name: { type: "string", minLength: 1, maxLength: 64 },
+          publicKey: ref("DevicePublicKey"),
+        },
+      },
+      Device: {
+        type: "object",
+        required: ["id", "name", "createdAt", "lastUsedAt"],
+        properties: {
+          id: { type: "string" },
+          name: { type: "string" },
+          createdAt: { type: "integer", description: "ms since the epoch" },
+          lastUsedAt: {
+            type: ["integer", "null"],
+            description: "ms since the epoch of its last login, if any",
+          },
+        },
+      },
+      DeviceRegistered: {
+        type: "object",
+        required: ["ok", "device"],
+        properties: { ok: { const: true }, device: ref("Device") },
+      },
+      DeviceList: {
+        type: "object",
+        required: ["devices"],
+        properties: { devices: { type: "array", items: ref("Device") } },
+      },
+      RefreshRequest: {
+        type: "object",
+        required: ["refreshToken"],
+        properties: { refreshToken: { type: "string", minLength: 1 } },
+      },
+      LogoutRequest: {
+        type: "object",
+        properties: { refreshToken: { type: "string", minLength: 1 } },
+      },
+      Ok: {
+        type: "object",
+        required: ["ok"],
+        properties: { ok: { const: true } },
+      },
+      Policy: {
+        type: "object",
+        required: ["proofs"],
+        properties: {
+          proofs: { type: "array", items: { enum: PROOF_KINDS } },
+          minAge: {
+            type: "integer",
+            description: "with the age proof only; the age is self-declared at signup",
+          },
+        },
+      },
+      LoginData: {
+        type: "object",
+        required: ["saltHex", "commitmentHex", "kdf", "policy"],
+        properties: {
+          saltHex: ref("SaltHex"),
+          commitmentHex: ref("CommitmentHex"),
+          kdf: ref("Kdf"),
+          totp: ref("Commitment"),
+          policy: ref("Policy"),
+        },
+      },
+      Challenge: {
+        type: "object",
+        required: ["nonce", "expiresAt"],
+        properties: {
+          nonce: ref("FieldDecimal"),
+          expiresAt: { type: "integer", description: "ms since the epoch" },
+        },
+      },
+      Session: {
+        type: "object",
+        required: ["ok", "token", "refreshToken", "expiresIn"],
+        properties: {
+          ok: { const: true },
+          token: { type: "string" },
+          refreshToken: { type: "string" },
+          expiresIn: { type: "integer", description: "access token lifetime in s" },
+        },
+      },
+      RecoveryData: {
+        type: "object",
+        required: ["codes"],
+        properties: {
+          codes: {
+            type: "array",
+            items: {
+              type: "object",
+              required: ["index", "saltHex", "commitmentHex"],
+              properties: {
+                index: { type: "integer" },
+                saltHex: ref("SaltHex"),
+                commitmentHex: ref("CommitmentHex"),
+              },
+            },
+          },
+        },
+      },
+      RecoveryResult: {
+        type: "object",
+        required: ["ok", "remaining"],
+        properties: {
+          ok: { const: true },
+          remaining: { type: "integer", description: "unused recovery codes left" },
+        },
+      },
+      Circuits: {
+        type: "object",
+        required: ["circuits"],
+        properties: {
+          circuits: {
+            type: "object",
+            additionalProperties: {
+              type: "object",
+              required: ["versions"],
+              properties: {
+                versions: { type: "array", items: ref("CircuitVersion") },
+              },
+            },
+          },
+        },
+      },
+      Me: {
+        type: "object",
+        required: ["ok", "email", "expiresAt"],
+        properties: {
+          ok: { const: true },
+          email: ref("Email"),
+          expiresAt: { type: "integer", description: "ms since the epoch" },
+        },
+      },
+      AccountExport: {
+        type: "object",
+        required: ["exportedAt", "email", "emailHash", "record", "auditLog"],
+        properties: {
+          exportedAt: { type: "string", format: "date-time" },
+          email: ref("Email"),
+          emailHash: { type: "string", description: "The record's key, see hashEmail" },
+          record: {
+            description: "The stored record as is, see server/records.js",
+            type: "object",
+          },
+          auditLog: {
+            description: "The account's entries in the audit log",
+            type: "array",
+            items: {
+              type: "object",
+              required: ["time", "event"],
+              properties: {
+                time: { type: "string", format: "date-time" },
+                event: { type: "string" },
+              },
+            },
+          },
+        },
+      },
+      Error: {
+        description:
+          "Every failure. `code` is one of:\n" +
+          Object.entries(ERROR_CODES)
+            .map(([code, meaning]) => `- ${code}: ${meaning}`)
+            .join("\n"),
+        type: "object",
+        required: ["ok", "code"],
+        properties: {
+          ok: { const: false },
+          code: { enum: ERROR_CODE_LIST },
+          errors: {
+            description: "INVALID_REQUEST only: what did not match",
+            type: "array",
+            items: {
+              type: "object",
+              required: ["path", "message"],
+              properties: {
+                path: { type: "string", description: "e.g. /body/saltHex" },
+                message: { type: "string" },
+              },
+            },
+          },
+        },
+      },
+    },
+  },
+};
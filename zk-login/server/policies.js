@@ -0,0 +1,164 @@
+// Authentication policies: which proofs an account must present at login.
+// Usage:
+//   const policies = createPolicies(loadPolicyConfig());
+//   const policy = policies.resolve(email, rec); // { name, proofs, minAge? }
+//
+// Proofs a policy may require:
+//   password – password and email (pwd_email_login); every policy needs it
+//   totp     – a secret kept on the user's device too (pwd_totp_login
+//              instead); not an authenticator app code, see utils/totp.js
+//   age      – a self-declared birth date at least `minAge` years ago
+//              (age_over, sent alongside the login proof); nothing
+//              verifies the date, see utils/age.js
+//
+// Config (server/policies.json, or the file named by POLICY_CONFIG):
+//   {
+//     "default": "password",
+//     "policies": {
+//       "password": { "proofs": ["password"] },
+//       "password+totp": { "proofs": ["password", "totp"] },
+//       "password+age18": { "proofs": ["password", "age"], "minAge": 18 }
+//     },
+//     "tenants": { "example.org": "password+totp" }
+//   }
+// An account uses the policy its record names (`policy`, set with
+// zk-login-admin set-policy), else its email domain's tenant policy, else
+// the default. Without a config file DEFAULT_POLICY_CONFIG applies.
+
+import fs from "fs";
+import path from "path";
+import { normalizeEmail } from "../utils/commitment.js";
+
+export const PROOF_KINDS = ["password", "totp", "age"];
+
+export const DEFAULT_POLICY_CONFIG = {
+  default: "password",
+  policies: {
+    password: { proofs: ["password"] },
+    "password+totp": { proofs: ["password", "totp"] },
+    "password+age18": { proofs: ["password", "age"], minAge: 18 },
+  },
+  tenants: {},
+};
+
+const DEFAULT_CONFIG_PATH = "server/policies.json";
+
+const POLICY_NAME = /^[\w.+-]{1,64}$/;
+const DOMAIN = /^[a-z0-9-]+(\.[a-z0-9-]+)+$/;
+const MAX_AGE = 150;
+
+const isObject = (value) =>
+  typeof value === "object" && value !== null && !Array.isArray(value);
+
+function checkPolicy(name, policy) {
+  if (!POLICY_NAME.test(name)) throw new Error(`Invalid policy name: ${name}`);
+  if (!isObject(policy)) throw new Error(`Policy ${name} is not an object`);
+  const { proofs, minAge, ...rest } = policy;
+  const unknown = Object.keys(rest);
+  if (unknown.length) throw new Error(`Policy ${name}: unknown key ${unknown[0]}`);
+
+  if (!Array.isArray(proofs)) throw new Error(`Policy ${name}: proofs must be a list`);
+  for (const kind of proofs) {
+    if (!PROOF_KINDS.includes(kind))
+      throw new Error(`Policy ${name}: unknown proof ${kind}`);
+  }
+  if (new Set(proofs).size !== proofs.length)
+    throw new Error(`Policy ${name}: duplicate proofs`);
+  if (!proofs.includes("password"))
+    throw new Error(`Policy ${name}: every policy requires the password proof`);
+
+  if (proofs.includes("age")) {
+    if (!Number.isInteger(minAge) || minAge < 1 || minAge > MAX_AGE)
+      throw new Error(`Policy ${name}: minAge must be a whole number of years`);
+  } else if (minAge !== undefined) {
+    throw new Error(`Policy ${name}: minAge without the age proof`);
+  }
+
+  // Listed in PROOF_KINDS order, so equal policies look the same
+  const sorted = PROOF_KINDS.filter((kind) => proofs.includes(kind));
+  return { proofs: sorted, ...(minAge !== undefined && { minAge }) };
+}
+
+/**
+ * Validate a policy config. Returns it with defaults filled in; throws an
+ * Error naming the first problem.
+ */
+export function checkPolicyConfig(config) {
+  if (!isObject(config)) throw new Error("Policy config is not an object");
+  const { default: defaultName, policies, tenants = {}, ...rest } = config;
+  const unknown = Object.keys(rest);
+  if (unknown.length) throw new Error(`Unknown key ${unknown[0]}`);
+
+  if (!isObject(policies) || !Object.keys(policies).length)
+    throw new Error("No policies defined");
+  const checked = {};
+  for (const [name, policy] of Object.entries(policies))
+    checked[name] = checkPolicy(name, policy);
+
+  if (!Object.hasOwn(checked, defaultName))
+    throw new Error(`Unknown default policy: ${defaultName}`);
+
+  if (!isObject(tenants)) throw new Error("tenants is not an object");
+  for (const [domain, name] of Object.entries(tenants)) {
+    if (!DOMAIN.test(domain)) throw new Error(`Invalid tenant domain: ${domain}`);
+    if (!Object.hasOwn(checked, name))
+      throw new Error(`Tenant ${domain}: unknown policy ${name}`);
+  }
+
+  return { default: defaultName, policies: checked, tenants: { ...tenants } };
+}
+
+/**
+ * Read and check the policy config at `file` (POLICY_CONFIG, or
+ * server/policies.json). If no file was named and the default one does not
+ * exist, DEFAULT_POLICY_CONFIG is used.
+ */
+export function loadPolicyConfig(file = process.env.POLICY_CONFIG) {
+  const configPath = path.resolve(file || DEFAULT_CONFIG_PATH);
+  if (!file && !fs.existsSync(configPath)) return checkPolicyConfig(DEFAULT_POLICY_CONFIG);
+  try {
+    return checkPolicyConfig(JSON.parse(fs.readFileSync(configPath, "utf8")));
+  } catch (e) {
+    throw new Error(`Policy config ${configPath}: ${e.message}`);
+  }
+}
+
+/**
+ * The domain part of an email address, as tenants are keyed.
+ */
+export function emailDomain(email) {
+  const normalized = normalizeEmail(email);
+  return normalized.slice(normalized.lastIndexOf("@") + 1);
+}
+
+/**
+ * Policy registry for a checked config. Policies are returned as
+ * { name, proofs, minAge? }.
+ */
+export function createPolicies(config) {
+  const { default: defaultName, policies, tenants } = checkPolicyConfig(config);
+
+  function get(name) {
+    return Object.hasOwn(policies, name) ? { name, ...policies[name] } : null;
+  }
+
+  return {
+    get,
+
+    names() {
+      return Object.keys(policies);
+    },
+
+    /**
+     * The policy for an account with `email` and stored record `rec` (none
+     * yet for a signup): the record's own, its tenant's or the default.
+     * null if the record names a policy that no longer exists – callers must
+     * not fall back to a weaker one.
+     */
+    resolve(email, rec) {
+      if (rec?.policy !== undefined) return get(rec.policy);
+      const domain = emailDomain(email);
+      return get(Object.hasOwn(tenants, domain) ? tenants[domain] : defaultName);
+    },
+  };
+}
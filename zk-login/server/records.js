@@ -0,0 +1,223 @@
+// Versioned user records and strict validation of client-sent commitments.
+// Usage:
+//   const c = checkCommitment(req.body);          // { saltHex, commitmentHex } | null
+//   const rec = await upgradeRecord(legacyRecord); // throws if it can't be repaired
+//
+// Record versions:
+//   (no `v`) – written before versioning. No `kdf` (so v1 derivation), and
+//              commitments may be in one of two legacy formats an old
+//              createCommitment produced from the Poseidon output's internal
+//              (Montgomery-form) bytes:
+//                byte list – "0x" + the Uint8Array, e.g. "0x181,1,226,...";
+//                baseline  – "0x" + the bytes as one hex number, leading
+//                            zeros dropped. Only records with nothing but
+//                            salt and commitment are read this way: the
+//                            format looks like a canonical commitment.
+//   2        – { v: 2, saltHex, commitmentHex, kdf,
+//                recovery: [{ saltHex, commitmentHex, used }],
+//                totp?: { saltHex, commitmentHex, lastTimeStep },
+//                age?: { commitmentHex },
+//                devices?: [{ id, name, publicKey, createdAt, lastUsedAt }],
+//                policy?, disabled?, resetRequired? }
+//              `age` has no salt: the client keeps it (see utils/age.js).
+//              `devices` are keys registered by POST /devices, `publicKey`
+//              a P-256 JWK (see utils/device.js).
+//              `policy`, `disabled` and `resetRequired` are set by
+//              zk-login-admin.
+
+import { buildPoseidon } from "circomlibjs";
+import { PLAIN_KDF, checkKdf } from "../utils/kdf.js";
+
+export const RECORD_VERSION = 2;
+
+// BN254 scalar field order – every commitment is a field element below it
+export const FIELD_ORDER =
+  21888242871839275222246405745257275088548364400416034343698204186575808495617n;
+
+// 128-bit salt as generateSalt() writes it
+const SALT_HEX = /^[0-9a-f]{32}$/;
+const COMMITMENT_HEX = /^0x[0-9a-f]{1,64}$/;
+// 32 comma-separated bytes: a field element in circomlibjs' internal form
+const LEGACY_COMMITMENT_HEX = /^0x\d{1,3}(,\d{1,3}){31}$/;
+
+let poseidonInstance = null;
+async function getPoseidon() {
+  if (!poseidonInstance) poseidonInstance = await buildPoseidon();
+  return poseidonInstance;
+}
+
+/**
+ * `{ saltHex, commitmentHex }` from `c` if both are well-formed: a 32-digit
+ * lower-case hex salt and a 0x-prefixed lower-case hex field element.
+ * null otherwise.
+ */
+export function checkCommitment(c) {
+  const { saltHex, commitmentHex } = c || {};
+  if (typeof saltHex !== "string" || !SALT_HEX.test(saltHex)) return null;
+  if (typeof commitmentHex !== "string" || !COMMITMENT_HEX.test(commitmentHex))
+    return null;
+  if (BigInt(commitmentHex) >= FIELD_ORDER) return null;
+  return { saltHex, commitmentHex };
+}
+
+/**
+ * The canonical commitmentHex for a value in the legacy byte-list format, or
+ * null if `value` is not in that format. The bytes are the Poseidon output as
+ * circomlibjs holds it internally, so F.toObject recovers the real value.
+ */
+export async function repairLegacyCommitmentHex(value) {
+  if (typeof value !== "string" || !LEGACY_COMMITMENT_HEX.test(value)) return null;
+  const bytes = value.slice(2).split(",").map(Number);
+  if (bytes.some((b) => b > 255)) return null;
+  const { F } = await getPoseidon();
+  return "0x" + F.toObject(Uint8Array.from(bytes)).toString(16);
+}
+
+/**
+ * The canonical commitmentHex for a value in the baseline format, or null if
+ * `value` cannot be one: the bytes must be a field element as circomlibjs
+ * holds it (little-endian, below the field order). A canonical commitment is
+ * often one too, so only use this on records the baseline could have written.
+ */
+export async function repairBaselineCommitmentHex(value) {
+  if (typeof value !== "string" || !COMMITMENT_HEX.test(value)) return null;
+  const bytes = Buffer.from(value.slice(2).padStart(64, "0"), "hex");
+  const internal = BigInt("0x" + Buffer.from(bytes).reverse().toString("hex"));
+  if (internal >= FIELD_ORDER) return null;
+  const { F } = await getPoseidon();
+  return "0x" + F.toObject(Uint8Array.from(bytes)).toString(16);
+}
+
+// A record as the baseline wrote it – nothing added since (`recovery` came
+// with password change, `totp` with the second factor, then `kdf` and `v`)
+const holdsBaselineCommitments = (rec) =>
+  ["v", "kdf", "recovery", "totp"].every((field) => rec[field] === undefined);
+
+/**
+ * Whether `rec` has to go through upgradeRecord.
+ */
+export function isLegacyRecord(rec) {
+  return rec?.v !== RECORD_VERSION;
+}
+
+/**
+ * Rewrite a record from before versioning as a v2 record: legacy commitments
+ * repaired, `kdf` made explicit. Returns { record, repaired } where
+ * `repaired` names the commitments that were in the legacy format. Throws if
+ * any commitment is malformed beyond that.
+ */
+export async function upgradeRecord(rec) {
+  if (!isLegacyRecord(rec)) return { record: rec, repaired: [] };
+  const repaired = [];
+
+  const baseline = holdsBaselineCommitments(rec);
+  async function upgrade(c, what) {
+    const fixed =
+      (await repairLegacyCommitmentHex(c?.commitmentHex)) ??
+      (baseline ? await repairBaselineCommitmentHex(c?.commitmentHex) : null);
+    if (fixed) repaired.push(what);
+    const checked = checkCommitment(fixed ? { ...c, commitmentHex: fixed } : c);
+    if (!checked) throw new Error(`Invalid ${what} commitment`);
+    return { ...c, ...checked };
+  }
+
+  const { saltHex, commitmentHex } = await upgrade(rec, "password");
+  const recovery = [];
+  for (const [i, entry] of (rec.recovery || []).entries())
+    recovery.push({ used: false, ...(await upgrade(entry, `recovery code ${i}`)) });
+
+  return {
+    record: {
+      ...rec,
+      v: RECORD_VERSION,
+      saltHex,
+      commitmentHex,
+      kdf: checkKdf(rec.kdf ?? PLAIN_KDF),
+      recovery,
+      ...(rec.totp && { totp: await upgrade(rec.totp, "TOTP") }),
+    },
+    repaired,
+  };
+}
+
+/**
+ * Everything wrong with a stored record, as human-readable strings; [] if it
+ * is a valid current record. Used by `zk-login-admin check`.
+ */
+export function recordProblems(rec) {
+  if (!rec || typeof rec !== "object") return ["not an object"];
+  const problems = [];
+  // Baseline-format values are only told apart from canonical ones (and
+  // then not always) by being out of range; upgradeRecord repairs both
+  const commitment = (c, what) => {
+    if (checkCommitment(c)) return;
+    const hex = c?.commitmentHex;
+    problems.push(
+      LEGACY_COMMITMENT_HEX.test(hex)
+        ? `legacy byte-list ${what} commitment`
+        : holdsBaselineCommitments(rec) && COMMITMENT_HEX.test(hex)
+        ? `legacy baseline ${what} commitment`
+        : `invalid ${what} commitment`
+    );
+  };
+
+  if (rec.v === undefined)
+    problems.push("legacy record, run npm run migrate -- --upgrade");
+  else if (rec.v !== RECORD_VERSION) problems.push(`unknown record version ${rec.v}`);
+
+  commitment(rec, "password");
+  if (rec.kdf === undefined) {
+    if (rec.v !== undefined) problems.push("missing kdf");
+  } else {
+    try {
+      checkKdf(rec.kdf);
+    } catch {
+      problems.push("unsupported kdf");
+    }
+  }
+
+  if (rec.recovery !== undefined && !Array.isArray(rec.recovery))
+    problems.push("recovery is not a list");
+  for (const [i, entry] of (Array.isArray(rec.recovery) ? rec.recovery : []).entries()) {
+    commitment(entry, `recovery code ${i}`);
+    if (entry?.used !== undefined && typeof entry.used !== "boolean")
+      problems.push(`recovery code ${i} has a non-boolean used flag`);
+  }
+
+  if (rec.totp !== undefined) {
+    commitment(rec.totp, "TOTP");
+    const step = rec.totp?.lastTimeStep;
+    if (step != null && !/^\d+$/.test(step)) problems.push("invalid TOTP lastTimeStep");
+  }
+
+  if (rec.age !== undefined) {
+    const { commitmentHex } = rec.age || {};
+    if (
+      typeof commitmentHex !== "string" ||
+      !COMMITMENT_HEX.test(commitmentHex) ||
+      BigInt(commitmentHex) >= FIELD_ORDER
+    )
+      problems.push("invalid age commitment");
+  }
+  if (rec.devices !== undefined && !Array.isArray(rec.devices))
+    problems.push("devices is not a list");
+  for (const [i, device] of (Array.isArray(rec.devices) ? rec.devices : []).entries()) {
+    const { id, publicKey, createdAt } = device || {};
+    if (
+      typeof id !== "string" ||
+      publicKey?.kty !== "EC" ||
+      publicKey?.crv !== "P-256" ||
+      !Number.isInteger(createdAt)
+    )
+      problems.push(`invalid device ${i}`);
+  }
+
+  if (rec.policy !== undefined && typeof rec.policy !== "string")
+    problems.push("policy is not a string");
+
+  for (const flag of ["disabled", "resetRequired"]) {
+    if (rec[flag] !== undefined && typeof rec[flag] !== "boolean")
+      problems.push(`${flag} is not a boolean`);
+  }
+  return problems;
+}
@@ -0,0 +1,238 @@
+// JWT sessions for zk-login.
+// Usage:
+//   const sessions = createSessions({ secret: loadSessionSecret() });
+//   res.json(sessions.issue(email));               // after a verified proof
+//   app.get("/me", sessions.requireSession, ...);   // protect any route
+//   sessions.revokeAll(email);                     // e.g. account deleted
+//
+// Tokens are issued for the email as the user typed it (`sub`), but belong to
+// its account: revocation compares emails normalized, the way the store keys
+// accounts, so revoking "alice@x.com" also ends sessions of "Alice@X.com".
+// Revoking an account ends the tokens issued before it – by `iat_ms` and, for
+// tokens of the same millisecond, the issue order `seq` – so the session of a
+// login right after a password change or recovery is not caught by it.
+//
+// Tokens carry how the session began – `auth_time`, when the login was
+// verified, and `method`, "proof" for a password proof or "device" for a
+// device key (with the device's id in `device`). Refreshing keeps them, so
+// routes can ask for a recent password login.
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { normalizeEmail } from "../utils/commitment.js";
+
+const SESSION_KEY_PATH = path.resolve("server/session.key");
+const ISSUER = "zk-login";
+const ALGORITHM = "HS256";
+
+/**
+ * HS256 signing key: SESSION_SECRET from the environment, otherwise a random
+ * 256-bit key generated on first start and kept in server/session.key.
+ */
+export function loadSessionSecret(keyPath = SESSION_KEY_PATH) {
+  if (process.env.SESSION_SECRET) return process.env.SESSION_SECRET;
+  if (!fs.existsSync(keyPath)) {
+    fs.writeFileSync(keyPath, crypto.randomBytes(32).toString("hex"), {
+      mode: 0o600,
+    });
+  }
+  return fs.readFileSync(keyPath, "utf8").trim();
+}
+
+/**
+ * Create a session issuer with access/refresh tokens and revocation.
+ * Access tokens are short-lived; refresh tokens are single-use and rotate on
+ * every refresh. Revoked ids are remembered until the token would expire.
+ * `now` returns the time in ms; tokens are issued and checked by it.
+ */
+export function createSessions({
+  secret,
+  accessTtlSec = 15 * 60,
+  refreshTtlSec = 7 * 24 * 60 * 60,
+  now = () => Date.now(),
+}) {
+  if (!secret) throw new Error("Session secret is required");
+
+  // jti -> exp (seconds) of tokens that must no longer be accepted
+  const revoked = new Map();
+  // jti -> account (normalized email) of refresh tokens not used yet
+  const refreshable = new Map();
+  // account -> { ms, seq } of the last token revoked with all before it
+  const revokedUntil = new Map();
+  // Tokens issued so far, to order those of the same millisecond
+  let issued = 0;
+
+  function nowSec() {
+    return Math.floor(now() / 1000);
+  }
+
+  function prune() {
+    const now = nowSec();
+    for (const [jti, exp] of revoked) {
+      if (exp <= now) revoked.delete(jti);
+    }
+    // By then every token issued before the cutoff has expired
+    for (const [account, until] of revokedUntil) {
+      if (until.ms / 1000 + refreshTtlSec <= now) revokedUntil.delete(account);
+    }
+  }
+
+  function sign(email, type, ttlSec, { authTime, method, device }) {
+    const jti = crypto.randomUUID();
+    const ms = now();
+    const payload = {
+      typ: type,
+      iat: Math.floor(ms / 1000),
+      iat_ms: ms,
+      seq: ++issued,
+      auth_time: authTime,
+      method,
+      ...(device && { device }),
+    };
+    const token = jwt.sign(payload, secret, {
+      algorithm: ALGORITHM,
+      issuer: ISSUER,
+      subject: email,
+      jwtid: jti,
+      expiresIn: ttlSec,
+    });
+    return { token, jti };
+  }
+
+  /**
+   * Verify a token of the given type. Returns { claims } or { code } with
+   * SESSION_EXPIRED / SESSION_INVALID / SESSION_REVOKED.
+   */
+  function check(token, type) {
+    let claims;
+    try {
+      claims = jwt.verify(token, secret, {
+        algorithms: [ALGORITHM],
+        issuer: ISSUER,
+        clockTimestamp: nowSec(),
+      });
+    } catch (e) {
+      return {
+        code:
+          e instanceof jwt.TokenExpiredError
+            ? "SESSION_EXPIRED"
+            : "SESSION_INVALID",
+      };
+    }
+    if (claims.typ !== type) return { code: "SESSION_INVALID" };
+    if (revoked.has(claims.jti) || isRevokedAccount(claims))
+      return { code: "SESSION_REVOKED" };
+    return { claims };
+  }
+
+  // Whether the token was issued before its account's last revokeAll
+  function isRevokedAccount(claims) {
+    const until = revokedUntil.get(normalizeEmail(claims.sub));
+    if (!until) return false;
+    const ms = claims.iat_ms ?? claims.iat * 1000;
+    return ms < until.ms || (ms === until.ms && (claims.seq ?? 0) <= until.seq);
+  }
+
+  function revokeClaims(claims) {
+    prune();
+    revoked.set(claims.jti, claims.exp);
+    refreshable.delete(claims.jti);
+  }
+
+  /**
+   * Issue a new access/refresh token pair for `email`, whose login was
+   * verified at `authTime` (seconds, now by default) by `method`: "proof",
+   * or "device" with the id of the `device`.
+   */
+  function issue(email, { authTime = nowSec(), method = "proof", device } = {}) {
+    const login = { authTime, method, device };
+    const access = sign(email, "access", accessTtlSec, login);
+    const refresh = sign(email, "refresh", refreshTtlSec, login);
+    refreshable.set(refresh.jti, normalizeEmail(email));
+    return {
+      token: access.token,
+      refreshToken: refresh.token,
+      expiresIn: accessTtlSec,
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new pair, returned as { session, email,
+   * device } (device for a device login). The old refresh token is revoked,
+   * so presenting it twice fails.
+   */
+  function refresh(refreshToken) {
+    const { claims, code } = check(refreshToken, "refresh");
+    if (code) return { code };
+    if (!refreshable.has(claims.jti)) return { code: "SESSION_REVOKED" };
+    revokeClaims(claims);
+    // Tokens from before auth_time count as an old login
+    const session = issue(claims.sub, {
+      authTime: claims.auth_time ?? 0,
+      method: claims.method ?? "proof",
+      device: claims.device,
+    });
+    return { session, email: claims.sub, device: claims.device };
+  }
+
+  /**
+   * Revoke a token (access or refresh). Tokens we did not sign are ignored.
+   */
+  function revoke(token) {
+    if (!token) return;
+    try {
+      revokeClaims(
+        jwt.verify(token, secret, {
+          algorithms: [ALGORITHM],
+          issuer: ISSUER,
+          clockTimestamp: nowSec(),
+        })
+      );
+    } catch {
+      // expired or forged – nothing to revoke
+    }
+  }
+
+  /**
+   * Revoke every token issued so far for the account of `email`, whatever
+   * case or spacing the email was logged in with.
+   */
+  function revokeAll(email) {
+    prune();
+    const account = normalizeEmail(email);
+    revokedUntil.set(account, { ms: now(), seq: issued });
+    for (const [jti, owner] of refreshable) {
+      if (owner === account) refreshable.delete(jti);
+    }
+  }
+
+  /**
+   * Express middleware: require `Authorization: Bearer <access token>`.
+   * Sets req.session = { email, jti, exp, authTime, method, device } or
+   * responds 401 with a code.
+   */
+  function requireSession(req, res, next) {
+    const header = req.get("authorization") || "";
+    const [scheme, token] = header.split(" ");
+    if (scheme !== "Bearer" || !token)
+      return res.status(401).json({ ok: false, code: "SESSION_MISSING" });
+
+    const { claims, code } = check(token, "access");
+    if (code) return res.status(401).json({ ok: false, code });
+
+    req.session = {
+      email: claims.sub,
+      jti: claims.jti,
+      exp: claims.exp,
+      authTime: claims.auth_time ?? 0,
+      method: claims.method ?? "proof",
+      device: claims.device,
+    };
+    req.sessionToken = token;
+    next();
+  }
+
+  return { issue, refresh, revoke, revokeAll, requireSession };
+}
@@ -0,0 +1,51 @@
+// User store selection.
+//
+// Every backend implements the same async interface, keyed by email:
+//   get(email)          -> record | null
+//   put(email, record)
+//   update(email, fn)   -> atomic read-modify-write; fn(record | null) returns
+//                          the new record, null to delete, undefined to keep
+//   delete(email)       -> true if a record was removed
+//   list()              -> [{ email, ...record }]
+//   close()
+//
+// Configure with STORE_BACKEND (json | sqlite | memory, default json) and
+// STORE_PATH (default server/db.json or server/db.sqlite).
+
+import path from "path";
+import { createMemoryStore } from "./memory.js";
+import { createJsonFileStore } from "./json-file.js";
+
+export const DEFAULT_PATHS = {
+  json: "server/db.json",
+  sqlite: "server/db.sqlite",
+};
+
+/**
+ * Read the store config from the environment.
+ */
+export function storeConfigFromEnv(env = process.env) {
+  const backend = env.STORE_BACKEND || "json";
+  return { backend, path: env.STORE_PATH || DEFAULT_PATHS[backend] };
+}
+
+/**
+ * Create the store described by `{ backend, path }`.
+ */
+export async function createStore({ backend, path: filePath }) {
+  switch (backend) {
+    case "memory":
+      return createMemoryStore();
+    case "json":
+      return createJsonFileStore(path.resolve(filePath));
+    case "sqlite": {
+      // Loaded on demand so the native module is only needed when used
+      const { createSqliteStore } = await import("./sqlite.js");
+      return createSqliteStore(
+        filePath === ":memory:" ? filePath : path.resolve(filePath)
+      );
+    }
+    default:
+      throw new Error(`Unknown store backend: ${backend}`);
+  }
+}
@@ -0,0 +1,132 @@
+// JSON-file user store – the original server/db.json format
+// ({ [email]: record }), made safe for concurrent writers.
+//
+// Every write is a read-modify-write under a lock: an in-process queue
+// serialises requests, and a `<file>.lock` created with O_EXCL keeps other
+// processes (e.g. the migration command) out. The new contents are written to
+// a temp file and renamed over the original, so readers never see a partial
+// file.
+
+import fs from "fs/promises";
+import path from "path";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Create a store persisted in the JSON file at `filePath`.
+ */
+export function createJsonFileStore(
+  filePath,
+  { lockTimeoutMs = 5000, staleLockMs = 10000 } = {}
+) {
+  const lockPath = `${filePath}.lock`;
+  let queue = Promise.resolve();
+
+  // Null-prototype object so an email like "__proto__" is just a key
+  async function readAll() {
+    const data = Object.create(null);
+    try {
+      return Object.assign(data, JSON.parse(await fs.readFile(filePath, "utf8")));
+    } catch (e) {
+      if (e.code === "ENOENT") return data;
+      throw e;
+    }
+  }
+
+  async function writeAll(data) {
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    const handle = await fs.open(tmpPath, "w");
+    try {
+      await handle.writeFile(JSON.stringify(data, null, 2));
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await fs.rename(tmpPath, filePath);
+  }
+
+  async function acquireLock() {
+    const deadline = Date.now() + lockTimeoutMs;
+    for (;;) {
+      try {
+        const handle = await fs.open(lockPath, "wx");
+        await handle.writeFile(String(process.pid));
+        await handle.close();
+        return;
+      } catch (e) {
+        if (e.code !== "EEXIST") throw e;
+      }
+
+      // A crashed writer can leave its lock behind
+      const stat = await fs.stat(lockPath).catch(() => null);
+      if (stat && Date.now() - stat.mtimeMs > staleLockMs) {
+        await fs.rm(lockPath, { force: true });
+        continue;
+      }
+      if (Date.now() > deadline)
+        throw new Error(`Timed out waiting for lock on ${filePath}`);
+      await sleep(25);
+    }
+  }
+
+  function withLock(fn) {
+    const run = queue.then(async () => {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await acquireLock();
+      try {
+        return await fn();
+      } finally {
+        await fs.rm(lockPath, { force: true });
+      }
+    });
+    // Keep the queue alive after a failed operation
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  return {
+    async get(email) {
+      const data = await readAll();
+      return Object.hasOwn(data, email) ? data[email] : null;
+    },
+
+    async put(email, record) {
+      await withLock(async () => {
+        const data = await readAll();
+        data[email] = record;
+        await writeAll(data);
+      });
+    },
+
+    async update(email, fn) {
+      return withLock(async () => {
+        const data = await readAll();
+        const next = await fn(Object.hasOwn(data, email) ? data[email] : null);
+        if (next === undefined) return data[email] ?? null;
+        if (next === null) delete data[email];
+        else data[email] = next;
+        await writeAll(data);
+        return next;
+      });
+    },
+
+    async delete(email) {
+      return withLock(async () => {
+        const data = await readAll();
+        if (!Object.hasOwn(data, email)) return false;
+        delete data[email];
+        await writeAll(data);
+        return true;
+      });
+    },
+
+    async list() {
+      const data = await readAll();
+      return Object.entries(data).map(([email, rec]) => ({ email, ...rec }));
+    },
+
+    async close() {
+      await queue;
+    },
+  };
+}
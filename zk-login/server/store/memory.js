@@ -0,0 +1,50 @@
+// In-memory user store – for tests and throwaway demos. Nothing is persisted.
+
+/**
+ * Create a store backed by a Map. `initial` is an optional
+ * { [email]: record } object to seed it with.
+ */
+export function createMemoryStore(initial = {}) {
+  const users = new Map(Object.entries(initial));
+  const clone = (rec) => (rec ? structuredClone(rec) : null);
+
+  // Every write is queued so an async update `fn` can't interleave with
+  // another write
+  let queue = Promise.resolve();
+  function serialise(fn) {
+    const run = queue.then(fn);
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  return {
+    async get(email) {
+      return clone(users.get(email));
+    },
+
+    async put(email, record) {
+      await serialise(() => users.set(email, clone(record)));
+    },
+
+    async update(email, fn) {
+      return serialise(async () => {
+        const next = await fn(clone(users.get(email)));
+        if (next === null) users.delete(email);
+        else if (next !== undefined) users.set(email, clone(next));
+        return clone(users.get(email));
+      });
+    },
+
+    async delete(email) {
+      return serialise(() => users.delete(email));
+    },
+
+    async list() {
+      return [...users].map(([email, rec]) => ({ email, ...clone(rec) }));
+    },
+
+    async close() {
+      await queue;
+    },
+  };
+}
@@ -0,0 +1,94 @@
+// SQLite user store. Records are kept as JSON in a single `users` table so
+// new record fields don't need a schema migration.
+
+import fs from "fs";
+import path from "path";
+import Database from "better-sqlite3";
+
+/**
+ * Create a store in the SQLite database at `filePath` (":memory:" works too).
+ */
+export function createSqliteStore(filePath) {
+  if (filePath !== ":memory:")
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  const db = new Database(filePath);
+  db.pragma("journal_mode = WAL");
+  db.pragma("busy_timeout = 5000");
+  db.exec(
+    "CREATE TABLE IF NOT EXISTS users (email TEXT PRIMARY KEY, record TEXT NOT NULL)"
+  );
+
+  const selectOne = db.prepare("SELECT record FROM users WHERE email = ?");
+  const selectAll = db.prepare("SELECT email, record FROM users ORDER BY email");
+  const upsert = db.prepare(
+    "INSERT INTO users (email, record) VALUES (?, ?) " +
+      "ON CONFLICT(email) DO UPDATE SET record = excluded.record"
+  );
+  const remove = db.prepare("DELETE FROM users WHERE email = ?");
+
+  const read = (email) => {
+    const row = selectOne.get(email);
+    return row ? JSON.parse(row.record) : null;
+  };
+
+  // Every write is queued so that an async `fn` can't interleave with another
+  // write in this process, and an update runs in an IMMEDIATE transaction so
+  // that other processes (e.g. the migration command) can't write between
+  // its read and its write.
+  let queue = Promise.resolve();
+  function serialise(fn) {
+    const run = queue.then(fn);
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  async function transaction(fn) {
+    db.exec("BEGIN IMMEDIATE");
+    try {
+      const result = await fn();
+      db.exec("COMMIT");
+      return result;
+    } catch (e) {
+      db.exec("ROLLBACK");
+      throw e;
+    }
+  }
+
+  return {
+    async get(email) {
+      return read(email);
+    },
+
+    async put(email, record) {
+      await serialise(() => upsert.run(email, JSON.stringify(record)));
+    },
+
+    async update(email, fn) {
+      return serialise(() =>
+        transaction(async () => {
+          const next = await fn(read(email));
+          if (next === undefined) return read(email);
+          if (next === null) remove.run(email);
+          else upsert.run(email, JSON.stringify(next));
+          return next;
+        })
+      );
+    },
+
+    async delete(email) {
+      return serialise(() => remove.run(email).changes > 0);
+    },
+
+    async list() {
+      return selectAll
+        .all()
+        .map(({ email, record }) => ({ email, ...JSON.parse(record) }));
+    },
+
+    async close() {
+      await queue;
+      db.close();
+    },
+  };
+}
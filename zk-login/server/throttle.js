@@ -0,0 +1,105 @@
+// Request rate limiting and failed-attempt backoff for zk-login.
+// Usage:
+//   const requests = createRateLimiter({ max: 120, windowMs: 60 * 1000 });
+//   const attempts = createAttemptTracker({ lockoutAfter: 10 });
+//   if (requests.hit(req.ip)) ...            // over the limit
+//   const blocked = attempts.check(key);      // before verifying a proof
+//   ok ? attempts.succeed(key) : attempts.fail(key); // fail: true if now locked
+//
+// State lives in memory, like login challenges, and resets on restart.
+
+/**
+ * Fixed-window limiter: at most `max` hits per key in each `windowMs`.
+ * hit(key) counts a request and returns 0 if it is allowed, otherwise the ms
+ * until the key's window resets. `now` returns the time in ms.
+ */
+export function createRateLimiter({ max, windowMs, now: clock = () => Date.now() }) {
+  // key -> { count, resetAt }
+  const windows = new Map();
+
+  function prune(now) {
+    for (const [key, w] of windows) {
+      if (w.resetAt <= now) windows.delete(key);
+    }
+  }
+
+  function hit(key) {
+    const now = clock();
+    let w = windows.get(key);
+    if (!w || w.resetAt <= now) {
+      prune(now);
+      w = { count: 0, resetAt: now + windowMs };
+      windows.set(key, w);
+    }
+    w.count++;
+    return w.count > max ? w.resetAt - now : 0;
+  }
+
+  return { hit };
+}
+
+/**
+ * Track consecutive failed attempts per key. After `freeAttempts` failures
+ * every further attempt has to wait `baseDelayMs`, doubling with each failure
+ * up to `maxDelayMs`. With `lockoutAfter`, that many failures lock the key
+ * for `lockoutMs`; the count starts over once the lock expires. A key's
+ * failures are forgotten `forgetAfterMs` after the last one. `now` returns the
+ * time in ms.
+ */
+export function createAttemptTracker({
+  freeAttempts = 3,
+  baseDelayMs = 1000,
+  maxDelayMs = 5 * 60 * 1000,
+  lockoutAfter = Infinity,
+  lockoutMs = 15 * 60 * 1000,
+  forgetAfterMs = 60 * 60 * 1000,
+  now: clock = () => Date.now(),
+} = {}) {
+  // key -> { count, lastAt, retryAt, locked }
+  const failures = new Map();
+
+  function prune(now) {
+    for (const [key, f] of failures) {
+      if (f.lastAt + forgetAfterMs <= now || (f.locked && f.retryAt <= now))
+        failures.delete(key);
+    }
+  }
+
+  /**
+   * null if `key` may attempt now, otherwise { code, retryAfterMs } with code
+   * ACCOUNT_LOCKED or TOO_MANY_ATTEMPTS.
+   */
+  function check(key) {
+    const now = clock();
+    prune(now);
+    const f = failures.get(key);
+    if (!f || f.retryAt <= now) return null;
+    return {
+      code: f.locked ? "ACCOUNT_LOCKED" : "TOO_MANY_ATTEMPTS",
+      retryAfterMs: f.retryAt - now,
+    };
+  }
+
+  /**
+   * Count a failure for `key`. Returns true if it locked the key.
+   */
+  function fail(key) {
+    const now = clock();
+    const f = failures.get(key) || { count: 0 };
+    f.count++;
+    f.lastAt = now;
+    f.locked = f.count >= lockoutAfter;
+    if (f.locked) f.retryAt = now + lockoutMs;
+    else if (f.count >= freeAttempts)
+      f.retryAt = now + Math.min(baseDelayMs * 2 ** (f.count - freeAttempts), maxDelayMs);
+    else f.retryAt = now;
+    failures.set(key, f);
+    return f.locked;
+  }
+
+  function succeed(key) {
+    failures.delete(key);
+  }
+
+  return { check, fail, succeed };
+}
@@ -0,0 +1,99 @@
+// Request validation against the OpenAPI document (./openapi.js).
+// Usage:
+//   app.use(bodyParser.json());
+//   app.use(createRequestValidator(openapi));
+//
+// Before a documented route runs, its JSON body and query parameters are
+// checked with Ajv. A request that does not match is answered with
+//   400 { ok: false, code: "INVALID_REQUEST", errors: [{ path, message }] }
+// where `path` is like "/body/saltHex" or "/query/email". Undocumented
+// routes are passed through.
+
+import Ajv2020 from "ajv/dist/2020.js";
+import { FIELD_ORDER } from "./records.js";
+
+// Ajv checks formats even when the pattern next to them failed, so `value`
+// may not be a number at all
+const below = (max) => (value) => {
+  try {
+    return BigInt(value) < max;
+  } catch {
+    return false;
+  }
+};
+
+// The custom string formats used in openapi.js
+export const FORMATS = {
+  "field-hex": { type: "string", validate: below(FIELD_ORDER) },
+  "field-decimal": { type: "string", validate: below(FIELD_ORDER) },
+};
+
+function createAjv() {
+  const ajv = new Ajv2020({ allErrors: true, discriminator: true });
+  for (const [name, format] of Object.entries(FORMATS)) ajv.addFormat(name, format);
+  // Not a JSON Schema keyword, but where the document's $refs point
+  ajv.addKeyword("components");
+  return ajv;
+}
+
+function querySchema(parameters = []) {
+  const query = parameters.filter((p) => p.in === "query");
+  if (!query.length) return null;
+  return {
+    type: "object",
+    required: query.filter((p) => p.required).map((p) => p.name),
+    properties: Object.fromEntries(query.map((p) => [p.name, p.schema])),
+  };
+}
+
+function bodySchema(requestBody) {
+  const schema = requestBody?.content?.["application/json"]?.schema;
+  if (!schema) return null;
+  // An optional body may be left out altogether
+  return requestBody.required ? schema : { oneOf: [{ type: "null" }, schema] };
+}
+
+function toErrors(where, errors) {
+  return errors.map(({ instancePath, params, message }) => ({
+    path:
+      `/${where}${instancePath}` +
+      (params.missingProperty ? `/${params.missingProperty}` : ""),
+    message,
+  }));
+}
+
+/**
+ * Express middleware that validates requests to the operations in `openapi`.
+ */
+export function createRequestValidator(openapi) {
+  const ajv = createAjv();
+  // "POST /signup" -> [[where, validate]]
+  const operations = new Map();
+  for (const [route, methods] of Object.entries(openapi.paths)) {
+    for (const [method, op] of Object.entries(methods)) {
+      const checks = [
+        ["query", querySchema(op.parameters)],
+        ["body", bodySchema(op.requestBody)],
+      ].filter(([, schema]) => schema);
+      operations.set(
+        `${method.toUpperCase()} ${route}`,
+        checks.map(([where, schema]) => [
+          where,
+          // Carry the components along so "#/components/schemas/..." resolves
+          ajv.compile({ ...schema, components: openapi.components }),
+        ])
+      );
+    }
+  }
+
+  return (req, res, next) => {
+    const checks = operations.get(`${req.method} ${req.path}`) || [];
+    const errors = [];
+    for (const [where, validate] of checks) {
+      // Express leaves req.body undefined when nothing was sent
+      if (!validate(req[where] ?? null)) errors.push(...toErrors(where, validate.errors));
+    }
+    if (!errors.length) return next();
+    res.status(400).json({ ok: false, code: "INVALID_REQUEST", errors });
+  };
+}
@@ -0,0 +1,156 @@
+// Groth16 verification keys, loaded once, checked against their circuits and
+// kept in memory.
+// Usage:
+//   const vkeys = createVerifierKeys({
+//     dir: "keys",
+//     circuits: [{ name: "pwd_login", vkeyFile: "verification_key.json", nPublic: 3 }],
+//     watch: true,
+//   });
+//   vkeys.get("pwd_login");       // version "1", or null if it isn't loaded
+//   vkeys.get("pwd_login", "2");  // a version a client declared
+//   vkeys.close();
+//
+// Versions: <dir>/<vkeyFile> is version "1", the default. While a trusted
+// setup is rotated, the new circuit's key goes to
+// <dir>/versions/<name>/<version>.json; clients proving with the new zkey
+// send that version, everyone else keeps using "1". Once all clients have
+// moved, the new key replaces <vkeyFile> and the versioned file is removed.
+//
+// A key must be a Groth16 key on bn128 with the circuit's number of public
+// signals. A file that fails the check (or half-written JSON) is logged and
+// the key loaded before it is kept. With `watch`, keys are reloaded whenever
+// something under `dir` changes. Recursive fs.watch throws on Linux before
+// Node 19.1, so `dir`, versions/ and each versions/<name>/ are watched one
+// by one, as they appear.
+
+import fs from "fs";
+import path from "path";
+
+export const DEFAULT_VERSION = "1";
+
+// Also the request schemas' pattern for `circuitVersion`
+export const VERSION_PATTERN = /^[\w.-]{1,32}$/;
+
+// Reloads wait for a burst of file events to settle
+const RELOAD_DELAY_MS = 100;
+
+/**
+ * Throw unless `vkey` is a Groth16 bn128 verification key for a circuit with
+ * `nPublic` public signals.
+ */
+export function checkVerificationKey(vkey, nPublic) {
+  if (vkey?.protocol !== "groth16")
+    throw new Error(`Expected protocol groth16, got ${vkey?.protocol}`);
+  if (vkey.curve !== "bn128") throw new Error(`Expected curve bn128, got ${vkey.curve}`);
+  if (vkey.nPublic !== nPublic)
+    throw new Error(`Expected ${nPublic} public signals, got ${vkey.nPublic}`);
+  if (!Array.isArray(vkey.IC) || vkey.IC.length !== nPublic + 1)
+    throw new Error(`Expected ${nPublic + 1} IC points`);
+  for (const point of ["vk_alpha_1", "vk_beta_2", "vk_gamma_2", "vk_delta_2"]) {
+    if (!Array.isArray(vkey[point])) throw new Error(`Missing ${point}`);
+  }
+}
+
+/**
+ * Load the verification keys of `circuits` ([{ name, vkeyFile, nPublic }])
+ * from `dir`. Returns { get, versions, reload, close }.
+ */
+export function createVerifierKeys({ dir, circuits, watch = false }) {
+  // "name@version" -> verification key
+  let keys = new Map();
+
+  // [[version, file]] for every key file a circuit has on disk
+  function keyFiles({ name, vkeyFile }) {
+    const files = [[DEFAULT_VERSION, path.join(dir, vkeyFile)]];
+    const versionsDir = path.join(dir, "versions", name);
+    if (fs.existsSync(versionsDir)) {
+      for (const file of fs.readdirSync(versionsDir).sort()) {
+        const version = path.basename(file, ".json");
+        if (!file.endsWith(".json") || version === DEFAULT_VERSION) continue;
+        if (VERSION_PATTERN.test(version))
+          files.push([version, path.join(versionsDir, file)]);
+      }
+    }
+    return files.filter(([, file]) => fs.existsSync(file));
+  }
+
+  /**
+   * Read every key again. Keys whose file is gone are dropped.
+   */
+  function reload() {
+    const next = new Map();
+    for (const circuit of circuits) {
+      for (const [version, file] of keyFiles(circuit)) {
+        const id = `${circuit.name}@${version}`;
+        try {
+          const vkey = JSON.parse(fs.readFileSync(file, "utf8"));
+          checkVerificationKey(vkey, circuit.nPublic);
+          next.set(id, vkey);
+        } catch (e) {
+          console.error(`Verification key ${file} not loaded: ${e.message}`);
+          if (keys.has(id)) next.set(id, keys.get(id));
+        }
+      }
+    }
+    keys = next;
+  }
+
+  reload();
+
+  // directory -> its watcher
+  const watchers = new Map();
+  let timer = null;
+
+  function unwatch(watched) {
+    watchers.get(watched)?.close();
+    watchers.delete(watched);
+  }
+
+  // Watch the key directories that exist now; drop watchers of removed ones
+  function watchDirs() {
+    const versionsDir = path.join(dir, "versions");
+    const dirs = [dir, versionsDir, ...circuits.map(({ name }) => path.join(versionsDir, name))];
+    for (const watched of dirs) {
+      if (!fs.existsSync(watched)) unwatch(watched);
+      else if (!watchers.has(watched)) {
+        const watcher = fs.watch(watched, () => {
+          clearTimeout(timer);
+          timer = setTimeout(() => {
+            watchDirs();
+            reload();
+          }, RELOAD_DELAY_MS);
+        });
+        watcher.on("error", () => unwatch(watched));
+        watchers.set(watched, watcher);
+      }
+    }
+  }
+
+  if (watch && fs.existsSync(dir)) watchDirs();
+
+  return {
+    /**
+     * The key for `version` (default "1") of circuit `name`, or null.
+     */
+    get(name, version = DEFAULT_VERSION) {
+      return keys.get(`${name}@${version}`) ?? null;
+    },
+
+    /**
+     * The versions of circuit `name` that have a key loaded.
+     */
+    versions(name) {
+      const prefix = `${name}@`;
+      return [...keys.keys()]
+        .filter((id) => id.startsWith(prefix))
+        .map((id) => id.slice(prefix.length));
+    },
+
+    reload,
+
+    close() {
+      clearTimeout(timer);
+      for (const watched of [...watchers.keys()]) unwatch(watched);
+    },
+  };
+}
@@ -1,36 +1,42 @@
 import { describe, test, expect, beforeAll, afterAll } from "@jest/globals";
-import { spawn } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
 import request from "supertest";
 import { createCommitment } from "../../utils/commitment.js";
-import { generateProof } from "../../utils/proof.js";
+import { generateEmailProof } from "../../utils/proof.js";
+import { CIRCUITS, createApp } from "../../server/app.js";
+import { createMemoryStore } from "../../server/store/memory.js";
+import { createVerifierKeys } from "../../server/vkeys.js";
+import { DEFAULT_POLICY_CONFIG, createPolicies } from "../../server/policies.js";
+import { createAuditLog } from "../../server/audit.js";
 
 describe("Full ZK Login Flow Integration", () => {
-  let serverProcess;
-  const API_BASE = "http://localhost:4001"; // Use different port for testing
+  let app;
+  let audit;
+  let auditDir;
   const testUsers = [];
 
-  beforeAll(async () => {
-    // Start the server for integration testing
-    serverProcess = spawn("node", ["server/index.js"], {
-      env: { ...process.env, PORT: "4001" },
-      stdio: "pipe",
+  beforeAll(() => {
+    // The production app with the default policies, an in-memory store and
+    // a clock that stands still
+    const now = Date.now();
+    const clock = () => now;
+    auditDir = fs.mkdtempSync(path.join(os.tmpdir(), "zk-login-audit-"));
+    audit = createAuditLog({ path: path.join(auditDir, "audit.log"), now: clock });
+    app = createApp({
+      store: createMemoryStore(),
+      vkeys: createVerifierKeys({ dir: path.resolve("keys"), circuits: CIRCUITS }),
+      policies: createPolicies(DEFAULT_POLICY_CONFIG),
+      audit,
+      secret: "test-session-secret",
+      clock,
     });
+  });
 
-    // Wait for server to start
-    await new Promise((resolve) => {
-      serverProcess.stdout.on("data", (data) => {
-        if (data.toString().includes("running on :4001")) {
-          resolve();
-        }
-      });
-    });
-  }, 10000);
-
-  afterAll(async () => {
-    // Clean up server process
-    if (serverProcess) {
-      serverProcess.kill();
-    }
+  afterAll(() => {
+    audit.close();
+    fs.rmSync(auditDir, { recursive: true, force: true });
   });
 
   describe("Complete User Journey", () => {
@@ -39,23 +45,24 @@ describe("Full ZK Login Flow Integration", () => {
       const userPassword = "mySecurePassword123!";
 
       // Step 1: Generate commitment for signup
-      const { saltHex, commitmentHex } = await createCommitment(userPassword);
+      const { saltHex, commitmentHex, kdf } = await createCommitment(userPassword);
       expect(saltHex).toBeDefined();
       expect(commitmentHex).toBeDefined();
       expect(commitmentHex.startsWith("0x")).toBe(true);
 
       // Step 2: Signup via API
-      const signupResponse = await request(API_BASE).post("/signup").send({
+      const signupResponse = await request(app).post("/signup").send({
         email: userEmail,
         saltHex,
         commitmentHex,
+        kdf,
       });
 
       expect(signupResponse.status).toBe(200);
       expect(signupResponse.body).toEqual({ ok: true });
 
       // Step 3: Fetch login data
-      const loginDataResponse = await request(API_BASE)
+      const loginDataResponse = await request(app)
         .get("/loginData")
         .query({ email: userEmail });
 
@@ -63,21 +70,34 @@ describe("Full ZK Login Flow Integration", () => {
       expect(loginDataResponse.body).toEqual({
         saltHex,
         commitmentHex,
+        kdf,
+        policy: { proofs: ["password"] },
       });
 
-      // Step 4: Generate proof for login
-      const { proof, publicSignals } = await generateProof(
+      // Step 4: Request a login challenge
+      const challengeResponse = await request(app)
+        .get("/challenge")
+        .query({ email: userEmail });
+
+      expect(challengeResponse.status).toBe(200);
+      expect(challengeResponse.body).toHaveProperty("nonce");
+
+      // Step 5: Generate proof for login
+      const { proof, publicSignals } = await generateEmailProof(
+        userEmail,
         userPassword,
         saltHex,
-        commitmentHex
+        commitmentHex,
+        challengeResponse.body.nonce,
+        { kdf: loginDataResponse.body.kdf }
       );
 
       expect(proof).toBeDefined();
       expect(proof.protocol).toBe("groth16");
       expect(Array.isArray(publicSignals)).toBe(true);
 
-      // Step 5: Login with proof
-      const loginResponse = await request(API_BASE).post("/login").send({
+      // Step 6: Login with proof
+      const loginResponse = await request(app).post("/login").send({
         email: userEmail,
         proof,
         publicSignals,
@@ -87,6 +107,23 @@ describe("Full ZK Login Flow Integration", () => {
       expect(loginResponse.body).toHaveProperty("token");
       expect(loginResponse.body).toHaveProperty("ok", true);
 
+      // Step 7: The session token identifies the user
+      const meResponse = await request(app)
+        .get("/me")
+        .set("Authorization", `Bearer ${loginResponse.body.token}`);
+
+      expect(meResponse.status).toBe(200);
+      expect(meResponse.body.email).toBe(userEmail);
+
+      // Step 8: The same proof cannot be replayed
+      const replayResponse = await request(app).post("/login").send({
+        email: userEmail,
+        proof,
+        publicSignals,
+      });
+
+      expect(replayResponse.status).toBe(401);
+
       // Store test user for cleanup
       testUsers.push(userEmail);
     }, 60000);
@@ -101,7 +138,7 @@ describe("Full ZK Login Flow Integration", () => {
         correctPassword
       );
 
-      await request(API_BASE).post("/signup").send({
+      await request(app).post("/signup").send({
         email: userEmail,
         saltHex,
         commitmentHex,
@@ -109,13 +146,14 @@ describe("Full ZK Login Flow Integration", () => {
 
       // Try to login with wrong password
       try {
-        const { proof, publicSignals } = await generateProof(
+        const { proof, publicSignals } = await generateEmailProof(
+          userEmail,
           wrongPassword,
           saltHex,
           commitmentHex
         );
 
-        const loginResponse = await request(API_BASE).post("/login").send({
+        const loginResponse = await request(app).post("/login").send({
           email: userEmail,
           proof,
           publicSignals,
@@ -146,7 +184,7 @@ describe("Full ZK Login Flow Integration", () => {
         );
         userCommitments.push({ ...user, saltHex, commitmentHex });
 
-        const signupResponse = await request(API_BASE).post("/signup").send({
+        const signupResponse = await request(app).post("/signup").send({
           email: user.email,
           saltHex,
           commitmentHex,
@@ -158,13 +196,18 @@ describe("Full ZK Login Flow Integration", () => {
 
       // Login all users
       for (const user of userCommitments) {
-        const { proof, publicSignals } = await generateProof(
+        const { body: challenge } = await request(app)
+          .get("/challenge")
+          .query({ email: user.email });
+        const { proof, publicSignals } = await generateEmailProof(
+          user.email,
           user.password,
           user.saltHex,
-          user.commitmentHex
+          user.commitmentHex,
+          challenge.nonce
         );
 
-        const loginResponse = await request(API_BASE).post("/login").send({
+        const loginResponse = await request(app).post("/login").send({
           email: user.email,
           proof,
           publicSignals,
@@ -180,18 +223,20 @@ describe("Full ZK Login Flow Integration", () => {
     test("should handle non-existent user login attempt", async () => {
       const nonExistentEmail = `nonexistent-${Date.now()}@example.com`;
 
-      const loginDataResponse = await request(API_BASE)
+      const loginDataResponse = await request(app)
         .get("/loginData")
         .query({ email: nonExistentEmail });
 
-      expect(loginDataResponse.status).toBe(404);
-      expect(loginDataResponse.text).toBe("User not found");
+      // Unknown emails get decoy data rather than a 404
+      expect(loginDataResponse.status).toBe(200);
+      expect(loginDataResponse.body).toHaveProperty("saltHex");
+      expect(loginDataResponse.body).toHaveProperty("commitmentHex");
     });
 
     test("should handle malformed commitment data", async () => {
       const userEmail = `malformed-${Date.now()}@example.com`;
 
-      const signupResponse = await request(API_BASE).post("/signup").send({
+      const signupResponse = await request(app).post("/signup").send({
         email: userEmail,
         saltHex: "not-a-valid-hex",
         commitmentHex: "also-not-valid",
@@ -201,13 +246,14 @@ describe("Full ZK Login Flow Integration", () => {
       // But login should fail
       if (signupResponse.status === 200) {
         try {
-          const { proof, publicSignals } = await generateProof(
+          const { proof, publicSignals } = await generateEmailProof(
+            userEmail,
             "somepassword",
             "not-a-valid-hex",
             "also-not-valid"
           );
 
-          const loginResponse = await request(API_BASE).post("/login").send({
+          const loginResponse = await request(app).post("/login").send({
             email: userEmail,
             proof,
             publicSignals,
@@ -236,7 +282,7 @@ describe("Full ZK Login Flow Integration", () => {
           user.password
         );
 
-        return request(API_BASE).post("/signup").send({
+        return request(app).post("/signup").send({
           email: user.email,
           saltHex,
           commitmentHex,
@@ -257,14 +303,15 @@ describe("Full ZK Login Flow Integration", () => {
 
       // Signup
       const { saltHex, commitmentHex } = await createCommitment(password);
-      await request(API_BASE)
+      await request(app)
         .post("/signup")
         .send({ email: userEmail, saltHex, commitmentHex });
 
       // Generate multiple proofs for same user
       const proofs = [];
       for (let i = 0; i < 3; i++) {
-        const { proof, publicSignals } = await generateProof(
+        const { proof, publicSignals } = await generateEmailProof(
+          userEmail,
           password,
           saltHex,
           commitmentHex
@@ -0,0 +1,130 @@
+import { describe, test, expect, beforeEach } from "@jest/globals";
+import {
+  checkStore,
+  deleteUser,
+  describeRecord,
+  exportStore,
+  findRecord,
+  forcePasswordReset,
+  listUsers,
+  setDisabled,
+  setPolicy,
+} from "../../server/admin.js";
+import { DEFAULT_POLICY_CONFIG, createPolicies } from "../../server/policies.js";
+import { RECORD_VERSION } from "../../server/records.js";
+import { createMemoryStore } from "../../server/store/memory.js";
+import { findRecoveryCode, hashEmail } from "../../utils/commitment.js";
+import { DEFAULT_KDF } from "../../utils/kdf.js";
+
+const saltHex = "0123456789abcdef0123456789abcdef";
+const email = "alice@example.com";
+
+describe("Admin CLI", () => {
+  let store, key, record;
+
+  beforeEach(async () => {
+    key = await hashEmail(email);
+    record = {
+      v: RECORD_VERSION,
+      saltHex,
+      commitmentHex: "0x1234",
+      kdf: DEFAULT_KDF,
+      recovery: [
+        { saltHex, commitmentHex: "0x1", used: true },
+        { saltHex, commitmentHex: "0x2", used: false },
+      ],
+    };
+    // bob is a legacy record under a plaintext email
+    store = createMemoryStore({
+      [key]: record,
+      "bob@example.com": { saltHex, commitmentHex: "0x5" },
+    });
+  });
+
+  test("should find users by email, email hash or legacy plaintext key", async () => {
+    expect(await findRecord(store, email)).toEqual({ key, rec: record });
+    expect(await findRecord(store, key)).toEqual({ key, rec: record });
+    expect((await findRecord(store, "bob@example.com")).key).toBe("bob@example.com");
+    expect(await findRecord(store, "carol@example.com")).toBeNull();
+  });
+
+  test("should describe records without their secrets", async () => {
+    expect(describeRecord(key, record)).toEqual({
+      key,
+      version: RECORD_VERSION,
+      kdf: DEFAULT_KDF,
+      totp: false,
+      age: false,
+      policy: null,
+      devices: 0,
+      recoveryCodes: { unused: 1, total: 2 },
+      disabled: false,
+      resetRequired: false,
+    });
+    const users = await listUsers(store);
+    expect(users.map((u) => u.key).sort()).toEqual(["bob@example.com", key].sort());
+    expect(JSON.stringify(users)).not.toContain(saltHex);
+  });
+
+  test("should disable and re-enable an account", async () => {
+    await setDisabled(store, email, true);
+    expect((await store.get(key)).disabled).toBe(true);
+
+    await setDisabled(store, email, false);
+    expect(await store.get(key)).toEqual(record);
+  });
+
+  test("should add a recovery code when forcing a password reset", async () => {
+    const { key: resetKey, code } = await forcePasswordReset(store, email);
+    const rec = await store.get(key);
+
+    expect(resetKey).toBe(key);
+    expect(rec.resetRequired).toBe(true);
+    expect(rec.recovery).toHaveLength(3);
+    expect(rec.recovery[2].used).toBe(false);
+    expect(await findRecoveryCode(code, rec.recovery)).toBe(2);
+  });
+
+  test("should set and clear an account's policy", async () => {
+    const policies = createPolicies(DEFAULT_POLICY_CONFIG);
+    await setPolicy(store, email, "password+totp", policies);
+    expect((await store.get(key)).policy).toBe("password+totp");
+
+    await expect(setPolicy(store, email, "nope", policies)).rejects.toThrow(
+      "Unknown policy: nope"
+    );
+    await setPolicy(store, email, null, policies);
+    expect(await store.get(key)).toEqual(record);
+  });
+
+  test("should delete users", async () => {
+    await deleteUser(store, key);
+    expect(await store.get(key)).toBeNull();
+    await expect(deleteUser(store, email)).rejects.toThrow(`No such user: ${email}`);
+  });
+
+  test("should export the store in the db.json format", async () => {
+    expect(await exportStore(store)).toEqual({
+      [key]: record,
+      "bob@example.com": { saltHex, commitmentHex: "0x5" },
+    });
+  });
+
+  test("should report invalid records", async () => {
+    expect(await checkStore(store)).toEqual([
+      {
+        key: "bob@example.com",
+        problems: ["legacy record, run npm run migrate -- --upgrade"],
+      },
+    ]);
+  });
+
+  test("should report policies missing from the config", async () => {
+    await store.put(key, { ...record, policy: "retired" });
+
+    expect(await checkStore(store, createPolicies(DEFAULT_POLICY_CONFIG))).toContainEqual({
+      key,
+      problems: ["unknown policy retired"],
+    });
+  });
+});
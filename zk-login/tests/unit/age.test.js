@@ -0,0 +1,67 @@
+import { describe, test, expect } from "@jest/globals";
+import {
+  ageCutoff,
+  createAgeCredential,
+  formatAgeCredential,
+  parseAgeCredential,
+  parseBirthDate,
+} from "../../utils/age.js";
+
+describe("Age Utils", () => {
+  describe("parseBirthDate", () => {
+    test("should turn YYYY-MM-DD into a YYYYMMDD number", () => {
+      expect(parseBirthDate("2001-04-23")).toBe(20010423);
+      expect(parseBirthDate(" 2000-02-29 ")).toBe(20000229);
+    });
+
+    test.each(["2001-02-29", "2001-13-01", "2001-4-23", "23.04.2001", "", undefined])(
+      "should reject %p",
+      (value) => {
+        expect(() => parseBirthDate(value)).toThrow("Invalid date");
+      }
+    );
+  });
+
+  describe("ageCutoff", () => {
+    test("should go back minAge years from the UTC day", () => {
+      expect(ageCutoff(18, Date.UTC(2026, 9, 18, 23, 59))).toBe(20081018);
+      expect(ageCutoff(21, Date.UTC(2026, 0, 1))).toBe(20050101);
+    });
+
+    test("should let 29 February birthdays come of age on 1 March", () => {
+      const born = parseBirthDate("2008-02-29");
+      expect(born <= ageCutoff(18, Date.UTC(2026, 1, 28))).toBe(false);
+      expect(born <= ageCutoff(18, Date.UTC(2026, 2, 1))).toBe(true);
+    });
+  });
+
+  describe("createAgeCredential", () => {
+    test("should commit to the birth date with a fresh salt", async () => {
+      const a = await createAgeCredential(20010423);
+      const b = await createAgeCredential(20010423);
+
+      expect(a.birthDate).toBe(20010423);
+      expect(a.saltHex).toMatch(/^[0-9a-f]{32}$/);
+      expect(a.commitmentHex).toMatch(/^0x[0-9a-f]+$/);
+      expect(b.commitmentHex).not.toBe(a.commitmentHex);
+      expect(await createAgeCredential(20010423, a.saltHex)).toEqual(a);
+    });
+  });
+
+  describe("formatAgeCredential / parseAgeCredential", () => {
+    test("should round-trip a credential", async () => {
+      const credential = await createAgeCredential(20010423);
+      const text = formatAgeCredential(credential);
+
+      expect(text).toBe(`20010423.${credential.saltHex}`);
+      expect(await parseAgeCredential(` ${text.toUpperCase()} `)).toEqual(credential);
+    });
+
+    test.each(["20010423", "20010230.00112233445566778899aabbccddeeff", "x.y"])(
+      "should reject %p",
+      async (text) => {
+        await expect(parseAgeCredential(text)).rejects.toThrow("Invalid");
+      }
+    );
+  });
+});
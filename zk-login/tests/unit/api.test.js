@@ -1,89 +1,120 @@
-import { describe, test, expect, beforeEach, afterEach } from "@jest/globals";
+import {
+  describe,
+  test,
+  expect,
+  beforeEach,
+  afterEach,
+  jest,
+} from "@jest/globals";
 import request from "supertest";
-import express from "express";
-import cors from "cors";
-import bodyParser from "body-parser";
 import fs from "fs";
+import os from "os";
 import path from "path";
-import { groth16 } from "snarkjs";
-import { createCommitment } from "../../utils/commitment.js";
-import { generateProof } from "../../utils/proof.js";
+import {
+  createCommitment,
+  generateRecoveryCodes,
+  createRecoveryCommitments,
+  normalizeRecoveryCode,
+  hashEmail,
+} from "../../utils/commitment.js";
+import {
+  generateProof,
+  generateEmailProof,
+  generateTotpProof,
+  generateAgeProof,
+} from "../../utils/proof.js";
+import { DEFAULT_KDF, PLAIN_KDF, checkKdf } from "../../utils/kdf.js";
+import {
+  generateTotpSecret,
+  createTotpCommitment,
+  currentTimeStep,
+} from "../../utils/totp.js";
+import { createMemoryStore } from "../../server/store/memory.js";
+import { FIELD_ORDER, RECORD_VERSION } from "../../server/records.js";
+import { forcePasswordReset, setDisabled } from "../../server/admin.js";
+import { SHAPES_REFRESH_MS } from "../../server/decoy.js";
+import { openapi } from "../../server/openapi.js";
+import { DEFAULT_VERSION, createVerifierKeys } from "../../server/vkeys.js";
+import { createPolicies, loadPolicyConfig } from "../../server/policies.js";
+import { ageCutoff, createAgeCredential } from "../../utils/age.js";
+import { createAuditLog } from "../../server/audit.js";
+import { createDeviceKey, signDeviceChallenge } from "../../utils/device.js";
+import { METRICS_CONTENT_TYPE } from "../../server/metrics.js";
+import { CIRCUITS, createApp } from "../../server/app.js";
+
+// Passes the request schemas, but no verifier accepts it
+const BOGUS_PROOF = {
+  pi_a: ["1", "2", "1"],
+  pi_b: [
+    ["1", "0"],
+    ["1", "0"],
+    ["1", "0"],
+  ],
+  pi_c: ["1", "2", "1"],
+  protocol: "groth16",
+  curve: "bn128",
+};
+
+// What /loginData adds for accounts under the fixture's default policy
+const PASSWORD_POLICY = { policy: { proofs: ["password"] } };
+
+// The 400 body for a request that fails schema validation at `paths`
+const invalidRequest = (...paths) => ({
+  ok: false,
+  code: "INVALID_REQUEST",
+  errors: expect.arrayContaining(
+    paths.map((path) => expect.objectContaining({ path }))
+  ),
+});
+
+const vkeys = createVerifierKeys({ dir: path.resolve("keys"), circuits: CIRCUITS });
+const policies = createPolicies(loadPolicyConfig("tests/fixtures/policies.json"));
 
 describe("API Endpoints", () => {
   let app;
-  let testDbPath;
+  let store;
   let originalEnv;
+  let audit;
+  let auditPath;
+  // The app's clock, in ms: tests move it instead of mocking Date.now
+  let now;
+
+  // The audit log entries written so far
+  const auditEntries = () =>
+    fs
+      .readFileSync(auditPath, "utf8")
+      .split("\n")
+      .filter(Boolean)
+      .map((line) => JSON.parse(line));
 
   beforeEach(() => {
     // Save original environment
     originalEnv = process.env.NODE_ENV;
     process.env.NODE_ENV = "test";
+    auditPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "zk-login-audit-")), "audit.log");
 
-    // Create test database path
-    testDbPath = path.resolve("tests/fixtures/test_db.json");
-
-    // Setup Express app (copy from server/index.js but with test modifications)
-    app = express();
-    app.use(cors());
-    app.use(bodyParser.json());
-
-    let db = {};
-    function saveDB() {
-      fs.writeFileSync(testDbPath, JSON.stringify(db, null, 2));
-    }
-
-    // Load test verification key
-    const VKEY_PATH = path.resolve("keys/verification_key.json");
-
-    // Signup endpoint
-    app.post("/signup", (req, res) => {
-      const { email, saltHex, commitmentHex } = req.body;
-      if (!email || !saltHex || !commitmentHex) {
-        return res.status(400).send("Missing fields");
-      }
-      db[email] = { saltHex, commitmentHex };
-      saveDB();
-      res.json({ ok: true });
-    });
-
-    // Fetch login data endpoint
-    app.get("/loginData", (req, res) => {
-      const { email } = req.query;
-      const rec = db[email];
-      if (!rec) return res.status(404).send("User not found");
-      res.json({ ...rec });
-    });
-
-    // Login endpoint
-    app.post("/login", async (req, res) => {
-      const { email, proof, publicSignals } = req.body;
-      const rec = db[email];
-      if (!rec) return res.status(404).send("User not found");
-
-      if (!fs.existsSync(VKEY_PATH)) {
-        return res.status(500).send("Server missing verification key");
-      }
-      const vKey = JSON.parse(fs.readFileSync(VKEY_PATH));
-
-      try {
-        const ok = await groth16.verify(vKey, publicSignals, proof);
-        if (!ok) return res.status(401).send("Proof invalid");
-        res.json({ token: "test-jwt-token", ok: true });
-      } catch (e) {
-        console.error(e);
-        res.status(500).send("Verification error");
-      }
+    now = Date.now();
+    const clock = () => now;
+    store = createMemoryStore();
+    audit = createAuditLog({ path: auditPath, now: clock });
+    app = createApp({
+      store,
+      vkeys,
+      policies,
+      audit,
+      secret: "test-session-secret",
+      metricsToken: "test-metrics-token",
+      clock,
     });
   });
 
   afterEach(() => {
+    jest.restoreAllMocks();
+    audit.close();
+    fs.rmSync(path.dirname(auditPath), { recursive: true, force: true });
+
     // Restore environment
     process.env.NODE_ENV = originalEnv;
-
-    // Clean up test database
-    if (fs.existsSync(testDbPath)) {
-      fs.unlinkSync(testDbPath);
-    }
   });
 
   describe("POST /signup", () => {
@@ -109,7 +140,7 @@ describe("API Endpoints", () => {
       });
 
       expect(response.status).toBe(400);
-      expect(response.text).toBe("Missing fields");
+      expect(response.body).toEqual(invalidRequest("/body/email"));
     });
 
     test("should reject signup with missing saltHex", async () => {
@@ -121,7 +152,7 @@ describe("API Endpoints", () => {
       });
 
       expect(response.status).toBe(400);
-      expect(response.text).toBe("Missing fields");
+      expect(response.body).toEqual(invalidRequest("/body/saltHex"));
     });
 
     test("should reject signup with missing commitmentHex", async () => {
@@ -133,7 +164,61 @@ describe("API Endpoints", () => {
       });
 
       expect(response.status).toBe(400);
-      expect(response.text).toBe("Missing fields");
+      expect(response.body).toEqual(invalidRequest("/body/commitmentHex"));
+    });
+
+    test.each([
+      ["a short salt", { saltHex: "abc" }, "/body/saltHex"],
+      ["a commitment without 0x", { commitmentHex: "1234" }, "/body/commitmentHex"],
+      [
+        "a legacy byte-list commitment",
+        { commitmentHex: "0x181,1,226,71" },
+        "/body/commitmentHex",
+      ],
+      [
+        "a commitment outside the field",
+        { commitmentHex: "0x" + "f".repeat(64) },
+        "/body/commitmentHex",
+      ],
+      [
+        "a malformed recovery code",
+        { recovery: [{ saltHex: "ab".repeat(16), commitmentHex: "oops" }] },
+        "/body/recovery/0/commitmentHex",
+      ],
+      [
+        "a malformed TOTP commitment",
+        { totp: { saltHex: "ab", commitmentHex: "0x1" } },
+        "/body/totp/saltHex",
+      ],
+      ["a non-string email", { email: ["a@example.com"] }, "/body/email"],
+    ])("should reject signup with %s", async (_, override, path) => {
+      const response = await request(app)
+        .post("/signup")
+        .send({
+          email: "test@example.com",
+          saltHex: "ab".repeat(16),
+          commitmentHex: "0x1234",
+          ...override,
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual(invalidRequest(path));
+      expect(await store.list()).toEqual([]);
+    });
+
+    test("should store a versioned record", async () => {
+      const commitment = await createCommitment("testpassword");
+      await request(app)
+        .post("/signup")
+        .send({ email: "test@example.com", ...commitment });
+
+      expect(await store.get(await hashEmail("test@example.com"))).toEqual({
+        v: RECORD_VERSION,
+        saltHex: commitment.saltHex,
+        commitmentHex: commitment.commitmentHex,
+        kdf: DEFAULT_KDF,
+        recovery: [],
+      });
     });
 
     test("should handle duplicate email signups", async () => {
@@ -145,16 +230,54 @@ describe("API Endpoints", () => {
         saltHex,
         commitmentHex,
       });
+      const emailHash = await hashEmail("test@example.com");
+      const original = await store.get(emailHash);
 
       // Second signup with same email
-      const response = await request(app).post("/signup").send({
-        email: "test@example.com",
-        saltHex: "differentsalt",
-        commitmentHex: "differentcommitment",
-      });
+      const response = await request(app)
+        .post("/signup")
+        .send({
+          email: "test@example.com",
+          ...(await createCommitment("differentpassword")),
+        });
 
       expect(response.status).toBe(200);
       expect(response.body).toEqual({ ok: true });
+      expect(await store.get(emailHash)).toEqual(original);
+      expect(auditEntries().map((entry) => entry.event)).toEqual([
+        "signup",
+        "signup.existing",
+      ]);
+      expect(auditEntries().at(-1)).toEqual(expect.objectContaining({ emailHash }));
+    });
+
+    test("should not overwrite an account through another case of its email", async () => {
+      const commitment = await createCommitment("testpassword");
+      await request(app)
+        .post("/signup")
+        .send({ email: "test@example.com", ...commitment });
+
+      const response = await request(app)
+        .post("/signup")
+        .send({ email: " Test@Example.COM", ...(await createCommitment("takeover")) });
+
+      expect(response.body).toEqual({ ok: true });
+      expect((await store.get(await hashEmail("test@example.com"))).commitmentHex).toBe(
+        commitment.commitmentHex
+      );
+    });
+
+    test("should not shadow a legacy account keyed by its plaintext email", async () => {
+      const legacy = await createCommitment("testpassword", undefined, PLAIN_KDF);
+      await store.put("legacy@example.com", legacy);
+
+      const response = await request(app)
+        .post("/signup")
+        .send({ email: "legacy@example.com", ...(await createCommitment("takeover")) });
+
+      expect(response.body).toEqual({ ok: true });
+      expect(await store.get(await hashEmail("legacy@example.com"))).toBeNull();
+      expect(await store.get("legacy@example.com")).toEqual(legacy);
     });
   });
 
@@ -178,23 +301,32 @@ describe("API Endpoints", () => {
       expect(response.body).toEqual({
         saltHex,
         commitmentHex,
+        kdf: DEFAULT_KDF,
+        ...PASSWORD_POLICY,
       });
     });
 
-    test("should return 404 for non-existent user", async () => {
-      const response = await request(app)
-        .get("/loginData")
-        .query({ email: "nonexistent@example.com" });
+    test("should return stable decoy data for non-existent users", async () => {
+      const lookup = (email) =>
+        request(app).get("/loginData").query({ email });
+      const response = await lookup("nonexistent@example.com");
 
-      expect(response.status).toBe(404);
-      expect(response.text).toBe("User not found");
+      expect(response.status).toBe(200);
+      expect(response.body.saltHex).toMatch(/^[0-9a-f]{32}$/);
+      expect(response.body.commitmentHex).toMatch(/^0x[0-9a-f]+$/);
+      expect((await lookup("nonexistent@example.com")).body).toEqual(
+        response.body
+      );
+      expect((await lookup("other@example.com")).body.saltHex).not.toBe(
+        response.body.saltHex
+      );
     });
 
     test("should handle missing email parameter", async () => {
       const response = await request(app).get("/loginData");
 
-      expect(response.status).toBe(404);
-      expect(response.text).toBe("User not found");
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual(invalidRequest("/query/email"));
     });
   });
 
@@ -216,11 +348,18 @@ describe("API Endpoints", () => {
       });
     });
 
+    async function getNonce(email = testEmail) {
+      const response = await request(app).get("/challenge").query({ email });
+      return response.body.nonce;
+    }
+
     test("should successfully login with valid proof", async () => {
-      const { proof, publicSignals } = await generateProof(
+      const { proof, publicSignals } = await generateEmailProof(
+        testEmail,
         testPassword,
         testSaltHex,
-        testCommitmentHex
+        testCommitmentHex,
+        await getNonce()
       );
 
       const response = await request(app).post("/login").send({
@@ -231,13 +370,16 @@ describe("API Endpoints", () => {
 
       expect(response.status).toBe(200);
       expect(response.body).toEqual({
-        token: "test-jwt-token",
         ok: true,
+        token: expect.any(String),
+        refreshToken: expect.any(String),
+        expiresIn: 15 * 60,
       });
     }, 30000);
 
     test("should reject login for non-existent user", async () => {
-      const { proof, publicSignals } = await generateProof(
+      const { proof, publicSignals } = await generateEmailProof(
+        testEmail,
         testPassword,
         testSaltHex,
         testCommitmentHex
@@ -249,9 +391,10 @@ describe("API Endpoints", () => {
         publicSignals,
       });
 
-      expect(response.status).toBe(404);
-      expect(response.text).toBe("User not found");
-    });
+      // Same answer as for a registered account, so emails can't be probed
+      expect(response.status).toBe(401);
+      expect(response.body).toEqual({ ok: false, code: "COMMITMENT_MISMATCH" });
+    }, 30000);
 
     test("should reject login with invalid proof", async () => {
       const fakeProof = {
@@ -264,7 +407,12 @@ describe("API Endpoints", () => {
         pi_c: ["0", "0", "1"],
         protocol: "groth16",
       };
-      const fakePublicSignals = ["0"];
+      const fakePublicSignals = [
+        "1",
+        BigInt(testCommitmentHex).toString(),
+        BigInt(await hashEmail(testEmail)).toString(),
+        await getNonce(),
+      ];
 
       const response = await request(app).post("/login").send({
         email: testEmail,
@@ -273,7 +421,7 @@ describe("API Endpoints", () => {
       });
 
       expect(response.status).toBe(401);
-      expect(response.text).toBe("Proof invalid");
+      expect(response.body).toEqual({ ok: false, code: "PROOF_INVALID" });
     });
 
     test("should handle missing proof data", async () => {
@@ -281,26 +429,2169 @@ describe("API Endpoints", () => {
         email: testEmail,
       });
 
-      expect(response.status).toBe(500);
-      expect(response.text).toBe("Verification error");
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual(
+        invalidRequest("/body/proof", "/body/publicSignals")
+      );
     });
-  });
 
-  describe("Error Handling", () => {
-    test("should handle malformed JSON", async () => {
+    test("should accept a proof declaring the default circuit version", async () => {
+      const { proof, publicSignals } = await generateEmailProof(
+        testEmail,
+        testPassword,
+        testSaltHex,
+        testCommitmentHex,
+        await getNonce()
+      );
+
       const response = await request(app)
-        .post("/signup")
-        .set("Content-Type", "application/json")
-        .send('{"invalid": json}');
+        .post("/login")
+        .send({ email: testEmail, proof, publicSignals, circuitVersion: DEFAULT_VERSION });
+
+      expect(response.status).toBe(200);
+    }, 30000);
+
+    test("should reject a circuit version without a verification key", async () => {
+      const response = await request(app)
+        .post("/login")
+        .send({
+          email: testEmail,
+          proof: BOGUS_PROOF,
+          publicSignals: ["1", "0", "0", "0"],
+          circuitVersion: "2",
+        });
 
       expect(response.status).toBe(400);
+      expect(response.body).toEqual({ ok: false, code: "CIRCUIT_VERSION_UNKNOWN" });
     });
 
-    test("should handle empty request body", async () => {
-      const response = await request(app).post("/signup").send({});
+    test("should list the loaded circuit versions", async () => {
+      const response = await request(app).get("/circuits");
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({
+        circuits: {
+          pwd_login: { versions: ["1"] },
+          pwd_email_login: { versions: ["1"] },
+          pwd_totp_login: { versions: ["1"] },
+          age_over: { versions: ["1"] },
+        },
+      });
+    });
+
+    test("should reject public signals of the wrong circuit", async () => {
+      const response = await request(app)
+        .post("/login")
+        .send({
+          email: testEmail,
+          proof: BOGUS_PROOF,
+          publicSignals: ["1", "0", "0"],
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ ok: false, code: "MALFORMED_SIGNALS" });
+    });
+
+    test.each([
+      ["a public signal outside the field", {}, FIELD_ORDER.toString(), "/body/publicSignals/1"],
+      ["a hex public signal", {}, "0x1", "/body/publicSignals/1"],
+      ["a proof without pi_b", { pi_b: undefined }, "0", "/body/proof/pi_b"],
+      ["a short pi_c", { pi_c: ["1", "2"] }, "0", "/body/proof/pi_c"],
+      ["another proof system", { protocol: "plonk" }, "0", "/body/proof/protocol"],
+    ])("should reject %s", async (_, override, signal, path) => {
+      const response = await request(app)
+        .post("/login")
+        .send({
+          email: testEmail,
+          proof: { ...BOGUS_PROOF, ...override },
+          publicSignals: ["1", signal, "0", "0"],
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual(invalidRequest(path));
+    });
+
+    test("should expose the commitment, email hash and nonce as public signals with ok = 1", async () => {
+      const nonce = await getNonce();
+      const { publicSignals } = await generateEmailProof(
+        testEmail,
+        testPassword,
+        testSaltHex,
+        testCommitmentHex,
+        nonce
+      );
+
+      expect(publicSignals).toEqual([
+        "1",
+        BigInt(testCommitmentHex).toString(),
+        BigInt(await hashEmail(testEmail)).toString(),
+        nonce,
+      ]);
+    }, 30000);
+
+    test("should reject a valid proof replayed against another account", async () => {
+      const victimEmail = "victim@example.com";
+      const victim = await createCommitment("victimpassword");
+      await request(app).post("/signup").send({
+        email: victimEmail,
+        saltHex: victim.saltHex,
+        commitmentHex: victim.commitmentHex,
+      });
+
+      // Attacker proves knowledge of their *own* password...
+      const { proof, publicSignals } = await generateEmailProof(
+        testEmail,
+        testPassword,
+        testSaltHex,
+        testCommitmentHex,
+        await getNonce(victimEmail)
+      );
+
+      // ...and submits it for the victim's email
+      const response = await request(app).post("/login").send({
+        email: victimEmail,
+        proof,
+        publicSignals,
+      });
+
+      expect(response.status).toBe(401);
+      expect(response.body).toEqual({ ok: false, code: "COMMITMENT_MISMATCH" });
+    }, 30000);
+
+    test("should reject a replayed proof with the victim's commitment swapped in", async () => {
+      const victimEmail = "victim@example.com";
+      const victim = await createCommitment("victimpassword");
+      await request(app).post("/signup").send({
+        email: victimEmail,
+        saltHex: victim.saltHex,
+        commitmentHex: victim.commitmentHex,
+      });
+
+      const { proof, publicSignals } = await generateEmailProof(
+        testEmail,
+        testPassword,
+        testSaltHex,
+        testCommitmentHex,
+        await getNonce(victimEmail)
+      );
+
+      const response = await request(app)
+        .post("/login")
+        .send({
+          email: victimEmail,
+          proof,
+          publicSignals: [
+            publicSignals[0],
+            BigInt(victim.commitmentHex).toString(),
+            BigInt(await hashEmail(victimEmail)).toString(),
+            publicSignals[3],
+          ],
+        });
+
+      expect(response.status).toBe(401);
+      expect(response.body).toEqual({ ok: false, code: "PROOF_INVALID" });
+    }, 30000);
+
+    test("should not produce a proof for the wrong password", async () => {
+      await expect(
+        generateEmailProof(testEmail, "wrongpassword", testSaltHex, testCommitmentHex)
+      ).rejects.toThrow();
+    }, 30000);
+
+    test("should reject public signals with ok = 0", async () => {
+      const nonce = await getNonce();
+      const { proof, publicSignals } = await generateEmailProof(
+        testEmail,
+        testPassword,
+        testSaltHex,
+        testCommitmentHex,
+        nonce
+      );
+
+      const response = await request(app)
+        .post("/login")
+        .send({
+          email: testEmail,
+          proof,
+          publicSignals: ["0", ...publicSignals.slice(1)],
+        });
+
+      expect(response.status).toBe(401);
+      expect(response.body).toEqual({ ok: false, code: "NOT_OK" });
+    }, 30000);
+
+    test("should issue distinct challenges", async () => {
+      const first = await request(app)
+        .get("/challenge")
+        .query({ email: testEmail });
+      const second = await request(app)
+        .get("/challenge")
+        .query({ email: testEmail });
+
+      expect(first.status).toBe(200);
+      expect(typeof first.body.nonce).toBe("string");
+      expect(first.body.expiresAt).toBeGreaterThan(now);
+      expect(first.body.nonce).not.toBe(second.body.nonce);
+    });
+
+    test("should require an email to issue a challenge", async () => {
+      const response = await request(app).get("/challenge");
 
       expect(response.status).toBe(400);
-      expect(response.text).toBe("Missing fields");
+      expect(response.body).toEqual(invalidRequest("/query/email"));
+    });
+
+    test("should reject a proof for a nonce that was never issued", async () => {
+      const { proof, publicSignals } = await generateEmailProof(
+        testEmail,
+        testPassword,
+        testSaltHex,
+        testCommitmentHex,
+        "12345"
+      );
+
+      const response = await request(app).post("/login").send({
+        email: testEmail,
+        proof,
+        publicSignals,
+      });
+
+      expect(response.status).toBe(401);
+      expect(response.body).toEqual({ ok: false, code: "CHALLENGE_INVALID" });
+    }, 30000);
+
+    test("should reject a captured proof replayed a second time", async () => {
+      const { proof, publicSignals } = await generateEmailProof(
+        testEmail,
+        testPassword,
+        testSaltHex,
+        testCommitmentHex,
+        await getNonce()
+      );
+
+      const first = await request(app)
+        .post("/login")
+        .send({ email: testEmail, proof, publicSignals });
+      const replay = await request(app)
+        .post("/login")
+        .send({ email: testEmail, proof, publicSignals });
+
+      expect(first.status).toBe(200);
+      expect(replay.status).toBe(401);
+      expect(replay.body).toEqual({ ok: false, code: "CHALLENGE_INVALID" });
+    }, 30000);
+
+    test("should reject a proof whose nonce was swapped for a fresh one", async () => {
+      const { proof, publicSignals } = await generateEmailProof(
+        testEmail,
+        testPassword,
+        testSaltHex,
+        testCommitmentHex,
+        await getNonce()
+      );
+
+      const response = await request(app)
+        .post("/login")
+        .send({
+          email: testEmail,
+          proof,
+          publicSignals: [...publicSignals.slice(0, 3), await getNonce()],
+        });
+
+      expect(response.status).toBe(401);
+      expect(response.body).toEqual({ ok: false, code: "PROOF_INVALID" });
+    }, 30000);
+
+    test("should reject a challenge issued for another email", async () => {
+      const { proof, publicSignals } = await generateEmailProof(
+        testEmail,
+        testPassword,
+        testSaltHex,
+        testCommitmentHex,
+        await getNonce("someone-else@example.com")
+      );
+
+      const response = await request(app).post("/login").send({
+        email: testEmail,
+        proof,
+        publicSignals,
+      });
+
+      expect(response.status).toBe(401);
+      expect(response.body).toEqual({ ok: false, code: "CHALLENGE_INVALID" });
+    }, 30000);
+
+    test("should reject an expired challenge", async () => {
+      const nonce = await getNonce();
+      const { proof, publicSignals } = await generateEmailProof(
+        testEmail,
+        testPassword,
+        testSaltHex,
+        testCommitmentHex,
+        nonce
+      );
+
+      now += 3 * 60 * 1000;
+
+      const response = await request(app).post("/login").send({
+        email: testEmail,
+        proof,
+        publicSignals,
+      });
+
+      expect(response.status).toBe(401);
+      expect(response.body).toEqual({ ok: false, code: "CHALLENGE_EXPIRED" });
+    }, 30000);
+  });
+
+  describe("Email binding", () => {
+    const testEmail = "test@example.com";
+    const testPassword = "testpassword123";
+    let commitment;
+
+    beforeEach(async () => {
+      commitment = await createCommitment(testPassword);
+      await request(app)
+        .post("/signup")
+        .send({ email: testEmail, ...commitment });
+    });
+
+    async function proveAs(email, challengeEmail = testEmail) {
+      const { body: challenge } = await request(app)
+        .get("/challenge")
+        .query({ email: challengeEmail });
+      return generateEmailProof(
+        email,
+        testPassword,
+        commitment.saltHex,
+        commitment.commitmentHex,
+        challenge.nonce
+      );
+    }
+
+    test("should store records under the email hash only", async () => {
+      expect(await store.get(await hashEmail(testEmail))).toEqual(
+        expect.objectContaining(commitment)
+      );
+      expect(await store.get(testEmail)).toBeNull();
+      expect((await store.list()).map((u) => u.email)).toEqual([
+        await hashEmail(testEmail),
+      ]);
+    });
+
+    test("should find the account whatever the email's case", async () => {
+      const response = await request(app)
+        .get("/loginData")
+        .query({ email: " Test@Example.COM " });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ ...commitment, ...PASSWORD_POLICY });
+    });
+
+    test("should reject a proof bound to another email", async () => {
+      const response = await request(app)
+        .post("/login")
+        .send({ email: testEmail, ...(await proveAs("attacker@example.com")) });
+
+      expect(response.status).toBe(401);
+      expect(response.body).toEqual({ ok: false, code: "COMMITMENT_MISMATCH" });
+    }, 30000);
+
+    test("should still log in accounts stored under a plaintext email", async () => {
+      const legacyEmail = "legacy@example.com";
+      await store.put(legacyEmail, commitment);
+
+      const response = await request(app)
+        .post("/login")
+        .send({
+          email: legacyEmail,
+          ...(await proveAs(legacyEmail, legacyEmail)),
+        });
+
+      expect(response.status).toBe(200);
+    }, 30000);
+  });
+
+  describe("Password KDF", () => {
+    const testEmail = "test@example.com";
+    const testPassword = "testpassword123";
+    const pbkdf2 = { v: 2, alg: "pbkdf2", hash: "SHA-256", iterations: 100_000 };
+
+    async function login(email, password, loginData) {
+      const { body: challenge } = await request(app)
+        .get("/challenge")
+        .query({ email });
+      const proof = await generateEmailProof(
+        email,
+        password,
+        loginData.saltHex,
+        loginData.commitmentHex,
+        challenge.nonce,
+        { kdf: loginData.kdf }
+      );
+      return request(app).post("/login").send({ email, ...proof });
+    }
+
+    test("should store the signup's KDF and return it with the login data", async () => {
+      const commitment = await createCommitment(testPassword, undefined, pbkdf2);
+      await request(app)
+        .post("/signup")
+        .send({ email: testEmail, ...commitment });
+
+      const { body: loginData } = await request(app)
+        .get("/loginData")
+        .query({ email: testEmail });
+      expect(loginData.kdf).toEqual(pbkdf2);
+
+      const response = await login(testEmail, testPassword, loginData);
+      expect(response.status).toBe(200);
+    }, 30000);
+
+    test.each([
+      ["v1", PLAIN_KDF],
+      ["an unknown algorithm", { v: 2, alg: "md5" }],
+      ["too few iterations", { ...pbkdf2, iterations: 1000 }],
+      ["an N that is not a power of two", { ...DEFAULT_KDF, N: 30000 }],
+      ["too much memory", { ...DEFAULT_KDF, N: 2 ** 24 }],
+    ])("should reject signup with %s", async (_, kdf) => {
+      const response = await request(app)
+        .post("/signup")
+        .send({ email: testEmail, saltHex: "ab".repeat(16), commitmentHex: "0x1", kdf });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual(
+        invalidRequest(expect.stringMatching(/^\/body\/kdf/))
+      );
+      expect(await store.get(await hashEmail(testEmail))).toBeNull();
+    });
+
+    test("should still log in records without KDF parameters as v1", async () => {
+      const legacy = await createCommitment(testPassword, undefined, PLAIN_KDF);
+      await store.put(await hashEmail(testEmail), {
+        saltHex: legacy.saltHex,
+        commitmentHex: legacy.commitmentHex,
+      });
+
+      const { body: loginData } = await request(app)
+        .get("/loginData")
+        .query({ email: testEmail });
+      expect(loginData.kdf).toEqual(PLAIN_KDF);
+
+      const response = await login(testEmail, testPassword, loginData);
+      expect(response.status).toBe(200);
+    }, 30000);
+
+    test("should upgrade a v1 record on password change", async () => {
+      const legacy = await createCommitment(testPassword, undefined, PLAIN_KDF);
+      await store.put(await hashEmail(testEmail), {
+        saltHex: legacy.saltHex,
+        commitmentHex: legacy.commitmentHex,
+      });
+      const { body: challenge } = await request(app)
+        .get("/challenge")
+        .query({ email: testEmail });
+      const proof = await generateEmailProof(
+        testEmail,
+        testPassword,
+        legacy.saltHex,
+        legacy.commitmentHex,
+        challenge.nonce,
+        { kdf: PLAIN_KDF }
+      );
+
+      const newCommitment = await createCommitment("newpassword456");
+      const response = await request(app)
+        .post("/password/change")
+        .send({ email: testEmail, ...proof, ...newCommitment });
+
+      expect(response.status).toBe(200);
+      expect(await store.get(await hashEmail(testEmail))).toEqual(
+        expect.objectContaining({ kdf: checkKdf(DEFAULT_KDF) })
+      );
+    }, 30000);
+  });
+
+  describe("POST /password/change", () => {
+    const testEmail = "test@example.com";
+    const oldPassword = "oldpassword123";
+    const newPassword = "newpassword456";
+    let oldCommitment;
+
+    beforeEach(async () => {
+      oldCommitment = await createCommitment(oldPassword);
+      await request(app)
+        .post("/signup")
+        .send({ email: testEmail, ...oldCommitment });
+    });
+
+    async function proveOldPassword(password = oldPassword) {
+      const { body: challenge } = await request(app)
+        .get("/challenge")
+        .query({ email: testEmail });
+      return generateEmailProof(
+        testEmail,
+        password,
+        oldCommitment.saltHex,
+        oldCommitment.commitmentHex,
+        challenge.nonce
+      );
+    }
+
+    async function login(password, { saltHex, commitmentHex }) {
+      const { body: challenge } = await request(app)
+        .get("/challenge")
+        .query({ email: testEmail });
+      const { proof, publicSignals } = await generateEmailProof(
+        testEmail,
+        password,
+        saltHex,
+        commitmentHex,
+        challenge.nonce
+      );
+      return request(app)
+        .post("/login")
+        .send({ email: testEmail, proof, publicSignals });
+    }
+
+    test("should swap in the new commitment after a proof of the old password", async () => {
+      const { proof, publicSignals } = await proveOldPassword();
+      const newCommitment = await createCommitment(newPassword);
+
+      const response = await request(app)
+        .post("/password/change")
+        .send({ email: testEmail, proof, publicSignals, ...newCommitment });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ ok: true });
+
+      const loginData = await request(app)
+        .get("/loginData")
+        .query({ email: testEmail });
+      expect(loginData.body).toEqual({ ...newCommitment, ...PASSWORD_POLICY });
+
+      expect((await login(newPassword, newCommitment)).status).toBe(200);
+    }, 60000);
+
+    test("should reject a proof against a commitment that has changed", async () => {
+      const first = await proveOldPassword();
+      const second = await proveOldPassword();
+
+      await request(app)
+        .post("/password/change")
+        .send({
+          email: testEmail,
+          ...first,
+          ...(await createCommitment(newPassword)),
+        });
+
+      // The second proof was made for the old commitment
+      const response = await request(app)
+        .post("/password/change")
+        .send({
+          email: testEmail,
+          ...second,
+          ...(await createCommitment("attackerpassword")),
+        });
+
+      expect(response.status).toBe(401);
+      expect(response.body).toEqual({ ok: false, code: "COMMITMENT_MISMATCH" });
+    }, 60000);
+
+    test("should not change the password without a valid proof", async () => {
+      const { proof, publicSignals } = await proveOldPassword();
+      const newCommitment = await createCommitment(newPassword);
+
+      const response = await request(app)
+        .post("/password/change")
+        .send({
+          email: testEmail,
+          proof: { ...proof, pi_a: proof.pi_c },
+          publicSignals,
+          ...newCommitment,
+        });
+
+      expect(response.status).toBe(401);
+      expect(response.body).toEqual({ ok: false, code: "PROOF_INVALID" });
+
+      const loginData = await request(app)
+        .get("/loginData")
+        .query({ email: testEmail });
+      expect(loginData.body).toEqual({ ...oldCommitment, ...PASSWORD_POLICY });
+    }, 30000);
+
+    test("should require the new salt and commitment", async () => {
+      const { proof, publicSignals } = await proveOldPassword();
+
+      const response = await request(app)
+        .post("/password/change")
+        .send({ email: testEmail, proof, publicSignals });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual(invalidRequest("/body/saltHex", "/body/commitmentHex"));
+    }, 30000);
+
+    test("should answer unknown users like known ones", async () => {
+      const newCommitment = await createCommitment(newPassword);
+      const change = (email) =>
+        request(app)
+          .post("/password/change")
+          .send({
+            email,
+            proof: BOGUS_PROOF,
+            publicSignals: ["1", "0", "0", "0"],
+            ...newCommitment,
+          });
+
+      const unknown = await change("nobody@example.com");
+      const known = await change(testEmail);
+
+      expect(unknown.status).toBe(known.status);
+      expect(unknown.body).toEqual(known.body);
+    });
+  });
+
+  describe("Account recovery", () => {
+    const testEmail = "test@example.com";
+    const newPassword = "recoveredpassword";
+    let codes;
+
+    beforeEach(async () => {
+      codes = generateRecoveryCodes(3);
+      await request(app)
+        .post("/signup")
+        .send({
+          email: testEmail,
+          ...(await createCommitment("forgottenpassword")),
+          recovery: await createRecoveryCommitments(codes),
+        });
+    });
+
+    async function proveRecoveryCode(code, entry) {
+      const { body: challenge } = await request(app)
+        .get("/challenge")
+        .query({ email: testEmail });
+      return generateProof(
+        normalizeRecoveryCode(code),
+        entry.saltHex,
+        entry.commitmentHex,
+        challenge.nonce,
+        { kdf: PLAIN_KDF }
+      );
+    }
+
+    test("should list unused recovery code commitments", async () => {
+      const response = await request(app)
+        .get("/recovery/data")
+        .query({ email: testEmail });
+
+      expect(response.status).toBe(200);
+      expect(response.body.codes).toHaveLength(3);
+      expect(response.body.codes[1]).toEqual({
+        index: 1,
+        saltHex: expect.any(String),
+        commitmentHex: expect.any(String),
+      });
+    });
+
+    test("should not expose recovery data through /loginData", async () => {
+      const response = await request(app)
+        .get("/loginData")
+        .query({ email: testEmail });
+
+      expect(Object.keys(response.body).sort()).toEqual([
+        "commitmentHex",
+        "kdf",
+        "policy",
+        "saltHex",
+      ]);
+    });
+
+    test("should set a new password and burn the code", async () => {
+      const { body } = await request(app)
+        .get("/recovery/data")
+        .query({ email: testEmail });
+      const entry = body.codes[1];
+      const newCommitment = await createCommitment(newPassword);
+
+      const { proof, publicSignals } = await proveRecoveryCode(codes[1], entry);
+      const response = await request(app)
+        .post("/recovery")
+        .send({
+          email: testEmail,
+          index: 1,
+          proof,
+          publicSignals,
+          ...newCommitment,
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ ok: true, remaining: 2 });
+
+      const loginData = await request(app)
+        .get("/loginData")
+        .query({ email: testEmail });
+      expect(loginData.body).toEqual({ ...newCommitment, ...PASSWORD_POLICY });
+
+      const after = await request(app)
+        .get("/recovery/data")
+        .query({ email: testEmail });
+      expect(after.body.codes.map((c) => c.index)).toEqual([0, 2]);
+    }, 30000);
+
+    test("should reject a code that was already used", async () => {
+      const { body } = await request(app)
+        .get("/recovery/data")
+        .query({ email: testEmail });
+      const entry = body.codes[0];
+
+      const first = await proveRecoveryCode(codes[0], entry);
+      await request(app)
+        .post("/recovery")
+        .send({
+          email: testEmail,
+          index: 0,
+          ...first,
+          ...(await createCommitment(newPassword)),
+        });
+
+      const second = await proveRecoveryCode(codes[0], entry);
+      const response = await request(app)
+        .post("/recovery")
+        .send({
+          email: testEmail,
+          index: 0,
+          ...second,
+          ...(await createCommitment("anotherpassword")),
+        });
+
+      expect(response.status).toBe(401);
+      expect(response.body).toEqual({
+        ok: false,
+        code: "RECOVERY_CODE_INVALID",
+      });
+    }, 60000);
+
+    test("should reject a proof for a different code index", async () => {
+      const { body } = await request(app)
+        .get("/recovery/data")
+        .query({ email: testEmail });
+
+      const { proof, publicSignals } = await proveRecoveryCode(
+        codes[0],
+        body.codes[0]
+      );
+      const response = await request(app)
+        .post("/recovery")
+        .send({
+          email: testEmail,
+          index: 2,
+          proof,
+          publicSignals,
+          ...(await createCommitment(newPassword)),
+        });
+
+      expect(response.status).toBe(401);
+      expect(response.body).toEqual({ ok: false, code: "COMMITMENT_MISMATCH" });
+    }, 30000);
+
+    test("should reject an out-of-range index", async () => {
+      const response = await request(app)
+        .post("/recovery")
+        .send({
+          email: testEmail,
+          index: 9,
+          proof: BOGUS_PROOF,
+          publicSignals: ["1", "0", "0"],
+          ...(await createCommitment(newPassword)),
+        });
+
+      expect(response.status).toBe(401);
+      expect(response.body).toEqual({
+        ok: false,
+        code: "RECOVERY_CODE_INVALID",
+      });
+    });
+
+    test("should reject signup with malformed recovery entries", async () => {
+      const response = await request(app)
+        .post("/signup")
+        .send({
+          email: "other@example.com",
+          ...(await createCommitment("password")),
+          recovery: [{ saltHex: "aa" }],
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual(
+        invalidRequest("/body/recovery/0/commitmentHex")
+      );
+    });
+  });
+
+  describe("Sessions", () => {
+    const testEmail = "test@example.com";
+    const testPassword = "testpassword123";
+    let session;
+
+    beforeEach(async () => {
+      const { saltHex, commitmentHex } = await createCommitment(testPassword);
+      await request(app)
+        .post("/signup")
+        .send({ email: testEmail, saltHex, commitmentHex });
+
+      const { body: challenge } = await request(app)
+        .get("/challenge")
+        .query({ email: testEmail });
+      const { proof, publicSignals } = await generateEmailProof(
+        testEmail,
+        testPassword,
+        saltHex,
+        commitmentHex,
+        challenge.nonce
+      );
+      const response = await request(app)
+        .post("/login")
+        .send({ email: testEmail, proof, publicSignals });
+      session = response.body;
+    }, 30000);
+
+    test("GET /me should return the logged-in user", async () => {
+      const response = await request(app)
+        .get("/me")
+        .set("Authorization", `Bearer ${session.token}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({
+        ok: true,
+        email: testEmail,
+        expiresAt: expect.any(Number),
+      });
+    });
+
+    test("GET /me should require a session", async () => {
+      const response = await request(app).get("/me");
+
+      expect(response.status).toBe(401);
+      expect(response.body).toEqual({ ok: false, code: "SESSION_MISSING" });
+    });
+
+    test("POST /refresh should issue a new session once per refresh token", async () => {
+      const refreshed = await request(app)
+        .post("/refresh")
+        .send({ refreshToken: session.refreshToken });
+      const reused = await request(app)
+        .post("/refresh")
+        .send({ refreshToken: session.refreshToken });
+
+      expect(refreshed.status).toBe(200);
+      expect(refreshed.body.token).not.toBe(session.token);
+      expect(reused.status).toBe(401);
+      expect(reused.body).toEqual({ ok: false, code: "SESSION_REVOKED" });
+
+      const me = await request(app)
+        .get("/me")
+        .set("Authorization", `Bearer ${refreshed.body.token}`);
+      expect(me.status).toBe(200);
+    });
+
+    test("POST /refresh should require a refresh token", async () => {
+      const response = await request(app).post("/refresh").send({});
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual(invalidRequest("/body/refreshToken"));
+    });
+
+    test("POST /logout should revoke the access and refresh tokens", async () => {
+      const logout = await request(app)
+        .post("/logout")
+        .set("Authorization", `Bearer ${session.token}`)
+        .send({ refreshToken: session.refreshToken });
+      expect(logout.status).toBe(200);
+      expect(logout.body).toEqual({ ok: true });
+
+      const me = await request(app)
+        .get("/me")
+        .set("Authorization", `Bearer ${session.token}`);
+      expect(me.status).toBe(401);
+      expect(me.body).toEqual({ ok: false, code: "SESSION_REVOKED" });
+
+      const refreshed = await request(app)
+        .post("/refresh")
+        .send({ refreshToken: session.refreshToken });
+      expect(refreshed.status).toBe(401);
+      expect(refreshed.body).toEqual({ ok: false, code: "SESSION_REVOKED" });
+    });
+  });
+
+  describe("Account deletion and export", () => {
+    const testEmail = "leaving@example.com";
+    const testPassword = "testpassword123";
+    let commitment, session;
+
+    async function login(email = testEmail) {
+      const { body: challenge } = await request(app)
+        .get("/challenge")
+        .query({ email });
+      const { proof, publicSignals } = await generateEmailProof(
+        email,
+        testPassword,
+        commitment.saltHex,
+        commitment.commitmentHex,
+        challenge.nonce
+      );
+      const response = await request(app)
+        .post("/login")
+        .send({ email, proof, publicSignals });
+      return response.body;
+    }
+
+    const exportAccount = (token = session.token) =>
+      request(app).get("/account/export").set("Authorization", `Bearer ${token}`);
+    const deleteAccount = (token = session.token) =>
+      request(app).delete("/account").set("Authorization", `Bearer ${token}`);
+
+    beforeEach(async () => {
+      commitment = await createCommitment(testPassword);
+      await request(app)
+        .post("/signup")
+        .send({ email: testEmail, ...commitment });
+      session = await login();
+    }, 30000);
+
+    test("should export the stored record and audit log as a download", async () => {
+      const emailHash = await hashEmail(testEmail);
+      const response = await exportAccount();
+
+      expect(response.status).toBe(200);
+      expect(response.headers["content-disposition"]).toBe(
+        'attachment; filename="zk-login-account.json"'
+      );
+      expect(response.body).toEqual({
+        exportedAt: new Date(now).toISOString(),
+        email: testEmail,
+        emailHash,
+        record: await store.get(emailHash),
+        auditLog: [
+          expect.objectContaining({ event: "signup", emailHash }),
+          expect.objectContaining({ event: "login", emailHash }),
+        ],
+      });
+      expect(response.body.record.commitmentHex).toBe(commitment.commitmentHex);
+      expect(auditEntries().at(-1)).toMatchObject({
+        event: "account.export",
+        outcome: "success",
+      });
+    }, 30000);
+
+    test("should delete the account and revoke its sessions", async () => {
+      const other = await login();
+      const response = await deleteAccount();
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ ok: true });
+      expect(await store.list()).toEqual([]);
+      expect(auditEntries().at(-1)).toMatchObject({
+        event: "account.delete",
+        outcome: "success",
+        emailHash: await hashEmail(testEmail),
+      });
+
+      for (const token of [session.token, other.token]) {
+        const me = await request(app).get("/me").set("Authorization", `Bearer ${token}`);
+        expect(me.body).toEqual({ ok: false, code: "SESSION_REVOKED" });
+      }
+      const refreshed = await request(app)
+        .post("/refresh")
+        .send({ refreshToken: other.refreshToken });
+      expect(refreshed.body).toEqual({ ok: false, code: "SESSION_REVOKED" });
+
+      // The email is unknown now, so it gets a decoy
+      const { body: loginData } = await request(app)
+        .get("/loginData")
+        .query({ email: testEmail });
+      expect(loginData.commitmentHex).not.toBe(commitment.commitmentHex);
+    }, 30000);
+
+    test("should revoke sessions logged in with another case of the email", async () => {
+      const shouted = await login("LEAVING@Example.com");
+      expect(shouted.ok).toBe(true);
+
+      expect((await deleteAccount()).status).toBe(200);
+      // Whoever signs the address up again must not inherit the old session
+      commitment = await createCommitment(testPassword);
+      await request(app)
+        .post("/signup")
+        .send({ email: testEmail, ...commitment });
+
+      const refreshed = await request(app)
+        .post("/refresh")
+        .send({ refreshToken: shouted.refreshToken });
+      expect(refreshed.body).toEqual({ ok: false, code: "SESSION_REVOKED" });
+      const me = await request(app)
+        .get("/me")
+        .set("Authorization", `Bearer ${shouted.token}`);
+      expect(me.body).toEqual({ ok: false, code: "SESSION_REVOKED" });
+    }, 30000);
+
+    test("should let the email sign up again after deletion", async () => {
+      await deleteAccount();
+      commitment = await createCommitment(testPassword);
+      await request(app)
+        .post("/signup")
+        .send({ email: testEmail, ...commitment });
+
+      const again = await login();
+      const me = await request(app)
+        .get("/me")
+        .set("Authorization", `Bearer ${again.token}`);
+      expect(me.status).toBe(200);
+    }, 30000);
+
+    test("should require a login from the last five minutes", async () => {
+      now += 5 * 60 * 1000;
+      // Refreshing keeps the time of the login
+      const { body: refreshed } = await request(app)
+        .post("/refresh")
+        .send({ refreshToken: session.refreshToken });
+
+      for (const response of [
+        await exportAccount(refreshed.token),
+        await deleteAccount(refreshed.token),
+      ]) {
+        expect(response.status).toBe(403);
+        expect(response.body).toEqual({ ok: false, code: "FRESH_LOGIN_REQUIRED" });
+      }
+      expect(await store.get(await hashEmail(testEmail))).not.toBeNull();
+
+      const fresh = await login();
+      expect((await deleteAccount(fresh.token)).status).toBe(200);
+    }, 30000);
+
+    test("should require a session", async () => {
+      for (const response of [
+        await request(app).get("/account/export"),
+        await request(app).delete("/account"),
+      ]) {
+        expect(response.status).toBe(401);
+        expect(response.body).toEqual({ ok: false, code: "SESSION_MISSING" });
+      }
+    });
+
+    test("should refuse a disabled account", async () => {
+      await setDisabled(store, testEmail, true);
+
+      for (const response of [await exportAccount(), await deleteAccount()]) {
+        expect(response.status).toBe(403);
+        expect(response.body).toEqual({ ok: false, code: "ACCOUNT_DISABLED" });
+      }
+      expect(await store.get(await hashEmail(testEmail))).not.toBeNull();
+    });
+  });
+
+  describe("Device keys", () => {
+    const testEmail = "devices@example.com";
+    const testPassword = "testpassword123";
+    let commitment, codes, session, deviceKey;
+
+    const registerDevice = (publicKey = deviceKey.publicKey, token = session.token) =>
+      request(app)
+        .post("/devices")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ name: "Laptop", publicKey });
+    const listDevices = (token = session.token) =>
+      request(app).get("/devices").set("Authorization", `Bearer ${token}`);
+
+    async function deviceLogin(deviceId, privateKey = deviceKey.keyPair.privateKey) {
+      const { body: challenge } = await request(app)
+        .get("/challenge")
+        .query({ email: testEmail });
+      return request(app)
+        .post("/login/device")
+        .send({
+          email: testEmail,
+          deviceId,
+          nonce: challenge.nonce,
+          signature: await signDeviceChallenge(privateKey, challenge.nonce),
+        });
+    }
+
+    async function provePassword(password = testPassword) {
+      const { body: challenge } = await request(app)
+        .get("/challenge")
+        .query({ email: testEmail });
+      return generateEmailProof(
+        testEmail,
+        password,
+        commitment.saltHex,
+        commitment.commitmentHex,
+        challenge.nonce
+      );
+    }
+
+    // Neither the password sessions nor the device may outlive the change
+    async function expectSessionsAndDevicesEnded(device, deviceSession) {
+      for (const token of [session.token, deviceSession.token]) {
+        const me = await request(app).get("/me").set("Authorization", `Bearer ${token}`);
+        expect(me.body).toEqual({ ok: false, code: "SESSION_REVOKED" });
+      }
+      for (const { refreshToken } of [session, deviceSession]) {
+        const refreshed = await request(app).post("/refresh").send({ refreshToken });
+        expect(refreshed.body).toEqual({ ok: false, code: "SESSION_REVOKED" });
+      }
+      expect((await deviceLogin(device.id)).body).toEqual({
+        ok: false,
+        code: "DEVICE_UNKNOWN",
+      });
+      expect((await store.get(await hashEmail(testEmail))).devices).toBeUndefined();
+    }
+
+    beforeEach(async () => {
+      commitment = await createCommitment(testPassword);
+      codes = generateRecoveryCodes(1);
+      await request(app)
+        .post("/signup")
+        .send({
+          email: testEmail,
+          ...commitment,
+          recovery: await createRecoveryCommitments(codes),
+        });
+      const { proof, publicSignals } = await provePassword();
+      ({ body: session } = await request(app)
+        .post("/login")
+        .send({ email: testEmail, proof, publicSignals }));
+      deviceKey = await createDeviceKey();
+    }, 30000);
+
+    test("should register and list a device after a password login", async () => {
+      const response = await registerDevice();
+
+      expect(response.status).toBe(200);
+      const { device } = response.body;
+      expect(device).toEqual({
+        id: expect.any(String),
+        name: "Laptop",
+        createdAt: now,
+        lastUsedAt: null,
+      });
+      expect((await listDevices()).body).toEqual({ devices: [device] });
+      const rec = await store.get(await hashEmail(testEmail));
+      expect(rec.devices[0].publicKey).toEqual(deviceKey.publicKey);
+      expect(auditEntries().at(-1)).toMatchObject({
+        event: "device.register",
+        outcome: "success",
+      });
+    });
+
+    test("should log in with the device's signature of a challenge", async () => {
+      const { device } = (await registerDevice()).body;
+      now += 60 * 60 * 1000;
+
+      const response = await deviceLogin(device.id);
+
+      expect(response.status).toBe(200);
+      const me = await request(app)
+        .get("/me")
+        .set("Authorization", `Bearer ${response.body.token}`);
+      expect(me.body).toMatchObject({ ok: true, email: testEmail });
+      const { body } = await listDevices(response.body.token);
+      expect(body.devices[0].lastUsedAt).toBe(now);
+      expect(auditEntries().at(-1)).toMatchObject({
+        event: "device.login",
+        outcome: "success",
+      });
+    });
+
+    test("should reject another key's signature and unknown devices", async () => {
+      const { device } = (await registerDevice()).body;
+      const other = await createDeviceKey();
+
+      const forged = await deviceLogin(device.id, other.keyPair.privateKey);
+      expect(forged.status).toBe(401);
+      expect(forged.body).toEqual({ ok: false, code: "SIGNATURE_INVALID" });
+
+      const unknown = await deviceLogin("no-such-device");
+      expect(unknown.status).toBe(401);
+      expect(unknown.body).toEqual({ ok: false, code: "DEVICE_UNKNOWN" });
+    });
+
+    test("should not let a device session register devices or delete the account", async () => {
+      const { device } = (await registerDevice()).body;
+      const { body: deviceSession } = await deviceLogin(device.id);
+
+      for (const response of [
+        await registerDevice(deviceKey.publicKey, deviceSession.token),
+        await request(app)
+          .delete("/account")
+          .set("Authorization", `Bearer ${deviceSession.token}`),
+      ]) {
+        expect(response.status).toBe(403);
+        expect(response.body).toEqual({ ok: false, code: "FRESH_LOGIN_REQUIRED" });
+      }
+    });
+
+    test("should end a revoked device's logins and sessions", async () => {
+      const { device } = (await registerDevice()).body;
+      const { body: deviceSession } = await deviceLogin(device.id);
+
+      const response = await request(app)
+        .delete(`/devices/${device.id}`)
+        .set("Authorization", `Bearer ${session.token}`);
+      expect(response.status).toBe(200);
+      expect((await listDevices()).body).toEqual({ devices: [] });
+      expect(auditEntries().at(-1)).toMatchObject({
+        event: "device.revoke",
+        outcome: "success",
+      });
+
+      expect((await deviceLogin(device.id)).body).toEqual({
+        ok: false,
+        code: "DEVICE_UNKNOWN",
+      });
+      const me = await request(app)
+        .get("/me")
+        .set("Authorization", `Bearer ${deviceSession.token}`);
+      expect(me.body).toEqual({ ok: false, code: "DEVICE_REVOKED" });
+      const refreshed = await request(app)
+        .post("/refresh")
+        .send({ refreshToken: deviceSession.refreshToken });
+      expect(refreshed.body).toEqual({ ok: false, code: "DEVICE_REVOKED" });
+
+      const again = await request(app)
+        .delete(`/devices/${device.id}`)
+        .set("Authorization", `Bearer ${session.token}`);
+      expect(again.status).toBe(404);
+      expect(again.body).toEqual({ ok: false, code: "DEVICE_NOT_FOUND" });
+    });
+
+    test("should end sessions and devices when the password changes", async () => {
+      const { device } = (await registerDevice()).body;
+      const { body: deviceSession } = await deviceLogin(device.id);
+      const changed = await createCommitment("newpassword456");
+
+      const response = await request(app)
+        .post("/password/change")
+        .send({ email: testEmail, ...(await provePassword()), ...changed });
+      expect(response.status).toBe(200);
+
+      await expectSessionsAndDevicesEnded(device, deviceSession);
+      // A login at the very time of the change is not revoked with the rest
+      commitment = changed;
+      const { body: fresh } = await request(app)
+        .post("/login")
+        .send({ email: testEmail, ...(await provePassword("newpassword456")) });
+      const me = await request(app).get("/me").set("Authorization", `Bearer ${fresh.token}`);
+      expect(me.body).toMatchObject({ ok: true, email: testEmail });
+    }, 60000);
+
+    test("should end sessions and devices when the account is recovered", async () => {
+      const { device } = (await registerDevice()).body;
+      const { body: deviceSession } = await deviceLogin(device.id);
+
+      const { body } = await request(app)
+        .get("/recovery/data")
+        .query({ email: testEmail });
+      const { body: challenge } = await request(app)
+        .get("/challenge")
+        .query({ email: testEmail });
+      const { proof, publicSignals } = await generateProof(
+        normalizeRecoveryCode(codes[0]),
+        body.codes[0].saltHex,
+        body.codes[0].commitmentHex,
+        challenge.nonce,
+        { kdf: PLAIN_KDF }
+      );
+      const response = await request(app)
+        .post("/recovery")
+        .send({
+          email: testEmail,
+          index: 0,
+          proof,
+          publicSignals,
+          ...(await createCommitment("recoveredpassword")),
+        });
+      expect(response.status).toBe(200);
+
+      await expectSessionsAndDevicesEnded(device, deviceSession);
+    }, 60000);
+
+    test("should reject invalid keys and more than ten devices", async () => {
+      const offCurve = { ...deviceKey.publicKey, y: deviceKey.publicKey.x };
+      const invalid = await registerDevice(offCurve);
+      expect(invalid.status).toBe(400);
+      expect(invalid.body).toEqual({ ok: false, code: "DEVICE_KEY_INVALID" });
+
+      for (let i = 0; i < 10; i++) expect((await registerDevice()).status).toBe(200);
+      const response = await registerDevice();
+      expect(response.status).toBe(409);
+      expect(response.body).toEqual({ ok: false, code: "DEVICE_LIMIT" });
+    });
+  });
+
+  describe("Admin flags", () => {
+    const testEmail = "test@example.com";
+    const testPassword = "testpassword123";
+    let commitment;
+
+    beforeEach(async () => {
+      commitment = await createCommitment(testPassword);
+      await request(app)
+        .post("/signup")
+        .send({ email: testEmail, ...commitment });
+    });
+
+    async function login() {
+      const { body: challenge } = await request(app)
+        .get("/challenge")
+        .query({ email: testEmail });
+      const { proof, publicSignals } = await generateEmailProof(
+        testEmail,
+        testPassword,
+        commitment.saltHex,
+        commitment.commitmentHex,
+        challenge.nonce
+      );
+      return request(app)
+        .post("/login")
+        .send({ email: testEmail, proof, publicSignals });
+    }
+
+    test("should refuse to log in a disabled account", async () => {
+      await setDisabled(store, testEmail, true);
+      const response = await login();
+
+      expect(response.status).toBe(403);
+      expect(response.body).toEqual({ ok: false, code: "ACCOUNT_DISABLED" });
+
+      await setDisabled(store, testEmail, false);
+      expect((await login()).status).toBe(200);
+    }, 30000);
+
+    test("should end a disabled account's sessions", async () => {
+      const { body: session } = await login();
+      await setDisabled(store, testEmail, true);
+
+      const me = await request(app)
+        .get("/me")
+        .set("Authorization", `Bearer ${session.token}`);
+      expect(me.status).toBe(403);
+      expect(me.body).toEqual({ ok: false, code: "ACCOUNT_DISABLED" });
+
+      const refreshed = await request(app)
+        .post("/refresh")
+        .send({ refreshToken: session.refreshToken });
+      expect(refreshed.status).toBe(403);
+      expect(refreshed.body).toEqual({ ok: false, code: "ACCOUNT_DISABLED" });
+    }, 30000);
+
+    test("should end the sessions of an account flagged for a password reset", async () => {
+      const { body: session } = await login();
+      await forcePasswordReset(store, testEmail);
+
+      const me = await request(app)
+        .get("/me")
+        .set("Authorization", `Bearer ${session.token}`);
+      expect(me.status).toBe(403);
+      expect(me.body).toEqual({ ok: false, code: "PASSWORD_RESET_REQUIRED" });
+
+      const refreshed = await request(app)
+        .post("/refresh")
+        .send({ refreshToken: session.refreshToken });
+      expect(refreshed.status).toBe(403);
+      expect(refreshed.body).toEqual({ ok: false, code: "PASSWORD_RESET_REQUIRED" });
+    }, 30000);
+
+    test("should not refresh a session of a record removed from the store", async () => {
+      const { body: session } = await login();
+      await store.delete(await hashEmail(testEmail));
+
+      const refreshed = await request(app)
+        .post("/refresh")
+        .send({ refreshToken: session.refreshToken });
+      expect(refreshed.status).toBe(404);
+      expect(refreshed.body).toEqual({ ok: false, code: "USER_NOT_FOUND" });
+      // The refresh token was used up, so it cannot be retried either
+      const again = await request(app)
+        .post("/refresh")
+        .send({ refreshToken: session.refreshToken });
+      expect(again.body).toEqual({ ok: false, code: "SESSION_REVOKED" });
+    }, 30000);
+
+    test("should only allow recovery until a forced reset is done", async () => {
+      const { code } = await forcePasswordReset(store, testEmail);
+
+      const response = await login();
+      expect(response.status).toBe(403);
+      expect(response.body).toEqual({
+        ok: false,
+        code: "PASSWORD_RESET_REQUIRED",
+      });
+
+      const { body } = await request(app)
+        .get("/recovery/data")
+        .query({ email: testEmail });
+      const [entry] = body.codes;
+      const { body: challenge } = await request(app)
+        .get("/challenge")
+        .query({ email: testEmail });
+      const { proof, publicSignals } = await generateProof(
+        normalizeRecoveryCode(code),
+        entry.saltHex,
+        entry.commitmentHex,
+        challenge.nonce,
+        { kdf: PLAIN_KDF }
+      );
+      const newCommitment = await createCommitment("newpassword456");
+      const recovered = await request(app)
+        .post("/recovery")
+        .send({
+          email: testEmail,
+          index: entry.index,
+          proof,
+          publicSignals,
+          ...newCommitment,
+        });
+
+      expect(recovered.status).toBe(200);
+      expect((await store.get(await hashEmail(testEmail))).resetRequired).toBeUndefined();
+    }, 60000);
+  });
+
+  describe("TOTP second factor", () => {
+    const testEmail = "totp@example.com";
+    const testPassword = "testpassword123";
+    const totpSecret = generateTotpSecret();
+    let commitment, totp;
+
+    beforeEach(async () => {
+      // Freeze the clock so tests don't straddle a time step boundary
+      now = 1_700_000_000_000;
+      commitment = await createCommitment(testPassword);
+      totp = await createTotpCommitment(totpSecret);
+      await request(app)
+        .post("/signup")
+        .send({ email: testEmail, ...commitment, totp });
+    });
+
+    async function proveTotp(
+      timeStep = currentTimeStep(now),
+      { password = testPassword, secret = totpSecret } = {}
+    ) {
+      const { body: challenge } = await request(app)
+        .get("/challenge")
+        .query({ email: testEmail });
+      return generateTotpProof(
+        testEmail,
+        password,
+        commitment.saltHex,
+        commitment.commitmentHex,
+        secret,
+        totp,
+        timeStep,
+        challenge.nonce
+      );
+    }
+
+    function login(proofAndSignals) {
+      return request(app)
+        .post("/login")
+        .send({ email: testEmail, ...proofAndSignals });
+    }
+
+    test("should return the TOTP commitment with the login data", async () => {
+      const response = await request(app)
+        .get("/loginData")
+        .query({ email: testEmail });
+
+      expect(response.body).toEqual({ ...commitment, totp, ...PASSWORD_POLICY });
+    });
+
+    test("should log in with a proof of password and TOTP secret", async () => {
+      const response = await login(await proveTotp());
+
+      expect(response.status).toBe(200);
+      expect(response.body.token).toEqual(expect.any(String));
+    }, 30000);
+
+    test("should reject a password-only proof", async () => {
+      const { body: challenge } = await request(app)
+        .get("/challenge")
+        .query({ email: testEmail });
+      const response = await login(
+        await generateEmailProof(
+          testEmail,
+          testPassword,
+          commitment.saltHex,
+          commitment.commitmentHex,
+          challenge.nonce
+        )
+      );
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ ok: false, code: "MALFORMED_SIGNALS" });
+    }, 30000);
+
+    test("should not produce a proof for the wrong TOTP secret", async () => {
+      await expect(
+        proveTotp(currentTimeStep(now), { secret: generateTotpSecret() })
+      ).rejects.toThrow("Assert Failed");
+    }, 30000);
+
+    test("should accept each time step only once", async () => {
+      const step = currentTimeStep(now);
+      expect((await login(await proveTotp(step))).status).toBe(200);
+
+      const replay = await login(await proveTotp(step));
+      expect(replay.status).toBe(401);
+      expect(replay.body).toEqual({ ok: false, code: "TOTP_REPLAYED" });
+
+      // An earlier step inside the window is not accepted either
+      const earlier = await login(await proveTotp(step - 1));
+      expect(earlier.body).toEqual({ ok: false, code: "TOTP_REPLAYED" });
+    }, 60000);
+
+    test("should reject a time step outside the window", async () => {
+      const response = await login(await proveTotp(currentTimeStep(now) - 2));
+
+      expect(response.status).toBe(401);
+      expect(response.body).toEqual({ ok: false, code: "TOTP_EXPIRED" });
+    }, 30000);
+
+    test("should reject a proof for another account's TOTP commitment", async () => {
+      const other = await createTotpCommitment(generateTotpSecret());
+      // Signup can't replace the account's TOTP enrollment, so do it in the store
+      await store.update(await hashEmail(testEmail), (rec) => ({
+        ...rec,
+        totp: { ...other, lastTimeStep: null },
+      }));
+
+      const response = await login(await proveTotp());
+
+      expect(response.status).toBe(401);
+      expect(response.body).toEqual({ ok: false, code: "COMMITMENT_MISMATCH" });
+    }, 30000);
+
+    test("should require the TOTP proof to change the password", async () => {
+      const newCommitment = await createCommitment("newpassword456");
+      const response = await request(app)
+        .post("/password/change")
+        .send({ email: testEmail, ...(await proveTotp()), ...newCommitment });
+
+      expect(response.status).toBe(200);
+      const loginData = await request(app)
+        .get("/loginData")
+        .query({ email: testEmail });
+      expect(loginData.body).toEqual({ ...newCommitment, totp, ...PASSWORD_POLICY });
+    }, 30000);
+
+    test("should reject signup with a malformed TOTP enrollment", async () => {
+      const response = await request(app)
+        .post("/signup")
+        .send({ email: "bad@example.com", ...commitment, totp: { saltHex: "aa" } });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual(invalidRequest("/body/totp/commitmentHex"));
+    });
+  });
+
+  describe("Authentication policies", () => {
+    // Tenants in tests/fixtures/policies.json
+    const PASSWORD = "password@example.com";
+    const TOTP = "totp@totp.example";
+    const AGE = "age@age.example";
+    const STRICT = "strict@strict.example";
+    const testPassword = "testpassword123";
+    const totpSecret = generateTotpSecret();
+    const today = Date.UTC(2026, 9, 18, 12);
+    let commitment, totp, adult, minor;
+
+    beforeEach(async () => {
+      now = today;
+      commitment = await createCommitment(testPassword);
+      totp = await createTotpCommitment(totpSecret);
+      adult = await createAgeCredential(19900101);
+      minor = await createAgeCredential(20160101);
+    });
+
+    const age = (credential) => ({ commitmentHex: credential.commitmentHex });
+
+    function signup(email, enrollments = {}) {
+      return request(app)
+        .post("/signup")
+        .send({ email, ...commitment, ...enrollments });
+    }
+
+    async function challenge(email) {
+      const { body } = await request(app).get("/challenge").query({ email });
+      return body.nonce;
+    }
+
+    // The login proof an account with (or without) TOTP makes
+    function loginProof(email, nonce, withTotp) {
+      const { saltHex, commitmentHex } = commitment;
+      return withTotp
+        ? generateTotpProof(
+            email,
+            testPassword,
+            saltHex,
+            commitmentHex,
+            totpSecret,
+            totp,
+            currentTimeStep(now),
+            nonce
+          )
+        : generateEmailProof(email, testPassword, saltHex, commitmentHex, nonce);
+    }
+
+    async function ageProof(credential, nonce, cutoff) {
+      return { circuit: "age_over", ...(await generateAgeProof(credential, cutoff, nonce)) };
+    }
+
+    async function login(
+      email,
+      { withTotp = false, credential, minAge = 18, cutoff = ageCutoff(minAge, now) } = {}
+    ) {
+      const nonce = await challenge(email);
+      const proofs = credential ? [await ageProof(credential, nonce, cutoff)] : undefined;
+      return request(app)
+        .post("/login")
+        .send({ email, ...(await loginProof(email, nonce, withTotp)), proofs });
+    }
+
+    test.each([
+      [PASSWORD, { proofs: ["password"] }],
+      [TOTP, { proofs: ["password", "totp"] }],
+      [AGE, { proofs: ["password", "age"], minAge: 18 }],
+      [STRICT, { proofs: ["password", "totp", "age"], minAge: 21 }],
+    ])("should tell signup what %s needs", async (email, policy) => {
+      const response = await request(app).get("/policy").query({ email });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(policy);
+    });
+
+    test.each([
+      [TOTP, "age"],
+      [AGE, "totp"],
+      [STRICT, "totp"],
+      [STRICT, "age"],
+    ])("should refuse to sign up %s with %s only", async (email, factor) => {
+      const enrollments = { totp, age: age(adult) };
+      const response = await signup(email, { [factor]: enrollments[factor] });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ ok: false, code: "ENROLLMENT_MISSING" });
+      expect(await store.get(await hashEmail(email))).toBeNull();
+    });
+
+    test("should log in with a password alone", async () => {
+      await signup(PASSWORD);
+      expect((await login(PASSWORD)).status).toBe(200);
+    }, 30000);
+
+    test("should log in with password and TOTP", async () => {
+      await signup(TOTP, { totp });
+      expect((await login(TOTP, { withTotp: true })).status).toBe(200);
+    }, 30000);
+
+    test("should log in with password and age", async () => {
+      await signup(AGE, { age: age(adult) });
+      const loginData = await request(app).get("/loginData").query({ email: AGE });
+      expect(loginData.body.policy).toEqual({ proofs: ["password", "age"], minAge: 18 });
+      expect(loginData.body).not.toHaveProperty("age");
+
+      const response = await login(AGE, { credential: adult });
+      expect(response.status).toBe(200);
+      expect(response.body.token).toEqual(expect.any(String));
+    }, 30000);
+
+    test("should log in with password, TOTP and age", async () => {
+      await signup(STRICT, { totp, age: age(adult) });
+      const response = await login(STRICT, { withTotp: true, credential: adult, minAge: 21 });
+
+      expect(response.status).toBe(200);
+    }, 30000);
+
+    test("should require the age proof", async () => {
+      await signup(AGE, { age: age(adult) });
+      const response = await login(AGE);
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ ok: false, code: "PROOF_MISSING" });
+    }, 30000);
+
+    test("should reject an age proof for a later cutoff than the policy's", async () => {
+      await signup(AGE, { age: age(minor) });
+      // A child's birth date is before today, so this proof exists
+      const response = await login(AGE, { credential: minor, cutoff: ageCutoff(0, now) });
+
+      expect(response.status).toBe(401);
+      expect(response.body).toEqual({ ok: false, code: "AGE_CUTOFF_INVALID" });
+    }, 30000);
+
+    test("should allow for a client clock a day ahead", async () => {
+      await signup(AGE, { age: age(adult) });
+      const tomorrow = ageCutoff(18, now + 24 * 60 * 60 * 1000);
+
+      expect((await login(AGE, { credential: adult, cutoff: tomorrow })).status).toBe(200);
+    }, 30000);
+
+    test("should reject another account's age credential", async () => {
+      await signup(AGE, { age: age(minor) });
+      const response = await login(AGE, { credential: adult });
+
+      expect(response.status).toBe(401);
+      expect(response.body).toEqual({ ok: false, code: "COMMITMENT_MISMATCH" });
+    }, 30000);
+
+    test("should reject an age proof made for another challenge", async () => {
+      await signup(AGE, { age: age(adult) });
+      const nonce = await challenge(AGE);
+      const other = await challenge(AGE);
+      const response = await request(app)
+        .post("/login")
+        .send({
+          email: AGE,
+          ...(await loginProof(AGE, nonce, false)),
+          proofs: [await ageProof(adult, other, ageCutoff(18, now))],
+        });
+
+      expect(response.status).toBe(401);
+      expect(response.body).toEqual({ ok: false, code: "CHALLENGE_INVALID" });
+    }, 30000);
+
+    test("should change the password without the age proof", async () => {
+      await signup(AGE, { age: age(adult) });
+      const nonce = await challenge(AGE);
+      const response = await request(app)
+        .post("/password/change")
+        .send({
+          email: AGE,
+          ...(await loginProof(AGE, nonce, false)),
+          ...(await createCommitment("newpassword456")),
+        });
+
+      expect(response.status).toBe(200);
+    }, 30000);
+
+    test("should refuse accounts that lack a factor their policy now needs", async () => {
+      await signup(PASSWORD);
+      await store.update(await hashEmail(PASSWORD), (rec) => ({
+        ...rec,
+        policy: "password+age",
+      }));
+      const response = await login(PASSWORD);
+
+      expect(response.status).toBe(403);
+      expect(response.body).toEqual({ ok: false, code: "ENROLLMENT_REQUIRED" });
+    }, 30000);
+
+    test("should not fall back when an account's policy is gone", async () => {
+      await signup(PASSWORD);
+      await store.update(await hashEmail(PASSWORD), (rec) => ({ ...rec, policy: "retired" }));
+
+      const loginData = await request(app).get("/loginData").query({ email: PASSWORD });
+      expect(loginData.status).toBe(500);
+      expect(loginData.body).toEqual({ ok: false, code: "POLICY_UNAVAILABLE" });
+
+      const response = await login(PASSWORD);
+      expect(response.status).toBe(500);
+      expect(response.body).toEqual({ ok: false, code: "POLICY_UNAVAILABLE" });
+    }, 30000);
+
+    test("should give decoys the factors their tenant requires", async () => {
+      const loginData = (email) =>
+        request(app).get("/loginData").query({ email }).then(({ body }) => body);
+
+      expect(await loginData("nobody@totp.example")).toHaveProperty("totp");
+      expect((await loginData("nobody@strict.example")).policy).toEqual({
+        proofs: ["password", "totp", "age"],
+        minAge: 21,
+      });
+    });
+  });
+
+  describe("Audit log and metrics", () => {
+    const testEmail = "audit@example.com";
+    const testPassword = "testpassword123";
+    let commitment, emailHash;
+
+    beforeEach(async () => {
+      commitment = await createCommitment(testPassword);
+      emailHash = await hashEmail(testEmail);
+      await request(app)
+        .post("/signup")
+        .send({ email: testEmail, ...commitment });
+    });
+
+    async function login(password = testPassword) {
+      const { body: challenge } = await request(app)
+        .get("/challenge")
+        .query({ email: testEmail });
+      const { proof, publicSignals } = await generateEmailProof(
+        testEmail,
+        password,
+        commitment.saltHex,
+        commitment.commitmentHex,
+        challenge.nonce
+      );
+      return request(app).post("/login").send({ email: testEmail, proof, publicSignals });
+    }
+
+    const getMetrics = () =>
+      request(app).get("/metrics").set("Authorization", "Bearer test-metrics-token");
+
+    const entry = (fields) => ({
+      time: expect.any(String),
+      emailHash,
+      ip: expect.any(String),
+      ...fields,
+    });
+
+    test("should audit signups and logins with their outcome", async () => {
+      expect((await login()).status).toBe(200);
+      const response = await request(app)
+        .post("/login")
+        .send({ email: testEmail, proof: BOGUS_PROOF, publicSignals: ["1", "0", "0"] });
+      expect(response.status).toBe(400);
+
+      expect(auditEntries()).toEqual([
+        entry({ event: "signup", outcome: "success" }),
+        entry({ event: "login", outcome: "success" }),
+        entry({ event: "login", outcome: "failure", code: "MALFORMED_SIGNALS" }),
+      ]);
+      expect(JSON.stringify(auditEntries())).not.toContain(testEmail);
+    }, 30000);
+
+    test("should audit password changes", async () => {
+      const { body: challenge } = await request(app)
+        .get("/challenge")
+        .query({ email: testEmail });
+      const proofAndSignals = await generateEmailProof(
+        testEmail,
+        testPassword,
+        commitment.saltHex,
+        commitment.commitmentHex,
+        challenge.nonce
+      );
+      await request(app)
+        .post("/password/change")
+        .send({
+          email: testEmail,
+          ...proofAndSignals,
+          ...(await createCommitment("newpassword456")),
+        });
+
+      expect(auditEntries().at(-1)).toEqual(
+        entry({ event: "password.change", outcome: "success" })
+      );
+    }, 30000);
+
+    test("should audit lockouts", async () => {
+      now = 1_700_000_000_000;
+      for (let i = 0; i < 10; i++) {
+        await request(app)
+          .post("/login")
+          .send({ email: testEmail, proof: BOGUS_PROOF, publicSignals: ["1", "0", "0"] });
+        now += 6 * 60 * 1000; // past the longest backoff
+      }
+      const locked = await request(app)
+        .post("/login")
+        .send({ email: testEmail, proof: BOGUS_PROOF, publicSignals: ["1", "0", "0"] });
+
+      expect(locked.status).toBe(423);
+      const events = auditEntries().map(({ event, code }) => code ?? event);
+      expect(events.filter((e) => e === "account.locked")).toHaveLength(1);
+      expect(events.slice(-2)).toEqual(["account.locked", "ACCOUNT_LOCKED"]);
+      expect((await getMetrics()).text).toContain(
+        "\nzk_login_account_lockouts_total 1\n"
+      );
+    });
+
+    test("should count a signup for a registered email like a new one", async () => {
+      const signups = async () => {
+        const { text } = await getMetrics();
+        return Number(
+          text.match(/zk_login_auth_events_total\{event="signup",outcome="success"\} (\d+)/)[1]
+        );
+      };
+      const signup = async (email) =>
+        request(app)
+          .post("/signup")
+          .send({ email, ...(await createCommitment("anotherpassword")) });
+
+      const before = await signups();
+      expect((await signup("new@example.com")).body).toEqual({ ok: true });
+      const afterNew = await signups();
+      expect((await signup(testEmail)).body).toEqual({ ok: true });
+      const afterExisting = await signups();
+
+      expect(afterNew - before).toBe(1);
+      expect(afterExisting - afterNew).toBe(1);
+    });
+
+    test("should serve metrics only for the metrics token", async () => {
+      expect((await getMetrics()).status).toBe(200);
+      for (const authorization of [undefined, "Bearer wrong-token", "test-metrics-token"]) {
+        const req = request(app).get("/metrics");
+        const response = await (authorization ? req.set("Authorization", authorization) : req);
+        expect(response.status).toBe(404);
+        expect(response.body).toEqual({ ok: false, code: "NOT_FOUND" });
+      }
+
+      const unconfigured = createApp({ store, vkeys, policies, audit, secret: "s" });
+      const response = await request(unconfigured)
+        .get("/metrics")
+        .set("Authorization", "Bearer undefined");
+      expect(response.status).toBe(404);
+    });
+
+    test("should expose verification latency and outcomes to Prometheus", async () => {
+      await login();
+      const { body: challenge } = await request(app)
+        .get("/challenge")
+        .query({ email: testEmail });
+      const { proof, publicSignals } = await generateEmailProof(
+        testEmail,
+        testPassword,
+        commitment.saltHex,
+        commitment.commitmentHex,
+        challenge.nonce
+      );
+      await request(app)
+        .post("/login")
+        .send({ email: testEmail, proof: { ...proof, pi_a: proof.pi_c }, publicSignals });
+
+      const response = await getMetrics();
+      expect(response.status).toBe(200);
+      expect(response.headers["content-type"]).toBe(METRICS_CONTENT_TYPE);
+      const text = response.text;
+      expect(text).toContain("# TYPE zk_login_proof_verification_seconds histogram");
+      expect(text).toContain(
+        'zk_login_proof_verification_seconds_bucket{circuit="pwd_email_login",le="0.05"}'
+      );
+      expect(text).toContain(
+        'zk_login_proof_verification_seconds_count{circuit="pwd_email_login"} 2'
+      );
+      expect(text).toContain(
+        'zk_login_proof_verifications_total{circuit="pwd_email_login",outcome="valid"} 1'
+      );
+      expect(text).toContain(
+        'zk_login_proof_verifications_total{circuit="pwd_email_login",outcome="invalid"} 1'
+      );
+      expect(text).toContain('zk_login_auth_events_total{event="signup",outcome="success"} 1');
+      expect(text).toContain('zk_login_auth_events_total{event="login",outcome="success"} 1');
+      expect(text).toContain(
+        'zk_login_auth_events_total{event="login",outcome="PROOF_INVALID"} 1'
+      );
+    }, 30000);
+  });
+
+  describe("Brute-force protection", () => {
+    const testEmail = "test@example.com";
+    const testPassword = "testpassword123";
+    let commitment;
+
+    beforeEach(async () => {
+      now = 1_700_000_000_000;
+      commitment = await createCommitment(testPassword);
+      await request(app)
+        .post("/signup")
+        .send({ email: testEmail, ...commitment });
+    });
+
+    // A login attempt with signals for the wrong circuit – fails cheaply
+    function failLogin(email = testEmail) {
+      return request(app)
+        .post("/login")
+        .send({ email, proof: BOGUS_PROOF, publicSignals: ["1", "0", "0"] });
+    }
+
+    async function login() {
+      const { body: challenge } = await request(app)
+        .get("/challenge")
+        .query({ email: testEmail });
+      return request(app)
+        .post("/login")
+        .send({
+          email: testEmail,
+          ...(await generateEmailProof(
+            testEmail,
+            testPassword,
+            commitment.saltHex,
+            commitment.commitmentHex,
+            challenge.nonce
+          )),
+        });
+    }
+
+    test("should back off exponentially after repeated failed proofs", async () => {
+      for (let i = 0; i < 3; i++) expect((await failLogin()).status).toBe(400);
+
+      const blocked = await failLogin();
+      expect(blocked.status).toBe(429);
+      expect(blocked.body).toEqual({ ok: false, code: "TOO_MANY_ATTEMPTS" });
+      expect(blocked.headers["retry-after"]).toBe("1");
+
+      now += 1000;
+      expect((await failLogin()).status).toBe(400);
+      expect((await failLogin()).headers["retry-after"]).toBe("2");
+    });
+
+    test("should treat unknown emails like registered ones", async () => {
+      for (let i = 0; i < 3; i++)
+        expect((await failLogin("nobody@example.com")).status).toBe(400);
+
+      const blocked = await failLogin("nobody@example.com");
+      expect(blocked.status).toBe(429);
+      expect(blocked.body).toEqual({ ok: false, code: "TOO_MANY_ATTEMPTS" });
+    });
+
+    test("should lock the account after repeated failures", async () => {
+      for (let i = 0; i < 10; i++) {
+        expect((await failLogin()).status).toBe(400);
+        now += 6 * 60 * 1000; // past the longest backoff
+      }
+
+      const locked = await login();
+      expect(locked.status).toBe(423);
+      expect(locked.body).toEqual({ ok: false, code: "ACCOUNT_LOCKED" });
+      expect(Number(locked.headers["retry-after"])).toBeGreaterThan(8 * 60);
+
+      now += 15 * 60 * 1000;
+      expect((await login()).status).toBe(200);
+    }, 60000);
+
+    test("should reset the account's failures after a successful login", async () => {
+      await failLogin();
+      await failLogin();
+      expect((await login()).status).toBe(200);
+
+      await failLogin();
+      await failLogin();
+      expect((await failLogin()).status).toBe(400);
+    }, 30000);
+
+    test("should back off per IP across accounts", async () => {
+      for (let i = 0; i < 10; i++)
+        expect((await failLogin(`user${i}@example.com`)).status).toBe(400);
+
+      const blocked = await failLogin("fresh@example.com");
+      expect(blocked.status).toBe(429);
+      expect(blocked.body).toEqual({ ok: false, code: "TOO_MANY_ATTEMPTS" });
+    });
+
+    test("should throttle recovery attempts as well", async () => {
+      const recover = () =>
+        request(app)
+          .post("/recovery")
+          .send({
+            email: testEmail,
+            index: 0,
+            proof: BOGUS_PROOF,
+            publicSignals: ["1", "0", "0"],
+            ...commitment,
+          });
+
+      for (let i = 0; i < 3; i++) expect((await recover()).status).toBe(401);
+      expect((await recover()).status).toBe(429);
+    });
+
+    test("should limit requests per IP", async () => {
+      // The signup in beforeEach was the first of 120 requests
+      for (let i = 1; i < 120; i++) {
+        const response = await request(app)
+          .get("/challenge")
+          .query({ email: testEmail });
+        expect(response.status).toBe(200);
+      }
+
+      const limited = await request(app)
+        .get("/challenge")
+        .query({ email: testEmail });
+      expect(limited.status).toBe(429);
+      expect(limited.body).toEqual({ ok: false, code: "RATE_LIMITED" });
+      expect(limited.headers["retry-after"]).toBe("60");
+
+      now += 60 * 1000;
+      const later = await request(app)
+        .get("/challenge")
+        .query({ email: testEmail });
+      expect(later.status).toBe(200);
+    });
+
+    test("should return decoy recovery data for unknown emails", async () => {
+      const response = await request(app)
+        .get("/recovery/data")
+        .query({ email: "nobody@example.com" });
+
+      expect(response.status).toBe(200);
+      expect(response.body.codes).toHaveLength(8);
+      expect(response.body.codes[0]).toEqual({
+        index: 0,
+        saltHex: expect.stringMatching(/^[0-9a-f]{32}$/),
+        commitmentHex: expect.stringMatching(/^0x[0-9a-f]+$/),
+      });
+    });
+
+    test("should shape decoys like the registered accounts", async () => {
+      // Besides testEmail's: a legacy account, without KDF, whose first of
+      // three recovery codes is used
+      const legacy = await createCommitment("oldpassword", undefined, PLAIN_KDF);
+      await store.put(await hashEmail("old@example.com"), {
+        saltHex: legacy.saltHex,
+        commitmentHex: legacy.commitmentHex,
+        recovery: [true, false, false].map((used) => ({ ...legacy, used })),
+      });
+      now += SHAPES_REFRESH_MS;
+      await request(app).get("/loginData").query({ email: "nobody@example.com" });
+
+      // KDF and recovery code indexes, what the API shows besides commitments
+      const shapeOf = async (email) => {
+        const { body: loginData } = await request(app).get("/loginData").query({ email });
+        const { body: recovery } = await request(app).get("/recovery/data").query({ email });
+        return JSON.stringify([loginData.kdf, recovery.codes.map(({ index }) => index)]);
+      };
+      const real = new Set([await shapeOf(testEmail), await shapeOf("old@example.com")]);
+      const decoys = new Set();
+      for (let i = 0; i < 12; i++) decoys.add(await shapeOf(`nobody${i}@example.com`));
+
+      expect(real.size).toBe(2);
+      expect([...decoys].sort()).toEqual([...real].sort());
+    });
+  });
+
+  describe("Error Handling", () => {
+    test("should handle malformed JSON", async () => {
+      const response = await request(app)
+        .post("/signup")
+        .set("Content-Type", "application/json")
+        .send('{"invalid": json}');
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ ok: false, code: "MALFORMED_JSON" });
+    });
+
+    test("should handle empty request body", async () => {
+      const response = await request(app).post("/signup").send({});
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual(
+        invalidRequest("/body/email", "/body/saltHex", "/body/commitmentHex")
+      );
+    });
+
+    test("should answer unknown routes in the same format", async () => {
+      const response = await request(app).get("/nope");
+
+      expect(response.status).toBe(404);
+      expect(response.body).toEqual({ ok: false, code: "NOT_FOUND" });
+    });
+
+    test("should serve the OpenAPI document", async () => {
+      const response = await request(app).get("/openapi.json");
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(openapi);
     });
   });
 });
@@ -0,0 +1,89 @@
+import { describe, test, expect } from "@jest/globals";
+import fs from "fs";
+import path from "path";
+import {
+  CIRCUIT_FILES,
+  artifactUrl,
+  checkArtifact,
+  checkCircuitVersion,
+  createArtifactManifest,
+  sha256Hex,
+} from "../../utils/artifacts.js";
+
+const bytes = (text) => new TextEncoder().encode(text);
+
+describe("Artifact Utils", () => {
+  const build = (version = "1", zkey = "zkey") =>
+    createArtifactManifest({
+      pwd_login: {
+        circuitVersion: version,
+        files: { "/keys/a.wasm": bytes("wasm"), "/keys/a.zkey": bytes(zkey) },
+      },
+    });
+
+  describe("createArtifactManifest", () => {
+    test("should hash every file and version the whole", async () => {
+      const manifest = await build();
+
+      expect(manifest.circuits.pwd_login).toEqual({
+        circuitVersion: "1",
+        files: {
+          "/keys/a.wasm": await sha256Hex(bytes("wasm")),
+          "/keys/a.zkey": await sha256Hex(bytes("zkey")),
+        },
+      });
+      expect(manifest.version).toMatch(/^[0-9a-f]{16}$/);
+      expect((await build()).version).toBe(manifest.version);
+      expect((await build("1", "other")).version).not.toBe(manifest.version);
+      expect((await build("2")).version).not.toBe(manifest.version);
+    });
+  });
+
+  describe("artifactUrl / checkArtifact", () => {
+    test("should put the hash in the URL", async () => {
+      const manifest = await build();
+      expect(artifactUrl(manifest, "/keys/a.zkey")).toBe(
+        `/keys/a.zkey?sha256=${await sha256Hex(bytes("zkey"))}`
+      );
+    });
+
+    test("should accept matching content only", async () => {
+      const manifest = await build();
+
+      await expect(
+        checkArtifact(manifest, "/keys/a.zkey", bytes("zkey"))
+      ).resolves.toBeUndefined();
+      await expect(checkArtifact(manifest, "/keys/a.zkey", bytes("zkeY"))).rejects.toThrow(
+        "/keys/a.zkey failed its integrity check"
+      );
+      await expect(checkArtifact(manifest, "/keys/b.zkey", bytes("zkey"))).rejects.toThrow(
+        "/keys/b.zkey is not in the circuit manifest"
+      );
+    });
+  });
+
+  describe("checkCircuitVersion", () => {
+    test("should require the server to have the manifest's version", async () => {
+      const manifest = await build("2");
+
+      expect(checkCircuitVersion(manifest, "pwd_login", ["1", "2"])).toBe("2");
+      expect(() => checkCircuitVersion(manifest, "pwd_login", ["1"])).toThrow(
+        "The pwd_login circuit files here (version 2) do not match the server's (1)"
+      );
+      expect(() => checkCircuitVersion(manifest, "age_over", ["1"])).toThrow("version unknown");
+    });
+  });
+
+  describe("ui/public/keys/manifest.json", () => {
+    test("should list the artifacts the UI serves (npm run manifest in ui/)", async () => {
+      const dir = path.resolve("ui/public");
+      const manifest = JSON.parse(fs.readFileSync(path.join(dir, "keys/manifest.json"), "utf8"));
+
+      expect(Object.keys(manifest.circuits).sort()).toEqual(Object.keys(CIRCUIT_FILES).sort());
+      for (const { wasm, zkey } of Object.values(CIRCUIT_FILES)) {
+        for (const url of [`/keys/${wasm}`, `/keys/${zkey}`])
+          await checkArtifact(manifest, url, fs.readFileSync(path.join(dir, url)));
+      }
+    });
+  });
+});
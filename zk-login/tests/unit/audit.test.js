@@ -0,0 +1,77 @@
+import { describe, test, expect, beforeEach, afterEach, jest } from "@jest/globals";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  DEFAULT_AUDIT_PATH,
+  auditConfigFromEnv,
+  createAuditLog,
+} from "../../server/audit.js";
+
+describe("Audit log", () => {
+  let dir, file;
+
+  const lines = () => fs.readFileSync(file, "utf8").split("\n").filter(Boolean);
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "zk-login-audit-"));
+    file = path.join(dir, "audit.log");
+    jest.spyOn(Date, "now").mockReturnValue(Date.UTC(2026, 9, 18, 12));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test("should write one JSON entry per line", () => {
+    const audit = createAuditLog({ path: file });
+    const entry = audit.record("login", { outcome: "failure", code: "PROOF_INVALID" });
+    audit.record("account.locked", { emailHash: "0x1" });
+    audit.close();
+
+    expect(entry).toEqual({
+      time: "2026-10-18T12:00:00.000Z",
+      event: "login",
+      outcome: "failure",
+      code: "PROOF_INVALID",
+    });
+    expect(lines().map((line) => JSON.parse(line))).toEqual([
+      entry,
+      { time: "2026-10-18T12:00:00.000Z", event: "account.locked", emailHash: "0x1" },
+    ]);
+  });
+
+  test("should append to an existing log", () => {
+    fs.writeFileSync(file, '{"event":"signup"}\n');
+    const audit = createAuditLog({ path: file });
+    audit.record("login");
+    audit.close();
+
+    expect(lines()).toHaveLength(2);
+    expect(lines()[0]).toBe('{"event":"signup"}');
+  });
+
+  test("should find an account's entries", () => {
+    fs.writeFileSync(file, '{"event":"signup","emailHash":"0x1"}\n');
+    const audit = createAuditLog({ path: file });
+    audit.record("login", { emailHash: "0x2" });
+    const own = audit.record("login", { emailHash: "0x1" });
+
+    expect(audit.entriesFor("0x1")).toEqual([{ event: "signup", emailHash: "0x1" }, own]);
+    expect(audit.entriesFor("0x3")).toEqual([]);
+    audit.close();
+  });
+
+  test("should create the log readable by its owner only", () => {
+    createAuditLog({ path: file }).close();
+    expect(fs.statSync(file).mode & 0o777).toBe(0o600);
+  });
+
+  test("should read its path from AUDIT_LOG", () => {
+    expect(auditConfigFromEnv({})).toEqual({ path: DEFAULT_AUDIT_PATH });
+    expect(auditConfigFromEnv({ AUDIT_LOG: "/var/log/zk.log" })).toEqual({
+      path: "/var/log/zk.log",
+    });
+  });
+});
@@ -1,5 +1,15 @@
 import { describe, test, expect, beforeAll } from "@jest/globals";
-import { createCommitment, generateSalt } from "../../utils/commitment.js";
+import {
+  createCommitment,
+  generateSalt,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+  createRecoveryCommitments,
+  findRecoveryCode,
+  normalizeEmail,
+  hashEmail,
+} from "../../utils/commitment.js";
+import { DEFAULT_KDF, PLAIN_KDF } from "../../utils/kdf.js";
 import { buildPoseidon } from "circomlibjs";
 
 describe("Commitment Utils", () => {
@@ -104,14 +114,87 @@ describe("Commitment Utils", () => {
       expect(result.commitmentHex).toBeDefined();
       expect(result.saltHex).toBeDefined();
     });
+
+    test("should return the KDF parameters it used", async () => {
+      const saltHex = generateSalt();
+      const strong = await createCommitment("testpassword", saltHex);
+      const plain = await createCommitment("testpassword", saltHex, PLAIN_KDF);
+
+      expect(strong.kdf).toEqual(DEFAULT_KDF);
+      expect(plain.kdf).toEqual(PLAIN_KDF);
+      expect(strong.commitmentHex).not.toBe(plain.commitmentHex);
+    });
+  });
+
+  describe("Recovery codes", () => {
+    test("should generate 8 formatted codes by default", () => {
+      const codes = generateRecoveryCodes();
+      expect(codes).toHaveLength(8);
+      codes.forEach((code) => {
+        expect(code).toMatch(/^[0-9A-HJKMNP-TV-Z]{4}(-[0-9A-HJKMNP-TV-Z]{4}){3}$/);
+      });
+      expect(new Set(codes).size).toBe(8);
+    });
+
+    test("should generate the requested number of codes", () => {
+      expect(generateRecoveryCodes(3)).toHaveLength(3);
+    });
+
+    test("should normalize typed codes", () => {
+      expect(normalizeRecoveryCode(" k7qx-m2pa 9rtv-e4hn ")).toBe(
+        "K7QXM2PA9RTVE4HN"
+      );
+      expect(normalizeRecoveryCode("OIL0-1111")).toBe("01101111");
+    });
+
+    test("should commit to each code with its own salt", async () => {
+      const codes = generateRecoveryCodes(3);
+      const commitments = await createRecoveryCommitments(codes);
+
+      expect(commitments).toHaveLength(3);
+      expect(new Set(commitments.map((c) => c.saltHex)).size).toBe(3);
+
+      const expected = await createCommitment(
+        normalizeRecoveryCode(codes[1]),
+        commitments[1].saltHex,
+        PLAIN_KDF
+      );
+      expect(commitments[1].commitmentHex).toBe(expected.commitmentHex);
+    });
+
+    test("should find the entry a code belongs to", async () => {
+      const codes = generateRecoveryCodes(3);
+      const commitments = await createRecoveryCommitments(codes);
+
+      expect(await findRecoveryCode(codes[2], commitments)).toBe(2);
+      expect(
+        await findRecoveryCode(codes[0].toLowerCase(), commitments)
+      ).toBe(0);
+      expect(await findRecoveryCode("AAAA-BBBB-CCCC-DDDD", commitments)).toBe(
+        -1
+      );
+    });
+  });
+
+  describe("email hashing", () => {
+    test("should normalize case and surrounding whitespace", () => {
+      expect(normalizeEmail("  Alice@Example.COM ")).toBe("alice@example.com");
+    });
+
+    test("should hash equivalent emails to the same key", async () => {
+      const hash = await hashEmail("alice@example.com");
+      expect(hash).toMatch(/^0x[0-9a-f]+$/);
+      expect(await hashEmail(" ALICE@example.com")).toBe(hash);
+      expect(await hashEmail("bob@example.com")).not.toBe(hash);
+    });
   });
 
   describe("Integration with Poseidon", () => {
-    test("commitment should match manual Poseidon calculation", async () => {
+    test("v1 commitment should match manual Poseidon calculation", async () => {
       const password = "testpassword";
       const saltHex = "0123456789abcdef0123456789abcdef";
 
-      const result = await createCommitment(password, saltHex);
+      const result = await createCommitment(password, saltHex, PLAIN_KDF);
 
       // Manual calculation for verification
       const enc = new TextEncoder().encode(password);
@@ -124,11 +207,7 @@ describe("Commitment Utils", () => {
       const saltField = BigInt("0x" + saltHex);
 
       const manualCommitment = poseidon([pwdField, saltField]);
-      const manualHex =
-        "0x" +
-        Array.from(manualCommitment)
-          .map((byte) => byte.toString(16).padStart(2, "0"))
-          .join("");
+      const manualHex = "0x" + poseidon.F.toObject(manualCommitment).toString(16);
 
       expect(result.commitmentHex).toBe(manualHex);
     });
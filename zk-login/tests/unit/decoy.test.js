@@ -0,0 +1,111 @@
+import { describe, test, expect, beforeEach } from "@jest/globals";
+import { createMemoryStore } from "../../server/store/memory.js";
+import { SHAPES_REFRESH_MS, createDecoys, recordShape } from "../../server/decoy.js";
+import { DEFAULT_KDF, PLAIN_KDF } from "../../utils/kdf.js";
+
+const SECRET = "test-decoy-secret";
+const PASSWORD_POLICY = { name: "password", proofs: ["password"] };
+
+const entry = (used = false) => ({ saltHex: "00".repeat(16), commitmentHex: "0x1", used });
+
+// Records as the store holds them after signups, legacy imports, recoveries
+// and admin resets
+const REAL_RECORDS = {
+  "0xa": { saltHex: "a", commitmentHex: "0x1" },
+  "0xb": { saltHex: "b", commitmentHex: "0x1", kdf: PLAIN_KDF, recovery: [entry(), entry(true)] },
+  "0xc": {
+    saltHex: "c",
+    commitmentHex: "0x1",
+    kdf: { v: 2, alg: "pbkdf2", hash: "SHA-256", iterations: 600_000 },
+    recovery: Array.from({ length: 5 }, (_, i) => entry(i < 2)),
+    totp: { saltHex: "d", commitmentHex: "0x1", lastTimeStep: 5 },
+  },
+  "0xd": { saltHex: "d", commitmentHex: "0x1", kdf: DEFAULT_KDF, recovery: [entry()] },
+};
+
+const emailHashes = Array.from({ length: 400 }, (_, i) => `0x${(i + 1).toString(16)}`);
+
+const shapeText = (rec) => JSON.stringify(recordShape(rec));
+
+describe("Decoys", () => {
+  let store, now;
+
+  beforeEach(async () => {
+    store = createMemoryStore();
+    now = 1_700_000_000_000;
+  });
+
+  const decoysFor = async () => {
+    const decoys = createDecoys(SECRET, { store, clock: () => now });
+    await decoys.refresh();
+    return decoys;
+  };
+
+  test("should require a secret", () => {
+    expect(() => createDecoys()).toThrow("Decoy secret is required");
+  });
+
+  test("should look like a fresh signup while there are no accounts", async () => {
+    const decoys = await decoysFor();
+    const rec = decoys.record("0x1", PASSWORD_POLICY);
+
+    expect(rec.saltHex).toMatch(/^[0-9a-f]{32}$/);
+    expect(rec.kdf).toEqual(DEFAULT_KDF);
+    expect(rec.recovery).toHaveLength(8);
+    expect(rec.recovery.every(({ used }) => !used)).toBe(true);
+  });
+
+  test("should give an email the same decoy every time", async () => {
+    for (const [hash, rec] of Object.entries(REAL_RECORDS)) await store.put(hash, rec);
+    const decoys = await decoysFor();
+
+    expect(decoys.record("0x1", PASSWORD_POLICY)).toEqual(decoys.record("0x1", PASSWORD_POLICY));
+    expect((await decoysFor()).record("0x1", PASSWORD_POLICY)).toEqual(
+      decoys.record("0x1", PASSWORD_POLICY)
+    );
+  });
+
+  test("should be shaped like the real records, in the same proportions", async () => {
+    for (const [hash, rec] of Object.entries(REAL_RECORDS)) await store.put(hash, rec);
+    // Legacy records are half of the accounts here
+    await store.put("0xe", REAL_RECORDS["0xa"]);
+    await store.put("0xf", REAL_RECORDS["0xa"]);
+    await store.put("0x10", REAL_RECORDS["0xa"]);
+    await store.put("0x11", REAL_RECORDS["0xa"]);
+    const decoys = await decoysFor();
+
+    const real = (await store.list()).map(shapeText);
+    const counts = new Map();
+    for (const hash of emailHashes) {
+      const shape = shapeText(decoys.record(hash, PASSWORD_POLICY));
+      counts.set(shape, (counts.get(shape) ?? 0) + 1);
+    }
+
+    expect([...counts.keys()].sort()).toEqual([...new Set(real)].sort());
+    for (const [shape, count] of counts) {
+      const share = real.filter((s) => s === shape).length / real.length;
+      expect(Math.abs(count / emailHashes.length - share)).toBeLessThan(0.1);
+    }
+  });
+
+  test("should enroll what the policy requires whatever the shape", async () => {
+    await store.put("0xa", REAL_RECORDS["0xa"]);
+    const decoys = await decoysFor();
+
+    const rec = decoys.record("0x1", { name: "strict", proofs: ["password", "totp", "age"] });
+    expect(rec.kdf).toBeUndefined();
+    expect(rec).toHaveProperty("totp");
+    expect(rec).toHaveProperty("age");
+  });
+
+  test("should read the shapes again after a while", async () => {
+    const decoys = await decoysFor();
+    await store.put("0xa", REAL_RECORDS["0xa"]);
+
+    expect(decoys.record("0x1").kdf).toEqual(DEFAULT_KDF);
+    now += SHAPES_REFRESH_MS;
+    decoys.record("0x1");
+    await decoys.refresh();
+    expect(shapeText(decoys.record("0x1"))).toBe(shapeText(REAL_RECORDS["0xa"]));
+  });
+});
@@ -0,0 +1,61 @@
+import { describe, test, expect } from "@jest/globals";
+import {
+  checkDevicePublicKey,
+  createDeviceKey,
+  signDeviceChallenge,
+  verifyDeviceSignature,
+} from "../../utils/device.js";
+
+const NONCE = "123456789012345678901234567890";
+
+describe("Device Utils", () => {
+  describe("createDeviceKey", () => {
+    test("should make a P-256 key pair with a non-extractable private key", async () => {
+      const { keyPair, publicKey } = await createDeviceKey();
+
+      expect(Object.keys(publicKey).sort()).toEqual(["crv", "kty", "x", "y"]);
+      expect(publicKey).toMatchObject({ kty: "EC", crv: "P-256" });
+      expect(publicKey.x).toMatch(/^[A-Za-z0-9_-]{43}$/);
+      expect(keyPair.privateKey.extractable).toBe(false);
+    });
+  });
+
+  describe("signDeviceChallenge / verifyDeviceSignature", () => {
+    test("should verify the device's signature of the nonce", async () => {
+      const { keyPair, publicKey } = await createDeviceKey();
+      const signature = await signDeviceChallenge(keyPair.privateKey, NONCE);
+
+      expect(signature).toMatch(/^[A-Za-z0-9_-]{86}$/);
+      expect(await verifyDeviceSignature(publicKey, NONCE, signature)).toBe(true);
+    });
+
+    test("should reject another nonce, another key or a malformed signature", async () => {
+      const { keyPair, publicKey } = await createDeviceKey();
+      const other = await createDeviceKey();
+      const signature = await signDeviceChallenge(keyPair.privateKey, NONCE);
+
+      expect(await verifyDeviceSignature(publicKey, NONCE + "1", signature)).toBe(false);
+      expect(await verifyDeviceSignature(other.publicKey, NONCE, signature)).toBe(false);
+      expect(await verifyDeviceSignature(publicKey, NONCE, "not base64!")).toBe(false);
+      expect(await verifyDeviceSignature({ kty: "EC" }, NONCE, signature)).toBe(false);
+    });
+  });
+
+  describe("checkDevicePublicKey", () => {
+    test("should keep only the public members of a P-256 key", async () => {
+      const { publicKey } = await createDeviceKey();
+
+      expect(await checkDevicePublicKey({ ...publicKey, d: "secret", ext: true })).toEqual(
+        publicKey
+      );
+    });
+
+    test("should reject points off the curve and other keys", async () => {
+      const { publicKey } = await createDeviceKey();
+
+      expect(await checkDevicePublicKey({ ...publicKey, y: publicKey.x })).toBeNull();
+      expect(await checkDevicePublicKey({ ...publicKey, crv: "P-384" })).toBeNull();
+      expect(await checkDevicePublicKey(undefined)).toBeNull();
+    });
+  });
+});
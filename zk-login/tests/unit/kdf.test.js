@@ -0,0 +1,108 @@
+import { describe, test, expect } from "@jest/globals";
+import nodeCrypto from "crypto";
+import {
+  DEFAULT_KDF,
+  PLAIN_KDF,
+  checkKdf,
+  deriveField,
+  textToField,
+} from "../../utils/kdf.js";
+
+const saltHex = "0123456789abcdef0123456789abcdef";
+const FIELD_LIMIT = 2n ** 248n;
+
+const toField = (buf) => BigInt("0x" + buf.subarray(0, 31).toString("hex"));
+
+describe("KDF Utils", () => {
+  describe("textToField", () => {
+    test("should be SHA-256 truncated to 31 bytes", async () => {
+      const digest = nodeCrypto.createHash("sha256").update("hello").digest();
+      expect(await textToField("hello")).toBe(toField(digest));
+    });
+  });
+
+  describe("deriveField", () => {
+    test("v1 should ignore the salt", async () => {
+      const field = await deriveField("testpassword", saltHex, PLAIN_KDF);
+      expect(field).toBe(await textToField("testpassword"));
+      expect(await deriveField("testpassword", "ff", PLAIN_KDF)).toBe(field);
+    });
+
+    test("v2 scrypt should match Node's scrypt with the salt bytes", async () => {
+      const { N, r, p } = DEFAULT_KDF;
+      const expected = nodeCrypto.scryptSync(
+        "testpassword",
+        Buffer.from(saltHex, "hex"),
+        31,
+        { N, r, p, maxmem: 64 * 1024 * 1024 }
+      );
+      expect(await deriveField("testpassword", saltHex)).toBe(toField(expected));
+    });
+
+    test("v2 pbkdf2 should match Node's pbkdf2", async () => {
+      const kdf = { v: 2, alg: "pbkdf2", hash: "SHA-256", iterations: 100_000 };
+      const expected = nodeCrypto.pbkdf2Sync(
+        "testpassword",
+        Buffer.from(saltHex, "hex"),
+        100_000,
+        31,
+        "sha256"
+      );
+      expect(await deriveField("testpassword", saltHex, kdf)).toBe(toField(expected));
+    });
+
+    test("v2 should depend on the salt", async () => {
+      expect(await deriveField("testpassword", saltHex)).not.toBe(
+        await deriveField("testpassword", "ff" + saltHex.slice(2))
+      );
+    });
+
+    test("v2 should NFKC-normalize the password", async () => {
+      const composed = "caf\u00e9 \ufb01le"; // é, "ﬁ" ligature
+      const decomposed = "cafe\u0301 file";
+      expect(await deriveField(composed, saltHex)).toBe(
+        await deriveField(decomposed, saltHex)
+      );
+      // v1 hashes the raw bytes, as it always did
+      expect(await deriveField(composed, saltHex, PLAIN_KDF)).not.toBe(
+        await deriveField(decomposed, saltHex, PLAIN_KDF)
+      );
+    });
+
+    test("should fit into the circuit's field", async () => {
+      expect(await deriveField("🔐密码测试", saltHex)).toBeLessThan(FIELD_LIMIT);
+      expect(await deriveField("", saltHex, PLAIN_KDF)).toBeLessThan(FIELD_LIMIT);
+    });
+
+    test("should refuse unsupported parameters", async () => {
+      await expect(
+        deriveField("testpassword", saltHex, { v: 3 })
+      ).rejects.toThrow("Unsupported KDF parameters");
+    });
+  });
+
+  describe("checkKdf", () => {
+    test("should accept and copy supported parameters", () => {
+      expect(checkKdf(DEFAULT_KDF)).toEqual(DEFAULT_KDF);
+      expect(checkKdf({ ...PLAIN_KDF, extra: 1 })).toEqual(PLAIN_KDF);
+      expect(
+        checkKdf({ v: 2, alg: "pbkdf2", hash: "SHA-512", iterations: 600_000 })
+      ).toEqual({ v: 2, alg: "pbkdf2", hash: "SHA-512", iterations: 600_000 });
+    });
+
+    test.each([
+      [undefined],
+      [{}],
+      [{ v: 2 }],
+      [{ ...DEFAULT_KDF, N: 2 ** 10 }],
+      [{ ...DEFAULT_KDF, N: 2 ** 21 }],
+      [{ ...DEFAULT_KDF, N: 3 * 2 ** 14 }],
+      [{ ...DEFAULT_KDF, r: 64 }],
+      [{ ...DEFAULT_KDF, p: "1" }],
+      [{ v: 2, alg: "pbkdf2", hash: "SHA-1", iterations: 100_000 }],
+      [{ v: 2, alg: "pbkdf2", hash: "SHA-256", iterations: 1000 }],
+    ])("should reject %j", (kdf) => {
+      expect(() => checkKdf(kdf)).toThrow("Unsupported KDF parameters");
+    });
+  });
+});
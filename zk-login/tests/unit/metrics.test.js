@@ -0,0 +1,69 @@
+import { describe, test, expect } from "@jest/globals";
+import { createMetrics } from "../../server/metrics.js";
+
+describe("Metrics", () => {
+  test("should render counters per label set", () => {
+    const metrics = createMetrics();
+    const logins = metrics.counter({
+      name: "logins_total",
+      help: "Logins.",
+      labels: ["event", "outcome"],
+    });
+    logins.inc({ event: "login", outcome: "success" });
+    logins.inc({ event: "login", outcome: "success" });
+    logins.inc({ outcome: "PROOF_INVALID", event: "login" }, 3);
+
+    expect(metrics.render()).toBe(
+      [
+        "# HELP logins_total Logins.",
+        "# TYPE logins_total counter",
+        'logins_total{event="login",outcome="success"} 2',
+        'logins_total{event="login",outcome="PROOF_INVALID"} 3',
+        "",
+      ].join("\n")
+    );
+  });
+
+  test("should render an unlabelled counter once used", () => {
+    const metrics = createMetrics();
+    const lockouts = metrics.counter({ name: "lockouts_total", help: "Lockouts." });
+    expect(metrics.render()).not.toContain("lockouts_total 0");
+
+    lockouts.inc();
+    expect(metrics.render()).toContain("\nlockouts_total 1\n");
+  });
+
+  test("should render cumulative histogram buckets, sum and count", () => {
+    const metrics = createMetrics();
+    const latency = metrics.histogram({
+      name: "verify_seconds",
+      help: "Verification time.",
+      labels: ["circuit"],
+      buckets: [0.01, 0.05, 0.1],
+    });
+    for (const seconds of [0.004, 0.05, 0.07, 2]) latency.observe({ circuit: "a" }, seconds);
+
+    expect(metrics.render()).toBe(
+      [
+        "# HELP verify_seconds Verification time.",
+        "# TYPE verify_seconds histogram",
+        'verify_seconds_bucket{circuit="a",le="0.01"} 1',
+        'verify_seconds_bucket{circuit="a",le="0.05"} 2',
+        'verify_seconds_bucket{circuit="a",le="0.1"} 3',
+        'verify_seconds_bucket{circuit="a",le="+Inf"} 4',
+        'verify_seconds_sum{circuit="a"} 2.124',
+        'verify_seconds_count{circuit="a"} 4',
+        "",
+      ].join("\n")
+    );
+  });
+
+  test("should escape label values", () => {
+    const metrics = createMetrics();
+    metrics
+      .counter({ name: "c_total", help: "C.", labels: ["v"] })
+      .inc({ v: 'a"b\\c\nd' });
+
+    expect(metrics.render()).toContain('c_total{v="a\\"b\\\\c\\nd"} 1');
+  });
+});
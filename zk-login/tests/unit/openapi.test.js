@@ -0,0 +1,115 @@
+import { describe, test, expect, beforeEach } from "@jest/globals";
+import fs from "fs";
+import express from "express";
+import bodyParser from "body-parser";
+import request from "supertest";
+import { ERROR_CODE_LIST, openapi } from "../../server/openapi.js";
+import { createRequestValidator } from "../../server/validate.js";
+import { FIELD_ORDER } from "../../server/records.js";
+import { createCommitment } from "../../utils/commitment.js";
+
+const read = (file) => fs.readFileSync(new URL(file, import.meta.url), "utf8");
+
+describe("OpenAPI", () => {
+  describe("document", () => {
+    const server = read("../../server/app.js");
+
+    test("should describe every route of the server, and no others", () => {
+      const routes = [...server.matchAll(/app\.(get|post|delete)\("([^"]+)"/g)]
+        // Express path params (:id) are {id} in OpenAPI
+        .map(([, method, route]) => `${method} ${route.replace(/:(\w+)/g, "{$1}")}`)
+        .sort();
+      const documented = Object.entries(openapi.paths)
+        .flatMap(([route, methods]) => Object.keys(methods).map((m) => `${m} ${route}`))
+        .sort();
+
+      expect(documented).toEqual(routes);
+    });
+
+    test("should list every error code the server sends", () => {
+      const sources = ["app.js", "session.js", "throttle.js", "validate.js"]
+        .map((file) => read(`../../server/${file}`))
+        .join("\n");
+      const codes = new Set(
+        [...sources.matchAll(/"([A-Z][A-Z_]{4,})"/g)].map(([, code]) => code)
+      );
+
+      for (const code of codes) expect(ERROR_CODE_LIST).toContain(code);
+    });
+
+    test("should be plain JSON", () => {
+      expect(JSON.parse(JSON.stringify(openapi))).toEqual(openapi);
+    });
+  });
+
+  describe("createRequestValidator", () => {
+    let app;
+
+    beforeEach(() => {
+      app = express();
+      app.use(bodyParser.json());
+      app.use(createRequestValidator(openapi));
+      const ok = (req, res) => res.json({ ok: true });
+      app.post("/signup", ok);
+      app.get("/loginData", ok);
+      app.post("/logout", ok);
+      app.post("/undocumented", ok);
+    });
+
+    test("should pass a valid request on", async () => {
+      const response = await request(app)
+        .post("/signup")
+        .send({ email: "test@example.com", ...(await createCommitment("pw")) });
+
+      expect(response.status).toBe(200);
+    });
+
+    test("should report every mismatch with its path", async () => {
+      const response = await request(app)
+        .post("/signup")
+        .send({ email: "", saltHex: "AB", commitmentHex: "0x1", extra: true });
+
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe("INVALID_REQUEST");
+      expect(response.body.errors.map((e) => e.path).sort()).toEqual([
+        "/body/email",
+        "/body/saltHex",
+      ]);
+    });
+
+    test("should check commitments against the field order", async () => {
+      const signup = (commitmentHex) =>
+        request(app)
+          .post("/signup")
+          .send({ email: "a@example.com", saltHex: "ab".repeat(16), commitmentHex });
+
+      expect((await signup("0x" + (FIELD_ORDER - 1n).toString(16))).status).toBe(200);
+      expect((await signup("0x" + FIELD_ORDER.toString(16))).status).toBe(400);
+    });
+
+    test("should validate query parameters", async () => {
+      const response = await request(app)
+        .get("/loginData")
+        .query({ email: ["a@example.com", "b@example.com"] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors).toEqual([
+        { path: "/query/email", message: "must be string" },
+      ]);
+      expect((await request(app).get("/loginData?email=a")).status).toBe(200);
+    });
+
+    test("should allow an optional body to be left out", async () => {
+      expect((await request(app).post("/logout")).status).toBe(200);
+      expect(
+        (await request(app).post("/logout").send({ refreshToken: 1 })).status
+      ).toBe(400);
+    });
+
+    test("should pass undocumented routes through", async () => {
+      const response = await request(app).post("/undocumented").send({ any: 1 });
+
+      expect(response.status).toBe(200);
+    });
+  });
+});
@@ -0,0 +1,139 @@
+import { describe, test, expect, afterEach } from "@jest/globals";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  DEFAULT_POLICY_CONFIG,
+  checkPolicyConfig,
+  createPolicies,
+  emailDomain,
+  loadPolicyConfig,
+} from "../../server/policies.js";
+
+const FIXTURE = "tests/fixtures/policies.json";
+const fixture = JSON.parse(fs.readFileSync(FIXTURE, "utf8"));
+
+describe("Policies", () => {
+  describe("checkPolicyConfig", () => {
+    test("should accept the default config and the fixture", () => {
+      expect(checkPolicyConfig(DEFAULT_POLICY_CONFIG)).toEqual(DEFAULT_POLICY_CONFIG);
+      expect(checkPolicyConfig(fixture)).toEqual(fixture);
+    });
+
+    test("should list proofs in a fixed order and default tenants to none", () => {
+      const config = checkPolicyConfig({
+        default: "strict",
+        policies: { strict: { proofs: ["age", "password", "totp"], minAge: 16 } },
+      });
+
+      expect(config.policies.strict.proofs).toEqual(["password", "totp", "age"]);
+      expect(config.tenants).toEqual({});
+    });
+
+    const policy = (p) => ({ default: "p", policies: { p } });
+    test.each([
+      ["not an object", [], "Policy config is not an object"],
+      ["no policies", { default: "p", policies: {} }, "No policies defined"],
+      ["an unknown key", { ...fixture, extra: 1 }, "Unknown key extra"],
+      ["an unknown default", { ...fixture, default: "x" }, "Unknown default policy: x"],
+      ["no password", policy({ proofs: ["totp"] }), "requires the password proof"],
+      ["an unknown proof", policy({ proofs: ["password", "sms"] }), "unknown proof sms"],
+      ["a duplicate proof", policy({ proofs: ["password", "password"] }), "duplicate"],
+      ["proofs not a list", policy({ proofs: "password" }), "proofs must be a list"],
+      ["age without minAge", policy({ proofs: ["password", "age"] }), "minAge must be"],
+      ["a fractional minAge", policy({ proofs: ["password", "age"], minAge: 17.5 }), "minAge"],
+      ["minAge without age", policy({ proofs: ["password"], minAge: 18 }), "without the age"],
+      ["an unknown policy key", policy({ proofs: ["password"], mfa: 1 }), "unknown key mfa"],
+      [
+        "a tenant with an unknown policy",
+        { ...fixture, tenants: { "a.example": "x" } },
+        "Tenant a.example: unknown policy x",
+      ],
+      [
+        "a malformed tenant domain",
+        { ...fixture, tenants: { "Example.ORG": "password" } },
+        "Invalid tenant domain",
+      ],
+    ])("should reject %s", (_, config, message) => {
+      expect(() => checkPolicyConfig(config)).toThrow(message);
+    });
+  });
+
+  describe("loadPolicyConfig", () => {
+    let dir;
+
+    afterEach(() => {
+      if (dir) fs.rmSync(dir, { recursive: true, force: true });
+      dir = null;
+    });
+
+    test("should read a config file", () => {
+      expect(loadPolicyConfig(FIXTURE)).toEqual(fixture);
+    });
+
+    test("should name the file a broken config is in", () => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "zk-login-policies-"));
+      const file = path.join(dir, "policies.json");
+      fs.writeFileSync(file, JSON.stringify({ ...fixture, default: "x" }));
+
+      expect(() => loadPolicyConfig(file)).toThrow(
+        `Policy config ${file}: Unknown default policy: x`
+      );
+    });
+
+    test("should not fall back to the defaults for a missing named file", () => {
+      expect(() => loadPolicyConfig("tests/fixtures/missing.json")).toThrow("ENOENT");
+    });
+  });
+
+  describe("createPolicies", () => {
+    const policies = createPolicies(fixture);
+
+    test("should resolve each tenant's policy by email domain", () => {
+      expect(policies.resolve("a@totp.example")).toEqual({
+        name: "password+totp",
+        proofs: ["password", "totp"],
+      });
+      expect(policies.resolve(" B@Age.Example ")).toEqual({
+        name: "password+age",
+        proofs: ["password", "age"],
+        minAge: 18,
+      });
+      expect(policies.resolve("c@strict.example").proofs).toEqual([
+        "password",
+        "totp",
+        "age",
+      ]);
+    });
+
+    test("should fall back to the default policy", () => {
+      expect(policies.resolve("d@example.com").name).toBe("password");
+      expect(policies.resolve("e@sub.totp.example").name).toBe("password");
+      expect(policies.resolve("f@constructor").name).toBe("password");
+    });
+
+    test("should prefer the account's own policy", () => {
+      const rec = { policy: "password+age" };
+      expect(policies.resolve("a@totp.example", rec).name).toBe("password+age");
+      expect(policies.resolve("a@totp.example", {}).name).toBe("password+totp");
+    });
+
+    test("should not fall back for an account policy that is gone", () => {
+      expect(policies.resolve("a@example.com", { policy: "retired" })).toBeNull();
+      expect(policies.resolve("a@example.com", { policy: "toString" })).toBeNull();
+    });
+
+    test("should list and look up policies", () => {
+      expect(policies.names()).toEqual(Object.keys(fixture.policies));
+      expect(policies.get("password")).toEqual({ name: "password", proofs: ["password"] });
+      expect(policies.get("nope")).toBeNull();
+    });
+  });
+
+  describe("emailDomain", () => {
+    test("should take the normalized part after the last @", () => {
+      expect(emailDomain(" Alice@Example.COM")).toBe("example.com");
+      expect(emailDomain('"a@b"@c.example')).toBe("c.example");
+    });
+  });
+});
@@ -1,6 +1,17 @@
 import { describe, test, expect, beforeAll } from "@jest/globals";
-import { generateProof } from "../../utils/proof.js";
-import { createCommitment } from "../../utils/commitment.js";
+import { readFile } from "fs/promises";
+import {
+  CIRCUITS,
+  generateProof,
+  generateEmailProof,
+  generateTotpProof,
+  generateAgeProof,
+  loginInput,
+  prove,
+} from "../../utils/proof.js";
+import { createCommitment, hashEmail } from "../../utils/commitment.js";
+import { generateTotpSecret, createTotpCommitment } from "../../utils/totp.js";
+import { createAgeCredential } from "../../utils/age.js";
 
 describe("Proof Generation Utils", () => {
   let testCommitment;
@@ -57,22 +68,25 @@ describe("Proof Generation Utils", () => {
       expect(typeof result1.proof.pi_a).toBe(typeof result2.proof.pi_a);
     }, 60000);
 
-    test("should handle broken commitmentHex format", async () => {
-      // Test the backward compatibility fix
+    test("should refuse the legacy byte-list commitment format", async () => {
+      // Such records are repaired on the server (npm run migrate -- --upgrade)
       const brokenCommitmentHex =
         "0x181,1,226,71,204,156,152,148,197,29,111,201,97,243,120,154";
 
-      expect(async () => {
-        await generateProof(testPassword, testSaltHex, brokenCommitmentHex);
-      }).not.toThrow();
-    }, 30000);
+      await expect(
+        generateProof(testPassword, testSaltHex, brokenCommitmentHex)
+      ).rejects.toThrow(`Invalid commitmentHex: ${brokenCommitmentHex}`);
+    });
 
     test("should throw error for invalid commitmentHex", async () => {
       const invalidCommitmentHex = "invalid-hex-string";
 
       await expect(
         generateProof(testPassword, testSaltHex, invalidCommitmentHex)
-      ).rejects.toThrow();
+      ).rejects.toThrow("Invalid commitmentHex");
+      await expect(
+        generateProof(testPassword, "not-hex", testCommitment)
+      ).rejects.toThrow("Invalid saltHex");
     });
 
     test("should generate different proofs for different passwords", async () => {
@@ -120,6 +134,166 @@ describe("Proof Generation Utils", () => {
     });
   });
 
+  describe("generateEmailProof", () => {
+    test("should expose [ok, C, emailHash, nonce]", async () => {
+      const { publicSignals } = await generateEmailProof(
+        "alice@example.com",
+        testPassword,
+        testSaltHex,
+        testCommitment,
+        "42"
+      );
+
+      expect(publicSignals).toEqual([
+        "1",
+        BigInt(testCommitment).toString(),
+        BigInt(await hashEmail("alice@example.com")).toString(),
+        "42",
+      ]);
+    }, 30000);
+
+    test("should bind the normalized email", async () => {
+      const prove = (email) =>
+        generateEmailProof(email, testPassword, testSaltHex, testCommitment);
+      const [a, b] = [
+        await prove("alice@example.com"),
+        await prove(" Alice@Example.com"),
+      ];
+
+      expect(a.publicSignals).toEqual(b.publicSignals);
+    }, 60000);
+  });
+
+  describe("generateTotpProof", () => {
+    let totpSecret;
+    let totp;
+
+    beforeAll(async () => {
+      totpSecret = generateTotpSecret();
+      totp = await createTotpCommitment(totpSecret);
+    });
+
+    test("should expose [ok, code, C, T, emailHash, timeStep, nonce]", async () => {
+      const { proof, publicSignals } = await generateTotpProof(
+        "alice@example.com",
+        testPassword,
+        testSaltHex,
+        testCommitment,
+        totpSecret,
+        totp,
+        56666666,
+        "42"
+      );
+
+      expect(proof.protocol).toBe("groth16");
+      expect(publicSignals).toHaveLength(7);
+      expect(publicSignals[0]).toBe("1");
+      expect(publicSignals.slice(2)).toEqual([
+        BigInt(testCommitment).toString(),
+        BigInt(totp.commitmentHex).toString(),
+        BigInt(await hashEmail("alice@example.com")).toString(),
+        "56666666",
+        "42",
+      ]);
+    }, 30000);
+
+    test("should derive a different code for each time step", async () => {
+      const prove = (step) =>
+        generateTotpProof(
+          "alice@example.com",
+          testPassword,
+          testSaltHex,
+          testCommitment,
+          totpSecret,
+          totp,
+          step
+        );
+      const [a, b] = [await prove(1), await prove(2)];
+
+      expect(a.publicSignals[1]).not.toBe(b.publicSignals[1]);
+    }, 60000);
+
+    test("should fail for the wrong password", async () => {
+      await expect(
+        generateTotpProof(
+          "alice@example.com",
+          "wrongpassword",
+          testSaltHex,
+          testCommitment,
+          totpSecret,
+          totp,
+          1
+        )
+      ).rejects.toThrow("Assert Failed");
+    }, 30000);
+  });
+
+  describe("generateAgeProof", () => {
+    let credential;
+
+    beforeAll(async () => {
+      credential = await createAgeCredential(20000229);
+    });
+
+    test("should expose [ok, A, cutoff, nonce]", async () => {
+      const { proof, publicSignals } = await generateAgeProof(credential, 20080301, "42");
+
+      expect(proof.protocol).toBe("groth16");
+      expect(publicSignals).toEqual([
+        "1",
+        BigInt(credential.commitmentHex).toString(),
+        "20080301",
+        "42",
+      ]);
+    }, 30000);
+
+    test("should accept a birth date on the cutoff", async () => {
+      const { publicSignals } = await generateAgeProof(credential, 20000229);
+      expect(publicSignals[0]).toBe("1");
+    }, 30000);
+
+    test("should fail for a birth date after the cutoff", async () => {
+      await expect(generateAgeProof(credential, 20000228)).rejects.toThrow(
+        "Assert Failed"
+      );
+    }, 30000);
+
+    test("should fail for another credential's commitment", async () => {
+      const other = await createAgeCredential(20000229);
+      await expect(
+        generateAgeProof({ ...credential, commitmentHex: other.commitmentHex }, 20080301)
+      ).rejects.toThrow("Assert Failed");
+    }, 30000);
+  });
+
+  describe("prove", () => {
+    test("should report the witness stage before the proving stage", async () => {
+      const stages = [];
+      const input = await loginInput(testPassword, testSaltHex, testCommitment);
+      const { publicSignals } = await prove("pwd_login", input, {
+        onProgress: (stage) => stages.push(stage),
+      });
+
+      expect(stages).toEqual(["witness", "proving"]);
+      expect(publicSignals[0]).toBe("1");
+    });
+
+    test("should prove from preloaded artifacts", async () => {
+      const artifacts = {
+        wasm: new Uint8Array(await readFile(CIRCUITS.pwd_login.wasm)),
+        zkey: new Uint8Array(await readFile(CIRCUITS.pwd_login.zkey)),
+      };
+      const input = await loginInput(testPassword, testSaltHex, testCommitment, "7");
+      const { publicSignals } = await prove("pwd_login", input, { artifacts });
+
+      expect(publicSignals).toEqual(["1", BigInt(testCommitment).toString(), "7"]);
+    });
+
+    test("should reject an unknown circuit", async () => {
+      await expect(prove("nope", {})).rejects.toThrow("Unknown circuit: nope");
+    });
+  });
+
   describe("SHA-256 Field Conversion", () => {
     test("should handle empty password", async () => {
       const emptyCommitment = await createCommitment("");
@@ -0,0 +1,255 @@
+import { describe, test, expect, beforeAll } from "@jest/globals";
+import fs from "fs";
+import { buildPoseidon } from "circomlibjs";
+import {
+  FIELD_ORDER,
+  RECORD_VERSION,
+  checkCommitment,
+  isLegacyRecord,
+  recordProblems,
+  repairBaselineCommitmentHex,
+  repairLegacyCommitmentHex,
+  upgradeRecord,
+} from "../../server/records.js";
+import { createCommitment } from "../../utils/commitment.js";
+import { DEFAULT_KDF, PLAIN_KDF } from "../../utils/kdf.js";
+
+const saltHex = "0123456789abcdef0123456789abcdef";
+
+// A db.json written by the original createCommitment for these passwords:
+// alice's commitment is above the field order, bob's looks like a valid one
+// and carol's lost a leading zero
+const BASELINE_DB = JSON.parse(fs.readFileSync("tests/fixtures/baseline-db.json", "utf8"));
+const BASELINE_PASSWORDS = {
+  "alice@example.com": "correct horse battery staple",
+  "bob@example.com": "password15",
+  "carol@example.com": "password2",
+};
+
+describe("User records", () => {
+  let poseidon;
+  // What the old createCommitment stored: "0x" + the Poseidon output's bytes
+  const legacyHex = (commitmentHex) =>
+    "0x" + poseidon.F.e(BigInt(commitmentHex));
+
+  beforeAll(async () => {
+    poseidon = await buildPoseidon();
+  });
+
+  describe("checkCommitment", () => {
+    test("should accept what createCommitment returns", async () => {
+      const c = await createCommitment("testpassword", saltHex, PLAIN_KDF);
+      expect(checkCommitment({ ...c, extra: 1 })).toEqual({
+        saltHex,
+        commitmentHex: c.commitmentHex,
+      });
+    });
+
+    test.each([
+      [{ saltHex: "abc", commitmentHex: "0x1" }],
+      [{ saltHex: saltHex.toUpperCase(), commitmentHex: "0x1" }],
+      [{ saltHex, commitmentHex: "1234" }],
+      [{ saltHex, commitmentHex: "0xABC" }],
+      [{ saltHex, commitmentHex: "0x" + FIELD_ORDER.toString(16) }],
+      [{ saltHex, commitmentHex: "0x181,1,226" }],
+      [{ saltHex, commitmentHex: 12 }],
+      [null],
+    ])("should reject %j", (c) => {
+      expect(checkCommitment(c)).toBeNull();
+    });
+  });
+
+  describe("repairLegacyCommitmentHex", () => {
+    test("should recover the canonical commitment", async () => {
+      const { commitmentHex } = await createCommitment("pw", saltHex, PLAIN_KDF);
+      const legacy = legacyHex(commitmentHex);
+      expect(legacy).toMatch(/^0x\d+(,\d+){31}$/);
+
+      expect(await repairLegacyCommitmentHex(legacy)).toBe(commitmentHex);
+    });
+
+    test("should match a known Poseidon output", async () => {
+      const legacy = "0x" + poseidon([1n, 2n]);
+      expect(await repairLegacyCommitmentHex(legacy)).toBe(
+        "0x115cc0f5e7d690413df64c6b9662e9cf2a3617f2743245519e19607a4417189a"
+      );
+    });
+
+    test("should leave other values alone", async () => {
+      expect(await repairLegacyCommitmentHex("0x1234")).toBeNull();
+      expect(await repairLegacyCommitmentHex("0x181,1,226")).toBeNull();
+      expect(
+        await repairLegacyCommitmentHex("0x" + Array(32).fill(256).join(","))
+      ).toBeNull();
+    });
+  });
+
+  describe("repairBaselineCommitmentHex", () => {
+    test.each(Object.keys(BASELINE_PASSWORDS))(
+      "should recover the canonical commitment of %s",
+      async (email) => {
+        const { saltHex: salt, commitmentHex } = BASELINE_DB[email];
+        const expected = await createCommitment(BASELINE_PASSWORDS[email], salt, PLAIN_KDF);
+
+        expect(await repairBaselineCommitmentHex(commitmentHex)).toBe(
+          expected.commitmentHex
+        );
+      }
+    );
+
+    test("should leave values that are no field element's bytes alone", async () => {
+      // Little-endian, so the last byte is the most significant
+      expect(await repairBaselineCommitmentHex("0x" + "ff".repeat(32))).toBeNull();
+      expect(await repairBaselineCommitmentHex("0x1234")).toBeNull();
+      expect(await repairBaselineCommitmentHex("0x" + "1".repeat(65))).toBeNull();
+      expect(await repairBaselineCommitmentHex("0x181,1,226")).toBeNull();
+    });
+  });
+
+  describe("upgradeRecord", () => {
+    test.each(Object.keys(BASELINE_PASSWORDS))(
+      "should repair the baseline record of %s",
+      async (email) => {
+        const rec = BASELINE_DB[email];
+        const expected = await createCommitment(BASELINE_PASSWORDS[email], rec.saltHex, PLAIN_KDF);
+
+        const { record, repaired } = await upgradeRecord(rec);
+
+        expect(repaired).toEqual(["password"]);
+        expect(record).toEqual({
+          v: RECORD_VERSION,
+          saltHex: rec.saltHex,
+          commitmentHex: expected.commitmentHex,
+          kdf: PLAIN_KDF,
+          recovery: [],
+        });
+      }
+    );
+
+    test("should not read a record with later fields as baseline", async () => {
+      const rec = { ...BASELINE_DB["bob@example.com"], kdf: PLAIN_KDF };
+      const { record, repaired } = await upgradeRecord(rec);
+
+      expect(repaired).toEqual([]);
+      expect(record.commitmentHex).toBe(rec.commitmentHex);
+    });
+
+    test("should repair legacy commitments and make the KDF explicit", async () => {
+      const password = await createCommitment("pw", saltHex, PLAIN_KDF);
+      const code = await createCommitment("CODE", saltHex, PLAIN_KDF);
+      const totp = await createCommitment("SECRET", saltHex, PLAIN_KDF);
+      const legacy = {
+        saltHex,
+        commitmentHex: legacyHex(password.commitmentHex),
+        recovery: [{ saltHex, commitmentHex: legacyHex(code.commitmentHex) }],
+        totp: { saltHex, commitmentHex: totp.commitmentHex, lastTimeStep: "5" },
+      };
+      expect(isLegacyRecord(legacy)).toBe(true);
+
+      const { record, repaired } = await upgradeRecord(legacy);
+
+      expect(repaired).toEqual(["password", "recovery code 0"]);
+      expect(record).toEqual({
+        v: RECORD_VERSION,
+        saltHex,
+        commitmentHex: password.commitmentHex,
+        kdf: PLAIN_KDF,
+        recovery: [{ saltHex, commitmentHex: code.commitmentHex, used: false }],
+        totp: { saltHex, commitmentHex: totp.commitmentHex, lastTimeStep: "5" },
+      });
+      expect(isLegacyRecord(record)).toBe(false);
+    });
+
+    test("should keep a stored KDF", async () => {
+      const rec = { saltHex, commitmentHex: "0x1234", kdf: DEFAULT_KDF };
+      const { record, repaired } = await upgradeRecord(rec);
+
+      expect(record.kdf).toEqual(DEFAULT_KDF);
+      expect(repaired).toEqual([]);
+    });
+
+    test("should not touch current records", async () => {
+      const rec = { v: RECORD_VERSION, saltHex: "x", commitmentHex: "y" };
+      expect(await upgradeRecord(rec)).toEqual({ record: rec, repaired: [] });
+    });
+
+    test("should refuse records it cannot repair", async () => {
+      await expect(
+        upgradeRecord({ saltHex, commitmentHex: "not-a-commitment" })
+      ).rejects.toThrow("Invalid password commitment");
+      await expect(
+        upgradeRecord({
+          saltHex,
+          commitmentHex: "0x1",
+          recovery: [{ saltHex: "zz", commitmentHex: "0x1" }],
+        })
+      ).rejects.toThrow("Invalid recovery code 0 commitment");
+    });
+  });
+
+  describe("recordProblems", () => {
+    const current = {
+      v: RECORD_VERSION,
+      saltHex,
+      commitmentHex: "0x1234",
+      kdf: DEFAULT_KDF,
+      recovery: [{ saltHex, commitmentHex: "0x1", used: false }],
+    };
+
+    test("should find nothing wrong with a current record", () => {
+      expect(recordProblems(current)).toEqual([]);
+      expect(recordProblems({ ...current, disabled: true })).toEqual([]);
+      expect(
+        recordProblems({ ...current, age: { commitmentHex: "0x3" }, policy: "strict" })
+      ).toEqual([]);
+      const publicKey = { kty: "EC", crv: "P-256", x: "a", y: "b" };
+      expect(
+        recordProblems({
+          ...current,
+          devices: [{ id: "d1", name: "Laptop", publicKey, createdAt: 1, lastUsedAt: null }],
+        })
+      ).toEqual([]);
+    });
+
+    test("should list every problem", () => {
+      expect(
+        recordProblems({
+          ...current,
+          v: 7,
+          commitmentHex: legacyHex("0x1234"),
+          kdf: { v: 2, alg: "md5" },
+          recovery: [{ saltHex: "x", commitmentHex: "0x1", used: "no" }],
+          totp: { saltHex, commitmentHex: "0x2", lastTimeStep: "soon" },
+          age: { saltHex, commitmentHex: "0xZ" },
+          devices: [{ id: "d1", publicKey: { kty: "RSA" }, createdAt: 1 }],
+          policy: 18,
+          resetRequired: 1,
+        })
+      ).toEqual([
+        "unknown record version 7",
+        "legacy byte-list password commitment",
+        "unsupported kdf",
+        "invalid recovery code 0 commitment",
+        "recovery code 0 has a non-boolean used flag",
+        "invalid TOTP lastTimeStep",
+        "invalid age commitment",
+        "invalid device 0",
+        "policy is not a string",
+        "resetRequired is not a boolean",
+      ]);
+    });
+
+    test("should name baseline commitments it can tell apart", () => {
+      expect(recordProblems(BASELINE_DB["alice@example.com"])).toEqual([
+        "legacy record, run npm run migrate -- --upgrade",
+        "legacy baseline password commitment",
+      ]);
+    });
+
+    test("should point legacy records at the migration", () => {
+      expect(recordProblems({ saltHex, commitmentHex: "0x1234" })).toEqual([
+        "legacy record, run npm run migrate -- --upgrade",
+      ]);
+    });
+  });
+});
@@ -0,0 +1,282 @@
+import { describe, test, expect, beforeEach, afterEach, jest } from "@jest/globals";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import jwt from "jsonwebtoken";
+import express from "express";
+import request from "supertest";
+import { createSessions, loadSessionSecret } from "../../server/session.js";
+
+const SECRET = "test-session-secret";
+
+describe("Sessions", () => {
+  let sessions;
+
+  beforeEach(() => {
+    sessions = createSessions({ secret: SECRET });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("createSessions", () => {
+    test("should require a secret", () => {
+      expect(() => createSessions({})).toThrow("Session secret is required");
+    });
+  });
+
+  describe("issue", () => {
+    test("should issue signed HS256 access and refresh tokens", () => {
+      const session = sessions.issue("test@example.com");
+
+      expect(session.expiresIn).toBe(15 * 60);
+      const access = jwt.verify(session.token, SECRET, {
+        algorithms: ["HS256"],
+      });
+      const refresh = jwt.verify(session.refreshToken, SECRET, {
+        algorithms: ["HS256"],
+      });
+      expect(access).toMatchObject({
+        sub: "test@example.com",
+        iss: "zk-login",
+        typ: "access",
+      });
+      expect(refresh).toMatchObject({ sub: "test@example.com", typ: "refresh" });
+      expect(access.jti).not.toBe(refresh.jti);
+    });
+
+    test("should issue and check tokens by the given clock", () => {
+      let now = Date.UTC(2020, 0, 1);
+      const clocked = createSessions({ secret: SECRET, now: () => now });
+      const { token, refreshToken } = clocked.issue("test@example.com");
+
+      expect(jwt.decode(token)).toMatchObject({
+        iat: now / 1000,
+        exp: now / 1000 + 15 * 60,
+      });
+      expect(clocked.refresh(refreshToken).session).toBeDefined();
+
+      now += 8 * 24 * 60 * 60 * 1000;
+      const { refreshToken: later } = clocked.issue("test@example.com");
+      now += 8 * 24 * 60 * 60 * 1000;
+      expect(clocked.refresh(later)).toEqual({ code: "SESSION_EXPIRED" });
+    });
+  });
+
+  describe("refresh", () => {
+    test("should rotate the refresh token", () => {
+      const first = sessions.issue("test@example.com");
+
+      const { session } = sessions.refresh(first.refreshToken);
+      expect(jwt.decode(session.token).sub).toBe("test@example.com");
+
+      // The old refresh token is single-use
+      expect(sessions.refresh(first.refreshToken)).toEqual({
+        code: "SESSION_REVOKED",
+      });
+      expect(sessions.refresh(session.refreshToken).session).toBeDefined();
+    });
+
+    test("should not accept an access token as a refresh token", () => {
+      const { token } = sessions.issue("test@example.com");
+      expect(sessions.refresh(token)).toEqual({ code: "SESSION_INVALID" });
+    });
+
+    test("should reject tokens signed with another key", () => {
+      const other = createSessions({ secret: "other-secret" });
+      const { refreshToken } = other.issue("test@example.com");
+      expect(sessions.refresh(refreshToken)).toEqual({
+        code: "SESSION_INVALID",
+      });
+    });
+
+    test("should reject a revoked refresh token", () => {
+      const { refreshToken } = sessions.issue("test@example.com");
+      sessions.revoke(refreshToken);
+      expect(sessions.refresh(refreshToken)).toEqual({
+        code: "SESSION_REVOKED",
+      });
+    });
+
+    test("should keep the time of the login", () => {
+      let now = Date.UTC(2020, 0, 1);
+      const clocked = createSessions({ secret: SECRET, now: () => now });
+      const { refreshToken } = clocked.issue("test@example.com");
+
+      now += 60 * 60 * 1000;
+      const { session } = clocked.refresh(refreshToken);
+      expect(jwt.decode(session.token).auth_time).toBe(Date.UTC(2020, 0, 1) / 1000);
+    });
+  });
+
+  describe("login method", () => {
+    test("should carry the method and device through a refresh", () => {
+      const { token, refreshToken } = sessions.issue("test@example.com", {
+        method: "device",
+        device: "d1",
+      });
+      expect(jwt.decode(token)).toMatchObject({ method: "device", device: "d1" });
+
+      const { session, device } = sessions.refresh(refreshToken);
+      expect(device).toBe("d1");
+      expect(jwt.decode(session.token)).toMatchObject({ method: "device", device: "d1" });
+    });
+
+    test("should default to a password proof", () => {
+      const { token } = sessions.issue("test@example.com");
+      expect(jwt.decode(token).method).toBe("proof");
+      expect(jwt.decode(token)).not.toHaveProperty("device");
+    });
+  });
+
+  describe("revokeAll", () => {
+    test("should revoke every token of the email, and only those", () => {
+      const first = sessions.issue("test@example.com");
+      const second = sessions.issue("test@example.com");
+      const other = sessions.issue("other@example.com");
+
+      sessions.revokeAll("test@example.com");
+
+      for (const { refreshToken } of [first, second])
+        expect(sessions.refresh(refreshToken)).toEqual({ code: "SESSION_REVOKED" });
+      expect(sessions.refresh(other.refreshToken).session).toBeDefined();
+    });
+
+    test("should revoke tokens issued for another case of the email", () => {
+      const typed = sessions.issue("Test@Example.com");
+      const padded = sessions.issue(" test@example.COM ");
+
+      sessions.revokeAll("test@example.com");
+
+      for (const { refreshToken } of [typed, padded])
+        expect(sessions.refresh(refreshToken)).toEqual({ code: "SESSION_REVOKED" });
+    });
+
+    test("should keep a session issued right after, in the same millisecond", () => {
+      const now = Date.UTC(2020, 0, 1);
+      const clocked = createSessions({ secret: SECRET, now: () => now });
+      const before = clocked.issue("test@example.com");
+
+      clocked.revokeAll("test@example.com");
+      const after = clocked.issue("test@example.com");
+
+      expect(clocked.refresh(before.refreshToken)).toEqual({ code: "SESSION_REVOKED" });
+      expect(clocked.refresh(after.refreshToken).session).toBeDefined();
+    });
+  });
+
+  describe("requireSession", () => {
+    let app;
+
+    beforeEach(() => {
+      app = express();
+      app.get("/protected", sessions.requireSession, (req, res) => {
+        res.json({ email: req.session.email });
+      });
+    });
+
+    test("should accept a valid access token", async () => {
+      const { token } = sessions.issue("test@example.com");
+
+      const response = await request(app)
+        .get("/protected")
+        .set("Authorization", `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ email: "test@example.com" });
+    });
+
+    test("should reject a request without a token", async () => {
+      const response = await request(app).get("/protected");
+
+      expect(response.status).toBe(401);
+      expect(response.body).toEqual({ ok: false, code: "SESSION_MISSING" });
+    });
+
+    test("should reject a tampered token", async () => {
+      const { token } = sessions.issue("test@example.com");
+      const [header, , signature] = token.split(".");
+      const payload = Buffer.from(
+        JSON.stringify({ sub: "admin@example.com", typ: "access" })
+      ).toString("base64url");
+
+      const response = await request(app)
+        .get("/protected")
+        .set("Authorization", `Bearer ${header}.${payload}.${signature}`);
+
+      expect(response.status).toBe(401);
+      expect(response.body).toEqual({ ok: false, code: "SESSION_INVALID" });
+    });
+
+    test("should reject a refresh token", async () => {
+      const { refreshToken } = sessions.issue("test@example.com");
+
+      const response = await request(app)
+        .get("/protected")
+        .set("Authorization", `Bearer ${refreshToken}`);
+
+      expect(response.status).toBe(401);
+      expect(response.body).toEqual({ ok: false, code: "SESSION_INVALID" });
+    });
+
+    test("should reject an expired token", async () => {
+      const { token } = sessions.issue("test@example.com");
+      const now = Date.now();
+      jest.spyOn(Date, "now").mockReturnValue(now + 16 * 60 * 1000);
+
+      const response = await request(app)
+        .get("/protected")
+        .set("Authorization", `Bearer ${token}`);
+
+      expect(response.status).toBe(401);
+      expect(response.body).toEqual({ ok: false, code: "SESSION_EXPIRED" });
+    });
+
+    test("should reject a revoked token", async () => {
+      const { token } = sessions.issue("test@example.com");
+      sessions.revoke(token);
+
+      const response = await request(app)
+        .get("/protected")
+        .set("Authorization", `Bearer ${token}`);
+
+      expect(response.status).toBe(401);
+      expect(response.body).toEqual({ ok: false, code: "SESSION_REVOKED" });
+    });
+  });
+
+  describe("loadSessionSecret", () => {
+    let tmpDir;
+    let originalSecret;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "zk-login-"));
+      originalSecret = process.env.SESSION_SECRET;
+      delete process.env.SESSION_SECRET;
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+      if (originalSecret !== undefined) {
+        process.env.SESSION_SECRET = originalSecret;
+      }
+    });
+
+    test("should generate a key once and reuse it", () => {
+      const keyPath = path.join(tmpDir, "session.key");
+
+      const first = loadSessionSecret(keyPath);
+      expect(first).toMatch(/^[0-9a-f]{64}$/);
+      expect(loadSessionSecret(keyPath)).toBe(first);
+    });
+
+    test("should prefer SESSION_SECRET from the environment", () => {
+      process.env.SESSION_SECRET = "from-env";
+      expect(loadSessionSecret(path.join(tmpDir, "session.key"))).toBe(
+        "from-env"
+      );
+      expect(fs.existsSync(path.join(tmpDir, "session.key"))).toBe(false);
+    });
+  });
+});
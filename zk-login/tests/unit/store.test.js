@@ -0,0 +1,451 @@
+import { describe, test, expect, beforeEach, afterEach } from "@jest/globals";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import Database from "better-sqlite3";
+import { createMemoryStore } from "../../server/store/memory.js";
+import { createJsonFileStore } from "../../server/store/json-file.js";
+import { createSqliteStore } from "../../server/store/sqlite.js";
+import { createStore, storeConfigFromEnv } from "../../server/store/index.js";
+import { importDb, upgradeStore } from "../../server/migrate.js";
+import { RECORD_VERSION } from "../../server/records.js";
+import { hashEmail } from "../../utils/commitment.js";
+
+const alice = { saltHex: "aa".repeat(16), commitmentHex: "0x1234" };
+const bob = { saltHex: "bb".repeat(16), commitmentHex: "0x5678" };
+
+describe.each([
+  ["memory", () => createMemoryStore()],
+  ["json", (dir) => createJsonFileStore(path.join(dir, "db.json"))],
+  ["sqlite", (dir) => createSqliteStore(path.join(dir, "db.sqlite"))],
+])("%s store", (name, makeStore) => {
+  let tmpDir;
+  let store;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "zk-login-store-"));
+    store = makeStore(tmpDir);
+  });
+
+  afterEach(async () => {
+    await store.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test("should return null for unknown users", async () => {
+    expect(await store.get("nobody@example.com")).toBeNull();
+  });
+
+  test("should put and get a record", async () => {
+    await store.put("alice@example.com", alice);
+    expect(await store.get("alice@example.com")).toEqual(alice);
+  });
+
+  test("should overwrite on put", async () => {
+    await store.put("alice@example.com", alice);
+    await store.put("alice@example.com", bob);
+    expect(await store.get("alice@example.com")).toEqual(bob);
+  });
+
+  test("should not share record objects with callers", async () => {
+    const rec = { ...alice };
+    await store.put("alice@example.com", rec);
+    rec.saltHex = "changed";
+    (await store.get("alice@example.com")).commitmentHex = "changed";
+    expect(await store.get("alice@example.com")).toEqual(alice);
+  });
+
+  test("should delete a record", async () => {
+    await store.put("alice@example.com", alice);
+    expect(await store.delete("alice@example.com")).toBe(true);
+    expect(await store.delete("alice@example.com")).toBe(false);
+    expect(await store.get("alice@example.com")).toBeNull();
+  });
+
+  test("should list all records", async () => {
+    await store.put("alice@example.com", alice);
+    await store.put("bob@example.com", bob);
+    const users = await store.list();
+    expect(users).toHaveLength(2);
+    expect(users).toEqual(
+      expect.arrayContaining([
+        { email: "alice@example.com", ...alice },
+        { email: "bob@example.com", ...bob },
+      ])
+    );
+  });
+
+  test("should treat __proto__ as an ordinary email", async () => {
+    await store.put("__proto__", alice);
+    expect(await store.get("__proto__")).toEqual(alice);
+    expect(await store.get("toString")).toBeNull();
+  });
+
+  describe("update", () => {
+    test("should replace the record with the returned value", async () => {
+      await store.put("alice@example.com", alice);
+      const result = await store.update("alice@example.com", (rec) => ({
+        ...rec,
+        commitmentHex: "0x9999",
+      }));
+      expect(result).toEqual({ ...alice, commitmentHex: "0x9999" });
+      expect(await store.get("alice@example.com")).toEqual(result);
+    });
+
+    test("should pass null for unknown users", async () => {
+      let seen;
+      await store.update("nobody@example.com", (rec) => {
+        seen = rec;
+        return undefined;
+      });
+      expect(seen).toBeNull();
+      expect(await store.get("nobody@example.com")).toBeNull();
+    });
+
+    test("should keep the record when undefined is returned", async () => {
+      await store.put("alice@example.com", alice);
+      await store.update("alice@example.com", () => undefined);
+      expect(await store.get("alice@example.com")).toEqual(alice);
+    });
+
+    test("should delete the record when null is returned", async () => {
+      await store.put("alice@example.com", alice);
+      await store.update("alice@example.com", () => null);
+      expect(await store.get("alice@example.com")).toBeNull();
+    });
+
+    test("should serialise concurrent read-modify-writes", async () => {
+      await store.put("counter@example.com", { n: 0 });
+      await Promise.all(
+        Array.from({ length: 20 }, () =>
+          store.update("counter@example.com", async (rec) => {
+            await new Promise((resolve) => setTimeout(resolve, 1));
+            return { n: rec.n + 1 };
+          })
+        )
+      );
+      expect(await store.get("counter@example.com")).toEqual({ n: 20 });
+    });
+
+    test("should stay usable after a failing update", async () => {
+      await expect(
+        store.update("alice@example.com", () => {
+          throw new Error("boom");
+        })
+      ).rejects.toThrow("boom");
+      await store.put("alice@example.com", alice);
+      expect(await store.get("alice@example.com")).toEqual(alice);
+    });
+  });
+
+  test("should not resurrect a record deleted during an update", async () => {
+    await store.put("alice@example.com", alice);
+    const updating = store.update("alice@example.com", async (rec) => {
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      return { ...rec, commitmentHex: "0x9999" };
+    });
+    const deleting = store.delete("alice@example.com");
+
+    await updating;
+    expect(await deleting).toBe(true);
+    expect(await store.get("alice@example.com")).toBeNull();
+  });
+
+  test("should apply a put after an update already in flight", async () => {
+    await store.put("alice@example.com", alice);
+    const updating = store.update("alice@example.com", async (rec) => {
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      return { ...rec, commitmentHex: "0x9999" };
+    });
+    await Promise.all([updating, store.put("alice@example.com", bob)]);
+
+    expect(await store.get("alice@example.com")).toEqual(bob);
+  });
+
+  test("should keep every record from concurrent puts", async () => {
+    await Promise.all(
+      Array.from({ length: 25 }, (_, i) =>
+        store.put(`user${i}@example.com`, alice)
+      )
+    );
+    expect(await store.list()).toHaveLength(25);
+  });
+});
+
+describe("JSON file store", () => {
+  let tmpDir;
+  let dbPath;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "zk-login-store-"));
+    dbPath = path.join(tmpDir, "db.json");
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test("should read and write the db.json format", async () => {
+    fs.writeFileSync(dbPath, JSON.stringify({ "alice@example.com": alice }));
+    const store = createJsonFileStore(dbPath);
+
+    await store.put("bob@example.com", bob);
+
+    expect(JSON.parse(fs.readFileSync(dbPath, "utf8"))).toEqual({
+      "alice@example.com": alice,
+      "bob@example.com": bob,
+    });
+    expect(fs.readdirSync(tmpDir)).toEqual(["db.json"]);
+  });
+
+  test("should wait for a lock held by another process", async () => {
+    fs.writeFileSync(`${dbPath}.lock`, "12345");
+    const store = createJsonFileStore(dbPath, { lockTimeoutMs: 100 });
+
+    await expect(store.put("alice@example.com", alice)).rejects.toThrow(
+      "Timed out waiting for lock"
+    );
+    expect(await store.get("alice@example.com")).toBeNull();
+  });
+
+  test("should break a stale lock", async () => {
+    fs.writeFileSync(`${dbPath}.lock`, "12345");
+    const store = createJsonFileStore(dbPath, { staleLockMs: 0 });
+
+    await store.put("alice@example.com", alice);
+
+    expect(await store.get("alice@example.com")).toEqual(alice);
+    expect(fs.existsSync(`${dbPath}.lock`)).toBe(false);
+  });
+});
+
+describe("SQLite store", () => {
+  let tmpDir;
+  let dbPath;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "zk-login-store-"));
+    dbPath = path.join(tmpDir, "db.sqlite");
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  // Another process's write, e.g. the migration command's, that won't wait
+  function writeFromOtherConnection(email, record) {
+    const other = new Database(dbPath, { timeout: 0 });
+    try {
+      other
+        .prepare("INSERT OR REPLACE INTO users (email, record) VALUES (?, ?)")
+        .run(email, JSON.stringify(record));
+    } finally {
+      other.close();
+    }
+  }
+
+  test("should persist across connections", async () => {
+    const first = createSqliteStore(dbPath);
+    await first.put("alice@example.com", alice);
+    await first.close();
+
+    const second = createSqliteStore(dbPath);
+    expect(await second.get("alice@example.com")).toEqual(alice);
+    await second.close();
+  });
+
+  test("should keep other connections from writing during an update", async () => {
+    const store = createSqliteStore(dbPath);
+    await store.put("counter@example.com", { n: 0 });
+
+    await store.update("counter@example.com", async (rec) => {
+      await new Promise((resolve) => setTimeout(resolve, 1));
+      expect(() => writeFromOtherConnection("counter@example.com", { n: 100 })).toThrow(
+        "database is locked"
+      );
+      return { n: rec.n + 1 };
+    });
+    writeFromOtherConnection("bob@example.com", bob);
+
+    expect(await store.get("counter@example.com")).toEqual({ n: 1 });
+    expect(await store.get("bob@example.com")).toEqual(bob);
+    await store.close();
+  });
+
+  test("should roll back a failing update", async () => {
+    const store = createSqliteStore(dbPath);
+    await store.put("alice@example.com", alice);
+
+    await expect(
+      store.update("alice@example.com", async () => {
+        await store.get("alice@example.com");
+        throw new Error("boom");
+      })
+    ).rejects.toThrow("boom");
+    writeFromOtherConnection("bob@example.com", bob);
+
+    expect(await store.get("alice@example.com")).toEqual(alice);
+    expect(await store.get("bob@example.com")).toEqual(bob);
+    await store.close();
+  });
+});
+
+describe("createStore", () => {
+  test("should default to the JSON file at server/db.json", () => {
+    expect(storeConfigFromEnv({})).toEqual({
+      backend: "json",
+      path: "server/db.json",
+    });
+  });
+
+  test("should read STORE_BACKEND and STORE_PATH", () => {
+    expect(storeConfigFromEnv({ STORE_BACKEND: "sqlite" })).toEqual({
+      backend: "sqlite",
+      path: "server/db.sqlite",
+    });
+    expect(
+      storeConfigFromEnv({ STORE_BACKEND: "json", STORE_PATH: "/tmp/x.json" })
+    ).toEqual({ backend: "json", path: "/tmp/x.json" });
+  });
+
+  test("should create each backend", async () => {
+    for (const config of [
+      { backend: "memory" },
+      { backend: "sqlite", path: ":memory:" },
+    ]) {
+      const store = await createStore(config);
+      await store.put("alice@example.com", alice);
+      expect(await store.get("alice@example.com")).toEqual(alice);
+      await store.close();
+    }
+  });
+
+  test("should reject unknown backends", async () => {
+    await expect(createStore({ backend: "redis" })).rejects.toThrow(
+      "Unknown store backend: redis"
+    );
+  });
+});
+
+describe("importDb", () => {
+  test("should import every record", async () => {
+    const store = createMemoryStore();
+    const result = await importDb(store, {
+      "alice@example.com": alice,
+      "bob@example.com": bob,
+    });
+
+    expect(result).toEqual({ imported: 2, skipped: 0 });
+    expect(await store.get(await hashEmail("bob@example.com"))).toEqual(bob);
+  });
+
+  test("should key plaintext emails by their hash and keep hashed keys", async () => {
+    const aliceKey = await hashEmail("alice@example.com");
+    const store = createMemoryStore();
+
+    await importDb(store, { [aliceKey]: alice, "Bob@Example.com": bob });
+
+    expect((await store.list()).map((u) => u.email).sort()).toEqual(
+      [aliceKey, await hashEmail("bob@example.com")].sort()
+    );
+  });
+
+  test("should keep existing records unless overwrite is set", async () => {
+    const aliceKey = await hashEmail("alice@example.com");
+    const store = createMemoryStore({ [aliceKey]: bob });
+
+    expect(await importDb(store, { "alice@example.com": alice })).toEqual({
+      imported: 0,
+      skipped: 1,
+    });
+    expect(await store.get(aliceKey)).toEqual(bob);
+
+    expect(
+      await importDb(store, { "alice@example.com": alice }, { overwrite: true })
+    ).toEqual({ imported: 1, skipped: 0 });
+    expect(await store.get(aliceKey)).toEqual(alice);
+  });
+});
+
+describe("upgradeStore", () => {
+  // alice's commitment as the old createCommitment bug stored it
+  const brokenAlice = {
+    ...alice,
+    commitmentHex:
+      "0x118,209,3,86,76,239,241,87,195,18,196,88,66,229,60,78,197,80,33,107,96,229,152,66,52,14,202,53,84,7,152,9",
+  };
+
+  test("should upgrade legacy records and repair their commitments", async () => {
+    const store = createMemoryStore({ alice: brokenAlice, bob });
+
+    expect(await upgradeStore(store)).toEqual({
+      upgraded: 2,
+      repaired: 1,
+      failed: [],
+    });
+    expect(await store.get("alice")).toEqual(
+      expect.objectContaining({
+        v: RECORD_VERSION,
+        commitmentHex:
+          "0x115cc0f5e7d690413df64c6b9662e9cf2a3617f2743245519e19607a4417189a",
+        kdf: { v: 1 },
+      })
+    );
+    expect(await store.get("bob")).toEqual({
+      ...bob,
+      v: RECORD_VERSION,
+      kdf: { v: 1 },
+      recovery: [],
+    });
+
+    // Already current
+    expect(await upgradeStore(store)).toEqual({
+      upgraded: 0,
+      repaired: 0,
+      failed: [],
+    });
+  });
+
+  test("should only report with dryRun", async () => {
+    const store = createMemoryStore({ alice: brokenAlice });
+
+    expect(await upgradeStore(store, { dryRun: true })).toEqual({
+      upgraded: 1,
+      repaired: 1,
+      failed: [],
+    });
+    expect(await store.get("alice")).toEqual(brokenAlice);
+  });
+
+  test("should repair a db.json written by the baseline", async () => {
+    const baseline = JSON.parse(fs.readFileSync("tests/fixtures/baseline-db.json", "utf8"));
+    const store = createMemoryStore();
+    await importDb(store, baseline);
+
+    expect(await upgradeStore(store)).toEqual({
+      upgraded: 3,
+      repaired: 3,
+      failed: [],
+    });
+    expect(await store.get(await hashEmail("bob@example.com"))).toEqual(
+      expect.objectContaining({
+        v: RECORD_VERSION,
+        // createCommitment("password15", saltHex, PLAIN_KDF)
+        commitmentHex:
+          "0x75c0ad8938b0b4e27f72b38e401d0dc63e84b59a96497c78bb304a2a02cc0c4",
+      })
+    );
+  });
+
+  test("should leave records it cannot repair", async () => {
+    const broken = { ...bob, commitmentHex: "0xnope" };
+    const store = createMemoryStore({ alice, bob: broken });
+
+    expect(await upgradeStore(store)).toEqual({
+      upgraded: 1,
+      repaired: 0,
+      failed: [{ email: "bob", error: "Invalid password commitment" }],
+    });
+    expect(await store.get("bob")).toEqual(broken);
+  });
+});
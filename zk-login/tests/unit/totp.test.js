@@ -0,0 +1,59 @@
+import { describe, test, expect } from "@jest/globals";
+import {
+  TOTP_PERIOD_SEC,
+  generateTotpSecret,
+  normalizeTotpSecret,
+  currentTimeStep,
+  createTotpCommitment,
+} from "../../utils/totp.js";
+import { createCommitment } from "../../utils/commitment.js";
+import { PLAIN_KDF } from "../../utils/kdf.js";
+
+describe("TOTP Utils", () => {
+  describe("generateTotpSecret", () => {
+    test("should generate a 160-bit base32 secret", () => {
+      const secret = generateTotpSecret();
+      expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    });
+
+    test("should generate different secrets each time", () => {
+      expect(generateTotpSecret()).not.toBe(generateTotpSecret());
+    });
+  });
+
+  describe("normalizeTotpSecret", () => {
+    test("should strip spacing and padding and upper-case", () => {
+      expect(normalizeTotpSecret("jbsw y3dp-ehpk 3pxp==")).toBe(
+        "JBSWY3DPEHPK3PXP"
+      );
+    });
+  });
+
+  describe("currentTimeStep", () => {
+    test("should count 30-second steps since the epoch", () => {
+      expect(TOTP_PERIOD_SEC).toBe(30);
+      expect(currentTimeStep(0)).toBe(0);
+      expect(currentTimeStep(29_999)).toBe(0);
+      expect(currentTimeStep(30_000)).toBe(1);
+      expect(currentTimeStep(1_700_000_000_000)).toBe(56_666_666);
+    });
+  });
+
+  describe("createTotpCommitment", () => {
+    test("should commit to the normalized secret", async () => {
+      const secret = generateTotpSecret();
+      const { saltHex, commitmentHex } = await createTotpCommitment(secret);
+
+      const spaced = secret.toLowerCase().match(/.{4}/g).join(" ");
+      expect(await createTotpCommitment(spaced, saltHex)).toEqual({
+        saltHex,
+        commitmentHex,
+      });
+      expect(await createCommitment(secret, saltHex, PLAIN_KDF)).toEqual({
+        saltHex,
+        commitmentHex,
+        kdf: PLAIN_KDF,
+      });
+    });
+  });
+});
@@ -0,0 +1,160 @@
+import { describe, test, expect, beforeEach, afterEach, jest } from "@jest/globals";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  DEFAULT_VERSION,
+  checkVerificationKey,
+  createVerifierKeys,
+} from "../../server/vkeys.js";
+
+const emailKey = JSON.parse(
+  fs.readFileSync("keys/pwd_email_login_verification_key.json", "utf8")
+);
+const pwdKey = JSON.parse(fs.readFileSync("keys/verification_key.json", "utf8"));
+
+const CIRCUITS = [
+  { name: "pwd_login", vkeyFile: "verification_key.json", nPublic: 3 },
+  {
+    name: "pwd_email_login",
+    vkeyFile: "pwd_email_login_verification_key.json",
+    nPublic: 4,
+  },
+];
+
+// A stand-in for a key from a new trusted setup
+const rotated = (vkey) => ({ ...vkey, vk_delta_2: [...vkey.vk_delta_2].reverse() });
+
+describe("Verification keys", () => {
+  let dir;
+  let vkeys;
+
+  const write = (file, data) => {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), JSON.stringify(data));
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "zk-login-vkeys-"));
+    write("verification_key.json", pwdKey);
+    write("pwd_email_login_verification_key.json", emailKey);
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vkeys?.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  describe("checkVerificationKey", () => {
+    test("should accept the repo's keys", () => {
+      expect(() => checkVerificationKey(pwdKey, 3)).not.toThrow();
+      expect(() => checkVerificationKey(emailKey, 4)).not.toThrow();
+    });
+
+    test.each([
+      ["another protocol", { protocol: "plonk" }, "Expected protocol groth16"],
+      ["another curve", { curve: "bls12381" }, "Expected curve bn128"],
+      ["another circuit", { nPublic: 4 }, "Expected 3 public signals"],
+      ["missing IC points", { IC: [] }, "Expected 4 IC points"],
+      ["a missing point", { vk_alpha_1: undefined }, "Missing vk_alpha_1"],
+    ])("should reject %s", (_, override, message) => {
+      expect(() => checkVerificationKey({ ...pwdKey, ...override }, 3)).toThrow(
+        message
+      );
+    });
+  });
+
+  describe("createVerifierKeys", () => {
+    test("should load each circuit's key as the default version", () => {
+      vkeys = createVerifierKeys({ dir, circuits: CIRCUITS });
+
+      expect(vkeys.get("pwd_login")).toEqual(pwdKey);
+      expect(vkeys.get("pwd_email_login", DEFAULT_VERSION)).toEqual(emailKey);
+      expect(vkeys.versions("pwd_login")).toEqual(["1"]);
+    });
+
+    test("should read each key once", () => {
+      const readFileSync = jest.spyOn(fs, "readFileSync");
+      vkeys = createVerifierKeys({ dir, circuits: CIRCUITS });
+      const reads = readFileSync.mock.calls.length;
+      expect(reads).toBe(2);
+
+      for (let i = 0; i < 5; i++) vkeys.get("pwd_login");
+      expect(readFileSync.mock.calls.length).toBe(reads);
+    });
+
+    test("should not load a key that does not fit its circuit", () => {
+      write("verification_key.json", emailKey);
+      vkeys = createVerifierKeys({ dir, circuits: CIRCUITS });
+
+      expect(vkeys.get("pwd_login")).toBeNull();
+      expect(console.error).toHaveBeenCalledWith(
+        expect.stringContaining("Expected 3 public signals")
+      );
+    });
+
+    test("should load other versions from versions/<circuit>/", () => {
+      write("versions/pwd_email_login/2.json", rotated(emailKey));
+      write("versions/pwd_email_login/bad name.json", emailKey);
+      write("versions/pwd_email_login/notes.txt", "");
+      vkeys = createVerifierKeys({ dir, circuits: CIRCUITS });
+
+      expect(vkeys.versions("pwd_email_login")).toEqual(["1", "2"]);
+      expect(vkeys.get("pwd_email_login", "2")).toEqual(rotated(emailKey));
+      expect(vkeys.get("pwd_email_login", "3")).toBeNull();
+      expect(vkeys.get("pwd_login", "2")).toBeNull();
+    });
+
+    test("should pick up changed, added and removed keys on reload", () => {
+      vkeys = createVerifierKeys({ dir, circuits: CIRCUITS });
+      write("verification_key.json", rotated(pwdKey));
+      write("versions/pwd_email_login/2.json", emailKey);
+      vkeys.reload();
+
+      expect(vkeys.get("pwd_login")).toEqual(rotated(pwdKey));
+      expect(vkeys.versions("pwd_email_login")).toEqual(["1", "2"]);
+
+      fs.rmSync(path.join(dir, "versions/pwd_email_login/2.json"));
+      vkeys.reload();
+      expect(vkeys.versions("pwd_email_login")).toEqual(["1"]);
+    });
+
+    test("should keep the previous key if the new file is broken", () => {
+      vkeys = createVerifierKeys({ dir, circuits: CIRCUITS });
+      fs.writeFileSync(path.join(dir, "verification_key.json"), '{"protocol": "gro');
+      vkeys.reload();
+      expect(vkeys.get("pwd_login")).toEqual(pwdKey);
+
+      write("verification_key.json", { ...pwdKey, curve: "bls12381" });
+      vkeys.reload();
+      expect(vkeys.get("pwd_login")).toEqual(pwdKey);
+    });
+
+    test("should reload by itself when watching", async () => {
+      vkeys = createVerifierKeys({ dir, circuits: CIRCUITS, watch: true });
+      write("versions/pwd_login/2.json", rotated(pwdKey));
+
+      for (let i = 0; i < 50 && !vkeys.get("pwd_login", "2"); i++)
+        await new Promise((resolve) => setTimeout(resolve, 100));
+      expect(vkeys.get("pwd_login", "2")).toEqual(rotated(pwdKey));
+    });
+
+    test("should watch without the recursive option", async () => {
+      const watch = jest.spyOn(fs, "watch");
+      write("versions/pwd_email_login/2.json", emailKey);
+      vkeys = createVerifierKeys({ dir, circuits: CIRCUITS, watch: true });
+      write("versions/pwd_email_login/2.json", rotated(emailKey));
+
+      const reloaded = () =>
+        JSON.stringify(vkeys.get("pwd_email_login", "2")) ===
+        JSON.stringify(rotated(emailKey));
+      for (let i = 0; i < 50 && !reloaded(); i++)
+        await new Promise((resolve) => setTimeout(resolve, 100));
+      expect(reloaded()).toBe(true);
+      expect(watch).toHaveBeenCalled();
+      for (const [, options] of watch.mock.calls) expect(options?.recursive).toBeFalsy();
+    });
+  });
+});
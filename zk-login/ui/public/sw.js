@@ -0,0 +1,86 @@
+// Service worker: keeps the circuit artifacts (/keys/*) in Cache Storage, so
+// the wasm and zkey are downloaded once per version, not on every login.
+//
+// The artifacts are precached from /keys/manifest.json into a cache named
+// after the manifest's version, each file only after its SHA-256 matched.
+// The prover fetches them as <url>?sha256=<hash> (utils/artifacts.js), so a
+// cached file is only ever served for the content it was checked against.
+// The manifest itself is fetched network-first; when its version changes the
+// new artifacts are precached and the old cache is dropped.
+//
+// Plain script, not a module, for browsers without module service workers.
+
+const MANIFEST_URL = '/keys/manifest.json';
+// As ARTIFACT_CACHE_PREFIX in utils/artifacts.js
+const CACHE_PREFIX = 'zk-login-artifacts-';
+
+async function sha256Hex(buffer) {
+  const digest = await crypto.subtle.digest('SHA-256', buffer);
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Download and check every artifact of `manifest` into its cache, then drop
+// the caches of other versions. A file that fails its check is not cached.
+async function precache(manifest) {
+  const name = CACHE_PREFIX + manifest.version;
+  const cache = await caches.open(name);
+  for (const { files } of Object.values(manifest.circuits)) {
+    for (const [url, hash] of Object.entries(files)) {
+      const key = `${url}?sha256=${hash}`;
+      if (await cache.match(key)) continue;
+      const res = await fetch(url, { cache: 'no-store' });
+      if (!res.ok) throw new Error(`Failed to precache ${url} (${res.status})`);
+      if ((await sha256Hex(await res.clone().arrayBuffer())) !== hash)
+        throw new Error(`${url} does not match the manifest; not cached`);
+      await cache.put(key, res);
+    }
+  }
+  await cache.put(
+    MANIFEST_URL,
+    new Response(JSON.stringify(manifest), { headers: { 'Content-Type': 'application/json' } })
+  );
+  for (const key of await caches.keys()) {
+    if (key.startsWith(CACHE_PREFIX) && key !== name) await caches.delete(key);
+  }
+}
+
+async function cachedManifest() {
+  const res = await caches.match(MANIFEST_URL);
+  return res ? res.json() : null;
+}
+
+// Network first, so a new version is noticed; the cached one offline
+async function fetchManifest(event) {
+  try {
+    const res = await fetch(event.request, { cache: 'no-store' });
+    if (!res.ok) return res;
+    const manifest = await res.clone().json();
+    if ((await cachedManifest())?.version !== manifest.version)
+      event.waitUntil(precache(manifest).catch((err) => console.warn(err)));
+    return res;
+  } catch (err) {
+    return (await caches.match(MANIFEST_URL)) || Promise.reject(err);
+  }
+}
+
+self.addEventListener('install', (event) => {
+  // A failed precache must not keep the worker from installing: files that
+  // did not make it are fetched from the network as before
+  event.waitUntil(
+    fetch(MANIFEST_URL, { cache: 'no-store' })
+      .then((res) => res.json())
+      .then(precache)
+      .catch((err) => console.warn('Circuit artifacts not precached:', err))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => event.waitUntil(self.clients.claim()));
+
+self.addEventListener('fetch', (event) => {
+  const url = new URL(event.request.url);
+  if (event.request.method !== 'GET' || url.origin !== self.location.origin) return;
+  if (url.pathname === MANIFEST_URL) return event.respondWith(fetchManifest(event));
+  if (url.pathname.startsWith('/keys/') && url.searchParams.has('sha256'))
+    event.respondWith(caches.match(event.request).then((hit) => hit || fetch(event.request)));
+});
@@ -0,0 +1,39 @@
+// Write public/keys/manifest.json: the SHA-256 of every circuit artifact the
+// browser fetches, checked before each use (see ../../utils/artifacts.js).
+// Usage (from ui/):
+//   npm run manifest                      # every circuit at version "1"
+//   npm run manifest -- pwd_email_login=2 # after rotating that circuit's key
+//
+// Run it whenever a file in public/keys changes; `npm run build` does.
+
+import fs from "fs";
+import path from "path";
+import { CIRCUIT_FILES, MANIFEST_URL, createArtifactManifest } from "../../utils/artifacts.js";
+
+const PUBLIC_DIR = path.resolve("public");
+const DEFAULT_CIRCUIT_VERSION = "1";
+
+async function main(argv) {
+  const versions = Object.fromEntries(argv.map((arg) => arg.split("=")));
+  for (const name of Object.keys(versions)) {
+    if (!CIRCUIT_FILES[name]) throw new Error(`Unknown circuit: ${name}`);
+  }
+
+  const circuits = {};
+  for (const [name, { wasm, zkey }] of Object.entries(CIRCUIT_FILES)) {
+    const files = {};
+    for (const file of [wasm, zkey]) {
+      const url = `/keys/${file}`;
+      files[url] = fs.readFileSync(path.join(PUBLIC_DIR, url));
+    }
+    circuits[name] = { circuitVersion: versions[name] ?? DEFAULT_CIRCUIT_VERSION, files };
+  }
+  return createArtifactManifest(circuits);
+}
+
+const manifest = await main(process.argv.slice(2)).catch((e) => {
+  console.error(e.message);
+  process.exit(1);
+});
+fs.writeFileSync(path.join(PUBLIC_DIR, MANIFEST_URL), JSON.stringify(manifest, null, 2) + "\n");
+console.log(`Wrote ${MANIFEST_URL}, version ${manifest.version}`);
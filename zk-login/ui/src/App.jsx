@@ -1,26 +1,215 @@
-import React, { useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import axios from 'axios';
-import { createCommitment } from '@utils/commitment.js';
-import { generateProof } from '@utils/proof.js';
+import {
+  createCommitment,
+  createRecoveryCommitments,
+  generateRecoveryCodes,
+} from '@utils/commitment.js';
+import { emailLoginInput, totpLoginInput } from '@utils/proof.js';
+import { createTotpCommitment, currentTimeStep, generateTotpSecret } from '@utils/totp.js';
+import {
+  ageCutoff,
+  createAgeCredential,
+  parseAgeCredential,
+  parseBirthDate,
+} from '@utils/age.js';
+import {
+  API,
+  authHeader,
+  describeError,
+  describeProgress,
+  loadAgeCredential,
+  loadTotpSecret,
+  loginCircuit,
+  loginWithDevice,
+  policyRequires,
+  proveAge,
+  proveCircuit,
+  rememberDevice,
+  saveAgeCredential,
+  saveTotpSecret,
+} from './api.js';
+import { loadDeviceKey } from './deviceKeys.js';
+import { prover } from './prover/index.js';
+import AccountSettings from './components/AccountSettings.jsx';
+import AgeCredential from './components/AgeCredential.jsx';
+import Devices from './components/Devices.jsx';
+import Field from './components/Field.jsx';
+import PasswordChange from './components/PasswordChange.jsx';
+import Recovery from './components/Recovery.jsx';
+import RecoveryCodes from './components/RecoveryCodes.jsx';
+import TotpEnrollment from './components/TotpEnrollment.jsx';
 
-const API = 'http://localhost:4000';
+const SESSION_KEY = 'zk-login.session';
+
+function loadSession() {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_KEY));
+  } catch {
+    return null;
+  }
+}
+
+function saveSession(session) {
+  if (session) localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+  else localStorage.removeItem(SESSION_KEY);
+}
+
+const buttonClass =
+  'mt-4 py-2 border border-neon hover:bg-neon hover:text-cyberBg transition-colors';
+const linkClass = 'text-sm text-magenta underline self-end';
+
+function Card({ children }) {
+  return (
+    <div className="min-h-screen flex flex-col items-center justify-center gap-8 p-4">
+      <h1 className="text-3xl font-bold text-neon tracking-widest">ZK LOGIN</h1>
+      <div className="w-full max-w-sm flex flex-col gap-4 bg-cyberBg/50 p-6 rounded-lg border border-neon shadow-neon">
+        {children}
+      </div>
+      <p className="text-xs text-magenta">Futuristic Cybertron Theme 🌐</p>
+    </div>
+  );
+}
 
 export default function App() {
   const [mode, setMode] = useState('signup');
   const [email, setEmail] = useState('');
   const [pwd, setPwd] = useState('');
   const [message, setMessage] = useState('');
+  const [session, setSession] = useState(loadSession);
+  const [user, setUser] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [changingPassword, setChangingPassword] = useState(false);
+  const [showSettings, setShowSettings] = useState(false);
+  const [showDevices, setShowDevices] = useState(false);
+  // Device keys: register one after this login, or log in with the stored one
+  const [remember, setRemember] = useState(false);
+  const [hasDeviceKey, setHasDeviceKey] = useState(false);
+  const [enableTotp, setEnableTotp] = useState(false);
+  const [totpEnrollment, setTotpEnrollment] = useState(null);
+  const [totpSecret, setTotpSecret] = useState('');
+  const [needTotpSecret, setNeedTotpSecret] = useState(false);
+  // Age policies: birth date at signup, the credential on a new device
+  const [birthDate, setBirthDate] = useState('');
+  const [needBirthDate, setNeedBirthDate] = useState(false);
+  const [ageEnrollment, setAgeEnrollment] = useState(null);
+  const [ageCredentialText, setAgeCredentialText] = useState('');
+  const [needAgeCredential, setNeedAgeCredential] = useState(false);
+  // AbortController of the login proof in progress
+  const [proving, setProving] = useState(null);
+  const provingRef = useRef(null);
+
+  function updateSession(next) {
+    saveSession(next);
+    setSession(next);
+  }
 
-  const toggle = () => {
-    setMode(mode === 'signup' ? 'login' : 'signup');
+  function switchMode(next) {
+    setMode(next);
     setMessage('');
-  };
+    setNeedTotpSecret(false);
+    setNeedBirthDate(false);
+    setNeedAgeCredential(false);
+  }
+
+  // Fetch the login circuit while the user is still typing
+  useEffect(() => {
+    if (mode === 'login') prover.preload('pwd_email_login').catch((err) => console.warn(err));
+  }, [mode]);
+
+  // Offer a device login when this browser has a key for the email
+  useEffect(() => {
+    if (mode !== 'login' || !email) {
+      setHasDeviceKey(false);
+      return;
+    }
+    let cancelled = false;
+    loadDeviceKey(email)
+      .then((deviceKey) => !cancelled && setHasDeviceKey(Boolean(deviceKey)))
+      .catch(() => !cancelled && setHasDeviceKey(false));
+    return () => {
+      cancelled = true;
+    };
+  }, [mode, email]);
+
+  // Stop a running proof when leaving the page
+  useEffect(() => () => provingRef.current?.abort(), []);
+
+  // Resolve the stored session to a user, refreshing it once if expired
+  useEffect(() => {
+    if (!session) {
+      setUser(null);
+      return;
+    }
+    let cancelled = false;
+    axios
+      .get(`${API}/me`, { headers: authHeader(session) })
+      .then(({ data }) => !cancelled && setUser(data))
+      .catch(async (err) => {
+        if (cancelled) return;
+        if (err.response?.data?.code === 'SESSION_EXPIRED') {
+          try {
+            const { data } = await axios.post(`${API}/refresh`, {
+              refreshToken: session.refreshToken,
+            });
+            if (!cancelled) updateSession(data);
+            return;
+          } catch (refreshErr) {
+            console.error('Session refresh failed:', refreshErr);
+          }
+        }
+        if (!cancelled) updateSession(null);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [session]);
 
   async function handleSignup(e) {
     e.preventDefault();
     try {
-      const { saltHex, commitmentHex } = await createCommitment(pwd);
-      await axios.post(`${API}/signup`, { email, saltHex, commitmentHex });
+      // The email's policy decides which factors must be enrolled
+      const { data: policy } = await axios.get(`${API}/policy`, { params: { email } });
+      let credential = null;
+      if (policyRequires(policy, 'age')) {
+        if (!birthDate) {
+          setNeedBirthDate(true);
+          setMessage(
+            `🔐 Accounts for this email must declare an age of at least ${policy.minAge}.`
+          );
+          return;
+        }
+        credential = await createAgeCredential(parseBirthDate(birthDate));
+      }
+
+      setMessage(describeProgress('deriving'));
+      const { saltHex, commitmentHex, kdf } = await createCommitment(pwd);
+      const codes = generateRecoveryCodes();
+      const recovery = await createRecoveryCommitments(codes);
+      const secret =
+        enableTotp || policyRequires(policy, 'totp') ? generateTotpSecret() : null;
+      const totp = secret ? await createTotpCommitment(secret) : undefined;
+      const age = credential ? { commitmentHex: credential.commitmentHex } : undefined;
+      await axios.post(`${API}/signup`, {
+        email,
+        saltHex,
+        commitmentHex,
+        kdf,
+        recovery,
+        totp,
+        age,
+      });
+      if (secret) {
+        saveTotpSecret(email, secret);
+        setTotpEnrollment(secret);
+      }
+      if (credential) {
+        saveAgeCredential(email, credential);
+        setAgeEnrollment(credential);
+        setBirthDate('');
+        setNeedBirthDate(false);
+      }
+      setRecoveryCodes(codes);
       setMessage('🟢 Signup success. Switch to login.');
     } catch (err) {
       console.error(err);
@@ -36,86 +225,326 @@ export default function App() {
       console.log('Step 1: Fetching login data for email:', email);
       const { data } = await axios.get(`${API}/loginData`, { params: { email } });
       console.log('Login data received:', data);
-      
-      // Step 2: Generate proof
-      console.log('Step 2: Generating proof...');
-      const { proof, publicSignals } = await generateProof(pwd, data.saltHex, data.commitmentHex);
+
+      // Accounts with a second factor also need their device secret
+      const secret = data.totp ? loadTotpSecret(email) || totpSecret.trim() : null;
+      if (data.totp && !secret) {
+        setNeedTotpSecret(true);
+        setMessage('🔐 Enter the device secret you saved at signup to log in from this browser.');
+        return;
+      }
+
+      // Policies with a minimum age also need the age credential
+      const needsAge = policyRequires(data.policy, 'age');
+      const credential = needsAge
+        ? (await loadAgeCredential(email)) ||
+          (ageCredentialText.trim() &&
+            (await parseAgeCredential(ageCredentialText).catch(() => null)))
+        : null;
+      if (needsAge && !credential) {
+        setNeedAgeCredential(true);
+        setMessage('🔐 Enter the age credential you saved at signup.');
+        return;
+      }
+      if (credential && credential.birthDate > ageCutoff(data.policy.minAge)) {
+        setMessage(`🔴 This account requires an age of at least ${data.policy.minAge}.`);
+        return;
+      }
+
+      // Step 2: Get a single-use challenge to bind into the proof
+      console.log('Step 2: Requesting login challenge...');
+      const { data: challenge } = await axios.get(`${API}/challenge`, { params: { email } });
+
+      // Step 3: Generate proof in the prover worker
+      console.log('Step 3: Generating proof...');
+      setMessage(describeProgress('deriving'));
+      const input = data.totp
+        ? await totpLoginInput(
+            email,
+            pwd,
+            data.saltHex,
+            data.commitmentHex,
+            secret,
+            data.totp,
+            currentTimeStep(),
+            challenge.nonce,
+            data.kdf
+          )
+        : await emailLoginInput(
+            email,
+            pwd,
+            data.saltHex,
+            data.commitmentHex,
+            challenge.nonce,
+            data.kdf
+          );
+      const controller = new AbortController();
+      provingRef.current = controller;
+      setProving(controller);
+      const { proof, publicSignals, circuitVersion } = await proveCircuit(
+        loginCircuit(data),
+        input,
+        {
+          signal: controller.signal,
+          onProgress: (stage) => setMessage(describeProgress(stage)),
+        }
+      );
       console.log('Proof generated:', { proof, publicSignals });
-      
-      // Step 3: Submit proof for verification
-      console.log('Step 3: Submitting proof for verification...');
-      const response = await axios.post(`${API}/login`, { email, proof, publicSignals });
+
+      // The age proof goes with the same challenge
+      const proofs = credential
+        ? [
+            await proveAge(credential, data.policy.minAge, challenge.nonce, {
+              signal: controller.signal,
+              onProgress: (stage) => setMessage(describeProgress(stage)),
+            }),
+          ]
+        : undefined;
+
+      // Step 4: Submit proof for verification
+      console.log('Step 4: Submitting proof for verification...');
+      const response = await axios.post(`${API}/login`, {
+        email,
+        proof,
+        publicSignals,
+        circuitVersion,
+        proofs,
+      });
       console.log('Login response:', response.data);
-      
-      setMessage('🟢 Login verified!');
-    } catch (err) {
-      console.error('Login error details:', err);
-      
-      if (err.response) {
-        // Server responded with error status
-        const status = err.response.status;
-        const message = err.response.data;
-        console.error(`Server error ${status}:`, message);
-        
-        if (status === 404) {
-          setMessage('🔴 User not found. Please signup first.');
-        } else if (status === 401) {
-          setMessage('🔴 Invalid password. Proof verification failed.');
-        } else if (status === 500) {
-          setMessage('🔴 Server error. Missing verification key or circuit issue.');
-        } else {
-          setMessage(`🔴 Server error (${status}): ${message}`);
+
+      if (data.totp) saveTotpSecret(email, secret);
+      if (credential) saveAgeCredential(email, credential);
+      // Registering needs this fresh password login; a failure here must not
+      // undo the login itself
+      let remembered = '';
+      if (remember) {
+        try {
+          await rememberDevice(email, response.data);
+          remembered = ' This device can now log in without the password.';
+        } catch (err) {
+          console.error('Device registration error:', err);
+          remembered = ` Could not remember this device: ${describeError(err)}`;
         }
-      } else if (err.code === 'ECONNREFUSED') {
-        setMessage('🔴 Cannot connect to server. Is it running on port 4000?');
-      } else {
-        // Client-side error (proof generation, etc.)
-        setMessage('🔴 Login failed: ' + err.message);
       }
+      updateSession(response.data);
+      setPwd('');
+      setTotpSecret('');
+      setNeedTotpSecret(false);
+      setAgeCredentialText('');
+      setNeedAgeCredential(false);
+      setRemember(false);
+      setMessage('🟢 Login verified!' + remembered);
+    } catch (err) {
+      console.error('Login error details:', err);
+      setMessage(describeError(err));
+    } finally {
+      provingRef.current = null;
+      setProving(null);
     }
   }
 
-  return (
-    <div className="min-h-screen flex flex-col items-center justify-center gap-8 p-4">
-      <h1 className="text-3xl font-bold text-neon tracking-widest">ZK LOGIN</h1>
+  async function handleDeviceLogin() {
+    setMessage('🔄 Signing in with this device...');
+    try {
+      updateSession(await loginWithDevice(email));
+      setMessage('🟢 Login verified!');
+    } catch (err) {
+      console.error('Device login error:', err);
+      setHasDeviceKey(Boolean(await loadDeviceKey(email).catch(() => null)));
+      setMessage(describeError(err));
+    }
+  }
+
+  async function handleLogout() {
+    try {
+      await axios.post(
+        `${API}/logout`,
+        { refreshToken: session.refreshToken },
+        { headers: authHeader(session) }
+      );
+    } catch (err) {
+      console.error('Logout error:', err);
+    }
+    updateSession(null);
+    setChangingPassword(false);
+    setShowSettings(false);
+    setShowDevices(false);
+    setMessage('🟢 Logged out.');
+  }
+
+  if (user) {
+    return (
+      <Card>
+        <p>
+          Logged in as <span className="text-neon">{user.email}</span>
+        </p>
+        <p className="text-xs text-magenta">
+          Session expires {new Date(user.expiresAt).toLocaleTimeString()}
+        </p>
+        {changingPassword ? (
+          <PasswordChange
+            email={user.email}
+            onDone={(msg) => {
+              // The change revoked this session too
+              updateSession(null);
+              setChangingPassword(false);
+              setShowSettings(false);
+              setShowDevices(false);
+              setMessage(msg);
+            }}
+          />
+        ) : (
+          <button type="button" onClick={() => setChangingPassword(true)} className={linkClass}>
+            Change password
+          </button>
+        )}
+        {showDevices ? (
+          <Devices email={user.email} session={session} />
+        ) : (
+          <button type="button" onClick={() => setShowDevices(true)} className={linkClass}>
+            Devices
+          </button>
+        )}
+        {showSettings ? (
+          <AccountSettings
+            email={user.email}
+            onSession={updateSession}
+            onDeleted={(msg) => {
+              setShowSettings(false);
+              setShowDevices(false);
+              setChangingPassword(false);
+              updateSession(null);
+              setMessage(msg);
+            }}
+          />
+        ) : (
+          <button type="button" onClick={() => setShowSettings(true)} className={linkClass}>
+            Account settings
+          </button>
+        )}
+        <button className={buttonClass} type="button" onClick={handleLogout}>
+          Logout
+        </button>
+        {message && <p className="mt-2 text-center">{message}</p>}
+      </Card>
+    );
+  }
+
+  if (ageEnrollment) {
+    return (
+      <Card>
+        <AgeCredential credential={ageEnrollment} onDone={() => setAgeEnrollment(null)} />
+      </Card>
+    );
+  }
+
+  if (totpEnrollment) {
+    return (
+      <Card>
+        <TotpEnrollment secret={totpEnrollment} onDone={() => setTotpEnrollment(null)} />
+      </Card>
+    );
+  }
+
+  if (recoveryCodes) {
+    return (
+      <Card>
+        <RecoveryCodes
+          codes={recoveryCodes}
+          onDone={() => {
+            setRecoveryCodes(null);
+            switchMode('login');
+          }}
+        />
+      </Card>
+    );
+  }
 
-      <form
-        onSubmit={mode === 'signup' ? handleSignup : handleLogin}
-        className="w-full max-w-sm flex flex-col gap-4 bg-cyberBg/50 p-6 rounded-lg border border-neon shadow-neon"
-      >
-        <label className="flex flex-col gap-1">
-          <span>Email</span>
-          <input
-            className="bg-transparent border-b border-neon focus:outline-none px-1"
-            type="email"
-            value={email}
-            onChange={(e) => setEmail(e.target.value)}
-            required
+  if (mode === 'recover') {
+    return (
+      <Card>
+        <Recovery
+          onDone={(msg) => {
+            switchMode('login');
+            setMessage(msg);
+          }}
+        />
+        <button type="button" onClick={() => switchMode('login')} className={linkClass}>
+          Back to login
+        </button>
+      </Card>
+    );
+  }
+
+  return (
+    <Card>
+      <form onSubmit={mode === 'signup' ? handleSignup : handleLogin} className="flex flex-col gap-4">
+        <Field label="Email" type="email" value={email} onChange={(e) => setEmail(e.target.value)} />
+        <Field label="Password" type="password" value={pwd} onChange={(e) => setPwd(e.target.value)} />
+        {mode === 'signup' && (
+          <label className="flex items-center gap-2 text-sm">
+            <input type="checkbox" checked={enableTotp} onChange={(e) => setEnableTotp(e.target.checked)} />
+            Require a secret kept on this device as second factor
+          </label>
+        )}
+        {mode === 'signup' && needBirthDate && (
+          <Field
+            label="Date of birth (self-declared)"
+            type="date"
+            value={birthDate}
+            onChange={(e) => setBirthDate(e.target.value)}
+          />
+        )}
+        {mode === 'login' && needAgeCredential && (
+          <Field
+            label="Age credential"
+            value={ageCredentialText}
+            onChange={(e) => setAgeCredentialText(e.target.value)}
+            autoComplete="off"
           />
-        </label>
-        <label className="flex flex-col gap-1">
-          <span>Password</span>
-          <input
-            className="bg-transparent border-b border-neon focus:outline-none px-1"
-            type="password"
-            value={pwd}
-            onChange={(e) => setPwd(e.target.value)}
-            required
+        )}
+        {mode === 'login' && (
+          <label className="flex items-center gap-2 text-sm">
+            <input type="checkbox" checked={remember} onChange={(e) => setRemember(e.target.checked)} />
+            Remember this device
+          </label>
+        )}
+        {mode === 'login' && needTotpSecret && (
+          <Field
+            label="Device secret"
+            value={totpSecret}
+            onChange={(e) => setTotpSecret(e.target.value)}
+            autoComplete="off"
           />
-        </label>
+        )}
+        {proving ? (
+          <button className={buttonClass} type="button" onClick={() => proving.abort()}>
+            Cancel
+          </button>
+        ) : (
+          <button className={buttonClass} type="submit">
+            {mode === 'signup' ? 'Signup' : 'Login'}
+          </button>
+        )}
+        {mode === 'login' && hasDeviceKey && !proving && (
+          <button className={buttonClass} type="button" onClick={handleDeviceLogin}>
+            Log in with this device
+          </button>
+        )}
         <button
-          className="mt-4 py-2 border border-neon hover:bg-neon hover:text-cyberBg transition-colors"
-          type="submit"
+          type="button"
+          onClick={() => switchMode(mode === 'signup' ? 'login' : 'signup')}
+          className={linkClass}
         >
-          {mode === 'signup' ? 'Signup' : 'Login'}
-        </button>
-        <button type="button" onClick={toggle} className="text-sm text-magenta underline self-end">
           {mode === 'signup' ? 'Have an account? Login' : 'Need account? Signup'}
         </button>
+        {mode === 'login' && (
+          <button type="button" onClick={() => switchMode('recover')} className={linkClass}>
+            Forgot password? Use a recovery code
+          </button>
+        )}
         {message && <p className="mt-2 text-center">{message}</p>}
       </form>
-
-      <p className="text-xs text-magenta">Futuristic Cybertron Theme 🌐</p>
-    </div>
+    </Card>
   );
-} 
\ No newline at end of file
+}
@@ -0,0 +1,297 @@
+import axios from 'axios';
+import { PLAIN_KDF } from '@utils/kdf.js';
+import { ageInput, emailLoginInput, loginInput, totpLoginInput } from '@utils/proof.js';
+import { currentTimeStep } from '@utils/totp.js';
+import { ageCutoff, formatAgeCredential, parseAgeCredential } from '@utils/age.js';
+import { createDeviceKey, signDeviceChallenge } from '@utils/device.js';
+import { checkCircuitVersion } from '@utils/artifacts.js';
+import { deleteDeviceKey, loadDeviceKey, saveDeviceKey } from './deviceKeys.js';
+import { prover } from './prover/index.js';
+import { loadManifest } from './prover/core.js';
+
+export const API = 'http://localhost:4000';
+
+export const authHeader = (session) => ({ Authorization: `Bearer ${session.token}` });
+
+const PROGRESS_MESSAGES = {
+  deriving: '🔄 Deriving key from password...',
+  loading: '🔄 Loading circuit...',
+  witness: '🔄 Computing witness...',
+  proving: '🔄 Generating proof...',
+};
+
+/**
+ * Status line for a prover stage reported through onProgress.
+ */
+export function describeProgress(stage) {
+  return PROGRESS_MESSAGES[stage] || '🔄 Working...';
+}
+
+/**
+ * prover.prove, once the server has a verification key for the version of
+ * `circuit` the files here belong to (GET /circuits against the artifact
+ * manifest). Returns { proof, publicSignals, circuitVersion }; send
+ * circuitVersion with the proof.
+ */
+export async function proveCircuit(circuit, input, options) {
+  const [manifest, { data }] = await Promise.all([
+    loadManifest(),
+    axios.get(`${API}/circuits`),
+  ]);
+  const circuitVersion = checkCircuitVersion(
+    manifest,
+    circuit,
+    data.circuits[circuit]?.versions
+  );
+  return { ...(await prover.prove(circuit, input, options)), circuitVersion };
+}
+
+/**
+ * Circuit used to log in to an account with the given GET /loginData
+ * response.
+ */
+export function loginCircuit(loginData) {
+  return loginData?.totp ? 'pwd_totp_login' : 'pwd_email_login';
+}
+
+/**
+ * Fetch a single-use challenge for `email` and prove knowledge of `secret`
+ * (a normalized recovery code, committed with PLAIN_KDF) for the given
+ * salt/commitment. `options` ({ onProgress, signal }) are passed on to
+ * prover.prove; the result is proveCircuit's.
+ */
+export async function proveWithChallenge(email, secret, saltHex, commitmentHex, options) {
+  const { data: challenge } = await axios.get(`${API}/challenge`, { params: { email } });
+  const input = await loginInput(secret, saltHex, commitmentHex, challenge.nonce, PLAIN_KDF);
+  return proveCircuit('pwd_login', input, options);
+}
+
+/**
+ * Prove a login for `email` from its GET /loginData response: password and
+ * email, plus `totpSecret` for the current time step once the account has
+ * enrolled TOTP. `options` ({ onProgress, signal }) are passed on to
+ * prover.prove; the result is proveCircuit's.
+ */
+export async function proveLogin(email, password, loginData, totpSecret, options) {
+  const { saltHex, commitmentHex, kdf, totp } = loginData;
+  const { data: challenge } = await axios.get(`${API}/challenge`, { params: { email } });
+  options?.onProgress?.('deriving');
+  const input = totp
+    ? await totpLoginInput(
+        email,
+        password,
+        saltHex,
+        commitmentHex,
+        totpSecret,
+        totp,
+        currentTimeStep(),
+        challenge.nonce,
+        kdf
+      )
+    : await emailLoginInput(email, password, saltHex, commitmentHex, challenge.nonce, kdf);
+  return proveCircuit(loginCircuit(loginData), input, options);
+}
+
+/**
+ * Log in to `email` again with `password`, plus the device secret and age
+ * credential saved on this device, for a fresh session – deleting or
+ * exporting the account requires a login from the last few minutes. Returns
+ * the POST /login response. `options` ({ onProgress, signal }) are passed on
+ * to prover.prove.
+ */
+export async function loginAgain(email, password, options) {
+  const { data } = await axios.get(`${API}/loginData`, { params: { email } });
+  const totpSecret = data.totp ? loadTotpSecret(email) : null;
+  if (data.totp && !totpSecret)
+    throw new Error('No device secret for this account in this browser. Log in with it first.');
+  const needsAge = policyRequires(data.policy, 'age');
+  const credential = needsAge ? await loadAgeCredential(email) : null;
+  if (needsAge && !credential)
+    throw new Error('No age credential on this device. Log in with it first.');
+
+  const { proof, publicSignals, circuitVersion } = await proveLogin(
+    email,
+    password,
+    data,
+    totpSecret,
+    options
+  );
+  // The age proof must be for the login proof's challenge, its last signal
+  const proofs = credential
+    ? [await proveAge(credential, data.policy.minAge, publicSignals.at(-1), options)]
+    : undefined;
+  const { data: session } = await axios.post(`${API}/login`, {
+    email,
+    proof,
+    publicSignals,
+    circuitVersion,
+    proofs,
+  });
+  return session;
+}
+
+/**
+ * Generate a key pair on this device and register it for the session's
+ * account, so later logins to `email` can use loginWithDevice. `session` must
+ * come from a password login in the last few minutes.
+ */
+export async function rememberDevice(email, session) {
+  const { keyPair, publicKey } = await createDeviceKey();
+  const { data } = await axios.post(
+    `${API}/devices`,
+    { name: deviceName(), publicKey },
+    { headers: authHeader(session) }
+  );
+  await saveDeviceKey(email, { deviceId: data.device.id, keyPair });
+}
+
+/**
+ * Log in to `email` by signing a challenge with the key this device
+ * registered. Returns the POST /login/device response. A key the server no
+ * longer knows (the device was revoked) is forgotten.
+ */
+export async function loginWithDevice(email) {
+  const deviceKey = await loadDeviceKey(email);
+  if (!deviceKey) throw new Error('This device is not registered for that email.');
+  const { data: challenge } = await axios.get(`${API}/challenge`, { params: { email } });
+  const signature = await signDeviceChallenge(deviceKey.keyPair.privateKey, challenge.nonce);
+  try {
+    const { data } = await axios.post(`${API}/login/device`, {
+      email,
+      deviceId: deviceKey.deviceId,
+      nonce: challenge.nonce,
+      signature,
+    });
+    return data;
+  } catch (err) {
+    if (err.response?.data?.code === 'DEVICE_UNKNOWN') await deleteDeviceKey(email);
+    throw err;
+  }
+}
+
+// What the devices list shows for this browser
+function deviceName() {
+  const platform = navigator.userAgentData?.platform || navigator.platform || 'Unknown';
+  return `${platform} browser`.slice(0, 64);
+}
+
+/**
+ * Whether the policy in a GET /loginData or GET /policy response requires
+ * `proof` ("totp", "age").
+ */
+export function policyRequires(policy, proof) {
+  return Boolean(policy?.proofs?.includes(proof));
+}
+
+/**
+ * Prove the birth date of `credential` is at least `minAge` years ago, for
+ * the login proof made with `nonce`. Returns the entry for the login
+ * request's `proofs`.
+ */
+export async function proveAge(credential, minAge, nonce, options) {
+  const input = ageInput(credential, ageCutoff(minAge), nonce);
+  const { proof, publicSignals, circuitVersion } = await proveCircuit(
+    'age_over',
+    input,
+    options
+  );
+  return { circuit: 'age_over', proof, publicSignals, circuitVersion };
+}
+
+const TOTP_SECRET_KEY = 'zk-login.totp.';
+
+/**
+ * TOTP secrets enrolled or entered on this device, per email.
+ */
+export function loadTotpSecret(email) {
+  return localStorage.getItem(TOTP_SECRET_KEY + email);
+}
+
+export function saveTotpSecret(email, secret) {
+  localStorage.setItem(TOTP_SECRET_KEY + email, secret);
+}
+
+const AGE_CREDENTIAL_KEY = 'zk-login.age.';
+
+/**
+ * Age credentials created or entered on this device, per email; null if
+ * there is none (or it no longer parses).
+ */
+export async function loadAgeCredential(email) {
+  const text = localStorage.getItem(AGE_CREDENTIAL_KEY + email);
+  return text ? parseAgeCredential(text).catch(() => null) : null;
+}
+
+export function saveAgeCredential(email, credential) {
+  localStorage.setItem(AGE_CREDENTIAL_KEY + email, formatAgeCredential(credential));
+}
+
+/**
+ * Remove what this device keeps for `email`, once the account is deleted.
+ */
+export function forgetAccount(email) {
+  localStorage.removeItem(TOTP_SECRET_KEY + email);
+  localStorage.removeItem(AGE_CREDENTIAL_KEY + email);
+  return deleteDeviceKey(email);
+}
+
+// Messages for the server's error codes (see GET /openapi.json)
+const ERROR_MESSAGES = {
+  INVALID_REQUEST: '🔴 The server rejected the request as malformed.',
+  MALFORMED_JSON: '🔴 The server rejected the request as malformed.',
+  USER_NOT_FOUND: '🔴 User not found. Please signup first.',
+  COMMITMENT_MISMATCH: '🔴 Proof does not match this account.',
+  CHALLENGE_EXPIRED: '🔴 Challenge expired. Please try again.',
+  COMMITMENT_CHANGED: '🔴 Password was changed meanwhile. Please retry.',
+  TOTP_EXPIRED: '🔴 Time step out of range. Check your device clock.',
+  TOTP_REPLAYED: '🔴 Already used this time step. Wait 30 s and retry.',
+  ACCOUNT_DISABLED: '🔴 This account has been disabled.',
+  PASSWORD_RESET_REQUIRED: '🔴 A password reset is required. Use the recovery code you were given.',
+  ENROLLMENT_MISSING: '🔴 Signup for this email needs more factors. Please retry.',
+  ENROLLMENT_REQUIRED: '🔴 Your account lacks a factor its login policy requires. Contact support.',
+  FRESH_LOGIN_REQUIRED: '🔴 Please confirm with your password again.',
+  DEVICE_UNKNOWN: '🔴 This device is no longer registered. Log in with your password.',
+  DEVICE_REVOKED: '🔴 This device was removed from your account.',
+  SIGNATURE_INVALID: '🔴 Device signature rejected. Log in with your password.',
+  DEVICE_KEY_INVALID: '🔴 The server rejected this device key.',
+  DEVICE_LIMIT: '🔴 Too many devices. Remove one first.',
+  DEVICE_NOT_FOUND: '🔴 That device was already removed.',
+  PROOF_MISSING: '🔴 This account also needs an age proof.',
+  AGE_CUTOFF_INVALID: '🔴 Age proof rejected. Check your device clock.',
+  POLICY_UNAVAILABLE: '🔴 Server error. Login policy not configured.',
+  RECOVERY_CODE_INVALID: '🔴 Recovery code is unknown or already used.',
+  RECOVERY_CODE_USED: '🔴 Recovery code is unknown or already used.',
+  VERIFIER_UNAVAILABLE: '🔴 Server error. Missing verification key.',
+  VERIFICATION_ERROR: '🔴 Server error. Proof verification failed to run.',
+};
+
+// Codes answered with Retry-After
+const RETRY_LATER = {
+  ACCOUNT_LOCKED: 'Account temporarily locked',
+  TOO_MANY_ATTEMPTS: 'Too many attempts',
+  RATE_LIMITED: 'Too many requests',
+};
+
+/**
+ * Human-readable message for a failed request or proof generation. Server
+ * errors are { ok: false, code }.
+ */
+export function describeError(err) {
+  if (err.response) {
+    const { status, data, headers } = err.response;
+    const code = data?.code;
+    if (RETRY_LATER[code]) {
+      const wait = headers?.['retry-after'];
+      return `🔴 ${RETRY_LATER[code]}. Try again${wait ? ` in ${wait} s` : ' later'}.`;
+    }
+    if (ERROR_MESSAGES[code]) return ERROR_MESSAGES[code];
+    if (status === 401) return '🔴 Invalid password. Proof verification failed.';
+    return `🔴 Server error (${status}): ${code || data}`;
+  }
+  if (err.name === 'AbortError') return '🟡 Cancelled.';
+  if (err.code === 'ECONNREFUSED') return '🔴 Cannot connect to server. Is it running on port 4000?';
+  // The circuit only admits a witness for the correct secret
+  if (err.message?.includes('Assert Failed'))
+    return '🔴 Invalid password or device secret. Could not generate proof.';
+  return '🔴 Failed: ' + err.message;
+}
@@ -0,0 +1,103 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import {
+  API,
+  authHeader,
+  describeError,
+  describeProgress,
+  forgetAccount,
+  loginAgain,
+} from '../api.js';
+import Field from './Field.jsx';
+
+const buttonClass =
+  'py-2 border border-neon hover:bg-neon hover:text-cyberBg transition-colors';
+
+/**
+ * Download the account's data or delete it. Both need a fresh login, so each
+ * asks for the password and logs in again first; the new session is passed
+ * to onSession.
+ */
+export default function AccountSettings({ email, onSession, onDeleted }) {
+  const [password, setPassword] = useState('');
+  const [confirmDelete, setConfirmDelete] = useState(false);
+  const [message, setMessage] = useState('');
+
+  async function withFreshLogin(action) {
+    if (!password) {
+      setMessage('🔐 Enter your password to confirm.');
+      return;
+    }
+    setMessage('🔄 Proving your password...');
+    try {
+      const session = await loginAgain(email, password, {
+        onProgress: (stage) => setMessage(describeProgress(stage)),
+      });
+      onSession(session);
+      setPassword('');
+      await action(session);
+    } catch (err) {
+      console.error('Account settings error:', err);
+      setMessage(describeError(err));
+    }
+  }
+
+  function handleExport() {
+    return withFreshLogin(async (session) => {
+      const { data } = await axios.get(`${API}/account/export`, {
+        headers: authHeader(session),
+        responseType: 'blob',
+      });
+      const url = URL.createObjectURL(data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = 'zk-login-account.json';
+      link.click();
+      URL.revokeObjectURL(url);
+      setMessage('🟢 Your data was downloaded.');
+    });
+  }
+
+  function handleDelete() {
+    if (!confirmDelete) {
+      setMessage('🔴 Tick the box to confirm deleting your account.');
+      return;
+    }
+    return withFreshLogin(async (session) => {
+      await axios.delete(`${API}/account`, { headers: authHeader(session) });
+      await forgetAccount(email);
+      onDeleted('🟢 Your account was deleted.');
+    });
+  }
+
+  return (
+    <div className="flex flex-col gap-4">
+      <h2 className="text-lg text-neon">Account settings</h2>
+      <Field
+        label="Password"
+        type="password"
+        value={password}
+        onChange={(e) => setPassword(e.target.value)}
+      />
+      <button className={buttonClass} type="button" onClick={handleExport}>
+        Download my data
+      </button>
+      <label className="flex items-center gap-2 text-sm">
+        <input
+          type="checkbox"
+          checked={confirmDelete}
+          onChange={(e) => setConfirmDelete(e.target.checked)}
+        />
+        Delete my account and everything stored with it. This cannot be undone.
+      </label>
+      <button
+        className="py-2 border border-magenta text-magenta hover:bg-magenta hover:text-cyberBg transition-colors"
+        type="button"
+        onClick={handleDelete}
+      >
+        Delete account
+      </button>
+      {message && <p className="text-center">{message}</p>}
+    </div>
+  );
+}
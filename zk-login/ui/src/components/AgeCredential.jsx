@@ -0,0 +1,24 @@
+import React from 'react';
+import { formatAgeCredential } from '@utils/age.js';
+
+export default function AgeCredential({ credential, onDone }) {
+  return (
+    <div className="flex flex-col gap-4">
+      <p>
+        This is your age credential. The server only keeps a commitment to it, so your birth
+        date stays private. It only attests the date you entered – nobody has verified it.
+        This browser keeps it too; on another device you will be asked for it once.
+      </p>
+      <p className="font-mono text-sm text-neon break-all text-center">
+        {formatAgeCredential(credential)}
+      </p>
+      <button
+        className="mt-2 py-2 border border-neon hover:bg-neon hover:text-cyberBg transition-colors"
+        type="button"
+        onClick={onDone}
+      >
+        I saved it
+      </button>
+    </div>
+  );
+}
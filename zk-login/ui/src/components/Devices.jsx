@@ -0,0 +1,81 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import { API, authHeader, describeError } from '../api.js';
+import { deleteDeviceKey, loadDeviceKey } from '../deviceKeys.js';
+
+/**
+ * The devices registered for the account, each with a button to revoke it.
+ * A revoked device can no longer log in, and its sessions end.
+ */
+export default function Devices({ email, session }) {
+  const [devices, setDevices] = useState(null);
+  const [thisDevice, setThisDevice] = useState(null);
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    Promise.all([
+      axios.get(`${API}/devices`, { headers: authHeader(session) }),
+      loadDeviceKey(email).catch(() => null),
+    ])
+      .then(([{ data }, deviceKey]) => {
+        if (cancelled) return;
+        setDevices(data.devices);
+        setThisDevice(deviceKey?.deviceId ?? null);
+      })
+      .catch((err) => !cancelled && setMessage(describeError(err)));
+    return () => {
+      cancelled = true;
+    };
+  }, [email, session]);
+
+  async function handleRevoke(id) {
+    try {
+      await axios.delete(`${API}/devices/${encodeURIComponent(id)}`, {
+        headers: authHeader(session),
+      });
+      setDevices((current) => current.filter((d) => d.id !== id));
+      if (id === thisDevice) {
+        await deleteDeviceKey(email);
+        setThisDevice(null);
+      }
+      setMessage('🟢 Device removed.');
+    } catch (err) {
+      console.error('Device revoke error:', err);
+      setMessage(describeError(err));
+    }
+  }
+
+  return (
+    <div className="flex flex-col gap-4">
+      <h2 className="text-lg text-neon">Devices</h2>
+      {devices?.length === 0 && (
+        <p className="text-sm">No devices yet. Tick “Remember this device” when you log in.</p>
+      )}
+      <ul className="flex flex-col gap-2 text-sm">
+        {devices?.map((device) => (
+          <li key={device.id} className="flex items-center justify-between gap-2">
+            <span>
+              {device.name}
+              {device.id === thisDevice && <span className="text-neon"> (this device)</span>}
+              <br />
+              <span className="text-xs text-magenta">
+                {device.lastUsedAt
+                  ? `Last used ${new Date(device.lastUsedAt).toLocaleString()}`
+                  : `Added ${new Date(device.createdAt).toLocaleString()}`}
+              </span>
+            </span>
+            <button
+              className="px-2 border border-magenta text-magenta hover:bg-magenta hover:text-cyberBg transition-colors"
+              type="button"
+              onClick={() => handleRevoke(device.id)}
+            >
+              Remove
+            </button>
+          </li>
+        ))}
+      </ul>
+      {message && <p className="text-center">{message}</p>}
+    </div>
+  );
+}
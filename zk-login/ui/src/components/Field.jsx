@@ -0,0 +1,14 @@
+import React from 'react';
+
+export default function Field({ label, ...inputProps }) {
+  return (
+    <label className="flex flex-col gap-1">
+      <span>{label}</span>
+      <input
+        className="bg-transparent border-b border-neon focus:outline-none px-1"
+        required
+        {...inputProps}
+      />
+    </label>
+  );
+}
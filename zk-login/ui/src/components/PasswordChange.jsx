@@ -0,0 +1,67 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import { createCommitment } from '@utils/commitment.js';
+import { API, describeError, describeProgress, loadTotpSecret, proveLogin } from '../api.js';
+import { deleteDeviceKey } from '../deviceKeys.js';
+import Field from './Field.jsx';
+
+export default function PasswordChange({ email, onDone }) {
+  const [current, setCurrent] = useState('');
+  const [next, setNext] = useState('');
+  const [confirm, setConfirm] = useState('');
+  const [message, setMessage] = useState('');
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    if (next !== confirm) {
+      setMessage('🔴 New passwords do not match.');
+      return;
+    }
+    setMessage('🔄 Proving current password...');
+    try {
+      const { data } = await axios.get(`${API}/loginData`, { params: { email } });
+      const totpSecret = loadTotpSecret(email);
+      if (data.totp && !totpSecret) {
+        setMessage('🔴 No device secret for this account in this browser. Log in with it first.');
+        return;
+      }
+      const { proof, publicSignals, circuitVersion } = await proveLogin(email, current, data, totpSecret, {
+        onProgress: (stage) => setMessage(describeProgress(stage)),
+      });
+      const { saltHex, commitmentHex, kdf } = await createCommitment(next);
+      await axios.post(`${API}/password/change`, {
+        email,
+        proof,
+        publicSignals,
+        circuitVersion,
+        saltHex,
+        commitmentHex,
+        kdf,
+      });
+      // The server ended every session and device of the account
+      await deleteDeviceKey(email).catch((err) => console.warn(err));
+      setCurrent('');
+      setNext('');
+      setConfirm('');
+      onDone('🟢 Password changed. Please log in again.');
+    } catch (err) {
+      console.error('Password change error:', err);
+      setMessage(describeError(err));
+    }
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="flex flex-col gap-4">
+      <Field label="Current password" type="password" value={current} onChange={(e) => setCurrent(e.target.value)} />
+      <Field label="New password" type="password" value={next} onChange={(e) => setNext(e.target.value)} />
+      <Field label="Confirm new password" type="password" value={confirm} onChange={(e) => setConfirm(e.target.value)} />
+      <button
+        className="mt-2 py-2 border border-neon hover:bg-neon hover:text-cyberBg transition-colors"
+        type="submit"
+      >
+        Change password
+      </button>
+      {message && <p className="text-center">{message}</p>}
+    </form>
+  );
+}
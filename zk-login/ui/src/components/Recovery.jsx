@@ -0,0 +1,80 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import {
+  createCommitment,
+  findRecoveryCode,
+  normalizeRecoveryCode,
+} from '@utils/commitment.js';
+import { API, describeError, describeProgress, proveWithChallenge } from '../api.js';
+import { deleteDeviceKey } from '../deviceKeys.js';
+import Field from './Field.jsx';
+
+export default function Recovery({ onDone }) {
+  const [email, setEmail] = useState('');
+  const [code, setCode] = useState('');
+  const [pwd, setPwd] = useState('');
+  const [message, setMessage] = useState('');
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setMessage('🔄 Checking recovery code...');
+    try {
+      const { data } = await axios.get(`${API}/recovery/data`, { params: { email } });
+      const i = await findRecoveryCode(code, data.codes);
+      if (i < 0) {
+        setMessage('🔴 Recovery code is unknown or already used.');
+        return;
+      }
+      const entry = data.codes[i];
+
+      // Prove knowledge of the code without sending it
+      const { proof, publicSignals, circuitVersion } = await proveWithChallenge(
+        email,
+        normalizeRecoveryCode(code),
+        entry.saltHex,
+        entry.commitmentHex,
+        { onProgress: (stage) => setMessage(describeProgress(stage)) }
+      );
+      const { saltHex, commitmentHex, kdf } = await createCommitment(pwd);
+      const response = await axios.post(`${API}/recovery`, {
+        email,
+        index: entry.index,
+        proof,
+        publicSignals,
+        circuitVersion,
+        saltHex,
+        commitmentHex,
+        kdf,
+      });
+      // The server ended every session and device of the account
+      await deleteDeviceKey(email).catch((err) => console.warn(err));
+      onDone(
+        `🟢 Password reset. ${response.data.remaining} recovery code(s) left. Please login.`
+      );
+    } catch (err) {
+      console.error('Recovery error:', err);
+      setMessage(describeError(err));
+    }
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="flex flex-col gap-4">
+      <Field label="Email" type="email" value={email} onChange={(e) => setEmail(e.target.value)} />
+      <Field
+        label="Recovery code"
+        type="text"
+        placeholder="XXXX-XXXX-XXXX-XXXX"
+        value={code}
+        onChange={(e) => setCode(e.target.value)}
+      />
+      <Field label="New password" type="password" value={pwd} onChange={(e) => setPwd(e.target.value)} />
+      <button
+        className="mt-2 py-2 border border-neon hover:bg-neon hover:text-cyberBg transition-colors"
+        type="submit"
+      >
+        Reset password
+      </button>
+      {message && <p className="text-center">{message}</p>}
+    </form>
+  );
+}
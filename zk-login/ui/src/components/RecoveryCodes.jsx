@@ -0,0 +1,21 @@
+import React from 'react';
+
+export default function RecoveryCodes({ codes, onDone }) {
+  return (
+    <div className="flex flex-col gap-4">
+      <p>Save these one-time recovery codes. They are shown only once.</p>
+      <ul className="grid grid-cols-2 gap-2 font-mono text-sm text-neon">
+        {codes.map((code) => (
+          <li key={code}>{code}</li>
+        ))}
+      </ul>
+      <button
+        className="mt-2 py-2 border border-neon hover:bg-neon hover:text-cyberBg transition-colors"
+        type="button"
+        onClick={onDone}
+      >
+        I saved them
+      </button>
+    </div>
+  );
+}
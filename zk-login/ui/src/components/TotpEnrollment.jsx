@@ -0,0 +1,27 @@
+import React from 'react';
+
+export default function TotpEnrollment({ secret, onDone }) {
+  return (
+    <div className="flex flex-col gap-4">
+      <p>
+        This browser now keeps a device secret for your account. Each login proves it knows the
+        secret as well as your password, so a stolen password alone is not enough.
+      </p>
+      <p className="text-sm">
+        It is not an authenticator app code: write it down or keep it in a password manager. On
+        another device you will be asked for it once. Anyone who can read the storage of this
+        browser holds this factor too.
+      </p>
+      <p className="font-mono text-sm text-neon break-all text-center">
+        {secret.match(/.{1,4}/g).join(' ')}
+      </p>
+      <button
+        className="mt-2 py-2 border border-neon hover:bg-neon hover:text-cyberBg transition-colors"
+        type="button"
+        onClick={onDone}
+      >
+        I saved it
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,44 @@
+// Device keys kept in this browser, per email: { deviceId, keyPair }, where
+// deviceId is the server's id for the registered key (see POST /devices).
+// IndexedDB rather than localStorage, as it can hold the non-extractable
+// CryptoKey itself.
+
+const DB_NAME = 'zk-login';
+const STORE_NAME = 'deviceKeys';
+
+function openDb() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function withStore(mode, action) {
+  const db = await openDb();
+  try {
+    return await new Promise((resolve, reject) => {
+      const request = action(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * The device key registered for `email` on this browser, or null.
+ */
+export async function loadDeviceKey(email) {
+  return (await withStore('readonly', (store) => store.get(email))) ?? null;
+}
+
+export function saveDeviceKey(email, deviceKey) {
+  return withStore('readwrite', (store) => store.put(deviceKey, email));
+}
+
+export function deleteDeviceKey(email) {
+  return withStore('readwrite', (store) => store.delete(email));
+}
@@ -5,6 +5,13 @@ import './index.css';
 import { Buffer } from 'buffer';
 window.Buffer = Buffer;
 
+// Caches the circuit artifacts (public/sw.js)
+if ('serviceWorker' in navigator) {
+  navigator.serviceWorker
+    .register('/sw.js')
+    .catch((err) => console.warn('Service worker registration failed:', err));
+}
+
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
     <App />
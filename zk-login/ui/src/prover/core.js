@@ -0,0 +1,78 @@
+import { CIRCUITS, prove } from '@utils/proof.js';
+import {
+  ARTIFACT_CACHE_PREFIX,
+  MANIFEST_URL,
+  artifactUrl,
+  checkArtifact,
+} from '@utils/artifacts.js';
+
+// circuit -> Promise<{ wasm, zkey }>, shared by every proof in this thread
+const cache = new Map();
+let manifest = null;
+
+async function fetchBytes(url) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`Failed to load ${url} (${res.status})`);
+  return new Uint8Array(await res.arrayBuffer());
+}
+
+/**
+ * The artifact manifest (see utils/artifacts.js), fetched once.
+ */
+export function loadManifest() {
+  if (!manifest) {
+    manifest = fetch(MANIFEST_URL).then((res) => {
+      if (!res.ok) throw new Error(`Failed to load ${MANIFEST_URL} (${res.status})`);
+      return res.json();
+    });
+    manifest.catch(() => (manifest = null));
+  }
+  return manifest;
+}
+
+// Fetch `url` and check it against the manifest. On a mismatch the service
+// worker's caches are dropped, so a reload downloads the files again.
+async function fetchArtifact(url) {
+  const current = await loadManifest();
+  const bytes = await fetchBytes(artifactUrl(current, url));
+  try {
+    await checkArtifact(current, url, bytes);
+  } catch (err) {
+    if (globalThis.caches) {
+      for (const key of await caches.keys()) {
+        if (key.startsWith(ARTIFACT_CACHE_PREFIX)) await caches.delete(key);
+      }
+    }
+    throw err;
+  }
+  return bytes;
+}
+
+/**
+ * Fetch the circuit's wasm and zkey once, check them against the manifest and
+ * keep them in memory.
+ */
+export function loadCircuit(circuit) {
+  if (!CIRCUITS[circuit]) return Promise.reject(new Error(`Unknown circuit: ${circuit}`));
+  if (!cache.has(circuit)) {
+    const { wasm, zkey } = CIRCUITS[circuit];
+    const loading = Promise.all([fetchArtifact(wasm), fetchArtifact(zkey)]).then(([w, z]) => ({
+      wasm: w,
+      zkey: z,
+    }));
+    // A failed download should be retried by the next caller
+    loading.catch(() => cache.delete(circuit));
+    cache.set(circuit, loading);
+  }
+  return cache.get(circuit);
+}
+
+/**
+ * Prove `input` for `circuit`, reporting the stages "loading", "witness" and
+ * "proving" through onProgress.
+ */
+export async function runProof(circuit, input, onProgress) {
+  onProgress?.('loading');
+  const artifacts = await loadCircuit(circuit);
+  return prove(circuit, input, { onProgress, artifacts });
+}
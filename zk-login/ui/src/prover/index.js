@@ -0,0 +1,140 @@
+import { loadCircuit, runProof } from './core.js';
+
+function abortError() {
+  return new DOMException('Proof generation cancelled', 'AbortError');
+}
+
+// The worker failed before it ever answered: it could not load at all
+// (module workers unsupported, a 404, a CSP), so calls retry on the main thread
+class WorkerStartError extends Error {}
+
+/**
+ * Groth16 prover running in a Web Worker, so the page stays responsive while
+ * proving. Falls back to proving on the main thread where workers are not
+ * available, or where the worker fails to load; later calls then skip it.
+ *
+ *   const prover = createProver();
+ *   prover.preload('pwd_email_login');
+ *   const { proof, publicSignals } = await prover.prove('pwd_email_login', input, {
+ *     onProgress: (stage) => ..., // 'loading' | 'witness' | 'proving'
+ *     signal,                     // AbortSignal, cancels the proof
+ *   });
+ *
+ * Cancelling terminates the worker (the only way to stop snarkjs mid-proof);
+ * a fresh one is started, with cold caches, for the next call.
+ */
+export function createProver() {
+  let worker = null;
+  let nextId = 0;
+  // id -> { resolve, reject, onProgress }
+  const pending = new Map();
+  // Circuits to load again whenever a new worker starts
+  const preloaded = new Set();
+  // Cleared once a worker fails to start, so no more are tried
+  let workersUsable = typeof Worker !== 'undefined';
+
+  function startWorker() {
+    if (!workersUsable) return null;
+    try {
+      const w = new Worker(new URL('./worker.js', import.meta.url), { type: 'module' });
+      let answered = false;
+      w.onmessage = ({ data }) => {
+        answered = true;
+        const call = pending.get(data.id);
+        if (!call) return;
+        if (data.type === 'progress') return call.onProgress?.(data.stage);
+        pending.delete(data.id);
+        if (data.type === 'result') call.resolve(data.result);
+        else call.reject(new Error(data.message));
+      };
+      w.onerror = (e) => {
+        e.preventDefault?.();
+        if (answered) return stopWorker(new Error(e.message || 'Prover worker failed'));
+        workersUsable = false;
+        console.warn('Prover worker failed to load, proving on the main thread:', e.message);
+        stopWorker(new WorkerStartError(e.message || 'Prover worker failed to load'));
+      };
+      return w;
+    } catch (err) {
+      workersUsable = false;
+      console.warn('Prover worker unavailable, proving on the main thread:', err);
+      return null;
+    }
+  }
+
+  // Terminate the worker and fail every call still waiting on it
+  function stopWorker(reason) {
+    worker?.terminate();
+    worker = null;
+    for (const call of pending.values()) call.reject(reason);
+    pending.clear();
+  }
+
+  function getWorker() {
+    if (!worker) {
+      worker = startWorker();
+      if (worker) for (const circuit of preloaded) post('preload', circuit).catch(() => {});
+    }
+    return worker;
+  }
+
+  function post(type, circuit, input, onProgress) {
+    const w = getWorker();
+    const id = ++nextId;
+    return new Promise((resolve, reject) => {
+      pending.set(id, { resolve, reject, onProgress });
+      w.postMessage({ id, type, circuit, input });
+    });
+  }
+
+  /**
+   * Fetch and cache `circuit`'s artifacts ahead of the first proof.
+   */
+  async function preload(circuit) {
+    preloaded.add(circuit);
+    if (getWorker()) {
+      try {
+        return await post('preload', circuit);
+      } catch (err) {
+        if (!(err instanceof WorkerStartError)) throw err;
+      }
+    }
+    await loadCircuit(circuit);
+  }
+
+  // Main-thread fallback: cancellation only takes effect between stages
+  async function proveHere(circuit, input, { onProgress, signal }) {
+    const result = await runProof(circuit, input, (stage) => {
+      if (signal?.aborted) throw abortError();
+      onProgress?.(stage);
+    });
+    if (signal?.aborted) throw abortError();
+    return result;
+  }
+
+  async function prove(circuit, input, { onProgress, signal } = {}) {
+    if (signal?.aborted) throw abortError();
+    if (!getWorker()) return proveHere(circuit, input, { onProgress, signal });
+
+    const onAbort = () => stopWorker(abortError());
+    signal?.addEventListener('abort', onAbort, { once: true });
+    try {
+      return await post('prove', circuit, input, onProgress);
+    } catch (err) {
+      if (!(err instanceof WorkerStartError)) throw err;
+    } finally {
+      signal?.removeEventListener('abort', onAbort);
+    }
+    if (signal?.aborted) throw abortError();
+    return proveHere(circuit, input, { onProgress, signal });
+  }
+
+  function terminate() {
+    stopWorker(abortError());
+  }
+
+  return { preload, prove, terminate };
+}
+
+// One prover for the whole page, so cached artifacts are shared
+export const prover = createProver();
@@ -0,0 +1,22 @@
+// Prover worker. Messages in:  { id, type: 'preload' | 'prove', circuit, input }
+//                Messages out: { id, type: 'progress', stage }
+//                              { id, type: 'result', result }
+//                              { id, type: 'error', message }
+import { Buffer } from 'buffer';
+import { loadCircuit, runProof } from './core.js';
+
+// snarkjs expects the Buffer global that main.jsx sets up on the page
+globalThis.Buffer ??= Buffer;
+
+self.onmessage = async ({ data }) => {
+  const { id, type, circuit, input } = data;
+  try {
+    const result =
+      type === 'preload'
+        ? (await loadCircuit(circuit), null)
+        : await runProof(circuit, input, (stage) => self.postMessage({ id, type: 'progress', stage }));
+    self.postMessage({ id, type: 'result', result });
+  } catch (err) {
+    self.postMessage({ id, type: 'error', message: err.message || String(err) });
+  }
+};
@@ -3,18 +3,23 @@ import react from "@vitejs/plugin-react";
 import { resolve } from "path";
 import { nodePolyfills } from "vite-plugin-node-polyfills";
 
+const polyfills = () =>
+  nodePolyfills({
+    include: ["buffer"],
+    globals: {
+      Buffer: true,
+      global: true,
+      process: true,
+    },
+  });
+
 export default defineConfig({
-  plugins: [
-    react(),
-    nodePolyfills({
-      include: ["buffer"],
-      globals: {
-        Buffer: true,
-        global: true,
-        process: true,
-      },
-    }),
-  ],
+  plugins: [react(), polyfills()],
+  // The prover worker (src/prover/worker.js) runs snarkjs too
+  worker: {
+    format: "es",
+    plugins: [polyfills()],
+  },
   define: {
     global: "globalThis",
   },
@@ -0,0 +1,79 @@
+// Helpers for the age requirement of authentication policies (age_over
+// circuit)
+// Usage:
+//   const birthDate = parseBirthDate("2001-04-23");           // 20010423
+//   const credential = await createAgeCredential(birthDate);  // kept by the client
+//   const age = { commitmentHex: credential.commitmentHex };  // sent at signup
+//   const cutoff = ageCutoff(18);                             // proved at login
+//
+// The salt never leaves the client: with it, the few tens of thousands of
+// possible birth dates could be tried against the commitment.
+//
+// The birth date is self-declared: the user types it at signup and no issuer
+// signs it. An age proof shows that the account was opened with a date old
+// enough, not that its holder is that old.
+
+import { generateSalt, getPoseidon } from "./commitment.js";
+
+const DATE = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/**
+ * A date as the YYYYMMDD number the circuit compares, from "YYYY-MM-DD"
+ * (what <input type="date"> gives). Throws for anything that isn't a real
+ * date.
+ */
+export function parseBirthDate(value) {
+  const match = DATE.exec(typeof value === "string" ? value.trim() : "");
+  if (!match) throw new Error(`Invalid date: ${value}`);
+  const [year, month, day] = match.slice(1).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day)
+    throw new Error(`Invalid date: ${value}`);
+  return year * 10000 + month * 100 + day;
+}
+
+/**
+ * The latest birth date (YYYYMMDD) of someone who is at least `minAge` years
+ * old on the UTC day of `now` (ms). Someone born on 29 February comes of age
+ * on 1 March in other years.
+ */
+export function ageCutoff(minAge, now = Date.now()) {
+  const today = new Date(now);
+  return (
+    (today.getUTCFullYear() - minAge) * 10000 +
+    (today.getUTCMonth() + 1) * 100 +
+    today.getUTCDate()
+  );
+}
+
+/**
+ * Commit to a birth date: A = Poseidon(birthDate, salt). Returns the
+ * credential { birthDate, saltHex, commitmentHex }; only commitmentHex is
+ * sent to the server.
+ */
+export async function createAgeCredential(birthDate, saltHex) {
+  const salt = saltHex || generateSalt();
+  const poseidon = await getPoseidon();
+  const A = poseidon.F.toObject(poseidon([BigInt(birthDate), BigInt("0x" + salt)]));
+  return { birthDate, saltHex: salt, commitmentHex: "0x" + A.toString(16) };
+}
+
+/**
+ * The credential as one line the user can keep and paste on another device:
+ * "YYYYMMDD.saltHex".
+ */
+export function formatAgeCredential({ birthDate, saltHex }) {
+  return `${birthDate}.${saltHex}`;
+}
+
+/**
+ * Inverse of formatAgeCredential, recomputing the commitment. Throws for
+ * malformed input.
+ */
+export async function parseAgeCredential(text) {
+  const match = /^(\d{8})\.([0-9a-f]{32})$/.exec(text.trim().toLowerCase());
+  if (!match) throw new Error("Invalid age credential");
+  const [, date, saltHex] = match;
+  const birthDate = parseBirthDate(`${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6)}`);
+  return createAgeCredential(birthDate, saltHex);
+}
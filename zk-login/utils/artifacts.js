@@ -0,0 +1,98 @@
+// Circuit artifacts the browser proves with, and the integrity manifest they
+// are checked against (ui/public/keys/manifest.json, `npm run manifest` in ui/).
+// Usage:
+//   const manifest = await createArtifactManifest({ pwd_login: { circuitVersion: "1", files } });
+//   const bytes = await fetchBytes(artifactUrl(manifest, "/keys/pwd_login_0001.zkey"));
+//   await checkArtifact(manifest, "/keys/pwd_login_0001.zkey", bytes); // throws on mismatch
+//   checkCircuitVersion(manifest, "pwd_login", versions);             // from GET /circuits
+//
+// A manifest is { version, circuits: { [name]: { circuitVersion, files } } },
+// `files` mapping each URL to the SHA-256 (hex) of its content and
+// `circuitVersion` the verification key version (server/vkeys.js) the zkey
+// belongs to. `version` hashes everything else, so the service worker
+// (ui/public/sw.js) keeps one cache per set of artifacts.
+
+/**
+ * Proving artifacts per circuit, relative to keys/ (Node) or /keys/ (browser).
+ */
+export const CIRCUIT_FILES = {
+  pwd_login: { wasm: "pwd_login_js/pwd_login.wasm", zkey: "pwd_login_0001.zkey" },
+  pwd_email_login: {
+    wasm: "pwd_email_login_js/pwd_email_login.wasm",
+    zkey: "pwd_email_login_0001.zkey",
+  },
+  pwd_totp_login: {
+    wasm: "pwd_totp_login_js/pwd_totp_login.wasm",
+    zkey: "pwd_totp_login_0001.zkey",
+  },
+  age_over: { wasm: "age_over_js/age_over.wasm", zkey: "age_over_0001.zkey" },
+};
+
+export const MANIFEST_URL = "/keys/manifest.json";
+
+// Prefix of the service worker's cache names; sw.js has its own copy
+export const ARTIFACT_CACHE_PREFIX = "zk-login-artifacts-";
+
+/**
+ * SHA-256 of `bytes` as lower-case hex.
+ */
+export async function sha256Hex(bytes) {
+  const digest = await crypto.subtle.digest("SHA-256", bytes);
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Build a manifest from { [name]: { circuitVersion, files: { [url]: bytes } } }.
+ */
+export async function createArtifactManifest(circuits) {
+  const hashed = {};
+  for (const [name, { circuitVersion, files }] of Object.entries(circuits)) {
+    const hashes = {};
+    for (const [url, bytes] of Object.entries(files)) hashes[url] = await sha256Hex(bytes);
+    hashed[name] = { circuitVersion, files: hashes };
+  }
+  const version = (
+    await sha256Hex(new TextEncoder().encode(JSON.stringify(hashed)))
+  ).slice(0, 16);
+  return { version, circuits: hashed };
+}
+
+// The manifest's hash for `url`; throws for a URL it does not list
+function expectedHash(manifest, url) {
+  for (const { files } of Object.values(manifest.circuits)) {
+    if (files[url]) return files[url];
+  }
+  throw new Error(`${url} is not in the circuit manifest. Reload the page to update it.`);
+}
+
+/**
+ * The URL to fetch `url` by: with its hash in the query, so a cached copy of
+ * other content is never a match.
+ */
+export function artifactUrl(manifest, url) {
+  return `${url}?sha256=${expectedHash(manifest, url)}`;
+}
+
+/**
+ * Throw unless `bytes` hash to what the manifest lists for `url`.
+ */
+export async function checkArtifact(manifest, url, bytes) {
+  if ((await sha256Hex(bytes)) !== expectedHash(manifest, url))
+    throw new Error(
+      `${url} failed its integrity check. Reload the page to download it again.`
+    );
+}
+
+/**
+ * Throw unless the server has a verification key (GET /circuits `versions`)
+ * for the version of `circuit` in the manifest. Returns that version.
+ */
+export function checkCircuitVersion(manifest, circuit, versions = []) {
+  const ours = manifest.circuits[circuit]?.circuitVersion;
+  if (!ours || !versions.includes(ours))
+    throw new Error(
+      `The ${circuit} circuit files here (version ${ours ?? "unknown"}) do not match ` +
+        `the server's (${versions.join(", ") || "none"}). Reload the page to update them.`
+    );
+  return ours;
+}
@@ -1,12 +1,16 @@
 // Helper functions to create Poseidon password commitments for zk-login
 // Usage:
 //   const { createCommitment } = require('./utils/commitment');
-//   const { saltHex, commitmentHex } = await createCommitment("mypassword");
+//   const { saltHex, commitmentHex, kdf } = await createCommitment("mypassword");
 
 import { buildPoseidon } from "circomlibjs";
+import { DEFAULT_KDF, PLAIN_KDF, deriveField, textToField } from "./kdf.js";
 
 let poseidonInstance = null;
-async function getPoseidon() {
+/**
+ * The shared circomlibjs Poseidon instance, built on first use.
+ */
+export async function getPoseidon() {
   if (!poseidonInstance) {
     poseidonInstance = await buildPoseidon();
   }
@@ -24,48 +28,103 @@ export function generateSalt() {
 }
 
 /**
- * Convert a UTF-8 password into a field element by hashing with SHA-256
- * and truncating to 248 bits (fits into BabyJub scalar field).
+ * Create Poseidon commitment C = Poseidon(pwdField, saltField), with pwdField
+ * derived from `password` under `kdf` (see ./kdf.js).
+ * Returns saltHex and kdf (for storage) and commitmentHex (as 0x-prefixed).
  */
-async function passwordToField(password) {
-  const enc = new TextEncoder().encode(password);
-  const hashBuffer = await crypto.subtle.digest("SHA-256", enc);
-  const hashArray = Array.from(new Uint8Array(hashBuffer)).slice(0, 31);
-  const hex = hashArray.map((b) => b.toString(16).padStart(2, "0")).join("");
-  return BigInt("0x" + hex);
+export async function createCommitment(
+  password,
+  saltHex = generateSalt(),
+  kdf = DEFAULT_KDF
+) {
+  const pwdField = await deriveField(password, saltHex, kdf);
+  const saltField = BigInt("0x" + saltHex);
+
+  const poseidon = await getPoseidon();
+  // poseidon() returns the field element in Montgomery form; F.toObject
+  // yields the canonical value the circuit compares against. Records written
+  // before hold the hex of the Montgomery bytes and need
+  // `npm run migrate -- --upgrade` (see server/records.js).
+  const commitmentBigInt = poseidon.F.toObject(poseidon([pwdField, saltField]));
+
+  const commitmentHex = "0x" + commitmentBigInt.toString(16);
+
+  return { saltHex, commitmentHex, kdf };
 }
 
 /**
- * Create Poseidon commitment C = Poseidon(pwdField, saltField).
- * Returns both saltHex (for storage) and commitmentHex (as 0x-prefixed).
+ * Canonical form of an email for hashing: trimmed and lower-cased.
  */
-export async function createCommitment(password, saltHex = generateSalt()) {
-  const pwdField = await passwordToField(password);
-  const saltField = BigInt("0x" + saltHex);
+export function normalizeEmail(email) {
+  return email.trim().toLowerCase();
+}
 
+/**
+ * emailHash = Poseidon(emailField) as 0x-prefixed hex, the key an account is
+ * stored under. The field element is derived like a password's.
+ */
+export async function hashEmail(email) {
+  const emailField = await textToField(normalizeEmail(email));
   const poseidon = await getPoseidon();
-  const commitment = poseidon([pwdField, saltField]);
+  return "0x" + poseidon.F.toObject(poseidon([emailField])).toString(16);
+}
 
-  // Convert commitment to BigInt properly
-  let commitmentBigInt;
-  if (typeof commitment === "bigint") {
-    commitmentBigInt = commitment;
-  } else if (commitment instanceof Uint8Array) {
-    // Convert Uint8Array to hex string, then to BigInt
-    const hexString = Array.from(commitment)
-      .map((byte) => byte.toString(16).padStart(2, "0"))
-      .join("");
-    commitmentBigInt = BigInt("0x" + hexString);
-  } else if (commitment && typeof commitment.toString === "function") {
-    // If it's a field element object, convert to string then BigInt
-    commitmentBigInt = BigInt(commitment.toString());
-  } else {
-    throw new Error(
-      "Invalid commitment type from Poseidon hash: " + typeof commitment
-    );
-  }
+// Crockford base32 – no I, L, O or U to misread
+const RECOVERY_ALPHABET = "0123456789ABCDEFGHJKMNPQRSTVWXYZ";
 
-  const commitmentHex = "0x" + commitmentBigInt.toString(16);
+/**
+ * Generate `count` one-time recovery codes like "K7QX-M2PA-9RTV-E4HN"
+ * (16 base32 characters = 80 bits each).
+ */
+export function generateRecoveryCodes(count = 8) {
+  return Array.from({ length: count }, () => {
+    const arr = crypto.getRandomValues(new Uint8Array(16));
+    const chars = Array.from(arr).map((b) => RECOVERY_ALPHABET[b % 32]);
+    return chars.join("").match(/.{4}/g).join("-");
+  });
+}
+
+/**
+ * Canonical form of a recovery code as typed by the user: upper case,
+ * separators and whitespace removed, O read as 0 and I/L as 1.
+ * Pass this (not the raw input) to generateProof when recovering.
+ */
+export function normalizeRecoveryCode(code) {
+  return code
+    .toUpperCase()
+    .replace(/[^0-9A-Z]/g, "")
+    .replace(/O/g, "0")
+    .replace(/[IL]/g, "1");
+}
 
-  return { saltHex, commitmentHex };
+/**
+ * Commit to each recovery code like a password, each with its own salt, so
+ * recovery can reuse the pwd_login circuit. The codes are random, so they use
+ * PLAIN_KDF rather than a slow KDF.
+ * Returns [{ saltHex, commitmentHex }] in the same order as `codes`.
+ */
+export async function createRecoveryCommitments(codes) {
+  const commitments = await Promise.all(
+    codes.map((code) =>
+      createCommitment(normalizeRecoveryCode(code), undefined, PLAIN_KDF)
+    )
+  );
+  return commitments.map(({ saltHex, commitmentHex }) => ({ saltHex, commitmentHex }));
+}
+
+/**
+ * Find which stored entry (`{ saltHex, commitmentHex }`) a typed recovery
+ * code belongs to. Returns its position in `entries`, or -1.
+ */
+export async function findRecoveryCode(code, entries) {
+  const normalized = normalizeRecoveryCode(code);
+  for (let i = 0; i < entries.length; i++) {
+    const { commitmentHex } = await createCommitment(
+      normalized,
+      entries[i].saltHex,
+      PLAIN_KDF
+    );
+    if (BigInt(commitmentHex) === BigInt(entries[i].commitmentHex)) return i;
+  }
+  return -1;
 }
@@ -0,0 +1,90 @@
+// Device keys: a device registered after a password login can log in again
+// by signing a login challenge instead of proving the password
+// Usage:
+//   const { keyPair, publicKey } = await createDeviceKey();   // publicKey to POST /devices
+//   const signature = await signDeviceChallenge(keyPair.privateKey, nonce);
+//   await verifyDeviceSignature(publicKey, nonce, signature); // on the server
+//
+// Keys are ECDSA P-256 through WebCrypto, so this runs in browsers and Node
+// alike. The private key is not extractable: the browser keeps the CryptoKey
+// in IndexedDB, and not even the page can read it out.
+
+const KEY_ALGORITHM = { name: "ECDSA", namedCurve: "P-256" };
+const SIGN_ALGORITHM = { name: "ECDSA", hash: "SHA-256" };
+
+const toBase64Url = (bytes) =>
+  btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+
+const fromBase64Url = (text) =>
+  Uint8Array.from(atob(text.replace(/-/g, "+").replace(/_/g, "/")), (c) => c.charCodeAt(0));
+
+// The JWK members that make up a public key; drops `d`, `ext`, `key_ops`
+const publicJwk = ({ kty, crv, x, y }) => ({ kty, crv, x, y });
+
+/**
+ * The bytes a device signs for the login challenge `nonce`. Prefixed, so the
+ * signature is good for a zk-login device login and nothing else.
+ */
+export function deviceLoginMessage(nonce) {
+  return new TextEncoder().encode(`zk-login device login:${nonce}`);
+}
+
+/**
+ * Generate a device key pair. Returns { keyPair, publicKey } with publicKey
+ * as a JWK { kty, crv, x, y }.
+ */
+export async function createDeviceKey() {
+  const keyPair = await crypto.subtle.generateKey(KEY_ALGORITHM, false, ["sign", "verify"]);
+  const publicKey = publicJwk(await crypto.subtle.exportKey("jwk", keyPair.publicKey));
+  return { keyPair, publicKey };
+}
+
+/**
+ * Sign the login challenge `nonce`. Returns the 64-byte signature (r || s)
+ * as base64url.
+ */
+export async function signDeviceChallenge(privateKey, nonce) {
+  const signature = await crypto.subtle.sign(
+    SIGN_ALGORITHM,
+    privateKey,
+    deviceLoginMessage(nonce)
+  );
+  return toBase64Url(new Uint8Array(signature));
+}
+
+/**
+ * `jwk` as { kty, crv, x, y } if it is a P-256 public key (a point on the
+ * curve), otherwise null.
+ */
+export async function checkDevicePublicKey(jwk) {
+  const key = publicJwk(jwk || {});
+  try {
+    await crypto.subtle.importKey("jwk", key, KEY_ALGORITHM, true, ["verify"]);
+    return key;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Whether `signature` (from signDeviceChallenge) is `publicKey`'s signature
+ * of the login challenge `nonce`.
+ */
+export async function verifyDeviceSignature(publicKey, nonce, signature) {
+  try {
+    const key = await crypto.subtle.importKey("jwk", publicKey, KEY_ALGORITHM, false, [
+      "verify",
+    ]);
+    return await crypto.subtle.verify(
+      SIGN_ALGORITHM,
+      key,
+      fromBase64Url(signature),
+      deviceLoginMessage(nonce)
+    );
+  } catch {
+    return false;
+  }
+}
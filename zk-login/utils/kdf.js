@@ -0,0 +1,103 @@
+// Derivation of circuit field elements from passwords and other secrets,
+// shared by commitments (utils/commitment.js) and proofs (utils/proof.js).
+// Usage:
+//   const pwdField = await deriveField("mypassword", saltHex, DEFAULT_KDF);
+//   const emailField = await textToField("alice@example.com");
+//
+// A user's KDF parameters are stored next to their commitment and returned by
+// GET /loginData, so the browser derives the same field element at login:
+//   { v: 1 }                                         SHA-256, no salt
+//   { v: 2, alg: "scrypt", N, r, p }                 NFKC, then salted scrypt
+//   { v: 2, alg: "pbkdf2", hash: "SHA-256", iterations }
+// Records without `kdf` predate versioning and are v1.
+
+import { scryptAsync } from "@noble/hashes/scrypt";
+
+// 31 bytes = 248 bits, below the BN254 scalar field order
+const FIELD_BYTES = 31;
+
+/**
+ * v1: a single unsalted SHA-256. Only for legacy passwords and for secrets
+ * that are random already (recovery codes, TOTP secrets).
+ */
+export const PLAIN_KDF = Object.freeze({ v: 1 });
+
+/**
+ * What new passwords are committed with: scrypt using 32 MiB of memory.
+ */
+export const DEFAULT_KDF = Object.freeze({ v: 2, alg: "scrypt", N: 2 ** 15, r: 8, p: 1 });
+
+// Accepted v2 parameters: strong enough, but bounded so a stored record cannot
+// make the browser allocate gigabytes or spin for minutes. [min, max] ranges;
+// the server's request schemas (server/openapi.js) are built from these.
+export const SCRYPT_LIMITS = { N: [2 ** 14, 2 ** 20], r: [8, 16], p: [1, 4] };
+export const PBKDF2_ITERATIONS = [100_000, 10_000_000];
+export const PBKDF2_HASHES = ["SHA-256", "SHA-512"];
+
+function bytesToField(bytes) {
+  const hex = Array.from(bytes.slice(0, FIELD_BYTES))
+    .map((b) => b.toString(16).padStart(2, "0"))
+    .join("");
+  return BigInt("0x" + hex);
+}
+
+function hexToBytes(hex) {
+  return Uint8Array.from(hex.match(/../g) || [], (b) => parseInt(b, 16));
+}
+
+const inRange = (x, [min, max]) => Number.isInteger(x) && x >= min && x <= max;
+
+/**
+ * Map text to a field element by hashing with SHA-256 and truncating to 248
+ * bits. Deterministic and fast – for emails and high-entropy secrets, not for
+ * passwords.
+ */
+export async function textToField(text) {
+  const enc = new TextEncoder().encode(text);
+  return bytesToField(new Uint8Array(await crypto.subtle.digest("SHA-256", enc)));
+}
+
+/**
+ * Check that `kdf` is a supported set of parameters. Returns a copy holding
+ * only the known fields, or throws.
+ */
+export function checkKdf(kdf) {
+  if (kdf?.v === 1) return { v: 1 };
+  if (kdf?.v === 2 && kdf.alg === "scrypt") {
+    const { N, r, p } = kdf;
+    // scrypt needs N to be a power of two
+    if (inRange(N, SCRYPT_LIMITS.N) && (N & (N - 1)) === 0 &&
+        inRange(r, SCRYPT_LIMITS.r) && inRange(p, SCRYPT_LIMITS.p))
+      return { v: 2, alg: "scrypt", N, r, p };
+  }
+  if (kdf?.v === 2 && kdf.alg === "pbkdf2") {
+    const { hash, iterations } = kdf;
+    if (PBKDF2_HASHES.includes(hash) && inRange(iterations, PBKDF2_ITERATIONS))
+      return { v: 2, alg: "pbkdf2", hash, iterations };
+  }
+  throw new Error(`Unsupported KDF parameters: ${JSON.stringify(kdf)}`);
+}
+
+/**
+ * Derive the field element committed to for `secret` under `kdf`. v2 salts
+ * the KDF with the commitment's `saltHex` and NFKC-normalizes the secret, so
+ * the same password typed on different keyboards still matches.
+ */
+export async function deriveField(secret, saltHex, kdf = DEFAULT_KDF) {
+  const params = checkKdf(kdf);
+  if (params.v === 1) return textToField(secret);
+
+  const password = new TextEncoder().encode(secret.normalize("NFKC"));
+  const salt = hexToBytes(saltHex);
+  if (params.alg === "scrypt") {
+    const { N, r, p } = params;
+    return bytesToField(await scryptAsync(password, salt, { N, r, p, dkLen: FIELD_BYTES }));
+  }
+  const key = await crypto.subtle.importKey("raw", password, "PBKDF2", false, ["deriveBits"]);
+  const bits = await crypto.subtle.deriveBits(
+    { name: "PBKDF2", hash: params.hash, salt, iterations: params.iterations },
+    key,
+    FIELD_BYTES * 8
+  );
+  return bytesToField(new Uint8Array(bits));
+}
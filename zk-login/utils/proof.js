@@ -1,71 +1,233 @@
 import * as snarkjs from "snarkjs";
 import path from "path";
+import { hashEmail, normalizeEmail } from "./commitment.js";
+import { DEFAULT_KDF, deriveField, textToField } from "./kdf.js";
+import { normalizeTotpSecret } from "./totp.js";
+import { CIRCUIT_FILES } from "./artifacts.js";
 
 // Paths - different for browser vs Node.js testing
-const isNode = typeof window === "undefined";
-const WASM_PATH = isNode
-  ? path.resolve("keys/pwd_login_js/pwd_login.wasm")
-  : "/keys/pwd_login_js/pwd_login.wasm";
-const ZKEY_PATH = isNode
-  ? path.resolve("keys/pwd_login_0001.zkey")
-  : "/keys/pwd_login_0001.zkey";
-
-async function shaToField(password) {
-  const enc = new TextEncoder().encode(password);
-  const hashBuffer = await crypto.subtle.digest("SHA-256", enc);
-  const hashArray = Array.from(new Uint8Array(hashBuffer));
-  const trunc = hashArray.slice(0, 31); // first 31 bytes
-  const hex = trunc.map((b) => b.toString(16).padStart(2, "0")).join("");
-  return BigInt("0x" + hex);
+const isNode = typeof window === "undefined" && typeof WorkerGlobalScope === "undefined";
+const keyPath = (file) => (isNode ? path.resolve("keys/" + file) : "/keys/" + file);
+
+/**
+ * Proving artifacts per circuit. The browser fetches them from ui/public/keys,
+ * Node reads them from keys/.
+ */
+export const CIRCUITS = Object.fromEntries(
+  Object.entries(CIRCUIT_FILES).map(([name, { wasm, zkey }]) => [
+    name,
+    { wasm: keyPath(wasm), zkey: keyPath(zkey) },
+  ])
+);
+
+// Salts and commitments come from GET /loginData and are parsed strictly.
+// Records in the pre-versioning format are repaired on the server
+// (npm run migrate -- --upgrade), not guessed at here.
+function parseSalt(saltHex) {
+  if (typeof saltHex !== "string" || !/^[0-9a-f]+$/i.test(saltHex))
+    throw new Error(`Invalid saltHex: ${saltHex}`);
+  return BigInt("0x" + saltHex);
+}
+
+function parseCommitment(commitmentHex) {
+  if (typeof commitmentHex !== "string" || !/^0x[0-9a-f]+$/i.test(commitmentHex))
+    throw new Error(`Invalid commitmentHex: ${commitmentHex}`);
+  return BigInt(commitmentHex);
+}
+
+/**
+ * Run `circuit` (a key of CIRCUITS) on `input` in two stages, witness
+ * calculation then Groth16 proving, calling onProgress("witness") and
+ * onProgress("proving") as each starts. `artifacts` may hold the circuit's
+ * { wasm, zkey } already loaded as Uint8Arrays; by default they are read from
+ * the CIRCUITS paths.
+ */
+export async function prove(circuit, input, { onProgress, artifacts } = {}) {
+  const { wasm, zkey } = artifacts || CIRCUITS[circuit] || {};
+  if (!wasm || !zkey) throw new Error(`Unknown circuit: ${circuit}`);
+
+  onProgress?.("witness");
+  const wtns = { type: "mem" };
+  await snarkjs.wtns.calculate(input, wasm, wtns);
+
+  onProgress?.("proving");
+  const { proof, publicSignals } = await snarkjs.groth16.prove(zkey, wtns);
+  return { proof, publicSignals };
 }
 
-export async function generateProof(password, saltHex, commitmentHex) {
-  const pwdField = await shaToField(password);
-  const saltField = BigInt("0x" + saltHex);
-
-  // Handle broken commitmentHex format from old data
-  let commitmentField;
-  try {
-    commitmentField = BigInt(commitmentHex);
-  } catch (error) {
-    console.warn(
-      "Invalid commitmentHex format, attempting to fix:",
-      commitmentHex
-    );
-
-    // Check if it's the broken array format like "0x181,1,226,71,..."
-    if (commitmentHex.startsWith("0x") && commitmentHex.includes(",")) {
-      // Extract the numeric parts and reconstruct as proper hex
-      const numbers = commitmentHex
-        .slice(2)
-        .split(",")
-        .map((n) => parseInt(n.trim()));
-
-      // Convert array of numbers to hex string
-      const hexString = numbers
-        .map((n) => n.toString(16).padStart(2, "0"))
-        .join("");
-      commitmentField = BigInt("0x" + hexString);
-
-      console.log("Converted broken format to:", "0x" + hexString);
-    } else {
-      throw new Error(`Cannot parse commitmentHex: ${commitmentHex}`);
-    }
-  }
+/**
+ * Circuit input for pwd_login: knowledge of `password` for the stored
+ * commitment. `kdf` is the account's derivation from GET /loginData.
+ */
+export async function loginInput(
+  password,
+  saltHex,
+  commitmentHex,
+  nonce = "0",
+  kdf = DEFAULT_KDF
+) {
+  const saltField = parseSalt(saltHex);
+  const commitmentField = parseCommitment(commitmentHex);
+  const pwdField = await deriveField(password, saltHex, kdf);
 
   // prepare input as decimal strings (snarkjs expects strings)
-  const input = {
+  return {
     pwd: pwdField.toString(),
     salt: saltField.toString(),
     C: commitmentField.toString(),
+    nonce: BigInt(nonce).toString(),
   };
+}
 
-  // Generate proof & public signals
-  const { proof, publicSignals } = await snarkjs.groth16.fullProve(
-    input,
-    WASM_PATH,
-    ZKEY_PATH
+/**
+ * Prove knowledge of `password` for the stored commitment.
+ * `nonce` is the challenge from the server's GET /challenge; the proof is only
+ * accepted once, for that nonce. `options` are passed on to prove, plus the
+ * account's `kdf`.
+ */
+export async function generateProof(
+  password,
+  saltHex,
+  commitmentHex,
+  nonce = "0",
+  { kdf, ...options } = {}
+) {
+  return prove(
+    "pwd_login",
+    await loginInput(password, saltHex, commitmentHex, nonce, kdf),
+    options
   );
+}
 
-  return { proof, publicSignals };
+/**
+ * Circuit input for pwd_email_login: like loginInput, plus `email` hashing to
+ * the emailHash the account is stored under.
+ */
+export async function emailLoginInput(
+  email,
+  password,
+  saltHex,
+  commitmentHex,
+  nonce = "0",
+  kdf = DEFAULT_KDF
+) {
+  const salt = parseSalt(saltHex).toString();
+  const C = parseCommitment(commitmentHex).toString();
+  return {
+    pwd: (await deriveField(password, saltHex, kdf)).toString(),
+    salt,
+    email: (await textToField(normalizeEmail(email))).toString(),
+    C,
+    emailHash: BigInt(await hashEmail(email)).toString(),
+    nonce: BigInt(nonce).toString(),
+  };
+}
+
+/**
+ * Email-bound login: like generateProof, but also proves that `email` hashes
+ * to the emailHash the account is stored under (pwd_email_login circuit).
+ */
+export async function generateEmailProof(
+  email,
+  password,
+  saltHex,
+  commitmentHex,
+  nonce = "0",
+  { kdf, ...options } = {}
+) {
+  return prove(
+    "pwd_email_login",
+    await emailLoginInput(email, password, saltHex, commitmentHex, nonce, kdf),
+    options
+  );
+}
+
+/**
+ * Circuit input for pwd_totp_login: password and the enrolled TOTP secret for
+ * time step `timeStep`, bound to `email`. `totp` is the account's
+ * { saltHex, commitmentHex } from GET /loginData.
+ */
+export async function totpLoginInput(
+  email,
+  password,
+  saltHex,
+  commitmentHex,
+  totpSecret,
+  totp,
+  timeStep,
+  nonce = "0",
+  kdf = DEFAULT_KDF
+) {
+  const salt = parseSalt(saltHex).toString();
+  const C = parseCommitment(commitmentHex).toString();
+  const totpSalt = parseSalt(totp.saltHex).toString();
+  const T = parseCommitment(totp.commitmentHex).toString();
+  return {
+    pwd: (await deriveField(password, saltHex, kdf)).toString(),
+    salt,
+    totpSecret: (await textToField(normalizeTotpSecret(totpSecret))).toString(),
+    totpSalt,
+    email: (await textToField(normalizeEmail(email))).toString(),
+    C,
+    T,
+    emailHash: BigInt(await hashEmail(email)).toString(),
+    timeStep: BigInt(timeStep).toString(),
+    nonce: BigInt(nonce).toString(),
+  };
+}
+
+/**
+ * Prove knowledge of `password` and of the enrolled TOTP secret for time step
+ * `timeStep` (see currentTimeStep in ./totp.js), bound to `email`. `totp` is
+ * the account's { saltHex, commitmentHex } from GET /loginData.
+ */
+export async function generateTotpProof(
+  email,
+  password,
+  saltHex,
+  commitmentHex,
+  totpSecret,
+  totp,
+  timeStep,
+  nonce = "0",
+  { kdf, ...options } = {}
+) {
+  return prove(
+    "pwd_totp_login",
+    await totpLoginInput(
+      email,
+      password,
+      saltHex,
+      commitmentHex,
+      totpSecret,
+      totp,
+      timeStep,
+      nonce,
+      kdf
+    ),
+    options
+  );
+}
+
+/**
+ * Circuit input for age_over: the birth date of an age `credential` (see
+ * createAgeCredential in ./age.js) is on or before `cutoff` (YYYYMMDD).
+ */
+export function ageInput(credential, cutoff, nonce = "0") {
+  return {
+    birthDate: BigInt(credential.birthDate).toString(),
+    salt: parseSalt(credential.saltHex).toString(),
+    A: parseCommitment(credential.commitmentHex).toString(),
+    cutoff: BigInt(cutoff).toString(),
+    nonce: BigInt(nonce).toString(),
+  };
+}
+
+/**
+ * Prove that the birth date committed in `credential` is on or before
+ * `cutoff` (see ageCutoff in ./age.js), for the same `nonce` as the login
+ * proof it goes with.
+ */
+export async function generateAgeProof(credential, cutoff, nonce = "0", options = {}) {
+  return prove("age_over", ageInput(credential, cutoff, nonce), options);
 }
@@ -0,0 +1,59 @@
+// Helpers for the device-secret second factor (pwd_totp_login circuit)
+// Usage:
+//   const secret = generateTotpSecret();             // kept in this browser
+//   const totp = await createTotpCommitment(secret); // sent at signup
+//
+// Despite the name this is not RFC 6238: the per-step code is
+// Poseidon(secret, timeStep), computed inside the login proof, so the prover
+// needs the secret itself. No authenticator app can produce it, and whoever
+// has the browser's storage holds this factor.
+
+import { createCommitment } from "./commitment.js";
+import { PLAIN_KDF } from "./kdf.js";
+
+export const TOTP_PERIOD_SEC = 30;
+
+// RFC 4648 base32: no 0/O or 1/I to mix up when typing it on another device
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+/**
+ * Generate a 160-bit TOTP secret as an unpadded base32 string.
+ */
+export function generateTotpSecret() {
+  const bytes = crypto.getRandomValues(new Uint8Array(20));
+  let bits = "";
+  for (const b of bytes) bits += b.toString(2).padStart(8, "0");
+  return bits
+    .match(/.{5}/g)
+    .map((chunk) => BASE32_ALPHABET[parseInt(chunk, 2)])
+    .join("");
+}
+
+/**
+ * Canonical form of a secret as typed or pasted by the user: upper case,
+ * whitespace, dashes and "=" padding removed.
+ */
+export function normalizeTotpSecret(secret) {
+  return secret.toUpperCase().replace(/[\s=-]/g, "");
+}
+
+/**
+ * The 30-second time step a proof made at `now` (ms) is for.
+ */
+export function currentTimeStep(now = Date.now()) {
+  return Math.floor(now / 1000 / TOTP_PERIOD_SEC);
+}
+
+/**
+ * Commit to a TOTP secret like a password: T = Poseidon(secretField, salt).
+ * The secret is random, so secretField uses PLAIN_KDF.
+ * Returns { saltHex, commitmentHex }; only these are sent to the server.
+ */
+export async function createTotpCommitment(secret, saltHex) {
+  const commitment = await createCommitment(
+    normalizeTotpSecret(secret),
+    saltHex,
+    PLAIN_KDF
+  );
+  return { saltHex: commitment.saltHex, commitmentHex: commitment.commitmentHex };
+}
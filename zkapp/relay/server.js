@@ -0,0 +1,197 @@
+/**
+ * Local WebSocket relay for the two-tab session mode
+ *
+ * Each client connects to ws://localhost:8787/?session=<id>; every text
+ * message is passed on unchanged to the other client of the same session and
+ * printed here, so the terminal shows exactly what crosses the wire.
+ *
+ * No dependencies: the WebSocket handshake and framing (RFC 6455) are done
+ * with Node's http and crypto modules. Only what browsers send is handled –
+ * unfragmented text frames, ping and close.
+ *
+ * Usage: npm run relay        (or: RELAY_PORT=9000 node relay/server.js)
+ */
+
+const http = require("http");
+const crypto = require("crypto");
+
+const PORT = Number(process.env.RELAY_PORT) || 8787;
+const HOST = process.env.RELAY_HOST || "127.0.0.1";
+const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const MAX_PAYLOAD = 64 * 1024;
+// Prover and verifier
+const MAX_PEERS = 2;
+
+const OPCODE = { text: 0x1, close: 0x8, ping: 0x9, pong: 0xa };
+
+// Closes the connection with a WebSocket close code
+class RelayError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+/**
+ * One server-to-client frame (unmasked, FIN set)
+ */
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * The first complete client frame in `buffer`, or null if more bytes are
+ * needed. Returns { fin, opcode, payload, length } with `length` the bytes
+ * consumed; throws when the frame is too large or unmasked.
+ */
+function decodeFrame(buffer) {
+  if (buffer.length < 2) return null;
+  const fin = (buffer[0] & 0x80) !== 0;
+  const opcode = buffer[0] & 0x0f;
+  const masked = (buffer[1] & 0x80) !== 0;
+  let length = buffer[1] & 0x7f;
+  let offset = 2;
+
+  if (length === 126) {
+    if (buffer.length < 4) return null;
+    length = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (length === 127) {
+    if (buffer.length < 10) return null;
+    const long = buffer.readBigUInt64BE(2);
+    if (long > BigInt(MAX_PAYLOAD)) throw new RelayError(1009, "Message too big");
+    length = Number(long);
+    offset = 10;
+  }
+  if (length > MAX_PAYLOAD) throw new RelayError(1009, "Message too big");
+  if (!masked) throw new RelayError(1002, "Client frames must be masked");
+  if (buffer.length < offset + 4 + length) return null;
+
+  const mask = buffer.subarray(offset, offset + 4);
+  const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+  for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+  return { fin, opcode, payload, length: offset + 4 + length };
+}
+
+/**
+ * Create the relay server (not yet listening). Options: log(line), to see
+ * or silence what is relayed.
+ */
+function createRelay({ log = console.log } = {}) {
+  const sessions = new Map();
+  const server = http.createServer((req, res) => {
+    res.writeHead(426, { "Content-Type": "text/plain" });
+    res.end("zkapp relay: connect with a WebSocket\n");
+  });
+
+  function leave(peer) {
+    const peers = sessions.get(peer.session);
+    if (!peers || !peers.delete(peer)) return;
+    if (peers.size === 0) sessions.delete(peer.session);
+    log(`[${peer.session}] peer ${peer.id} left (${peers.size} remaining)`);
+  }
+
+  function close(peer, code, reason = "") {
+    const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+    payload.writeUInt16BE(code, 0);
+    payload.write(reason, 2);
+    if (!peer.socket.destroyed) peer.socket.end(encodeFrame(OPCODE.close, payload));
+    leave(peer);
+  }
+
+  function relay(peer, text) {
+    log(`[${peer.session}] peer ${peer.id} → ${text}`);
+    const frame = encodeFrame(OPCODE.text, Buffer.from(text, "utf8"));
+    for (const other of sessions.get(peer.session) || []) {
+      if (other !== peer && !other.socket.destroyed) other.socket.write(frame);
+    }
+  }
+
+  function handleFrame(peer, frame) {
+    if (!frame.fin) throw new RelayError(1003, "Fragmented messages are not supported");
+    switch (frame.opcode) {
+      case OPCODE.text:
+        return relay(peer, frame.payload.toString("utf8"));
+      case OPCODE.ping:
+        return peer.socket.write(encodeFrame(OPCODE.pong, frame.payload));
+      case OPCODE.pong:
+        return undefined;
+      case OPCODE.close:
+        return close(peer, 1000);
+      default:
+        throw new RelayError(1003, "Only text messages are relayed");
+    }
+  }
+
+  let nextId = 1;
+  server.on("upgrade", (req, socket) => {
+    const key = req.headers["sec-websocket-key"];
+    const session = new URL(req.url, "http://relay").searchParams.get("session");
+    if (req.headers.upgrade?.toLowerCase() !== "websocket" || !key || !session) {
+      socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+      return;
+    }
+
+    const peers = sessions.get(session) || new Set();
+    if (peers.size >= MAX_PEERS) {
+      socket.end("HTTP/1.1 409 Conflict\r\n\r\nSession is full\n");
+      log(`[${session}] refused a third peer`);
+      return;
+    }
+
+    const accept = crypto
+      .createHash("sha1")
+      .update(key + WS_GUID)
+      .digest("base64");
+    socket.write(
+      "HTTP/1.1 101 Switching Protocols\r\n" +
+        "Upgrade: websocket\r\n" +
+        "Connection: Upgrade\r\n" +
+        `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+    );
+
+    const peer = { id: nextId++, session, socket };
+    peers.add(peer);
+    sessions.set(session, peers);
+    log(`[${session}] peer ${peer.id} joined (${peers.size} connected)`);
+
+    let buffered = Buffer.alloc(0);
+    socket.on("data", (chunk) => {
+      buffered = Buffer.concat([buffered, chunk]);
+      try {
+        for (let frame = decodeFrame(buffered); frame; frame = decodeFrame(buffered)) {
+          buffered = buffered.subarray(frame.length);
+          handleFrame(peer, frame);
+        }
+      } catch (error) {
+        close(peer, error.code || 1011, error.message);
+      }
+    });
+    socket.on("close", () => leave(peer));
+    socket.on("error", () => leave(peer));
+  });
+
+  return server;
+}
+
+module.exports = { createRelay, encodeFrame, decodeFrame };
+
+if (require.main === module) {
+  createRelay().listen(PORT, HOST, () => {
+    console.log(`zkapp relay listening on ws://${HOST}:${PORT}/?session=<id>`);
+  });
+}
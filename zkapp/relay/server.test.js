@@ -0,0 +1,100 @@
+/**
+ * Frame encoding and decoding of the relay. Run with: npm run test:relay
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+const { encodeFrame, decodeFrame } = require("./server");
+
+const OPCODE_TEXT = 0x1;
+const OPCODE_CLOSE = 0x8;
+
+// The client form of a server frame: mask bit set, mask key after the length,
+// payload XORed with the key – what a browser sends
+function maskFrame(frame, mask = crypto.randomBytes(4)) {
+  const lengthCode = frame[1] & 0x7f;
+  const headerLength = lengthCode === 126 ? 4 : lengthCode === 127 ? 10 : 2;
+  const header = Buffer.from(frame.subarray(0, headerLength));
+  header[1] |= 0x80;
+  const payload = Buffer.from(frame.subarray(headerLength));
+  for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+  return Buffer.concat([header, mask, payload]);
+}
+
+for (const [size, lengthCode, headerLength] of [
+  [125, 125, 2],
+  [126, 126, 4],
+  [65536, 127, 10],
+]) {
+  test(`round-trips a ${size}-byte text frame`, () => {
+    const payload = crypto.randomBytes(size);
+    const frame = encodeFrame(OPCODE_TEXT, payload);
+
+    assert.strictEqual(frame[0], 0x80 | OPCODE_TEXT);
+    assert.strictEqual(frame[1], lengthCode);
+    assert.strictEqual(frame.length, headerLength + size);
+
+    const masked = maskFrame(frame);
+    const decoded = decodeFrame(masked);
+    assert.strictEqual(decoded.fin, true);
+    assert.strictEqual(decoded.opcode, OPCODE_TEXT);
+    assert.strictEqual(decoded.length, masked.length);
+    assert.ok(decoded.payload.equals(payload));
+  });
+}
+
+test("unmasks a client frame with a known key", () => {
+  const mask = Buffer.from([0x37, 0xfa, 0x21, 0x3d]);
+  // RFC 6455 §5.7: a masked "Hello"
+  const frame = Buffer.from([0x81, 0x85, ...mask, 0x7f, 0x9f, 0x4d, 0x51, 0x58]);
+
+  const decoded = decodeFrame(frame);
+  assert.strictEqual(decoded.payload.toString("utf8"), "Hello");
+  assert.strictEqual(decoded.length, frame.length);
+});
+
+test("decodes the first of two frames and reports the bytes it used", () => {
+  const first = maskFrame(encodeFrame(OPCODE_TEXT, Buffer.from("one")));
+  const second = maskFrame(encodeFrame(OPCODE_TEXT, Buffer.from("two")));
+  const buffer = Buffer.concat([first, second]);
+
+  const decoded = decodeFrame(buffer);
+  assert.strictEqual(decoded.payload.toString(), "one");
+  assert.strictEqual(decodeFrame(buffer.subarray(decoded.length)).payload.toString(), "two");
+});
+
+test("waits for more bytes on an incomplete frame", () => {
+  const frame = maskFrame(encodeFrame(OPCODE_TEXT, crypto.randomBytes(300)));
+
+  assert.strictEqual(decodeFrame(frame.subarray(0, 1)), null);
+  assert.strictEqual(decodeFrame(frame.subarray(0, 3)), null);
+  assert.strictEqual(decodeFrame(frame.subarray(0, frame.length - 1)), null);
+});
+
+test("round-trips a close frame with its code and reason", () => {
+  const payload = Buffer.alloc(2 + 3);
+  payload.writeUInt16BE(1000, 0);
+  payload.write("bye", 2);
+
+  const decoded = decodeFrame(maskFrame(encodeFrame(OPCODE_CLOSE, payload)));
+  assert.strictEqual(decoded.opcode, OPCODE_CLOSE);
+  assert.strictEqual(decoded.payload.readUInt16BE(0), 1000);
+  assert.strictEqual(decoded.payload.subarray(2).toString(), "bye");
+});
+
+test("refuses an unmasked client frame with 1002", () => {
+  assert.throws(
+    () => decodeFrame(encodeFrame(OPCODE_TEXT, Buffer.from("hi"))),
+    (error) => error.code === 1002
+  );
+});
+
+test("refuses a frame over 64 KiB with 1009", () => {
+  const header = Buffer.alloc(10);
+  header[0] = 0x80 | OPCODE_TEXT;
+  header[1] = 0x80 | 127;
+  header.writeBigUInt64BE(65537n, 2);
+
+  assert.throws(() => decodeFrame(header), (error) => error.code === 1009);
+});
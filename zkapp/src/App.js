@@ -1,25 +1,80 @@
 import React, { useState, useCallback, useEffect } from "react";
-import { ZKPProtocol } from "./utils/zkpProtocol";
+import { SchnorrProtocol, SchnorrProver } from "./utils/schnorrProtocol";
 import StepIndicator from "./components/StepIndicator";
 import ProverPanel from "./components/ProverPanel";
 import VerifierPanel from "./components/VerifierPanel";
 import HelpPanel from "./components/HelpPanel";
+import NonInteractiveProverPanel from "./components/NonInteractiveProverPanel";
+import ProofVerifierPanel from "./components/ProofVerifierPanel";
+import SimulatorPanel from "./components/SimulatorPanel";
+import CheatingProverPanel from "./components/CheatingProverPanel";
+import NetworkSession from "./components/NetworkSession";
+import TranscriptPanel from "./components/TranscriptPanel";
 import "./index.css";
 
+const modes = [
+  { id: "interactive", label: "Interactive" },
+  { id: "nonInteractive", label: "Non-interactive" },
+  { id: "compare", label: "Side by side" },
+  { id: "simulator", label: "Simulator" },
+  { id: "cheating", label: "Cheating prover" },
+  { id: "network", label: "Two tabs" },
+];
+
+const modeComparison = [
+  {
+    aspect: "Challenge c",
+    interactive: "Random, sent by the verifier",
+    nonInteractive: "SHA-256 of (group, y, t)",
+  },
+  {
+    aspect: "Messages",
+    interactive: "t → c → s, verifier online",
+    nonInteractive: "One proof (y, t, c, s)",
+  },
+  {
+    aspect: "Who can check it",
+    interactive: "Only the verifier who chose c",
+    nonInteractive: "Anyone holding the JSON",
+  },
+  {
+    aspect: "Security rests on",
+    interactive: "Unpredictable random c",
+    nonInteractive: "SHA-256 acting as a random oracle",
+  },
+];
+
 function App() {
-  const [protocol] = useState(() => new ZKPProtocol());
+  const [protocol] = useState(() => new SchnorrProtocol());
+  // Public values only; the prover's secret key and nonce are kept apart
   const [protocolState, setProtocolState] = useState(protocol.getState());
+  const [proverState, setProverState] = useState(protocol.getProverState());
   const [activePanel, setActivePanel] = useState("prover");
   const [currentStep, setCurrentStep] = useState("secretSetup");
   const [showHelp, setShowHelp] = useState(false);
+  // One of `modes`: the interactive run shows in "interactive" and "compare"
+  // A link to a two-tab session (?session=...) opens in that mode
+  const [mode, setMode] = useState(() =>
+    new URLSearchParams(window.location.search).has("session")
+      ? "network"
+      : "interactive"
+  );
+  const showsInteractive = mode === "interactive" || mode === "compare";
+  const [nonInteractive] = useState(() => new SchnorrProver());
+  const [nonInteractiveState, setNonInteractiveState] = useState(
+    nonInteractive.getState()
+  );
+  // The interactive run's event stream, shown as its transcript
+  const [events, setEvents] = useState([]);
+
+  useEffect(() => protocol.events.subscribe(setEvents), [protocol]);
+  const [proofText, setProofText] = useState("");
 
   // Update protocol state when changes occur
   const updateProtocolState = useCallback(() => {
     const newState = protocol.getState();
-    console.log("🔄 Updating App State:", newState);
-    console.log("🎯 isProofValid:", newState.isProofValid);
-    console.log("🎯 verification step:", newState.steps.verification);
     setProtocolState(newState);
+    setProverState(protocol.getProverState());
 
     // Determine current step and active panel
     if (!newState.steps.secretSetup) {
@@ -43,15 +98,24 @@ function App() {
     }
   }, [protocol]);
 
+  const updateNonInteractiveState = useCallback(() => {
+    setNonInteractiveState(nonInteractive.getState());
+  }, [nonInteractive]);
+
   // Reset protocol to start over
   const handleReset = useCallback(() => {
     protocol.reset();
     updateProtocolState();
-  }, [protocol, updateProtocolState]);
+    nonInteractive.reset();
+    updateNonInteractiveState();
+    setProofText("");
+  }, [protocol, updateProtocolState, nonInteractive, updateNonInteractiveState]);
 
   // Handle keyboard shortcuts
   useEffect(() => {
     const handleKeyPress = (event) => {
+      // Typing in the proof box or the password field is not a shortcut
+      if (["INPUT", "TEXTAREA"].includes(event.target.tagName)) return;
       if (event.key === "h" || event.key === "H") {
         setShowHelp(!showHelp);
       } else if (event.key === "r" || event.key === "R") {
@@ -67,6 +131,58 @@ function App() {
     return protocol.getStepExplanation(step);
   };
 
+  // All the verifier may do; it gets no access to the protocol object
+  const verifier = {
+    generateChallenge: () => protocol.generateChallenge(),
+    verifyProof: () => protocol.verifyProof(),
+  };
+
+  const interactivePanels = (
+    <>
+      {/* Prover Panel */}
+      <div className="space-y-6">
+        <ProverPanel
+          protocol={protocol}
+          protocolState={protocolState}
+          proverState={proverState}
+          onUpdate={updateProtocolState}
+          isActive={activePanel === "prover" || activePanel === "both"}
+        />
+      </div>
+
+      {/* Verifier Panel */}
+      <div className="space-y-6">
+        <VerifierPanel
+          verifier={verifier}
+          protocolState={protocolState}
+          onUpdate={updateProtocolState}
+          isActive={activePanel === "verifier" || activePanel === "both"}
+        />
+      </div>
+    </>
+  );
+
+  // The standalone verifier sees only the pasted proof text
+  const nonInteractivePanels = (
+    <>
+      <div className="space-y-6">
+        <NonInteractiveProverPanel
+          prover={nonInteractive}
+          proverState={nonInteractiveState}
+          onUpdate={updateNonInteractiveState}
+          onSendProof={setProofText}
+        />
+      </div>
+
+      <div className="space-y-6">
+        <ProofVerifierPanel
+          proofText={proofText}
+          onProofTextChange={setProofText}
+        />
+      </div>
+    </>
+  );
+
   return (
     <div className="min-h-screen bg-cyber-dark bg-cyber-grid">
       {/* Header */}
@@ -83,6 +199,22 @@ function App() {
             </div>
 
             <div className="flex items-center space-x-4">
+              <div className="flex rounded-lg border border-cyber-primary/50 overflow-hidden font-mono text-sm">
+                {modes.map((option) => (
+                  <button
+                    key={option.id}
+                    onClick={() => setMode(option.id)}
+                    className={`px-3 py-2 transition-all duration-200 ${
+                      mode === option.id
+                        ? "bg-cyber-primary text-cyber-dark"
+                        : "text-gray-400 hover:text-cyber-primary"
+                    }`}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+
               <button
                 onClick={() => setShowHelp(!showHelp)}
                 className="cyber-button"
@@ -102,128 +234,169 @@ function App() {
           </div>
 
           {/* Protocol Status */}
-          <div className="mt-4 flex items-center space-x-6 text-sm font-mono">
-            <div className="flex items-center space-x-2">
-              <div
-                className={`w-2 h-2 rounded-full ${
-                  protocolState.steps.secretSetup
-                    ? "bg-neon-green"
-                    : "bg-gray-500"
-                }`}
-              />
-              <span className="text-gray-300">
-                Secret: {protocolState.sharedSecret ? "✓" : "✗"}
-              </span>
-            </div>
-
-            <div className="flex items-center space-x-2">
-              <div
-                className={`w-2 h-2 rounded-full ${
-                  protocolState.commitment ? "bg-neon-green" : "bg-gray-500"
-                }`}
-              />
-              <span className="text-gray-300">
-                Commitment: {protocolState.commitment ? "✓" : "✗"}
-              </span>
-            </div>
+          {showsInteractive && (
+            <div className="mt-4 flex items-center space-x-6 text-sm font-mono">
+              <div className="flex items-center space-x-2">
+                <div
+                  className={`w-2 h-2 rounded-full ${
+                    protocolState.steps.secretSetup
+                      ? "bg-neon-green"
+                      : "bg-gray-500"
+                  }`}
+                />
+                <span className="text-gray-300">
+                  Public Key: {protocolState.publicKey !== null ? "✓" : "✗"}
+                </span>
+              </div>
 
-            <div className="flex items-center space-x-2">
-              <div
-                className={`w-2 h-2 rounded-full ${
-                  protocolState.challenge ? "bg-neon-green" : "bg-gray-500"
-                }`}
-              />
-              <span className="text-gray-300">
-                Challenge: {protocolState.challenge ? "✓" : "✗"}
-              </span>
-            </div>
+              <div className="flex items-center space-x-2">
+                <div
+                  className={`w-2 h-2 rounded-full ${
+                    protocolState.commitment !== null
+                      ? "bg-neon-green"
+                      : "bg-gray-500"
+                  }`}
+                />
+                <span className="text-gray-300">
+                  Commitment: {protocolState.commitment !== null ? "✓" : "✗"}
+                </span>
+              </div>
 
-            <div className="flex items-center space-x-2">
-              <div
-                className={`w-2 h-2 rounded-full ${
-                  protocolState.response !== null
-                    ? "bg-neon-green"
-                    : "bg-gray-500"
-                }`}
-              />
-              <span className="text-gray-300">
-                Response: {protocolState.response !== null ? "✓" : "✗"}
-              </span>
-            </div>
+              <div className="flex items-center space-x-2">
+                <div
+                  className={`w-2 h-2 rounded-full ${
+                    protocolState.challenge !== null
+                      ? "bg-neon-green"
+                      : "bg-gray-500"
+                  }`}
+                />
+                <span className="text-gray-300">
+                  Challenge: {protocolState.challenge !== null ? "✓" : "✗"}
+                </span>
+              </div>
 
-            <div className="flex items-center space-x-2">
-              <div
-                className={`w-2 h-2 rounded-full ${
-                  protocolState.isProofValid !== null
-                    ? protocolState.isProofValid
+              <div className="flex items-center space-x-2">
+                <div
+                  className={`w-2 h-2 rounded-full ${
+                    protocolState.response !== null
                       ? "bg-neon-green"
-                      : "bg-red-500"
-                    : "bg-gray-500"
-                }`}
-              />
-              <span className="text-gray-300">
-                Verification:{" "}
-                {protocolState.isProofValid === null
-                  ? "✗"
-                  : protocolState.isProofValid
-                  ? "✅"
-                  : "❌"}
-              </span>
+                      : "bg-gray-500"
+                  }`}
+                />
+                <span className="text-gray-300">
+                  Response: {protocolState.response !== null ? "✓" : "✗"}
+                </span>
+              </div>
+
+              <div className="flex items-center space-x-2">
+                <div
+                  className={`w-2 h-2 rounded-full ${
+                    protocolState.isProofValid !== null
+                      ? protocolState.isProofValid
+                        ? "bg-neon-green"
+                        : "bg-red-500"
+                      : "bg-gray-500"
+                  }`}
+                />
+                <span className="text-gray-300">
+                  Verification:{" "}
+                  {protocolState.isProofValid === null
+                    ? "✗"
+                    : protocolState.isProofValid
+                    ? "✅"
+                    : "❌"}
+                </span>
+              </div>
             </div>
-          </div>
+          )}
         </div>
       </header>
 
       <main className="max-w-7xl mx-auto px-4 py-8">
-        {/* Step Indicator */}
-        <StepIndicator steps={protocolState.steps} currentStep={currentStep} />
-
-        {/* Current Step Explanation */}
-        {currentStep && (
-          <div className="cyber-card p-6 mb-6 border-l-4 border-cyber-accent">
-            <div className="flex items-start space-x-4">
-              <div className="text-2xl">🎯</div>
-              <div>
-                <h3 className="text-lg font-oxanium font-bold text-cyber-accent mb-2">
-                  Current Step: {getStepExplanation(currentStep).title}
-                </h3>
-                <p className="text-gray-300 mb-3">
-                  {getStepExplanation(currentStep).description}
-                </p>
-                <div className="bg-cyber-darker p-3 rounded border border-cyber-accent/30">
-                  <h4 className="text-sm font-bold text-cyber-accent mb-1">
-                    ZKP Property:
-                  </h4>
-                  <p className="text-sm text-gray-300">
-                    {getStepExplanation(currentStep).zkpProperty}
-                  </p>
+        {showsInteractive && (
+          <>
+            {/* Step Indicator */}
+            <StepIndicator
+              steps={protocolState.steps}
+              currentStep={currentStep}
+            />
+
+            {/* Current Step Explanation */}
+            {currentStep && (
+              <div className="cyber-card p-6 mb-6 border-l-4 border-cyber-accent">
+                <div className="flex items-start space-x-4">
+                  <div className="text-2xl">🎯</div>
+                  <div>
+                    <h3 className="text-lg font-oxanium font-bold text-cyber-accent mb-2">
+                      Current Step: {getStepExplanation(currentStep).title}
+                    </h3>
+                    <p className="text-gray-300 mb-3">
+                      {getStepExplanation(currentStep).description}
+                    </p>
+                    <div className="bg-cyber-darker p-3 rounded border border-cyber-accent/30">
+                      <h4 className="text-sm font-bold text-cyber-accent mb-1">
+                        ZKP Property:
+                      </h4>
+                      <p className="text-sm text-gray-300">
+                        {getStepExplanation(currentStep).zkpProperty}
+                      </p>
+                    </div>
+                  </div>
                 </div>
               </div>
-            </div>
-          </div>
+            )}
+          </>
         )}
 
-        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
-          {/* Prover Panel */}
-          <div className="space-y-6">
-            <ProverPanel
-              protocol={protocol}
-              protocolState={protocolState}
-              onUpdate={updateProtocolState}
-              isActive={activePanel === "prover" || activePanel === "both"}
-            />
+        {mode === "compare" && (
+          <div className="cyber-card p-6 mb-6 overflow-x-auto">
+            <table className="w-full text-sm font-mono text-gray-300">
+              <thead>
+                <tr className="text-left text-cyber-accent">
+                  <th className="py-2 pr-4"></th>
+                  <th className="py-2 pr-4">Interactive</th>
+                  <th className="py-2">Non-interactive (Fiat–Shamir)</th>
+                </tr>
+              </thead>
+              <tbody>
+                {modeComparison.map((row) => (
+                  <tr key={row.aspect} className="border-t border-gray-700">
+                    <td className="py-2 pr-4 text-gray-400">{row.aspect}</td>
+                    <td className="py-2 pr-4">{row.interactive}</td>
+                    <td className="py-2">{row.nonInteractive}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
           </div>
+        )}
 
-          {/* Verifier Panel */}
-          <div className="space-y-6">
-            <VerifierPanel
-              protocol={protocol}
-              protocolState={protocolState}
-              onUpdate={updateProtocolState}
-              isActive={activePanel === "verifier" || activePanel === "both"}
-            />
+        {mode === "compare" ? (
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <div className="space-y-6">
+              <h2 className="text-xl font-oxanium font-bold text-cyber-primary">
+                Interactive
+              </h2>
+              {interactivePanels}
+            </div>
+            <div className="space-y-6">
+              <h2 className="text-xl font-oxanium font-bold text-cyber-primary">
+                Non-interactive (Fiat–Shamir)
+              </h2>
+              {nonInteractivePanels}
+            </div>
           </div>
-        </div>
+        ) : mode === "simulator" ? (
+          <SimulatorPanel />
+        ) : mode === "cheating" ? (
+          <CheatingProverPanel publicKey={protocolState.publicKey} />
+        ) : mode === "network" ? (
+          <NetworkSession />
+        ) : (
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            {mode === "interactive" ? interactivePanels : nonInteractivePanels}
+          </div>
+        )}
 
         {/* Help Panel */}
         {showHelp && (
@@ -232,28 +405,10 @@ function App() {
           </div>
         )}
 
-        {/* Debug Display */}
-        {protocolState.steps.verification && (
-          <div className="mt-6 cyber-card p-4 bg-blue-900/20 border-blue-500">
-            <h3 className="font-bold text-blue-400 mb-2">
-              🐛 Debug Information
-            </h3>
-            <div className="text-sm font-mono space-y-1">
-              <div>
-                Verification Step:{" "}
-                {protocolState.steps.verification ? "✅" : "❌"}
-              </div>
-              <div>
-                isProofValid:{" "}
-                {protocolState.isProofValid !== null
-                  ? protocolState.isProofValid
-                    ? "✅ TRUE"
-                    : "❌ FALSE"
-                  : "⚪ NULL"}
-              </div>
-              <div>Response: {protocolState.response}</div>
-              <div>Challenge: {protocolState.challenge}</div>
-            </div>
+        {/* Transcript */}
+        {showsInteractive && (
+          <div className="mt-6">
+            <TranscriptPanel events={events} />
           </div>
         )}
 
@@ -0,0 +1,395 @@
+import React, { useState } from "react";
+import StepIndicator from "./StepIndicator";
+import {
+  SchnorrProtocol,
+  randomPublicKey,
+  shortHex,
+} from "../utils/schnorrProtocol";
+
+const MAX_ROUNDS = 2000;
+const MAX_BITS = 12;
+
+// Observed success rate per challenge size k against the expected 2^-k, on a
+// log2 axis so that the halving per bit is a straight line rather than a
+// curve flat on zero. Rounds that never passed have no bar.
+const SuccessRateChart = ({ stats }) => {
+  const width = 480;
+  const height = 220;
+  const pad = { left: 40, right: 10, top: 10, bottom: 30 };
+  const plotWidth = width - pad.left - pad.right;
+  const plotHeight = height - pad.top - pad.bottom;
+  const slot = plotWidth / stats.length;
+  // Axis from 2^0 down to one step past the largest k shown
+  const floor = Math.max(...stats.map((row) => row.bits)) + 1;
+  const y = (rate) =>
+    pad.top + plotHeight * Math.min(1, -Math.log2(rate) / floor);
+  const x = (index) => pad.left + slot * (index + 0.5);
+  const tickStep = Math.ceil(floor / 6);
+  const ticks = [];
+  for (let exponent = 0; exponent <= floor; exponent += tickStep) {
+    ticks.push(exponent);
+  }
+
+  const expectedPath = stats
+    .map((row, index) => `${index ? "L" : "M"}${x(index)},${y(2 ** -row.bits)}`)
+    .join(" ");
+  // The smallest rate N rounds can show: one success
+  const resolution = 1 / stats[0].rounds;
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} className="w-full">
+      {ticks.map((exponent) => (
+        <g key={exponent}>
+          <line
+            x1={pad.left}
+            x2={width - pad.right}
+            y1={y(2 ** -exponent)}
+            y2={y(2 ** -exponent)}
+            stroke="#374151"
+            strokeWidth="1"
+          />
+          <text
+            x={pad.left - 6}
+            y={y(2 ** -exponent) + 4}
+            textAnchor="end"
+            fontSize="10"
+            fill="#9ca3af"
+          >
+            {exponent === 0 ? "1" : `2^-${exponent}`}
+          </text>
+        </g>
+      ))}
+
+      {resolution > 2 ** -floor && (
+        <line
+          x1={pad.left}
+          x2={width - pad.right}
+          y1={y(resolution)}
+          y2={y(resolution)}
+          stroke="#9ca3af"
+          strokeWidth="1"
+          strokeDasharray="4 4"
+        >
+          <title>1/N: one success in N rounds</title>
+        </line>
+      )}
+
+      {stats.map((row, index) => {
+        const rate = row.successes / row.rounds;
+        return (
+          <g key={row.bits}>
+            {rate > 0 && (
+              <rect
+                x={x(index) - slot * 0.3}
+                y={y(rate)}
+                width={slot * 0.6}
+                height={height - pad.bottom - y(rate)}
+                fill="#00ff9f"
+                opacity="0.7"
+              />
+            )}
+            <text
+              x={x(index)}
+              y={height - pad.bottom + 16}
+              textAnchor="middle"
+              fontSize="10"
+              fill="#9ca3af"
+            >
+              k={row.bits}
+            </text>
+          </g>
+        );
+      })}
+
+      <path d={expectedPath} fill="none" stroke="#f59e0b" strokeWidth="2" />
+      {stats.map((row, index) => (
+        <circle
+          key={row.bits}
+          cx={x(index)}
+          cy={y(2 ** -row.bits)}
+          r="3"
+          fill="#f59e0b"
+        />
+      ))}
+    </svg>
+  );
+};
+
+// A prover without x: guesses the challenge, commits to the matching t and
+// passes only when the guess was right
+const CheatingProverPanel = ({ publicKey }) => {
+  // The interactive demo's key if there is one; otherwise a key whose x no
+  // one has
+  const [ownKey] = useState(() => randomPublicKey());
+  const statement = publicKey ?? ownKey;
+
+  const [bits, setBits] = useState(2);
+  const [round, setRound] = useState(() => new SchnorrProtocol());
+  const [roundState, setRoundState] = useState(round.getState());
+  const [roundResult, setRoundResult] = useState(null);
+
+  const [rounds, setRounds] = useState(200);
+  const [maxBits, setMaxBits] = useState(8);
+  const [progress, setProgress] = useState(null);
+  const [stats, setStats] = useState(null);
+
+  const step = (action) => {
+    Promise.resolve()
+      .then(action)
+      .then((response) => {
+        setRoundResult(response);
+        setRoundState(round.getState());
+      })
+      .catch((error) => setRoundResult({ success: false, message: error.message }));
+  };
+
+  const handleNewRound = () => {
+    const next = new SchnorrProtocol({ challengeBits: bits });
+    next.setupPublicKey(statement);
+    setRound(next);
+    setRoundState(next.getState());
+    setRoundResult(null);
+  };
+
+  // One full cheating attempt against a verifier with k-bit challenges
+  const cheatOnce = async (k) => {
+    const attempt = new SchnorrProtocol({ challengeBits: k });
+    attempt.setupPublicKey(statement);
+    attempt.generateCheatingCommitment();
+    attempt.generateChallenge();
+    attempt.generateCheatingResponse();
+    return (await attempt.verifyProof()).isValid;
+  };
+
+  const handleRunExperiment = async () => {
+    const results = [];
+    const total = rounds * maxBits;
+    setStats(null);
+    setProgress(0);
+    for (let k = 1; k <= maxBits; k++) {
+      let successes = 0;
+      for (let i = 0; i < rounds; i++) {
+        if (await cheatOnce(k)) successes++;
+        // Let the page repaint now and then
+        if (i % 25 === 0) {
+          setProgress(((k - 1) * rounds + i) / total);
+          await new Promise((resolve) => setTimeout(resolve, 0));
+        }
+      }
+      results.push({ bits: k, rounds, successes });
+      setStats([...results]);
+    }
+    setProgress(null);
+  };
+
+  const currentStep = !roundState.steps.secretSetup
+    ? "secretSetup"
+    : !roundState.steps.commitment
+    ? "commitment"
+    : !roundState.steps.challenge
+    ? "challenge"
+    : !roundState.steps.response
+    ? "response"
+    : "verification";
+
+  const numberInput = (value, setValue, min, max) => (
+    <input
+      type="number"
+      min={min}
+      max={max}
+      value={value}
+      onChange={(e) =>
+        setValue(Math.min(max, Math.max(min, Number(e.target.value) || min)))
+      }
+      className="cyber-input w-24 py-1"
+      disabled={progress !== null}
+    />
+  );
+
+  return (
+    <div className="space-y-6">
+      <StepIndicator
+        title="Cheating Round"
+        steps={roundState.steps}
+        currentStep={currentStep}
+        labels={{ secretSetup: "Public Key", commitment: "Guess & Commit" }}
+      />
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <div className="cyber-card p-6">
+          <h2 className="text-2xl font-oxanium font-bold text-red-400 mb-6">
+            🃏 Cheating Prover
+          </h2>
+
+          <div className="space-y-4">
+            <div className="bg-cyber-darker p-4 rounded-lg border border-gray-600 text-xs font-mono text-gray-300">
+              <div>
+                Public key y ={" "}
+                <span className="text-neon-green">{shortHex(statement)}</span>
+              </div>
+              <div className="text-gray-500 mt-1">
+                {publicKey
+                  ? "From the interactive demo – the cheater does not have x."
+                  : "Random key – no one has its x."}
+              </div>
+            </div>
+
+            <div className="flex items-center space-x-3 text-sm font-mono text-gray-300">
+              <span>Challenge bits k:</span>
+              {numberInput(bits, setBits, 1, MAX_BITS)}
+            </div>
+
+            <button onClick={handleNewRound} className="cyber-button w-full">
+              Start a Round (1 in {2 ** bits} chance)
+            </button>
+
+            {roundState.steps.secretSetup && (
+              <div className="space-y-3">
+                {!roundState.steps.commitment && (
+                  <button
+                    onClick={() => step(() => round.generateCheatingCommitment())}
+                    className="cyber-button w-full"
+                  >
+                    Prover: Guess c and Commit
+                  </button>
+                )}
+                {roundState.steps.commitment && !roundState.steps.challenge && (
+                  <button
+                    onClick={() => step(() => round.generateChallenge())}
+                    className="cyber-button w-full"
+                  >
+                    Verifier: Send Random Challenge
+                  </button>
+                )}
+                {roundState.steps.challenge && !roundState.steps.response && (
+                  <button
+                    onClick={() => step(() => round.generateCheatingResponse())}
+                    className="cyber-button w-full"
+                  >
+                    Prover: Respond
+                  </button>
+                )}
+                {roundState.steps.response && !roundState.steps.verification && (
+                  <button
+                    onClick={() => step(() => round.verifyProof())}
+                    className="cyber-button w-full"
+                  >
+                    Verifier: Check g^s = t·y^c
+                  </button>
+                )}
+
+                <div className="bg-cyber-darker p-4 rounded-lg border border-gray-600 space-y-1 text-xs font-mono text-gray-300">
+                  <div>
+                    Guessed c:{" "}
+                    {roundState.steps.commitment
+                      ? round.getProverState().guessedChallenge.toString()
+                      : "–"}
+                  </div>
+                  <div>
+                    Actual c:{" "}
+                    {roundState.challenge !== null
+                      ? roundState.challenge.toString()
+                      : "–"}
+                  </div>
+                  {roundState.isProofValid !== null && (
+                    <div
+                      className={
+                        roundState.isProofValid ? "text-green-400" : "text-red-400"
+                      }
+                    >
+                      {roundState.isProofValid
+                        ? "✓ Accepted – a lucky guess"
+                        : "✗ Rejected"}
+                    </div>
+                  )}
+                </div>
+              </div>
+            )}
+
+            {roundResult && (
+              <div
+                className={`p-4 rounded-lg border ${
+                  roundResult.success
+                    ? "bg-green-900/30 border-green-500 text-green-300"
+                    : "bg-red-900/30 border-red-500 text-red-300"
+                }`}
+              >
+                <div className="font-mono text-sm">{roundResult.message}</div>
+              </div>
+            )}
+          </div>
+        </div>
+
+        <div className="cyber-card p-6">
+          <h2 className="text-2xl font-oxanium font-bold text-cyber-accent mb-6">
+            📉 Soundness Experiment
+          </h2>
+
+          <div className="space-y-4">
+            <p className="text-sm text-gray-300">
+              Run many cheating rounds for every challenge size from 1 to k
+              bits. Bars are the observed success rate, the line is 2^-k, on
+              a log scale: each extra challenge bit halves the cheater's
+              chance, one step down the axis. Below the dashed 1/N line N
+              rounds are too few to see a success. The real protocol uses
+              128 bits.
+            </p>
+
+            <div className="flex flex-wrap gap-4 text-sm font-mono text-gray-300">
+              <label className="flex items-center space-x-2">
+                <span>Rounds N:</span>
+                {numberInput(rounds, setRounds, 10, MAX_ROUNDS)}
+              </label>
+              <label className="flex items-center space-x-2">
+                <span>Up to k:</span>
+                {numberInput(maxBits, setMaxBits, 1, MAX_BITS)}
+              </label>
+            </div>
+
+            <button
+              onClick={handleRunExperiment}
+              disabled={progress !== null}
+              className="cyber-button w-full"
+            >
+              {progress !== null
+                ? `Running... ${Math.round(progress * 100)}%`
+                : `Run ${rounds * maxBits} Rounds`}
+            </button>
+
+            {stats?.length > 0 && (
+              <>
+                <SuccessRateChart stats={stats} />
+                <table className="w-full text-xs font-mono text-gray-300">
+                  <thead>
+                    <tr className="text-left text-cyber-accent">
+                      <th className="py-1">k</th>
+                      <th className="py-1">Passed</th>
+                      <th className="py-1">Observed</th>
+                      <th className="py-1">Expected 2^-k</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {stats.map((row) => (
+                      <tr key={row.bits} className="border-t border-gray-700">
+                        <td className="py-1">{row.bits}</td>
+                        <td className="py-1">
+                          {row.successes}/{row.rounds}
+                        </td>
+                        <td className="py-1">
+                          {(row.successes / row.rounds).toFixed(4)}
+                        </td>
+                        <td className="py-1">{(2 ** -row.bits).toFixed(4)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CheatingProverPanel;
@@ -39,17 +39,17 @@ const HelpPanel = ({ protocol, currentStep }) => {
   const protocolSteps = [
     {
       step: 1,
-      title: "Shared Secret Setup",
+      title: "Key Setup",
       description:
-        "Both parties agree on a secret. In real applications, only the prover knows this.",
-      purpose: "Establishes what needs to be proven",
+        "The prover derives a secret key x from the password and publishes y = g^x mod p. The verifier only ever gets y.",
+      purpose: "Establishes what needs to be proven: knowledge of x for y",
     },
     {
       step: 2,
       title: "Commitment Generation",
       description:
-        "Prover creates hash(secret + random_nonce) to commit to their knowledge.",
-      purpose: "Binds the prover to their claim without revealing the secret",
+        "Prover picks a random r and sends t = g^r mod p.",
+      purpose: "Binds the prover to r before the challenge without revealing it",
     },
     {
       step: 3,
@@ -61,15 +61,14 @@ const HelpPanel = ({ protocol, currentStep }) => {
     {
       step: 4,
       title: "Response Calculation",
-      description:
-        "Prover computes (secret_value + nonce) % challenge using the secret.",
+      description: "Prover sends s = r + c·x mod q; the random r masks x.",
       purpose: "Provides proof of knowledge without revealing the secret",
     },
     {
       step: 5,
       title: "Verification",
       description:
-        "Verifier reconstructs the nonce and validates the commitment.",
+        "Verifier checks g^s = t·y^c mod p from the public values alone.",
       purpose: "Confirms the prover's knowledge without learning the secret",
     },
   ];
@@ -78,12 +77,13 @@ const HelpPanel = ({ protocol, currentStep }) => {
     {
       title: "Random Nonce",
       description:
-        "Each proof session uses a fresh random nonce to prevent replay attacks.",
+        "Each proof uses a fresh random r. Reusing r for two challenges reveals x = (s1 - s2) / (c1 - c2).",
       importance: "Critical",
     },
     {
-      title: "Cryptographic Hash",
-      description: "SHA-256 ensures the commitment is binding and hiding.",
+      title: "Discrete Logarithm",
+      description:
+        "The 2048-bit safe-prime group (RFC 3526) makes finding x from y = g^x infeasible.",
       importance: "Essential",
     },
     {
@@ -92,11 +92,17 @@ const HelpPanel = ({ protocol, currentStep }) => {
       importance: "High",
     },
     {
-      title: "Modular Arithmetic",
+      title: "Public Verification",
       description:
-        "Mathematical operations hide the secret while enabling verification.",
+        "The verifier needs only y, t, c and s – it never holds the password or x.",
       importance: "Core",
     },
+    {
+      title: "Fiat–Shamir Transcript",
+      description:
+        "In non-interactive mode c = SHA-256(group, y, t). Leaving y or t out of the hash would let a cheater choose them after seeing c.",
+      importance: "Critical",
+    },
   ];
 
   const renderOverview = () => (
@@ -0,0 +1,444 @@
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import StepIndicator from "./StepIndicator";
+import ProverPanel from "./ProverPanel";
+import VerifierPanel from "./VerifierPanel";
+import {
+  SchnorrProver,
+  SchnorrVerifier,
+  shortHex,
+  stepsOf,
+} from "../utils/schnorrProtocol";
+import {
+  DEFAULT_RELAY_URL,
+  createBroadcastTransport,
+  createSessionId,
+  createWebSocketTransport,
+  serializeMessage,
+} from "../utils/transport";
+
+const otherRole = (role) => (role === "prover" ? "verifier" : "prover");
+
+// Step currently up, and whose move it is
+const currentMove = (steps) => {
+  if (!steps.secretSetup) return ["secretSetup", "prover"];
+  if (!steps.commitment) return ["commitment", "prover"];
+  if (!steps.challenge) return ["challenge", "verifier"];
+  if (!steps.response) return ["response", "prover"];
+  return ["verification", "verifier"];
+};
+
+// This tab plays one role with only that side's object – a SchnorrProver or a
+// SchnorrVerifier; the other role runs in another tab and everything between
+// them goes through the transport, shown in the wire log
+const NetworkSession = () => {
+  const params = new URLSearchParams(window.location.search);
+  const [role, setRole] = useState(
+    params.get("role") === "verifier" ? "verifier" : "prover"
+  );
+  const [kind, setKind] = useState(
+    params.get("transport") === "websocket" ? "websocket" : "broadcast"
+  );
+  const [session, setSession] = useState(
+    () => params.get("session") || createSessionId()
+  );
+  const [relayUrl, setRelayUrl] = useState(
+    params.get("relay") || DEFAULT_RELAY_URL
+  );
+
+  const [transport, setTransport] = useState(null);
+  const [connecting, setConnecting] = useState(false);
+  const [error, setError] = useState(null);
+  const [log, setLog] = useState([]);
+  const [peerResult, setPeerResult] = useState(null);
+
+  const [prover] = useState(() => new SchnorrProver());
+  const [verifier] = useState(() => new SchnorrVerifier());
+  // Both mutate in place; bumping this re-renders from their state
+  const [, setVersion] = useState(0);
+  // Messages this tab sent, resent when the other tab (re)joins
+  const sent = useRef([]);
+  const transportRef = useRef(null);
+
+  const update = useCallback(() => setVersion((version) => version + 1), []);
+
+  const addLog = (entry) =>
+    setLog((entries) => [...entries, { ...entry, at: new Date() }]);
+
+  const send = useCallback((message, { remember = true } = {}) => {
+    const current = transportRef.current;
+    if (!current) throw new Error("Not connected");
+    current.send(message);
+    if (remember) sent.current.push(message);
+    addLog({
+      direction: "out",
+      type: message.type,
+      text: serializeMessage(message),
+    });
+  }, []);
+
+  const startOver = useCallback(() => {
+    prover.reset();
+    verifier.reset();
+    sent.current = [];
+    setPeerResult(null);
+    update();
+  }, [prover, verifier, update]);
+
+  const requireRole = useCallback(
+    (expected, message) => {
+      if (role !== expected) {
+        throw new Error(`Only the ${expected} takes "${message.type}" messages`);
+      }
+    },
+    [role]
+  );
+
+  const handleMessage = useCallback(
+    (message, parseError, text) => {
+      if (parseError) {
+        addLog({ direction: "in", text, error: parseError.message });
+        return;
+      }
+      addLog({ direction: "in", type: message.type, text });
+
+      try {
+        switch (message.type) {
+          case "hello":
+            if (message.role === role) {
+              throw new Error(`Another ${role} joined this session`);
+            }
+            sent.current.forEach((old) => send(old, { remember: false }));
+            break;
+          case "reset":
+            startOver();
+            break;
+          case "publicKey":
+            requireRole("verifier", message);
+            verifier.receivePublicKey(message.publicKey);
+            break;
+          case "commitment":
+            requireRole("verifier", message);
+            verifier.receiveCommitment(message.commitment);
+            break;
+          case "response":
+            requireRole("verifier", message);
+            verifier.receiveResponse(message.response);
+            break;
+          case "challenge":
+            requireRole("prover", message);
+            prover.receiveChallenge(message.challenge);
+            break;
+          case "result":
+            setPeerResult(message.isValid === true);
+            break;
+          default:
+            break;
+        }
+        update();
+      } catch (handleError) {
+        addLog({ direction: "note", error: handleError.message });
+      }
+    },
+    [role, prover, verifier, requireRole, send, startOver, update]
+  );
+
+  // Subscribe with the current handler
+  useEffect(() => {
+    if (!transport) return undefined;
+    const unsubscribe = transport.onMessage(handleMessage);
+    const unsubscribeClose = transport.onClose(() => {
+      transportRef.current = null;
+      setTransport(null);
+      setError("Connection to the relay closed");
+    });
+    return () => {
+      unsubscribe();
+      unsubscribeClose();
+    };
+  }, [transport, handleMessage]);
+
+  // Close the transport when leaving this mode
+  useEffect(() => () => transportRef.current?.close(), []);
+
+  const handleConnect = async () => {
+    setConnecting(true);
+    setError(null);
+    try {
+      const opened =
+        kind === "websocket"
+          ? await createWebSocketTransport(session, relayUrl)
+          : createBroadcastTransport(session);
+      transportRef.current = opened;
+      setTransport(opened);
+      setLog([]);
+      send({ type: "hello", role }, { remember: false });
+    } catch (connectError) {
+      setError(connectError.message);
+    } finally {
+      setConnecting(false);
+    }
+  };
+
+  const handleDisconnect = () => {
+    const current = transportRef.current;
+    transportRef.current = null;
+    setTransport(null);
+    current?.close();
+    startOver();
+  };
+
+  const handleStartOver = () => {
+    startOver();
+    send({ type: "reset" }, { remember: false });
+  };
+
+  // What the panels may do: each action is one call on this side's object,
+  // whose returned message goes on the wire
+  const proverActions = {
+    setupSharedSecret: async (secret) => {
+      send(await prover.setup(secret));
+      return { success: true, message: "Public key y = g^x sent" };
+    },
+    generateCommitment: async () => {
+      send(await prover.commit());
+      return { success: true, message: "Commitment t = g^r sent; r stays here" };
+    },
+    generateResponse: (simulateFailure) => {
+      const message = prover.respond(simulateFailure);
+      send(message);
+      const wrong = simulateFailure ? " + 1" : "";
+      return {
+        success: true,
+        calculation: {
+          formula: `s = r + c·x${wrong} mod q = ${shortHex(message.response)}`,
+        },
+        message: "Response sent",
+      };
+    },
+  };
+
+  const verifierActions = {
+    generateChallenge: () => {
+      send(verifier.sendChallenge());
+      return { success: true, message: "Random challenge sent" };
+    },
+    verifyProof: async () => {
+      const result = await verifier.verify();
+      send({ type: "result", isValid: result.isValid });
+      return result;
+    },
+  };
+
+  // The panels' view of this side: the prover's own values, or what the
+  // verifier received
+  const view = role === "prover" ? prover.getState() : verifier.getState();
+  const isProofValid = role === "prover" ? peerResult : view.isValid;
+  const protocolState = {
+    publicKey: view.publicKey,
+    commitment: view.commitment,
+    challenge: view.challenge,
+    response: view.response,
+    isProofValid,
+    steps: stepsOf(view, isProofValid !== null),
+  };
+  const proverState = prover.getState();
+
+  const peerUrl = () => {
+    const url = new URL(window.location.href);
+    url.search = "";
+    url.searchParams.set("session", session);
+    url.searchParams.set("role", otherRole(role));
+    url.searchParams.set("transport", kind);
+    if (kind === "websocket") url.searchParams.set("relay", relayUrl);
+    return url.toString();
+  };
+
+  const [step, mover] = currentMove(protocolState.steps);
+  const isMyMove = transport !== null && mover === role;
+
+  const renderSetup = () => (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm font-mono text-gray-300">
+      <label className="flex flex-col space-y-2">
+        <span>This tab plays:</span>
+        <select
+          value={role}
+          onChange={(e) => setRole(e.target.value)}
+          className="cyber-input py-2"
+        >
+          <option value="prover">Prover</option>
+          <option value="verifier">Verifier</option>
+        </select>
+      </label>
+      <label className="flex flex-col space-y-2">
+        <span>Transport:</span>
+        <select
+          value={kind}
+          onChange={(e) => setKind(e.target.value)}
+          className="cyber-input py-2"
+        >
+          <option value="broadcast">BroadcastChannel (tabs of this browser)</option>
+          <option value="websocket">WebSocket (local relay)</option>
+        </select>
+      </label>
+      <label className="flex flex-col space-y-2">
+        <span>Session:</span>
+        <input
+          value={session}
+          onChange={(e) => setSession(e.target.value.trim())}
+          className="cyber-input py-2"
+        />
+      </label>
+      {kind === "websocket" && (
+        <label className="flex flex-col space-y-2">
+          <span>Relay URL:</span>
+          <input
+            value={relayUrl}
+            onChange={(e) => setRelayUrl(e.target.value.trim())}
+            className="cyber-input py-2"
+          />
+        </label>
+      )}
+      <div className="md:col-span-2">
+        <button
+          onClick={handleConnect}
+          disabled={connecting || !session}
+          className="cyber-button w-full"
+        >
+          {connecting ? "Connecting..." : `Join Session as ${role}`}
+        </button>
+      </div>
+    </div>
+  );
+
+  const renderConnected = () => (
+    <div className="space-y-4 text-sm font-mono text-gray-300">
+      <div>
+        Playing <span className="text-cyber-primary">{role}</span> in session{" "}
+        <span className="text-cyber-accent">{session}</span> over{" "}
+        {kind === "websocket" ? `the relay at ${relayUrl}` : "BroadcastChannel"}
+      </div>
+      <div className="flex flex-wrap gap-3">
+        <a
+          href={peerUrl()}
+          target="_blank"
+          rel="noreferrer"
+          className="cyber-button"
+        >
+          Open the {otherRole(role)} in a new tab
+        </a>
+        <button onClick={handleStartOver} className="cyber-button">
+          Start Over (both tabs)
+        </button>
+        <button
+          onClick={handleDisconnect}
+          className="cyber-button bg-transparent border-red-500 text-red-400 hover:bg-red-500 hover:text-white"
+        >
+          Leave Session
+        </button>
+      </div>
+      <div className={isMyMove ? "text-neon-green" : "text-gray-400"}>
+        {isMyMove ? "Your move." : `Waiting for the ${mover} tab...`}
+      </div>
+    </div>
+  );
+
+  const renderLogEntry = (entry, index) => (
+    <div
+      key={index}
+      className={`p-2 rounded border text-xs font-mono break-all ${
+        entry.error
+          ? "border-red-500 text-red-300"
+          : entry.direction === "out"
+          ? "border-cyber-primary/40 text-gray-300"
+          : "border-cyber-accent/40 text-gray-300"
+      }`}
+    >
+      <div className="text-gray-500 mb-1">
+        {entry.at.toLocaleTimeString()}{" "}
+        {entry.direction === "out"
+          ? `→ sent ${entry.type}`
+          : entry.direction === "in"
+          ? `← received ${entry.type ?? ""}`
+          : "⚠"}
+      </div>
+      {entry.text && <div>{entry.text}</div>}
+      {entry.error && <div>{entry.error}</div>}
+    </div>
+  );
+
+  return (
+    <div className="space-y-6">
+      <div className="cyber-card p-6">
+        <h2 className="text-2xl font-oxanium font-bold text-cyber-primary mb-4">
+          🌐 Two-Tab Session
+        </h2>
+        {transport ? renderConnected() : renderSetup()}
+        {error && (
+          <div className="mt-4 p-4 rounded-lg border bg-red-900/30 border-red-500 text-red-300 font-mono text-sm">
+            {error}
+          </div>
+        )}
+      </div>
+
+      <StepIndicator steps={protocolState.steps} currentStep={step} />
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <div className="space-y-6">
+          {!transport ? (
+            <div className="cyber-card p-6 text-gray-400 font-mono text-sm">
+              Join a session to play the {role}.
+            </div>
+          ) : role === "prover" ? (
+            <ProverPanel
+              protocol={proverActions}
+              protocolState={protocolState}
+              proverState={proverState}
+              onUpdate={update}
+              isActive={isMyMove}
+            />
+          ) : (
+            <VerifierPanel
+              verifier={verifierActions}
+              protocolState={protocolState}
+              onUpdate={update}
+              isActive={isMyMove}
+            />
+          )}
+
+          {role === "prover" && peerResult !== null && (
+            <div
+              className={`p-4 rounded-lg border font-mono text-sm ${
+                peerResult
+                  ? "bg-green-900/30 border-green-500 text-green-300"
+                  : "bg-red-900/30 border-red-500 text-red-300"
+              }`}
+            >
+              The verifier {peerResult ? "accepted" : "rejected"} the proof.
+            </div>
+          )}
+        </div>
+
+        <div className="cyber-card p-6">
+          <h2 className="text-2xl font-oxanium font-bold text-cyber-accent mb-2">
+            📡 On the Wire
+          </h2>
+          <p className="text-xs text-gray-400 mb-4">
+            Everything the two tabs exchange. The password, x and r never
+            appear here.
+          </p>
+          <div className="space-y-2 max-h-[480px] overflow-y-auto">
+            {log.length === 0 ? (
+              <div className="text-gray-500 font-mono text-sm">
+                No messages yet.
+              </div>
+            ) : (
+              log.map(renderLogEntry)
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default NetworkSession;
@@ -0,0 +1,186 @@
+import React, { useState } from "react";
+import { shortHex } from "../utils/schnorrProtocol";
+
+// Fiat–Shamir prover: makes the whole proof alone and exports it as JSON
+const NonInteractiveProverPanel = ({
+  prover,
+  proverState,
+  onUpdate,
+  onSendProof,
+}) => {
+  const [secret, setSecret] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [result, setResult] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  const hasProof = proverState.response !== null;
+  const proofJson = hasProof
+    ? JSON.stringify(prover.exportProof(), null, 2)
+    : "";
+
+  const handleProve = async (simulateFailure = false) => {
+    if (!secret.trim()) {
+      setResult({ success: false, message: "Please enter a secret" });
+      return;
+    }
+
+    setLoading(true);
+    try {
+      prover.reset();
+      await prover.setup(secret);
+      await prover.proveNonInteractive(simulateFailure);
+      setResult({
+        success: true,
+        message: simulateFailure
+          ? "Proof generated with intentional error (for demo)"
+          : "Proof generated - no verifier was needed",
+      });
+      setCopied(false);
+      onUpdate();
+    } catch (error) {
+      setResult({ success: false, message: error.message });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(proofJson);
+      setCopied(true);
+    } catch (error) {
+      setResult({ success: false, message: "Could not copy: " + error.message });
+    }
+  };
+
+  const handleDownload = () => {
+    const blob = new Blob([proofJson], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = "schnorr-proof.json";
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const renderProve = () => (
+    <div className="space-y-4">
+      <div className="flex flex-col space-y-2">
+        <label className="text-sm font-mono text-gray-300">
+          Enter Secret Password:
+        </label>
+        <input
+          type="password"
+          value={secret}
+          onChange={(e) => setSecret(e.target.value)}
+          placeholder="Enter your secret..."
+          className="cyber-input"
+        />
+      </div>
+
+      <div className="space-y-3">
+        <button
+          onClick={() => handleProve(false)}
+          disabled={loading || !secret.trim()}
+          className="cyber-button w-full"
+        >
+          {loading ? "Proving..." : "Generate Proof"}
+        </button>
+        <button
+          onClick={() => handleProve(true)}
+          disabled={loading || !secret.trim()}
+          className="cyber-button w-full bg-transparent border-red-500 text-red-400 hover:bg-red-500 hover:text-white"
+        >
+          {loading ? "Proving..." : "Generate Wrong Proof (Demo)"}
+        </button>
+      </div>
+    </div>
+  );
+
+  const renderProof = () => (
+    <div className="space-y-4">
+      <div className="bg-cyber-darker p-4 rounded-lg border border-gray-600 space-y-2 text-xs font-mono">
+        <div className="text-gray-300">
+          Public key y = g^x:{" "}
+          <span className="text-neon-green">
+            {shortHex(proverState.publicKey)}
+          </span>
+        </div>
+        <div className="text-gray-300">
+          Commitment t = g^r:{" "}
+          <span className="text-neon-green">
+            {shortHex(proverState.commitment)}
+          </span>
+        </div>
+        <div className="text-gray-300">
+          Challenge c = SHA-256(group, y, t):{" "}
+          <span className="text-cyber-accent">
+            {shortHex(proverState.challenge)}
+          </span>
+        </div>
+        <div className="text-gray-300">
+          Response s = r + c·x mod q:{" "}
+          <span className="text-cyber-warning">
+            {shortHex(proverState.response)}
+          </span>
+        </div>
+      </div>
+
+      <div className="flex flex-col space-y-2">
+        <label className="text-sm font-mono text-gray-300">
+          Proof (JSON):
+        </label>
+        <textarea
+          readOnly
+          value={proofJson}
+          rows={8}
+          className="cyber-input text-xs"
+        />
+      </div>
+
+      <div className="grid grid-cols-3 gap-3">
+        <button onClick={handleCopy} className="cyber-button px-2">
+          {copied ? "Copied" : "Copy"}
+        </button>
+        <button onClick={handleDownload} className="cyber-button px-2">
+          Download
+        </button>
+        <button
+          onClick={() => onSendProof(proofJson)}
+          className="cyber-button px-2"
+        >
+          Send to Verifier
+        </button>
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="cyber-card p-6">
+      <div className="flex items-center justify-between mb-6">
+        <h2 className="text-2xl font-oxanium font-bold text-cyber-primary">
+          🔐 Prover (Fiat–Shamir)
+        </h2>
+      </div>
+
+      <div className="space-y-6">
+        {renderProve()}
+        {hasProof && renderProof()}
+
+        {result && (
+          <div
+            className={`p-4 rounded-lg border ${
+              result.success
+                ? "bg-green-900/30 border-green-500 text-green-300"
+                : "bg-red-900/30 border-red-500 text-red-300"
+            }`}
+          >
+            <div className="font-mono text-sm">{result.message}</div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default NonInteractiveProverPanel;
@@ -0,0 +1,94 @@
+import React, { useState } from "react";
+import { shortHex, verifyExportedProof } from "../utils/schnorrProtocol";
+
+// Standalone verifier for exported Fiat–Shamir proofs: it holds no protocol
+// state at all, only the pasted JSON
+const ProofVerifierPanel = ({ proofText, onProofTextChange }) => {
+  const [loading, setLoading] = useState(false);
+  const [result, setResult] = useState(null);
+
+  const handleVerify = async () => {
+    setLoading(true);
+    try {
+      setResult(await verifyExportedProof(proofText));
+    } catch (error) {
+      setResult({ success: false, message: error.message });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="cyber-card p-6">
+      <div className="flex items-center justify-between mb-6">
+        <h2 className="text-2xl font-oxanium font-bold text-cyber-accent">
+          🔍 Proof Verifier
+        </h2>
+      </div>
+
+      <div className="space-y-6">
+        <div className="flex flex-col space-y-2">
+          <label className="text-sm font-mono text-gray-300">
+            Paste a proof (JSON):
+          </label>
+          <textarea
+            value={proofText}
+            onChange={(e) => {
+              onProofTextChange(e.target.value);
+              setResult(null);
+            }}
+            placeholder='{ "format": "zkapp-schnorr-fiat-shamir-v1", ... }'
+            rows={8}
+            className="cyber-input text-xs"
+          />
+        </div>
+
+        <button
+          onClick={handleVerify}
+          disabled={loading || !proofText.trim()}
+          className="cyber-button w-full"
+        >
+          {loading ? "Verifying..." : "Verify Proof"}
+        </button>
+
+        {result && (
+          <div
+            className={`p-4 rounded-lg border ${
+              result.isValid
+                ? "bg-green-900/30 border-green-500"
+                : "bg-red-900/30 border-red-500"
+            }`}
+          >
+            <div
+              className={`text-2xl mb-2 ${
+                result.isValid ? "text-green-400" : "text-red-400"
+              }`}
+            >
+              {result.isValid ? "✅ PROOF VALID" : "❌ PROOF INVALID"}
+            </div>
+            <div
+              className={`font-mono text-sm mb-4 ${
+                result.isValid ? "text-green-300" : "text-red-300"
+              }`}
+            >
+              {result.message}
+            </div>
+
+            {result.verification && (
+              <div className="space-y-2 text-xs font-mono text-gray-300">
+                <div>
+                  c = SHA-256(group, y, t):{" "}
+                  {result.challengeMatches ? "✓" : "✗"}
+                </div>
+                <div>g^s = {shortHex(result.verification.lhs)}</div>
+                <div>t·y^c = {shortHex(result.verification.rhs)}</div>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ProofVerifierPanel;
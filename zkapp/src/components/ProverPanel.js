@@ -1,6 +1,13 @@
 import React, { useState } from "react";
-
-const ProverPanel = ({ protocol, protocolState, onUpdate, isActive }) => {
+import { shortHex } from "../utils/schnorrProtocol";
+
+const ProverPanel = ({
+  protocol,
+  protocolState,
+  proverState,
+  onUpdate,
+  isActive,
+}) => {
   const [secret, setSecret] = useState("");
   const [loading, setLoading] = useState(false);
   const [result, setResult] = useState(null);
@@ -13,7 +20,7 @@ const ProverPanel = ({ protocol, protocolState, onUpdate, isActive }) => {
 
     setLoading(true);
     try {
-      const response = protocol.setupSharedSecret(secret);
+      const response = await protocol.setupSharedSecret(secret);
       setResult(response);
       onUpdate();
     } catch (error) {
@@ -80,9 +87,17 @@ const ProverPanel = ({ protocol, protocolState, onUpdate, isActive }) => {
   const renderCommitmentGeneration = () => (
     <div className="space-y-4">
       <div className="bg-cyber-darker p-4 rounded-lg border border-gray-600">
-        <div className="text-sm font-mono text-gray-300 mb-2">Secret:</div>
-        <div className="text-cyber-primary font-mono">
-          {"*".repeat(protocolState.sharedSecret.length)} (hidden)
+        <div className="text-sm font-mono text-gray-300 mb-2">
+          Secret key x (private):
+        </div>
+        <div className="text-cyber-primary font-mono text-xs break-all">
+          {shortHex(proverState.secretKey)}
+        </div>
+        <div className="text-sm font-mono text-gray-300 mt-2 mb-2">
+          Public key y = g^x (published):
+        </div>
+        <div className="text-neon-green font-mono text-xs break-all">
+          {shortHex(protocolState.publicKey)}
         </div>
       </div>
 
@@ -96,16 +111,16 @@ const ProverPanel = ({ protocol, protocolState, onUpdate, isActive }) => {
         </button>
       )}
 
-      {protocolState.commitment && (
+      {protocolState.commitment !== null && (
         <div className="bg-cyber-darker p-4 rounded-lg border border-green-500">
           <div className="text-sm font-mono text-gray-300 mb-2">
-            Commitment (hash):
+            Commitment t = g^r:
           </div>
           <div className="text-neon-green font-mono text-xs break-all">
-            {protocolState.commitment}
+            {shortHex(protocolState.commitment)}
           </div>
           <div className="text-sm font-mono text-gray-300 mt-2">
-            Nonce: {protocolState.proverNonce}
+            Nonce r (private): {shortHex(proverState.nonce)}
           </div>
         </div>
       )}
@@ -119,11 +134,13 @@ const ProverPanel = ({ protocol, protocolState, onUpdate, isActive }) => {
           Received Challenge:
         </div>
         <div className="text-cyber-accent font-mono text-xl">
-          {protocolState.challenge || "Waiting for challenge..."}
+          {protocolState.challenge !== null
+            ? shortHex(protocolState.challenge)
+            : "Waiting for challenge..."}
         </div>
       </div>
 
-      {protocolState.challenge && !protocolState.steps.response && (
+      {protocolState.challenge !== null && !protocolState.steps.response && (
         <div className="space-y-3">
           <button
             onClick={() => handleGenerateResponse(false)}
@@ -151,7 +168,7 @@ const ProverPanel = ({ protocol, protocolState, onUpdate, isActive }) => {
             {result.calculation.formula}
           </div>
           <div className="text-cyber-warning font-mono text-xl">
-            Response: {protocolState.response}
+            Response: {shortHex(protocolState.response)}
           </div>
         </div>
       )}
@@ -0,0 +1,272 @@
+import React, { useState } from "react";
+import StepIndicator from "./StepIndicator";
+import { SchnorrProtocol, shortHex } from "../utils/schnorrProtocol";
+
+// The simulator works backwards: challenge and response first, then the
+// commitment that fits them
+const simulatorOrder = [
+  "secretSetup",
+  "challenge",
+  "response",
+  "commitment",
+  "verification",
+];
+
+// A verified transcript of a fresh run, real (with x) or simulated (without)
+const drawTranscript = async (secret, publicKey) => {
+  const run = new SchnorrProtocol();
+  if (secret) {
+    await run.setupSharedSecret(secret);
+    await run.generateCommitment();
+    run.generateChallenge();
+    run.generateResponse();
+  } else {
+    run.setupPublicKey(publicKey);
+    run.simulateTranscript();
+  }
+  const { isValid } = await run.verifyProof();
+  const { commitment, challenge, response } = run.getState();
+  return { real: Boolean(secret), commitment, challenge, response, isValid };
+};
+
+const SimulatorPanel = () => {
+  const [simulator] = useState(() => new SchnorrProtocol());
+  const [simState, setSimState] = useState(simulator.getState());
+  const [secret, setSecret] = useState("");
+  // The password y was made from, for drawing real transcripts later
+  const [keySecret, setKeySecret] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [result, setResult] = useState(null);
+  const [pair, setPair] = useState(null);
+  const [revealed, setRevealed] = useState(false);
+
+  const update = () => setSimState(simulator.getState());
+
+  const run = async (action) => {
+    setLoading(true);
+    try {
+      setResult(await action());
+      update();
+    } catch (error) {
+      setResult({ success: false, message: error.message });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // The password only makes y here; the simulator itself is handed y alone
+  const handleSetup = () =>
+    run(async () => {
+      if (!secret.trim()) throw new Error("Please enter a secret");
+      const owner = new SchnorrProtocol();
+      await owner.setupSharedSecret(secret);
+      simulator.reset();
+      setKeySecret(secret);
+      setPair(null);
+      return simulator.setupPublicKey(owner.publicKey);
+    });
+
+  const handleSimulate = () =>
+    run(async () => {
+      if (simState.steps.commitment) {
+        const { publicKey } = simState;
+        simulator.reset();
+        simulator.setupPublicKey(publicKey);
+      }
+      return simulator.simulateTranscript();
+    });
+
+  // The check passes; it convinces no one only because t came after c
+  const handleVerify = () =>
+    run(async () => {
+      const response = await simulator.verifyProof();
+      return response.isValid
+        ? {
+            ...response,
+            message:
+              "The simulated transcript passes g^s = t·y^c without x. Only the order – t made after c – separates it from a proof.",
+          }
+        : response;
+    });
+
+  const handleCompare = () =>
+    run(async () => {
+      const transcripts = await Promise.all([
+        drawTranscript(keySecret, null),
+        drawTranscript(null, simState.publicKey),
+      ]);
+      if (Math.random() < 0.5) transcripts.reverse();
+      setPair(transcripts);
+      setRevealed(false);
+      return {
+        success: true,
+        message: "One transcript used x, the other did not. Which is which?",
+      };
+    });
+
+  const currentStep = !simState.steps.secretSetup
+    ? "secretSetup"
+    : !simState.steps.commitment
+    ? "challenge"
+    : "verification";
+
+  const renderTranscript = (transcript, index) => (
+    <div
+      key={index}
+      className="bg-cyber-darker p-4 rounded-lg border border-gray-600 space-y-1 text-xs font-mono text-gray-300"
+    >
+      <div className="text-sm text-cyber-accent mb-2">
+        Transcript {index === 0 ? "A" : "B"}
+        {revealed && (
+          <span className={transcript.real ? "text-neon-green" : "text-cyber-warning"}>
+            {" "}
+            – {transcript.real ? "real (used x)" : "simulated (no x)"}
+          </span>
+        )}
+      </div>
+      <div>t = {shortHex(transcript.commitment)}</div>
+      <div>c = {shortHex(transcript.challenge)}</div>
+      <div>s = {shortHex(transcript.response)}</div>
+      <div className={transcript.isValid ? "text-green-400" : "text-red-400"}>
+        {transcript.isValid ? "✓ g^s = t·y^c" : "✗ does not verify"}
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="space-y-6">
+      <StepIndicator
+        title="Simulator Progress"
+        steps={simState.steps}
+        currentStep={currentStep}
+        order={simulatorOrder}
+        labels={{ secretSetup: "Public Key", commitment: "Solve for t" }}
+      />
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <div className="cyber-card p-6">
+          <h2 className="text-2xl font-oxanium font-bold text-cyber-primary mb-6">
+            🎭 Simulator
+          </h2>
+
+          <div className="space-y-4">
+            <div className="flex flex-col space-y-2">
+              <label className="text-sm font-mono text-gray-300">
+                Password behind the public key:
+              </label>
+              <input
+                type="password"
+                value={secret}
+                onChange={(e) => setSecret(e.target.value)}
+                placeholder="Enter a secret..."
+                className="cyber-input"
+              />
+              <p className="text-xs text-gray-400">
+                Used only to compute y = g^x. The simulator receives y and
+                never x.
+              </p>
+            </div>
+
+            <button
+              onClick={handleSetup}
+              disabled={loading || !secret.trim()}
+              className="cyber-button w-full"
+            >
+              {simState.steps.secretSetup ? "Use New Public Key" : "Publish Public Key"}
+            </button>
+
+            {simState.steps.secretSetup && (
+              <div className="bg-cyber-darker p-4 rounded-lg border border-gray-600 space-y-1 text-xs font-mono text-gray-300">
+                <div>
+                  y = <span className="text-neon-green">{shortHex(simState.publicKey)}</span>
+                </div>
+                {simState.steps.commitment && (
+                  <>
+                    <div>1. random c = {shortHex(simState.challenge)}</div>
+                    <div>2. random s = {shortHex(simState.response)}</div>
+                    <div>3. t = g^s · y^-c = {shortHex(simState.commitment)}</div>
+                  </>
+                )}
+              </div>
+            )}
+
+            {simState.steps.secretSetup &&
+              (!simState.steps.commitment || simState.steps.verification) && (
+                <button
+                  onClick={handleSimulate}
+                  disabled={loading}
+                  className="cyber-button w-full"
+                >
+                  {simState.steps.verification
+                    ? "Simulate Another Transcript"
+                    : "Simulate Transcript"}
+                </button>
+              )}
+
+            {simState.steps.commitment && !simState.steps.verification && (
+              <button
+                onClick={handleVerify}
+                disabled={loading}
+                className="cyber-button w-full"
+              >
+                {loading ? "Verifying..." : "Verify Simulated Transcript"}
+              </button>
+            )}
+
+            {result && (
+              <div
+                className={`p-4 rounded-lg border ${
+                  result.success && result.isValid !== false
+                    ? "bg-green-900/30 border-green-500 text-green-300"
+                    : "bg-red-900/30 border-red-500 text-red-300"
+                }`}
+              >
+                <div className="font-mono text-sm">{result.message}</div>
+              </div>
+            )}
+          </div>
+        </div>
+
+        <div className="cyber-card p-6">
+          <h2 className="text-2xl font-oxanium font-bold text-cyber-accent mb-6">
+            🔍 Real or Simulated?
+          </h2>
+
+          <div className="space-y-4">
+            <p className="text-sm text-gray-300">
+              In a real run t comes first and c is random; the simulator
+              chooses c and s first. Either way t is a random group element,
+              c a random 128-bit number and s a random number mod q – the
+              transcripts have the same distribution, so seeing one teaches
+              the verifier nothing it could not have made itself.
+            </p>
+
+            <button
+              onClick={handleCompare}
+              disabled={loading || !simState.steps.secretSetup}
+              className="cyber-button w-full"
+            >
+              {loading ? "Drawing..." : "Draw a Real and a Simulated Transcript"}
+            </button>
+
+            {pair && (
+              <>
+                {pair.map(renderTranscript)}
+                {!revealed && (
+                  <button
+                    onClick={() => setRevealed(true)}
+                    className="cyber-button w-full bg-transparent border-cyber-accent text-cyber-accent hover:bg-cyber-accent hover:text-cyber-dark"
+                  >
+                    Reveal
+                  </button>
+                )}
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SimulatorPanel;
@@ -1,13 +1,27 @@
 import React from "react";
 
-const StepIndicator = ({ steps, currentStep }) => {
-  const stepList = [
-    { key: "secretSetup", label: "Secret Setup", number: 1 },
-    { key: "commitment", label: "Commitment", number: 2 },
-    { key: "challenge", label: "Challenge", number: 3 },
-    { key: "response", label: "Response", number: 4 },
-    { key: "verification", label: "Verification", number: 5 },
-  ];
+const defaultLabels = {
+  secretSetup: "Key Setup",
+  commitment: "Commitment",
+  challenge: "Challenge",
+  response: "Response",
+  verification: "Verification",
+};
+
+// `order` lists the step keys in the order they happen (the simulator runs
+// them out of order); `labels` renames some of them
+const StepIndicator = ({
+  steps,
+  currentStep,
+  title = "Protocol Progress",
+  order = Object.keys(defaultLabels),
+  labels = {},
+}) => {
+  const stepList = order.map((key, index) => ({
+    key,
+    label: labels[key] || defaultLabels[key],
+    number: index + 1,
+  }));
 
   const getStepStatus = (stepKey) => {
     if (steps[stepKey]) return "completed";
@@ -32,7 +46,7 @@ const StepIndicator = ({ steps, currentStep }) => {
   return (
     <div className="cyber-card p-6 mb-6">
       <h3 className="text-xl font-oxanium font-bold text-cyber-primary mb-4">
-        Protocol Progress
+        {title}
       </h3>
 
       <div className="flex items-center justify-between">
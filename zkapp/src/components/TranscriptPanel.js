@@ -0,0 +1,45 @@
+import React from "react";
+import { shortHex } from "../utils/schnorrProtocol";
+
+const actorStyles = {
+  prover: "text-cyber-primary",
+  verifier: "text-cyber-accent",
+  simulator: "text-cyber-warning",
+};
+
+// The run as its event stream records it: who did what, with which values
+const TranscriptPanel = ({ events }) => (
+  <div className="cyber-card p-6">
+    <h3 className="text-lg font-oxanium font-bold text-cyber-primary mb-4">
+      📜 Transcript
+    </h3>
+
+    {events.length === 0 ? (
+      <div className="text-gray-500 font-mono text-sm">
+        Nothing has happened yet.
+      </div>
+    ) : (
+      <ol className="space-y-2 text-sm font-mono">
+        {events.map((event) => (
+          <li key={event.seq} className="flex items-start space-x-3">
+            <span className="text-gray-500 w-6 text-right">{event.seq}.</span>
+            <span className={`w-20 ${actorStyles[event.actor] || "text-gray-300"}`}>
+              {event.actor}
+            </span>
+            <span className="flex-1 text-gray-300">
+              {event.message}
+              {Object.entries(event.data).map(([name, value]) => (
+                <span key={name} className="ml-3 text-gray-400 text-xs">
+                  {name} ={" "}
+                  {typeof value === "bigint" ? shortHex(value) : String(value)}
+                </span>
+              ))}
+            </span>
+          </li>
+        ))}
+      </ol>
+    )}
+  </div>
+);
+
+export default TranscriptPanel;
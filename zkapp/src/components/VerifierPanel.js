@@ -1,13 +1,16 @@
 import React, { useState } from "react";
+import { GROUP, shortHex } from "../utils/schnorrProtocol";
 
-const VerifierPanel = ({ protocol, protocolState, onUpdate, isActive }) => {
+// Sees only the public key and the transcript (protocolState), and can only
+// send a challenge and check the proof (verifier)
+const VerifierPanel = ({ verifier, protocolState, onUpdate, isActive }) => {
   const [loading, setLoading] = useState(false);
   const [result, setResult] = useState(null);
 
   const handleGenerateChallenge = async () => {
     setLoading(true);
     try {
-      const response = protocol.generateChallenge();
+      const response = verifier.generateChallenge();
       setResult(response);
       onUpdate();
     } catch (error) {
@@ -20,7 +23,7 @@ const VerifierPanel = ({ protocol, protocolState, onUpdate, isActive }) => {
   const handleVerifyProof = async () => {
     setLoading(true);
     try {
-      const response = await protocol.verifyProof();
+      const response = await verifier.verifyProof();
       setResult(response);
       onUpdate();
     } catch (error) {
@@ -30,15 +33,36 @@ const VerifierPanel = ({ protocol, protocolState, onUpdate, isActive }) => {
     }
   };
 
+  const renderPublicKey = () => (
+    <div className="bg-cyber-darker p-4 rounded-lg border border-gray-600">
+      <div className="text-sm font-mono text-gray-300 mb-2">
+        Prover's Public Key y:
+      </div>
+      {protocolState.publicKey !== null ? (
+        <div className="text-neon-green font-mono text-xs break-all">
+          {shortHex(protocolState.publicKey)}
+        </div>
+      ) : (
+        <div className="text-gray-500 font-mono text-sm">
+          Waiting for the prover's key...
+        </div>
+      )}
+      <div className="text-xs font-mono text-gray-500 mt-2">
+        Group: {GROUP.name}, g = {GROUP.g.toString()}
+      </div>
+    </div>
+  );
+
   const renderCommitmentReceived = () => (
     <div className="space-y-4">
+      {renderPublicKey()}
       <div className="bg-cyber-darker p-4 rounded-lg border border-gray-600">
         <div className="text-sm font-mono text-gray-300 mb-2">
           Received Commitment:
         </div>
-        {protocolState.commitment ? (
+        {protocolState.commitment !== null ? (
           <div className="text-neon-green font-mono text-xs break-all">
-            {protocolState.commitment}
+            {shortHex(protocolState.commitment)}
           </div>
         ) : (
           <div className="text-gray-500 font-mono text-sm">
@@ -51,12 +75,13 @@ const VerifierPanel = ({ protocol, protocolState, onUpdate, isActive }) => {
 
   const renderChallengeGeneration = () => (
     <div className="space-y-4">
+      {renderPublicKey()}
       <div className="bg-cyber-darker p-4 rounded-lg border border-gray-600">
         <div className="text-sm font-mono text-gray-300 mb-2">
           Received Commitment:
         </div>
         <div className="text-neon-green font-mono text-xs break-all">
-          {protocolState.commitment}
+          {shortHex(protocolState.commitment)}
         </div>
       </div>
 
@@ -70,13 +95,13 @@ const VerifierPanel = ({ protocol, protocolState, onUpdate, isActive }) => {
         </button>
       )}
 
-      {protocolState.challenge && (
+      {protocolState.challenge !== null && (
         <div className="bg-cyber-darker p-4 rounded-lg border border-blue-500">
           <div className="text-sm font-mono text-gray-300 mb-2">
             Random Challenge:
           </div>
-          <div className="text-cyber-accent font-mono text-2xl">
-            {protocolState.challenge}
+          <div className="text-cyber-accent font-mono text-xl">
+            {shortHex(protocolState.challenge)}
           </div>
         </div>
       )}
@@ -89,7 +114,7 @@ const VerifierPanel = ({ protocol, protocolState, onUpdate, isActive }) => {
         <div className="bg-cyber-darker p-4 rounded-lg border border-gray-600">
           <div className="text-sm font-mono text-gray-300 mb-2">Challenge:</div>
           <div className="text-cyber-accent font-mono">
-            {protocolState.challenge}
+            {shortHex(protocolState.challenge)}
           </div>
         </div>
 
@@ -97,7 +122,7 @@ const VerifierPanel = ({ protocol, protocolState, onUpdate, isActive }) => {
           <div className="text-sm font-mono text-gray-300 mb-2">Response:</div>
           <div className="text-cyber-warning font-mono text-xl">
             {protocolState.response !== null
-              ? protocolState.response
+              ? shortHex(protocolState.response)
               : "Waiting for response..."}
           </div>
         </div>
@@ -136,16 +161,15 @@ const VerifierPanel = ({ protocol, protocolState, onUpdate, isActive }) => {
             {result.message}
           </div>
 
-          {result.isValid && result.verification && (
+          {result.verification && (
             <div className="space-y-2 text-xs font-mono text-gray-300">
-              <div>Reconstructed Nonce: {result.reconstructedNonce}</div>
-              <div>
-                Commitment Match:{" "}
-                {result.verification.commitmentMatch ? "✓" : "✗"}
-              </div>
-              <div className="text-green-400 font-bold">
-                ✓ Prover knows the secret without revealing it!
-              </div>
+              <div>g^s = {shortHex(result.verification.lhs)}</div>
+              <div>t·y^c = {shortHex(result.verification.rhs)}</div>
+              {result.isValid && (
+                <div className="text-green-400 font-bold">
+                  ✓ Prover knows the secret without revealing it!
+                </div>
+              )}
             </div>
           )}
         </div>
@@ -0,0 +1,842 @@
+/**
+ * Schnorr Identification Protocol
+ * Proves knowledge of the secret x behind a public key y = g^x mod p without
+ * revealing x. SchnorrProver holds x; SchnorrVerifier holds only what it was
+ * sent and checks the proof from the public key and the transcript alone.
+ * SchnorrProtocol runs the two in one page.
+ *
+ * Group: the 2048-bit safe prime p = 2q + 1 of RFC 3526 (MODP group 14).
+ * g = 2 generates the subgroup of prime order q, in which discrete logarithms
+ * are believed to be hard.
+ *
+ * Protocol Flow:
+ * 1. Key setup: the prover derives x from the password and publishes y = g^x
+ * 2. Prover picks a random r and sends the commitment t = g^r
+ * 3. Verifier sends a random challenge c
+ * 4. Prover sends the response s = r + c·x mod q
+ * 5. Verifier accepts iff g^s = t·y^c mod p
+ *
+ * Non-interactive (Fiat–Shamir) mode replaces step 3 by c = SHA-256 of the
+ * transcript (group, statement y, commitment t). The proof (y, t, c, s) can
+ * then be exported as JSON and checked by anyone, with no verifier online.
+ *
+ * Two provers without x are built on the same steps: the simulator, which
+ * picks c and s first and solves for t (zero-knowledge), and the cheating
+ * prover, which guesses c before committing and wins only if the guess was
+ * right (soundness).
+ */
+
+const P = BigInt(
+  "0x" +
+    "FFFFFFFFFFFFFFFFC90FDAA22168C234C4C6628B80DC1CD129024E088A67CC74" +
+    "020BBEA63B139B22514A08798E3404DDEF9519B3CD3A431B302B0A6DF25F1437" +
+    "4FE1356D6D51C245E485B576625E7EC6F44C42E9A637ED6B0BFF5CB6F406B7ED" +
+    "EE386BFB5A899FA5AE9F24117C4B1FE649286651ECE45B3DC2007CB8A163BF05" +
+    "98DA48361C55D39A69163FA8FD24CF5F83655D23DCA3AD961C62F356208552BB" +
+    "9ED529077096966D670C354E4ABC9804F1746C08CA18217C32905E462E36CE3B" +
+    "E39E772C180E86039B2783A2EC07A28FB5C55DF06F4C52C9DE2BCBF695581718" +
+    "3995497CEA956AE515D2261898FA051015728E5A8AACAA68FFFFFFFFFFFFFFFF"
+);
+
+export const GROUP = {
+  name: "RFC 3526 MODP group 14",
+  p: P,
+  q: (P - 1n) / 2n,
+  g: 2n,
+};
+
+// Challenges are 128-bit: a prover who guesses c in advance succeeds with
+// probability 2^-128
+const CHALLENGE_BITS = 128;
+
+// Names the proof format and tags the Fiat–Shamir transcript, so a hash from
+// another protocol can never be taken for a challenge here
+export const PROOF_FORMAT = "zkapp-schnorr-fiat-shamir-v1";
+
+/**
+ * base^exp mod m by square-and-multiply
+ */
+export function modPow(base, exp, m) {
+  let result = 1n;
+  base %= m;
+  while (exp > 0n) {
+    if (exp & 1n) result = (result * base) % m;
+    base = (base * base) % m;
+    exp >>= 1n;
+  }
+  return result;
+}
+
+/**
+ * Inverse of a mod m (m prime, a not a multiple of m) by extended Euclid
+ */
+export function modInverse(a, m) {
+  let [r0, r1] = [((a % m) + m) % m, m];
+  let [x0, x1] = [1n, 0n];
+  while (r1 !== 0n) {
+    const quotient = r0 / r1;
+    [r0, r1] = [r1, r0 - quotient * r1];
+    [x0, x1] = [x1, x0 - quotient * x1];
+  }
+  return ((x0 % m) + m) % m;
+}
+
+/**
+ * Uniformly random BigInt of `bits` bits from the browser's CSPRNG
+ */
+export function randomBits(bits) {
+  const bytes = new Uint8Array(Math.ceil(bits / 8));
+  crypto.getRandomValues(bytes);
+  const value = bytes.reduce((acc, b) => (acc << 8n) | BigInt(b), 0n);
+  return value >> BigInt(bytes.length * 8 - bits);
+}
+
+/**
+ * Uniformly random element of [1, q), by rejection sampling
+ */
+function randomScalar() {
+  const bits = GROUP.q.toString(2).length;
+  for (;;) {
+    const value = randomBits(bits);
+    if (value > 0n && value < GROUP.q) return value;
+  }
+}
+
+/**
+ * SHA-256 of a string, as a 256-bit BigInt
+ */
+async function sha256Number(text) {
+  const data = new TextEncoder().encode(text);
+  const hash = new Uint8Array(await crypto.subtle.digest("SHA-256", data));
+  return hash.reduce((acc, b) => (acc << 8n) | BigInt(b), 0n);
+}
+
+/**
+ * Derive the secret key x from a password: SHA-256 of it, as a number below q
+ */
+async function passwordToScalar(secret) {
+  return (await sha256Number(`zkapp schnorr key:${secret}`)) % GROUP.q;
+}
+
+/**
+ * A public key whose secret key is thrown away: a statement for provers that
+ * must do without x
+ */
+export function randomPublicKey() {
+  return modPow(GROUP.g, randomScalar(), GROUP.p);
+}
+
+// t = g^s · y^-c mod p: the commitment that makes (t, c, s) verify
+function commitmentFor(publicKey, challenge, response) {
+  const { p, g } = GROUP;
+  const yInverse = modInverse(publicKey, p);
+  return (modPow(g, response, p) * modPow(yInverse, challenge, p)) % p;
+}
+
+// The last key that passed inSubgroup: the cheating experiment checks the
+// same statement for every attempt, and each check is a full exponentiation
+let lastKeyInSubgroup = null;
+
+// y must lie in the order-q subgroup, or "the discrete log of y" means nothing
+function inSubgroup(publicKey) {
+  if (publicKey === lastKeyInSubgroup) return true;
+  if (modPow(publicKey, GROUP.q, GROUP.p) !== 1n) return false;
+  lastKeyInSubgroup = publicKey;
+  return true;
+}
+
+// Throws unless `value` is a BigInt in [min, max)
+function requireInRange(value, name, min, max) {
+  if (typeof value !== "bigint" || value < min || value >= max) {
+    throw new Error(`Received ${name} is not a valid number for this group`);
+  }
+}
+
+/**
+ * Fiat–Shamir challenge: SHA-256 of the transcript up to the commitment –
+ * the group, the statement y and the commitment t. The prover cannot pick t
+ * after seeing c, because c depends on t.
+ */
+export async function fiatShamirChallenge(publicKey, commitment) {
+  const { p, g } = GROUP;
+  const transcript = [
+    PROOF_FORMAT,
+    `p=${p.toString(16)}`,
+    `g=${g.toString(16)}`,
+    `y=${publicKey.toString(16)}`,
+    `t=${commitment.toString(16)}`,
+  ].join("\n");
+  return sha256Number(transcript);
+}
+
+/**
+ * Short hex form of a group element or scalar for display, e.g. "0x1f2e…9a0b"
+ */
+export function shortHex(value, digits = 8) {
+  if (value === null || value === undefined) return "";
+  const hex = value.toString(16);
+  return hex.length <= 2 * digits
+    ? `0x${hex}`
+    : `0x${hex.slice(0, digits)}…${hex.slice(-digits)}`;
+}
+
+/**
+ * Check g^s = t·y^c mod p for a transcript, from public values only
+ */
+export function checkTranscript(publicKey, { commitment, challenge, response }) {
+  const { p, g } = GROUP;
+  const lhs = modPow(g, response, p);
+  const rhs = (commitment * modPow(publicKey, challenge, p)) % p;
+  return { isValid: lhs === rhs, lhs, rhs };
+}
+
+/**
+ * A transcript (t, c, s) for y made without x: random c and s, then
+ * t = g^s · y^-c. It verifies and is distributed like a real one.
+ */
+export function simulateTranscript(publicKey, challengeBits = CHALLENGE_BITS) {
+  const challenge = randomBits(challengeBits);
+  const response = randomScalar();
+  const commitment = commitmentFor(publicKey, challenge, response);
+  return { commitment, challenge, response };
+}
+
+const toHex = (value) => `0x${value.toString(16)}`;
+
+// A proof field as a BigInt in [min, max); throws on anything else
+function parseField(proof, name, min, max) {
+  const value = proof[name];
+  if (typeof value !== "string" || !/^0x[0-9a-f]+$/i.test(value)) {
+    throw new Error(`Proof field "${name}" must be a hex string like "0x1f"`);
+  }
+  const number = BigInt(value);
+  if (number < min || number >= max) {
+    throw new Error(`Proof field "${name}" is out of range`);
+  }
+  return number;
+}
+
+/**
+ * Check an exported non-interactive proof (JSON text or object) using only
+ * what it contains. Throws for a malformed proof; returns isValid false for
+ * a well-formed one that does not verify.
+ */
+export async function verifyExportedProof(input) {
+  let proof = input;
+  if (typeof input === "string") {
+    try {
+      proof = JSON.parse(input);
+    } catch (error) {
+      throw new Error("Proof is not valid JSON");
+    }
+  }
+  if (!proof || typeof proof !== "object") {
+    throw new Error("Proof must be a JSON object");
+  }
+  if (proof.format !== PROOF_FORMAT) {
+    throw new Error(`Unknown proof format; expected "${PROOF_FORMAT}"`);
+  }
+  if (proof.group !== GROUP.name) {
+    throw new Error(`Unsupported group; expected "${GROUP.name}"`);
+  }
+
+  const { p, q } = GROUP;
+  const publicKey = parseField(proof, "publicKey", 2n, p);
+  const commitment = parseField(proof, "commitment", 1n, p);
+  const challenge = parseField(proof, "challenge", 0n, 1n << 256n);
+  const response = parseField(proof, "response", 0n, q);
+
+  if (!inSubgroup(publicKey)) {
+    throw new Error("Public key is not in the order-q subgroup");
+  }
+
+  const expected = await fiatShamirChallenge(publicKey, commitment);
+  const { lhs, rhs, ...check } = checkTranscript(publicKey, {
+    commitment,
+    challenge,
+    response,
+  });
+  const challengeMatches = challenge === expected;
+  const isValid = challengeMatches && check.isValid;
+
+  return {
+    success: true,
+    isValid,
+    challengeMatches,
+    verification: { lhs, rhs },
+    message: !challengeMatches
+      ? "Proof rejected - the challenge is not SHA-256 of the transcript"
+      : isValid
+      ? "Proof verified successfully! Whoever made it knows the secret key."
+      : "Proof verification failed - g^s ≠ t·y^c",
+  };
+}
+
+/**
+ * Ordered record of a run for the UI to render as a transcript. Events are
+ * { seq, at, actor, type, message, data } with actor "prover", "verifier" or
+ * "simulator" and data holding the values involved (BigInts).
+ */
+export function createEventStream() {
+  const events = [];
+  const listeners = new Set();
+  return {
+    emit(actor, type, message, data = {}) {
+      const event = { seq: events.length + 1, at: Date.now(), actor, type, message, data };
+      events.push(event);
+      listeners.forEach((listener) => listener(events.slice()));
+      return event;
+    },
+    clear() {
+      events.length = 0;
+      listeners.forEach((listener) => listener([]));
+    },
+    list() {
+      return events.slice();
+    },
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+}
+
+/**
+ * The prover's side: holds x and r, and talks to the verifier only through
+ * the messages its methods return ({ type, ...values }) and receiveChallenge.
+ * Without a password (adoptPublicKey) it can only cheat.
+ */
+export class SchnorrProver {
+  constructor({ events = createEventStream() } = {}) {
+    this.events = events;
+    this.reset();
+  }
+
+  reset() {
+    this.secretKey = null;
+    this.nonce = null;
+    this.guessedChallenge = null;
+    this.cheatingResponse = null;
+    this.publicKey = null;
+    this.commitment = null;
+    this.challenge = null;
+    this.response = null;
+  }
+
+  /**
+   * Derive x from the password and publish y = g^x mod p
+   */
+  async setup(secret) {
+    if (!secret || secret.trim().length === 0) {
+      throw new Error("Secret cannot be empty");
+    }
+
+    this.secretKey = await passwordToScalar(secret.trim());
+    this.publicKey = modPow(GROUP.g, this.secretKey, GROUP.p);
+    this.events.emit("prover", "publicKey", "Published public key y = g^x", {
+      y: this.publicKey,
+    });
+    return { type: "publicKey", publicKey: this.publicKey };
+  }
+
+  /**
+   * Take on a public key without its x (cheating prover)
+   */
+  adoptPublicKey(publicKey) {
+    requireInRange(publicKey, "public key", 2n, GROUP.p);
+
+    this.publicKey = publicKey;
+    this.events.emit("prover", "publicKey", "Claims public key y, without x", {
+      y: publicKey,
+    });
+    return { type: "publicKey", publicKey };
+  }
+
+  /**
+   * Commit to a fresh random r: t = g^r mod p
+   */
+  async commit() {
+    if (this.secretKey === null) {
+      throw new Error("Must setup shared secret first");
+    }
+
+    this.nonce = randomScalar();
+    this.commitment = modPow(GROUP.g, this.nonce, GROUP.p);
+    this.events.emit("prover", "commitment", "Sent commitment t = g^r", {
+      t: this.commitment,
+    });
+    return { type: "commitment", commitment: this.commitment };
+  }
+
+  /**
+   * Cheat: guess the challenge and commit to t = g^s · y^-guess for a random
+   * s, the right answer only if the verifier sends exactly that challenge
+   */
+  commitToGuess(guess) {
+    if (this.publicKey === null) {
+      throw new Error("Must set up the public key first");
+    }
+
+    // A 256-bit s keeps long experiments fast; the check does not care
+    this.guessedChallenge = guess;
+    this.cheatingResponse = randomBits(256);
+    this.commitment = commitmentFor(this.publicKey, guess, this.cheatingResponse);
+    this.events.emit("prover", "commitment", "Sent t made for a guessed challenge", {
+      t: this.commitment,
+      guess,
+    });
+    return { type: "commitment", commitment: this.commitment };
+  }
+
+  /**
+   * The verifier's challenge c as received
+   */
+  receiveChallenge(challenge) {
+    if (this.commitment === null) {
+      throw new Error("Must generate commitment first");
+    }
+    requireInRange(challenge, "challenge", 0n, 1n << 256n);
+    // Answering a second challenge with the same r would give away x
+    if (this.response !== null && challenge !== this.challenge) {
+      throw new Error("Already answered a challenge for this commitment - start over");
+    }
+
+    this.challenge = challenge;
+  }
+
+  /**
+   * Respond s = r + c·x mod q; a cheating prover can only send the s it
+   * prepared for its guess
+   */
+  respond(simulateFailure = false) {
+    if (this.challenge === null) {
+      throw new Error("Must receive challenge first");
+    }
+
+    let s;
+    if (this.secretKey === null) {
+      s = this.cheatingResponse;
+    } else {
+      s = (this.nonce + this.challenge * this.secretKey) % GROUP.q;
+      // For demonstration: simulate a wrong proof
+      if (simulateFailure) s = (s + 1n) % GROUP.q;
+    }
+
+    this.response = s;
+    this.events.emit(
+      "prover",
+      "response",
+      simulateFailure ? "Sent a deliberately wrong response" : "Sent response s",
+      { s }
+    );
+    return { type: "response", response: s };
+  }
+
+  /**
+   * Prove without a verifier: commit, take c = SHA-256(group, y, t), respond.
+   * Returns the self-contained proof (see verifyExportedProof).
+   */
+  async proveNonInteractive(simulateFailure = false) {
+    await this.commit();
+    this.challenge = await fiatShamirChallenge(this.publicKey, this.commitment);
+    this.events.emit("prover", "challenge", "Derived c = SHA-256(group, y, t)", {
+      c: this.challenge,
+    });
+    this.respond(simulateFailure);
+    return this.exportProof();
+  }
+
+  /**
+   * The finished non-interactive proof as a JSON-ready object (numbers in hex)
+   */
+  exportProof() {
+    if (this.response === null) {
+      throw new Error("Must generate a proof first");
+    }
+
+    return {
+      format: PROOF_FORMAT,
+      group: GROUP.name,
+      publicKey: toHex(this.publicKey),
+      commitment: toHex(this.commitment),
+      challenge: toHex(this.challenge),
+      response: toHex(this.response),
+    };
+  }
+
+  /**
+   * Everything the prover holds, secrets included
+   */
+  getState() {
+    return {
+      secretKey: this.secretKey,
+      nonce: this.nonce,
+      guessedChallenge: this.guessedChallenge,
+      publicKey: this.publicKey,
+      commitment: this.commitment,
+      challenge: this.challenge,
+      response: this.response,
+    };
+  }
+}
+
+/**
+ * The verifier's side: knows only what it received – y, t and s – and the
+ * challenge it chose. No secret ever reaches it.
+ */
+export class SchnorrVerifier {
+  /**
+   * challengeBits sets the size of the challenges; a cheating prover passes
+   * with probability 2^-challengeBits
+   */
+  constructor({ challengeBits = CHALLENGE_BITS, events = createEventStream() } = {}) {
+    this.challengeBits = challengeBits;
+    this.events = events;
+    this.reset();
+  }
+
+  reset() {
+    this.publicKey = null;
+    this.commitment = null;
+    this.challenge = null;
+    this.response = null;
+    this.isValid = null;
+    this.simulated = false;
+  }
+
+  receivePublicKey(publicKey) {
+    requireInRange(publicKey, "public key", 2n, GROUP.p);
+    if (!inSubgroup(publicKey)) {
+      throw new Error("Received public key is not in the order-q subgroup");
+    }
+    this.publicKey = publicKey;
+  }
+
+  receiveCommitment(commitment) {
+    if (this.publicKey === null) {
+      throw new Error("Must receive the public key first");
+    }
+    requireInRange(commitment, "commitment", 1n, GROUP.p);
+    this.commitment = commitment;
+  }
+
+  /**
+   * Pick a random challenge c, only once t is fixed
+   */
+  sendChallenge() {
+    if (this.commitment === null) {
+      throw new Error("Must generate commitment first");
+    }
+
+    this.challenge = randomBits(this.challengeBits);
+    this.events.emit("verifier", "challenge", "Sent random challenge c", {
+      c: this.challenge,
+    });
+    return { type: "challenge", challenge: this.challenge };
+  }
+
+  receiveResponse(response) {
+    if (this.challenge === null) {
+      throw new Error("Must receive challenge first");
+    }
+    requireInRange(response, "response", 0n, GROUP.q);
+    this.response = response;
+  }
+
+  /**
+   * Take a whole transcript made by a simulator, to show that it passes the
+   * same check although no interaction took place
+   */
+  receiveSimulatedTranscript(publicKey, { commitment, challenge, response }) {
+    this.reset();
+    this.receivePublicKey(publicKey);
+    this.commitment = commitment;
+    this.challenge = challenge;
+    this.response = response;
+    this.simulated = true;
+  }
+
+  /**
+   * Accept iff g^s = t·y^c mod p
+   */
+  async verify() {
+    if (this.response === null) {
+      throw new Error("Must receive response first");
+    }
+
+    const { isValid, lhs, rhs } = checkTranscript(this.publicKey, this);
+    this.isValid = isValid;
+    this.events.emit(
+      "verifier",
+      "verification",
+      isValid ? "Accepted: g^s = t·y^c" : "Rejected: g^s ≠ t·y^c",
+      { lhs, rhs, isValid }
+    );
+
+    return {
+      success: true,
+      isValid,
+      verification: { lhs, rhs },
+      message: isValid
+        ? "Proof verified successfully! Prover knows the secret key."
+        : "Proof verification failed - g^s ≠ t·y^c",
+    };
+  }
+
+  /**
+   * Everything the verifier holds – all of it public
+   */
+  getState() {
+    return {
+      publicKey: this.publicKey,
+      commitment: this.commitment,
+      challenge: this.challenge,
+      response: this.response,
+      isValid: this.isValid,
+    };
+  }
+}
+
+/**
+ * The five UI steps from a side's view of the transcript
+ */
+export function stepsOf({ publicKey, commitment, challenge, response }, verified) {
+  return {
+    secretSetup: publicKey !== null,
+    commitment: commitment !== null,
+    challenge: challenge !== null,
+    response: response !== null,
+    verification: verified,
+  };
+}
+
+/**
+ * One run between a SchnorrProver and a SchnorrVerifier in this page, with
+ * the step API the panels use. Each step passes the sender's message to the
+ * other side; the two objects share nothing else, except the event stream.
+ * getState() is the verifier's view, getProverState() the prover's secrets.
+ */
+export class SchnorrProtocol {
+  constructor({ challengeBits = CHALLENGE_BITS } = {}) {
+    this.events = createEventStream();
+    this.prover = new SchnorrProver({ events: this.events });
+    this.verifier = new SchnorrVerifier({ challengeBits, events: this.events });
+  }
+
+  reset() {
+    this.prover.reset();
+    this.verifier.reset();
+    this.events.clear();
+  }
+
+  /**
+   * Step 1: Prover derives x from the password and publishes y = g^x mod p
+   */
+  async setupSharedSecret(secret) {
+    const message = await this.prover.setup(secret);
+    this.verifier.receivePublicKey(message.publicKey);
+    return {
+      success: true,
+      publicKey: message.publicKey,
+      message: "Key pair derived; the public key y = g^x is published",
+    };
+  }
+
+  /**
+   * Step 1 without a secret: only the public key y is known (simulator and
+   * cheating prover)
+   */
+  setupPublicKey(publicKey) {
+    const message = this.prover.adoptPublicKey(publicKey);
+    this.verifier.receivePublicKey(message.publicKey);
+    return {
+      success: true,
+      publicKey,
+      message: "Public key y received; the secret key x is unknown here",
+    };
+  }
+
+  /**
+   * Step 2: Prover commits to a fresh random r: t = g^r mod p
+   */
+  async generateCommitment() {
+    const message = await this.prover.commit();
+    this.verifier.receiveCommitment(message.commitment);
+    return {
+      success: true,
+      commitment: message.commitment,
+      message: "Commitment t = g^r sent; r stays with the prover",
+    };
+  }
+
+  /**
+   * Step 2 for a cheating prover without x: guess the challenge first
+   */
+  generateCheatingCommitment(guess = randomBits(this.verifier.challengeBits)) {
+    const message = this.prover.commitToGuess(guess);
+    this.verifier.receiveCommitment(message.commitment);
+    return {
+      success: true,
+      commitment: message.commitment,
+      guessedChallenge: guess,
+      message: "Commitment made for a guessed challenge",
+    };
+  }
+
+  /**
+   * Step 3: Verifier picks a random challenge c
+   */
+  generateChallenge() {
+    const message = this.verifier.sendChallenge();
+    this.prover.receiveChallenge(message.challenge);
+    return {
+      success: true,
+      challenge: message.challenge,
+      message: "Random challenge generated by verifier",
+    };
+  }
+
+  /**
+   * Step 4: Prover responds s = r + c·x mod q
+   */
+  generateResponse(simulateFailure = false) {
+    const message = this.prover.respond(simulateFailure);
+    this.verifier.receiveResponse(message.response);
+    const s = message.response;
+    return {
+      success: true,
+      response: s,
+      calculation: {
+        formula: simulateFailure
+          ? `s = r + c·x + 1 mod q = ${shortHex(s)} (WRONG)`
+          : `s = r + c·x mod q = ${shortHex(s)}`,
+      },
+      message: simulateFailure
+        ? "Response calculated with intentional error (for demo)"
+        : "Response calculated successfully",
+      isIntentionallyWrong: simulateFailure,
+    };
+  }
+
+  /**
+   * Step 4 for the cheating prover: the response prepared for its guess
+   */
+  generateCheatingResponse() {
+    const message = this.prover.respond();
+    this.verifier.receiveResponse(message.response);
+    const guessedRight = this.verifier.challenge === this.prover.guessedChallenge;
+    return {
+      success: true,
+      response: message.response,
+      guessedRight,
+      message: guessedRight
+        ? "The guess was right - the response will pass"
+        : "The guess was wrong - no valid response without x",
+    };
+  }
+
+  /**
+   * Steps 2–4 without x and out of order: the simulator picks c and s, then
+   * solves for t, and hands the verifier the finished transcript
+   */
+  simulateTranscript() {
+    const { publicKey } = this.verifier;
+    if (publicKey === null) {
+      throw new Error("Must set up the public key first");
+    }
+
+    const transcript = simulateTranscript(publicKey, this.verifier.challengeBits);
+    this.events.emit("simulator", "transcript", "Picked c and s, then t = g^s · y^-c", {
+      c: transcript.challenge,
+      s: transcript.response,
+      t: transcript.commitment,
+    });
+    this.verifier.receiveSimulatedTranscript(publicKey, transcript);
+    return {
+      success: true,
+      ...transcript,
+      message: "Transcript simulated: c and s chosen first, t = g^s · y^-c",
+    };
+  }
+
+  /**
+   * Step 5: Verifier checks g^s = t·y^c mod p from public values only
+   */
+  verifyProof() {
+    return this.verifier.verify();
+  }
+
+  /**
+   * Public protocol state: the verifier's view
+   */
+  getState() {
+    const view = this.verifier.getState();
+    return {
+      publicKey: view.publicKey,
+      commitment: view.commitment,
+      challenge: view.challenge,
+      response: view.response,
+      isProofValid: view.isValid,
+      steps: stepsOf(view, view.isValid !== null),
+    };
+  }
+
+  /**
+   * What only the prover knows: x and r, or a cheating prover's guess
+   */
+  getProverState() {
+    const { secretKey, nonce, guessedChallenge } = this.prover.getState();
+    return { secretKey, nonce, guessedChallenge };
+  }
+
+  /**
+   * Get educational explanation for current step
+   */
+  getStepExplanation(step) {
+    const explanations = {
+      secretSetup: {
+        title: "Key Setup",
+        description:
+          "The prover turns the password into a secret number x and publishes y = g^x mod p. Anyone may know y; finding x from it is the discrete logarithm problem.",
+        zkpProperty:
+          "Soundness - Only someone who knows x can answer every challenge for y.",
+      },
+      commitment: {
+        title: "Commitment Generation",
+        description:
+          "The prover picks a fresh random r and sends t = g^r. This fixes r before the challenge is known, without revealing it.",
+        zkpProperty:
+          "Hiding - t is a uniformly random group element, telling nothing about x.",
+      },
+      challenge: {
+        title: "Challenge Generation",
+        description:
+          "The verifier sends a random 128-bit challenge c. The prover cannot have prepared for it when committing.",
+        zkpProperty:
+          "Soundness - Answering two different challenges for the same t would reveal x, so a cheater must guess c.",
+      },
+      response: {
+        title: "Response Calculation",
+        description:
+          "The prover sends s = r + c·x mod q. The random r masks x completely: s on its own is a uniformly random number.",
+        zkpProperty:
+          "Completeness - With x, the prover can always compute an s that passes the check.",
+      },
+      verification: {
+        title: "Proof Verification",
+        description:
+          "The verifier checks g^s = t·y^c mod p using only the public key and the transcript. It never sees x or r.",
+        zkpProperty:
+          "Zero-Knowledge - Transcripts (t, c, s) can be simulated without x, so they teach the verifier nothing.",
+      },
+    };
+
+    return (
+      explanations[step] || {
+        title: "Unknown Step",
+        description: "",
+        zkpProperty: "",
+      }
+    );
+  }
+}
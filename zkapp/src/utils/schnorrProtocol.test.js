@@ -0,0 +1,186 @@
+/**
+ * @jest-environment node
+ */
+import { webcrypto } from "crypto";
+import {
+  GROUP,
+  PROOF_FORMAT,
+  modPow,
+  modInverse,
+  checkTranscript,
+  simulateTranscript,
+  randomPublicKey,
+  verifyExportedProof,
+  SchnorrProver,
+  SchnorrVerifier,
+  SchnorrProtocol,
+} from "./schnorrProtocol";
+
+// The browser's Web Crypto, which Jest's node environment does not expose
+if (!globalThis.crypto) globalThis.crypto = webcrypto;
+
+const { p, q, g } = GROUP;
+
+// One honest interactive run; returns the verifier after it has everything
+async function honestRun(secret = "correct horse") {
+  const prover = new SchnorrProver();
+  const verifier = new SchnorrVerifier();
+  verifier.receivePublicKey((await prover.setup(secret)).publicKey);
+  verifier.receiveCommitment((await prover.commit()).commitment);
+  prover.receiveChallenge(verifier.sendChallenge().challenge);
+  verifier.receiveResponse(prover.respond().response);
+  return verifier;
+}
+
+describe("modPow", () => {
+  test("matches small powers computed directly", () => {
+    expect(modPow(3n, 0n, 7n)).toBe(1n);
+    expect(modPow(3n, 1n, 7n)).toBe(3n);
+    expect(modPow(3n, 5n, 7n)).toBe(243n % 7n);
+    expect(modPow(10n, 3n, 1000n)).toBe(0n);
+    expect(modPow(123456789n, 65537n, 1000000007n)).toBe(
+      123456789n ** 65537n % 1000000007n
+    );
+  });
+
+  test("reduces a base larger than the modulus", () => {
+    expect(modPow(15n, 2n, 7n)).toBe(modPow(1n, 2n, 7n));
+  });
+
+  test("satisfies Fermat's little theorem for the group prime", () => {
+    expect(modPow(g, p - 1n, p)).toBe(1n);
+  });
+
+  test("g generates the subgroup of order q", () => {
+    expect(modPow(g, q, p)).toBe(1n);
+    expect(modPow(g, 2n, p)).not.toBe(1n);
+  });
+});
+
+describe("modInverse", () => {
+  test("gives a * a^-1 = 1 mod p", () => {
+    const a = randomPublicKey();
+    expect((a * modInverse(a, p)) % p).toBe(1n);
+    expect(modInverse(3n, 7n)).toBe(5n);
+  });
+});
+
+describe("SchnorrVerifier.verify", () => {
+  test("accepts an honest proof", async () => {
+    const verifier = await honestRun();
+    const result = await verifier.verify();
+
+    expect(result.isValid).toBe(true);
+    expect(result.verification.lhs).toBe(result.verification.rhs);
+    expect(verifier.getState().isValid).toBe(true);
+  });
+
+  test("rejects a tampered response s", async () => {
+    const verifier = await honestRun();
+    verifier.response = (verifier.response + 1n) % q;
+
+    expect((await verifier.verify()).isValid).toBe(false);
+  });
+
+  test("rejects a tampered commitment t", async () => {
+    const verifier = await honestRun();
+    verifier.commitment = (verifier.commitment * g) % p;
+
+    expect((await verifier.verify()).isValid).toBe(false);
+  });
+
+  test("rejects a proof made with another password", async () => {
+    const prover = new SchnorrProver();
+    const impostor = new SchnorrProver();
+    const verifier = new SchnorrVerifier();
+    verifier.receivePublicKey((await prover.setup("correct horse")).publicKey);
+    await impostor.setup("battery staple");
+    verifier.receiveCommitment((await impostor.commit()).commitment);
+    impostor.receiveChallenge(verifier.sendChallenge().challenge);
+    verifier.receiveResponse(impostor.respond().response);
+
+    expect((await verifier.verify()).isValid).toBe(false);
+  });
+
+  test("refuses a public key outside the order-q subgroup", () => {
+    const verifier = new SchnorrVerifier();
+    // -1 and -y have order 2 and 2q, since q is odd
+    for (const publicKey of [p - 1n, p - randomPublicKey()]) {
+      expect(() => verifier.receivePublicKey(publicKey)).toThrow(
+        "Received public key is not in the order-q subgroup"
+      );
+    }
+    expect(() => verifier.receivePublicKey(randomPublicKey())).not.toThrow();
+  });
+
+  test("rejects a deliberately wrong response", async () => {
+    const protocol = new SchnorrProtocol();
+    await protocol.setupSharedSecret("correct horse");
+    await protocol.generateCommitment();
+    protocol.generateChallenge();
+    protocol.generateResponse(true);
+
+    expect((await protocol.verifyProof()).isValid).toBe(false);
+  });
+});
+
+describe("simulateTranscript", () => {
+  test("produces a transcript that verifies without the secret key", () => {
+    const publicKey = randomPublicKey();
+    const transcript = simulateTranscript(publicKey);
+
+    expect(checkTranscript(publicKey, transcript).isValid).toBe(true);
+  });
+
+  test("is accepted by the verifier through the protocol", async () => {
+    const protocol = new SchnorrProtocol();
+    protocol.setupPublicKey(randomPublicKey());
+    protocol.simulateTranscript();
+
+    expect((await protocol.verifyProof()).isValid).toBe(true);
+  });
+});
+
+describe("verifyExportedProof", () => {
+  test("accepts a non-interactive proof and its JSON text", async () => {
+    const prover = new SchnorrProver();
+    await prover.setup("correct horse");
+    const proof = await prover.proveNonInteractive();
+
+    expect((await verifyExportedProof(proof)).isValid).toBe(true);
+    expect((await verifyExportedProof(JSON.stringify(proof))).isValid).toBe(true);
+  });
+
+  test("rejects a proof whose response was changed", async () => {
+    const prover = new SchnorrProver();
+    await prover.setup("correct horse");
+    const proof = await prover.proveNonInteractive();
+    const tampered = { ...proof, response: `0x${(BigInt(proof.response) + 1n).toString(16)}` };
+
+    expect((await verifyExportedProof(tampered)).isValid).toBe(false);
+  });
+
+  test("rejects a simulated transcript, whose challenge is not the hash", async () => {
+    const publicKey = randomPublicKey();
+    const { commitment, challenge, response } = simulateTranscript(publicKey);
+    const hex = (value) => `0x${value.toString(16)}`;
+    const result = await verifyExportedProof({
+      format: PROOF_FORMAT,
+      group: GROUP.name,
+      publicKey: hex(publicKey),
+      commitment: hex(commitment),
+      challenge: hex(challenge),
+      response: hex(response),
+    });
+
+    expect(result.challengeMatches).toBe(false);
+    expect(result.isValid).toBe(false);
+  });
+
+  test("throws for malformed input", async () => {
+    await expect(verifyExportedProof("not json")).rejects.toThrow("not valid JSON");
+    await expect(verifyExportedProof({ format: "other" })).rejects.toThrow(
+      "Unknown proof format"
+    );
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * Message transports for the two-tab session mode
+ *
+ * Prover and verifier tabs exchange only these JSON messages:
+ *   { type: "hello", role }                 a tab joined (peers resend state)
+ *   { type: "publicKey", publicKey }        prover → verifier, y
+ *   { type: "commitment", commitment }      prover → verifier, t
+ *   { type: "challenge", challenge }        verifier → prover, c
+ *   { type: "response", response }          prover → verifier, s
+ *   { type: "result", isValid }             verifier → prover
+ *   { type: "reset" }                       either side starts over
+ * Numbers travel as hex strings.
+ *
+ * A transport is { kind, send(message), onMessage(handler) → unsubscribe,
+ * onClose(handler), close() }; message handlers get (message, error, text).
+ * BroadcastChannel links tabs of this browser; the WebSocket transport goes
+ * through the local relay (relay/server.js) and so also links different
+ * browsers or machines.
+ */
+
+export const DEFAULT_RELAY_URL = "ws://localhost:8787";
+
+// Fields that hold group elements or scalars
+const NUMBER_FIELDS = ["publicKey", "commitment", "challenge", "response"];
+
+const MESSAGE_FIELDS = {
+  hello: ["role"],
+  publicKey: ["publicKey"],
+  commitment: ["commitment"],
+  challenge: ["challenge"],
+  response: ["response"],
+  result: ["isValid"],
+  reset: [],
+};
+
+/**
+ * Message → wire text
+ */
+export function serializeMessage(message) {
+  const wire = { type: message.type };
+  for (const field of MESSAGE_FIELDS[message.type] || []) {
+    const value = message[field];
+    wire[field] = typeof value === "bigint" ? `0x${value.toString(16)}` : value;
+  }
+  return JSON.stringify(wire);
+}
+
+/**
+ * Wire text → message; throws for anything that is not a protocol message
+ */
+export function parseMessage(text) {
+  let wire;
+  try {
+    wire = JSON.parse(text);
+  } catch (error) {
+    throw new Error("Received a message that is not JSON");
+  }
+  const fields = MESSAGE_FIELDS[wire?.type];
+  if (!fields) {
+    throw new Error(`Received an unknown message type: ${wire?.type}`);
+  }
+
+  const message = { type: wire.type };
+  for (const field of fields) {
+    const value = wire[field];
+    if (NUMBER_FIELDS.includes(field)) {
+      if (typeof value !== "string" || !/^0x[0-9a-f]+$/i.test(value)) {
+        throw new Error(`Received ${field} is not a hex number`);
+      }
+      message[field] = BigInt(value);
+    } else {
+      message[field] = value;
+    }
+  }
+  return message;
+}
+
+// Text handlers on top of a raw channel, decoding and reporting bad input
+function withHandlers(kind, rawSend, close) {
+  const handlers = new Set();
+  const closeHandlers = new Set();
+  return {
+    kind,
+    send(message) {
+      rawSend(serializeMessage(message));
+    },
+    onMessage(handler) {
+      handlers.add(handler);
+      return () => handlers.delete(handler);
+    },
+    onClose(handler) {
+      closeHandlers.add(handler);
+      return () => closeHandlers.delete(handler);
+    },
+    close,
+    // Called by the channel when it is gone for good
+    closed() {
+      closeHandlers.forEach((handler) => handler());
+    },
+    // Called by the channel with every text that arrives
+    receive(text) {
+      let message;
+      let error = null;
+      try {
+        message = parseMessage(text);
+      } catch (parseError) {
+        error = parseError;
+      }
+      handlers.forEach((handler) => handler(message, error, text));
+    },
+  };
+}
+
+/**
+ * Transport between tabs of this browser that share a session id
+ */
+export function createBroadcastTransport(session) {
+  const channel = new BroadcastChannel(`zkapp-session-${session}`);
+  const transport = withHandlers(
+    "broadcast",
+    (text) => channel.postMessage(text),
+    () => channel.close()
+  );
+  channel.onmessage = (event) => transport.receive(event.data);
+  return transport;
+}
+
+/**
+ * Transport through the WebSocket relay; resolves once connected
+ */
+export function createWebSocketTransport(session, relayUrl = DEFAULT_RELAY_URL) {
+  return new Promise((resolve, reject) => {
+    const url = new URL(relayUrl);
+    url.searchParams.set("session", session);
+    const socket = new WebSocket(url.toString());
+    const transport = withHandlers(
+      "websocket",
+      (text) => socket.send(text),
+      () => socket.close()
+    );
+
+    socket.onmessage = (event) => transport.receive(event.data);
+    socket.onopen = () => {
+      socket.onclose = () => transport.closed();
+      resolve(transport);
+    };
+    socket.onerror = () =>
+      reject(
+        new Error(
+          `Could not reach the relay at ${relayUrl}. Start it with "npm run relay".`
+        )
+      );
+  });
+}
+
+/**
+ * A random session id, short enough to read out
+ */
+export function createSessionId() {
+  const bytes = crypto.getRandomValues(new Uint8Array(4));
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
+}
@@ -0,0 +1,47 @@
+import { serializeMessage, parseMessage } from "./transport";
+import { GROUP } from "./schnorrProtocol";
+
+describe("serializeMessage / parseMessage", () => {
+  test.each([
+    { type: "hello", role: "prover" },
+    { type: "publicKey", publicKey: GROUP.p - 2n },
+    { type: "commitment", commitment: 0x1f2en },
+    { type: "challenge", challenge: (1n << 128n) - 1n },
+    { type: "response", response: 0n },
+    { type: "result", isValid: true },
+    { type: "reset" },
+  ])("round-trips a $type message", (message) => {
+    expect(parseMessage(serializeMessage(message))).toEqual(message);
+  });
+
+  test("sends numbers as hex strings", () => {
+    expect(JSON.parse(serializeMessage({ type: "challenge", challenge: 255n }))).toEqual({
+      type: "challenge",
+      challenge: "0xff",
+    });
+  });
+
+  test("drops fields that are not part of the message type", () => {
+    const text = serializeMessage({ type: "response", response: 1n, secretKey: 42n });
+    expect(JSON.parse(text)).toEqual({ type: "response", response: "0x1" });
+  });
+
+  test("rejects text that is not JSON", () => {
+    expect(() => parseMessage("{nope")).toThrow("not JSON");
+  });
+
+  test("rejects unknown message types", () => {
+    expect(() => parseMessage(JSON.stringify({ type: "secretKey" }))).toThrow(
+      "unknown message type: secretKey"
+    );
+    expect(() => parseMessage("null")).toThrow("unknown message type");
+  });
+
+  test("rejects numbers that are not hex strings", () => {
+    for (const challenge of [12, "12", "0x", "0xzz", null]) {
+      expect(() =>
+        parseMessage(JSON.stringify({ type: "challenge", challenge }))
+      ).toThrow("challenge is not a hex number");
+    }
+  });
+});